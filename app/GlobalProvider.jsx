@@ -6,6 +6,7 @@ import { ToastContainer } from "react-toastify";
 import { AuthProvider } from "@/context/AuthContext";
 import { CartProvider } from "@/context/CartContext";
 import { OrderProvider } from "@/context/OrderContext";
+import { WishlistProvider } from "@/context/WishlistContext";
 
 import "react-toastify/dist/ReactToastify.css";
 
@@ -14,10 +15,12 @@ export function GlobalProvider({ children }) {
     <SessionProvider>
       <AuthProvider>
         <CartProvider>
-          <OrderProvider>
-            <ToastContainer position="bottom-right" />
-            {children}
-          </OrderProvider>
+          <WishlistProvider>
+            <OrderProvider>
+              <ToastContainer position="bottom-right" />
+              {children}
+            </OrderProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </SessionProvider>
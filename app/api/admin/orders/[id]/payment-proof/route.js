@@ -0,0 +1,243 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const REVIEW_DECISIONS = ["approve", "reject"];
+
+/**
+ * PUT /api/admin/orders/[id]/payment-proof
+ * Vérification d'un justificatif de paiement par un administrateur
+ * Body: { decision: "approve" | "reject", note?: string (obligatoire si refus) }
+ * Rate limit: Configuration intelligente - api.write
+ *
+ * - approve : la commande passe en "paid", la référence saisie par le
+ *   client devient la référence de transaction
+ * - reject : la commande repasse en "unpaid", le client peut envoyer un
+ *   nouveau justificatif (le motif lui est affiché)
+ */
+export const PUT = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ORDER_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const note =
+        typeof body?.note === "string"
+          ? body.note.trim().replace(/\s+/g, " ").slice(0, 200)
+          : "";
+
+      if (
+        !REVIEW_DECISIONS.includes(body?.decision) ||
+        (body.decision === "reject" && !note)
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message:
+              "A valid decision is required (a note is required to reject)",
+            code: "INVALID_REVIEW",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // Rôle relu en base : un rôle retiré prend effet immédiatement
+      const admin = await User.findOne({ email: req.user.email })
+        .select("_id role isActive")
+        .lean();
+
+      if (!admin || !admin.isActive || admin.role !== "admin") {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Admin access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      const pending = await Order.findOne({ _id: id })
+        .select("paymentStatus paymentInfo.paymentProof")
+        .lean();
+
+      if (!pending) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const proof = pending.paymentInfo?.paymentProof;
+      const noPendingProof = NextResponse.json(
+        {
+          success: false,
+          message: "No pending payment proof for this order",
+          code: "NO_PENDING_PAYMENT_PROOF",
+        },
+        { status: 409 },
+      );
+
+      if (
+        pending.paymentStatus !== "processing" ||
+        proof?.status !== "pending"
+      ) {
+        return noPendingProof;
+      }
+
+      const now = new Date();
+      const isApproved = body.decision === "approve";
+
+      const update = isApproved
+        ? {
+            paymentStatus: "paid",
+            paidAt: now,
+            "paymentInfo.paymentProof.status": "approved",
+            // La référence saisie par le client devient celle de la transaction
+            "paymentInfo.transactionReference": proof.transactionReference,
+          }
+        : {
+            paymentStatus: "unpaid",
+            "paymentInfo.paymentProof.status": "rejected",
+          };
+
+      // Vérification unique : le justificatif lu ne doit pas avoir changé
+      const order = await Order.findOneAndUpdate(
+        {
+          _id: id,
+          paymentStatus: "processing",
+          "paymentInfo.paymentProof.status": "pending",
+          "paymentInfo.paymentProof.submittedAt": proof.submittedAt,
+        },
+        {
+          $set: {
+            ...update,
+            "paymentInfo.paymentProof.reviewedAt": now,
+            "paymentInfo.paymentProof.reviewedBy": admin._id,
+            ...(note && { "paymentInfo.paymentProof.reviewNote": note }),
+          },
+        },
+        {
+          new: true,
+          projection: "_id orderNumber paymentStatus paidAt paymentInfo",
+        },
+      ).lean();
+
+      if (!order) {
+        return noPendingProof;
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Payment proof reviewed:", {
+        adminId: admin._id,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        decision: body.decision,
+        timestamp: now.toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: isApproved ? "Payment approved" : "Payment proof rejected",
+          data: {
+            paymentStatus: order.paymentStatus,
+            paidAt: order.paidAt || null,
+            paymentProof: order.paymentInfo.paymentProof,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Payment proof review error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "admin/orders/[id]/payment-proof/PUT",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to review payment proof";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[PAYMENT_PROOF_REVIEW] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -0,0 +1,531 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import Product from "@/backend/models/product";
+import InventoryMovement from "@/backend/models/inventoryMovement";
+import { notifyRestockedProducts } from "@/backend/utils/stockAlertNotifier";
+import { getPaymentProvider } from "@/backend/utils/paymentProviders";
+import {
+  canRefundThroughProvider,
+  computeRefund,
+  isFullyRefunded,
+} from "@/backend/utils/orderRefund";
+import {
+  REFUNDABLE_PAYMENT_STATUSES,
+  REFUND_METHODS,
+} from "@/helpers/constants";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const MAX_REFUND_LINES = 50;
+
+// Erreurs métier levées lors du calcul ou dans la transaction
+const REFUND_ERRORS = {
+  ORDER_NOT_FOUND: { status: 404, message: "Order not found" },
+  ORDER_NOT_REFUNDABLE: {
+    status: 409,
+    message: "Only paid orders can be refunded",
+  },
+  REFUND_ITEM_NOT_FOUND: {
+    status: 400,
+    message: "A refunded line does not belong to this order",
+  },
+  REFUND_QUANTITY_EXCEEDED: {
+    status: 409,
+    message: "Refunded quantity exceeds the remaining quantity",
+  },
+  REFUND_CONFLICT: {
+    status: 409,
+    message: "Order was refunded concurrently, please retry",
+  },
+};
+
+/**
+ * POST /api/admin/orders/[id]/refunds
+ * Remboursement total ou partiel d'une commande payée, par ligne de commande
+ * Body: {
+ *   items: [{ itemId: _id de la ligne, quantity, restock?: boolean (true) }],
+ *   reason: string,
+ *   method: "provider" | "cash" | "manual_transfer"
+ * }
+ * Rate limit: Configuration intelligente - api.write
+ *
+ * - Réservé aux administrateurs (rôle relu en base)
+ * - Les quantités sont d'abord réservées (remboursement "pending", ajout
+ *   conditionnel) : deux demandes simultanées ne peuvent pas rembourser les
+ *   mêmes lignes
+ * - "provider" : remboursement auprès de l'opérateur après la réservation ;
+ *   un refus libère la réservation, une absence de réponse la conserve
+ * - Les quantités retournées (restock) sont remises en stock et inscrites
+ *   au journal (InventoryMovement "refund_restock") dans la même transaction
+ *   que l'enregistrement du remboursement
+ * - La commande passe en "refunded" uniquement quand toutes ses lignes sont
+ *   remboursées ; un remboursement partiel la laisse "paid"
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ORDER_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const requestedItems = Array.isArray(body?.items) ? body.items : [];
+      const reason =
+        typeof body?.reason === "string"
+          ? body.reason.trim().replace(/\s+/g, " ").slice(0, 200)
+          : "";
+
+      if (
+        requestedItems.length === 0 ||
+        requestedItems.length > MAX_REFUND_LINES ||
+        !requestedItems.every(
+          (line) =>
+            typeof line?.itemId === "string" &&
+            /^[0-9a-fA-F]{24}$/.test(line.itemId) &&
+            Number.isInteger(line.quantity) &&
+            line.quantity > 0 &&
+            (line.restock === undefined || typeof line.restock === "boolean"),
+        )
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "At least one valid line to refund is required",
+            code: "INVALID_REFUND_ITEMS",
+          },
+          { status: 400 },
+        );
+      }
+
+      if (reason.length < 3 || !REFUND_METHODS.includes(body.method)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "A refund reason and a valid refund method are required",
+            code: "INVALID_REFUND",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // Rôle relu en base : un rôle retiré prend effet immédiatement
+      const admin = await User.findOne({ email: req.user.email })
+        .select("_id role isActive")
+        .lean();
+
+      if (!admin || !admin.isActive || admin.role !== "admin") {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Admin access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      const refundErrorResponse = (code) =>
+        NextResponse.json(
+          { success: false, message: REFUND_ERRORS[code].message, code },
+          { status: REFUND_ERRORS[code].status },
+        );
+
+      // Contrôle préalable : rien n'est réservé ni envoyé à l'opérateur
+      // pour une demande invalide
+      const pending = await Order.findOne({ _id: id })
+        .select("orderNumber paymentStatus paymentInfo orderItems refunds")
+        .lean();
+
+      if (!pending) return refundErrorResponse("ORDER_NOT_FOUND");
+
+      if (!REFUNDABLE_PAYMENT_STATUSES.includes(pending.paymentStatus)) {
+        return refundErrorResponse("ORDER_NOT_REFUNDABLE");
+      }
+
+      let computed;
+      try {
+        computed = computeRefund(pending, requestedItems);
+      } catch (computeError) {
+        if (REFUND_ERRORS[computeError.code]) {
+          return refundErrorResponse(computeError.code);
+        }
+        throw computeError;
+      }
+
+      if (body.method === "provider" && !canRefundThroughProvider(pending)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message:
+              "This order was not paid through a payment provider transaction",
+            code: "REFUND_METHOD_UNAVAILABLE",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Réservation : le remboursement est inscrit "pending" avant l'appel à
+      // l'opérateur. La condition sur le nombre de remboursements garantit
+      // qu'aucun autre n'a été ajouté depuis la lecture : deux demandes
+      // simultanées ne peuvent pas réserver les mêmes quantités
+      const refundCount = pending.refunds?.length || 0;
+      const refundId = new mongoose.Types.ObjectId();
+
+      const reserved = await Order.findOneAndUpdate(
+        {
+          _id: id,
+          paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+          ...(refundCount === 0
+            ? {
+                $or: [
+                  { refunds: { $exists: false } },
+                  { refunds: { $size: 0 } },
+                ],
+              }
+            : { refunds: { $size: refundCount } }),
+        },
+        {
+          $push: {
+            refunds: {
+              _id: refundId,
+              amount: computed.amount,
+              items: computed.items,
+              reason,
+              method: body.method,
+              status: "pending",
+              actor: "staff",
+              refundedBy: admin._id,
+            },
+          },
+        },
+        { new: true, projection: "_id" },
+      ).lean();
+
+      if (!reserved) {
+        return refundErrorResponse("REFUND_CONFLICT");
+      }
+
+      const releaseReservation = () =>
+        Order.updateOne(
+          { _id: id },
+          { $pull: { refunds: { _id: refundId, status: "pending" } } },
+        );
+
+      // Remboursement auprès de l'opérateur
+      let providerResult = null;
+      if (body.method === "provider") {
+        const reference = pending.paymentInfo.transactionReference;
+
+        try {
+          const provider = getPaymentProvider(pending.paymentInfo.typePayment, {
+            reference,
+          });
+          providerResult = await provider.refund(reference, {
+            amount: computed.amount,
+            reason,
+          });
+        } catch (providerError) {
+          console.error("Refund provider error:", providerError.message);
+
+          // Sans réponse, l'opérateur a pu rembourser : la réservation est
+          // conservée jusqu'au rapprochement
+          if (providerError.message?.startsWith("PAYMENT_PROVIDER_TIMEOUT")) {
+            captureException(providerError, {
+              tags: {
+                component: "api",
+                route: "admin/orders/[id]/refunds/POST",
+                critical: "refund_unconfirmed",
+              },
+              extra: { orderId: id, refundId, amount: computed.amount },
+            });
+
+            return NextResponse.json(
+              {
+                success: false,
+                message:
+                  "No answer from the payment provider, the refund stays pending until reconciled",
+                code: "REFUND_PENDING",
+              },
+              { status: 504 },
+            );
+          }
+
+          await releaseReservation();
+
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Payment provider unavailable, nothing was refunded",
+              code: "REFUND_PROVIDER_UNAVAILABLE",
+            },
+            { status: 502 },
+          );
+        }
+
+        if (providerResult.status !== "refunded") {
+          await releaseReservation();
+
+          return NextResponse.json(
+            {
+              success: false,
+              message:
+                providerResult.message || "Refund refused by the provider",
+              code: "REFUND_REJECTED",
+            },
+            { status: 502 },
+          );
+        }
+      }
+
+      const session = await Order.startSession();
+      let refundedOrder;
+      let refund;
+      let restockMovements = [];
+
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne({ _id: id }).session(session);
+          const reservedRefund = order?.refunds.id(refundId);
+
+          if (!reservedRefund || reservedRefund.status !== "pending") {
+            const error = new Error("REFUND_CONFLICT");
+            error.code = "REFUND_CONFLICT";
+            throw error;
+          }
+
+          // Remettre en stock les quantités retournées et décompter les ventes
+          const stockMovements = [];
+
+          for (const line of reservedRefund.items) {
+            if (!line.restocked) continue;
+
+            const inc = { stock: line.quantity, sold: -line.quantity };
+            const options = {
+              new: true,
+              projection: { stock: 1, "variants._id": 1, "variants.stock": 1 },
+              session,
+            };
+
+            let restored = line.variant
+              ? await Product.findOneAndUpdate(
+                  { _id: line.product, "variants._id": line.variant },
+                  { $inc: { ...inc, "variants.$.stock": line.quantity } },
+                  options,
+                )
+              : null;
+            const variantRestored = Boolean(restored);
+
+            // Variante supprimée depuis : restaurer au moins le stock global
+            if (!restored) {
+              restored = await Product.findOneAndUpdate(
+                { _id: line.product },
+                { $inc: inc },
+                options,
+              );
+            }
+
+            // Produit supprimé : rien à remettre en stock
+            if (!restored) {
+              line.restocked = false;
+              continue;
+            }
+
+            stockMovements.push({
+              product: line.product,
+              variant: variantRestored ? line.variant : null,
+              type: "refund_restock",
+              quantity: line.quantity,
+              stockAfter: restored.stock,
+              variantStockAfter: variantRestored
+                ? restored.variants.find((v) => v._id.equals(line.variant))
+                    ?.stock
+                : null,
+              order: order._id,
+              orderNumber: order.orderNumber,
+              actor: "staff",
+              user: admin._id,
+              note: reason,
+            });
+          }
+
+          if (stockMovements.length > 0) {
+            await InventoryMovement.insertMany(stockMovements, { session });
+          }
+
+          reservedRefund.status = "completed";
+          if (providerResult) {
+            reservedRefund.providerReference =
+              providerResult.reference || undefined;
+            reservedRefund.providerStatus =
+              providerResult.providerStatus?.slice(0, 50);
+          }
+          order.refundedAmount =
+            (order.refundedAmount || 0) + reservedRefund.amount;
+
+          if (isFullyRefunded(order)) {
+            order.paymentStatus = "refunded";
+            order.refundedAt = new Date();
+          }
+
+          await order.save({ session });
+          refundedOrder = order;
+          refund = reservedRefund;
+          restockMovements = stockMovements;
+        });
+      } catch (transactionError) {
+        // L'opérateur a déjà remboursé : la réservation reste "pending"
+        // (quantités bloquées) jusqu'au rapprochement manuel
+        if (providerResult) {
+          captureException(transactionError, {
+            tags: {
+              component: "api",
+              route: "admin/orders/[id]/refunds/POST",
+              critical: "refund_not_recorded",
+            },
+            extra: {
+              orderId: id,
+              refundId,
+              amount: computed.amount,
+              providerReference: providerResult.reference,
+            },
+          });
+
+          return NextResponse.json(
+            {
+              success: false,
+              message:
+                "Refund was sent to the provider but could not be completed, it stays pending until reconciled",
+              code: "REFUND_NOT_RECORDED",
+            },
+            { status: 500 },
+          );
+        }
+
+        await releaseReservation();
+
+        if (REFUND_ERRORS[transactionError.code]) {
+          return refundErrorResponse(transactionError.code);
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Alertes "retour en stock" pour les produits qui étaient en rupture
+      notifyRestockedProducts(restockMovements);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Order refunded:", {
+        adminId: admin._id,
+        orderId: refundedOrder._id,
+        orderNumber: refundedOrder.orderNumber,
+        amount: refund.amount,
+        method: refund.method,
+        paymentStatus: refundedOrder.paymentStatus,
+        timestamp: new Date().toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message:
+            refundedOrder.paymentStatus === "refunded"
+              ? "Order fully refunded"
+              : "Order partially refunded",
+          data: {
+            refund,
+            refundedAmount: refundedOrder.refundedAmount,
+            paymentStatus: refundedOrder.paymentStatus,
+            refundedAt: refundedOrder.refundedAt || null,
+          },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error("Order refund error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "admin/orders/[id]/refunds/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to refund order";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ORDER_REFUND] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
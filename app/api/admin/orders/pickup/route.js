@@ -0,0 +1,281 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import {
+  isPickupCodeMatch,
+  normalizePickupCode,
+} from "@/backend/utils/pickupCode";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const ORDER_NUMBER_PATTERN = /^ORD-\d{8}-\d{5}$/;
+
+// Étapes menant à la remise selon le mode de remise : une commande remise
+// au client est nécessairement passée par la préparation
+const FULFILMENT_STEPS = {
+  pickup: ["processing", "ready_for_pickup", "picked_up"],
+  delivery: ["processing", "shipped", "delivered"],
+};
+
+/**
+ * POST /api/admin/orders/pickup
+ * Validation du code de retrait d'une commande payée en espèces
+ * Body: { orderNumber, code } ou { code: "ORD-YYYYMMDD-XXXXX:CODE" } (QR scanné)
+ * Rate limit: Configuration intelligente - api.write
+ *
+ * - Réservé aux administrateurs (rôle relu en base)
+ * - Le code est à usage unique : la commande passe en "paid" et est marquée
+ *   remise ("picked_up" en retrait, "delivered" en livraison), les étapes
+ *   intermédiaires sont historisées au nom de l'équipe
+ * - Mise à jour conditionnelle : deux saisies simultanées du même code ne
+ *   peuvent pas aboutir toutes les deux
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      // QR scanné : "numéro:code"
+      let orderNumber = body?.orderNumber;
+      let rawCode = body?.code;
+      if (typeof rawCode === "string" && rawCode.includes(":")) {
+        const separator = rawCode.lastIndexOf(":");
+        orderNumber = rawCode.slice(0, separator);
+        rawCode = rawCode.slice(separator + 1);
+      }
+
+      orderNumber =
+        typeof orderNumber === "string" ? orderNumber.trim().toUpperCase() : "";
+      const pickupCode = normalizePickupCode(rawCode);
+
+      if (!ORDER_NUMBER_PATTERN.test(orderNumber) || !pickupCode) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "A valid order number and pickup code are required",
+            code: "INVALID_PICKUP_REQUEST",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // Rôle relu en base : un rôle retiré prend effet immédiatement
+      const admin = await User.findOne({ email: req.user.email })
+        .select("_id role isActive")
+        .lean();
+
+      if (!admin || !admin.isActive || admin.role !== "admin") {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Admin access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      const pending = await Order.findOne({ orderNumber })
+        .select("_id orderStatus paymentStatus shippingInfo.method paymentInfo")
+        .lean();
+
+      // Commande inconnue et code erroné : même réponse
+      if (
+        !pending ||
+        !isPickupCodeMatch(pending.paymentInfo?.pickupCode, pickupCode)
+      ) {
+        console.warn("🔒 Security event - Invalid pickup code:", {
+          adminId: admin._id,
+          orderNumber,
+          timestamp: new Date().toISOString(),
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid pickup code",
+            code: "INVALID_PICKUP_CODE",
+          },
+          { status: 400 },
+        );
+      }
+
+      if (pending.paymentInfo.pickupCodeUsedAt) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "This pickup code has already been used",
+            code: "PICKUP_CODE_ALREADY_USED",
+          },
+          { status: 409 },
+        );
+      }
+
+      // Commandes antérieures à shippingInfo : livraison par défaut
+      const steps =
+        FULFILMENT_STEPS[pending.shippingInfo?.method] ||
+        FULFILMENT_STEPS.delivery;
+      const currentStatus = pending.orderStatus || "pending";
+      const remaining =
+        currentStatus === "pending"
+          ? steps
+          : steps.slice(steps.indexOf(currentStatus) + 1);
+
+      if (
+        pending.paymentStatus !== "pending_cash" ||
+        (currentStatus !== "pending" && !steps.includes(currentStatus)) ||
+        remaining.length === 0
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "This order cannot be handed over",
+            code: "ORDER_NOT_FULFILLABLE",
+          },
+          { status: 409 },
+        );
+      }
+
+      const now = new Date();
+      const statusEntries = remaining.map((status, index) => ({
+        status,
+        changedAt: now,
+        actor: "staff",
+        ...(index === remaining.length - 1 && {
+          note: "Paiement en espèces reçu, code de retrait validé",
+        }),
+      }));
+
+      const order = await Order.findOneAndUpdate(
+        {
+          _id: pending._id,
+          orderStatus: pending.orderStatus,
+          paymentStatus: "pending_cash",
+          "paymentInfo.pickupCode": pending.paymentInfo.pickupCode,
+          "paymentInfo.pickupCodeUsedAt": { $exists: false },
+        },
+        {
+          $set: {
+            paymentStatus: "paid",
+            paidAt: now,
+            orderStatus: remaining[remaining.length - 1],
+            "paymentInfo.pickupCodeUsedAt": now,
+            "paymentInfo.pickupCodeUsedBy": admin._id,
+          },
+          $push: { statusHistory: { $each: statusEntries } },
+        },
+        {
+          new: true,
+          projection: "_id orderNumber orderStatus paymentStatus paidAt",
+        },
+      ).lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order was updated concurrently, please retry",
+            code: "PICKUP_CONFLICT",
+          },
+          { status: 409 },
+        );
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cash order handed over:", {
+        adminId: admin._id,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        timestamp: now.toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Payment received and order handed over",
+          data: {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            paymentStatus: order.paymentStatus,
+            paidAt: order.paidAt,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Pickup code validation error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "admin/orders/pickup/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to validate pickup code";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[PICKUP_CODE] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -0,0 +1,300 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import { sanitizeAddress, hasRequiredFields } from "@/utils/addressSanitizer";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+/**
+ * PUT /api/auth/me/addresses/[id]
+ * Remplace une adresse du carnet
+ * Body: { label?, street, additionalInfo?, city, state?, zipCode?, country, isDefault? }
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const PUT = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid address ID format",
+            code: "INVALID_ADDRESS_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const address = sanitizeAddress(body);
+      if (!hasRequiredFields(address)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Street, city and country are required",
+            code: "MISSING_ADDRESS_FIELDS",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email }).select(
+        "addresses",
+      );
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const existing = user.addresses.id(id);
+      if (!existing) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Address not found",
+            code: "ADDRESS_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const { isDefault, ...fields } = address;
+      existing.set(fields);
+      if (typeof body.label === "string" && body.label.trim()) {
+        existing.label = body.label.trim();
+      }
+
+      // Retirer le défaut d'une adresse le reporte sur la première du carnet
+      if (isDefault) {
+        user.setDefaultAddress(existing._id);
+      } else if (existing.isDefault) {
+        existing.isDefault = false;
+        user.setDefaultAddress();
+      }
+
+      await user.save();
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Address updated",
+          data: {
+            address: existing,
+            addresses: user.addresses,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Address PUT error:", error.message);
+
+      if (
+        error.name !== "ValidationError" &&
+        !error.message?.includes("authentication")
+      ) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "auth/me/addresses/[id]/PUT",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to update address";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid address data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ADDRESS_PUT] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
+
+/**
+ * DELETE /api/auth/me/addresses/[id]
+ * Supprime une adresse du carnet
+ * Si c'était l'adresse par défaut, la première adresse restante la remplace
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const DELETE = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid address ID format",
+            code: "INVALID_ADDRESS_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email }).select(
+        "addresses",
+      );
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const existing = user.addresses.id(id);
+      if (!existing) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Address not found",
+            code: "ADDRESS_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      existing.deleteOne();
+      user.setDefaultAddress();
+
+      await user.save();
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Address deleted",
+          data: { addressId: id, addresses: user.addresses },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Address DELETE error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "auth/me/addresses/[id]/DELETE",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to delete address",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ADDRESS_DELETE] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -0,0 +1,286 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import { MAX_SAVED_ADDRESSES } from "@/helpers/constants";
+import { sanitizeAddress, hasRequiredFields } from "@/utils/addressSanitizer";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+/**
+ * GET /api/auth/me/addresses
+ * Liste le carnet d'adresses de l'utilisateur (adresse par défaut en premier)
+ * Au premier appel, l'adresse du profil est reprise comme adresse "Domicile"
+ * Rate limit: Configuration intelligente - api.authenticatedRead
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+      await dbConnect();
+
+      let user = await User.findOne({ email: req.user.email })
+        .select("address addresses")
+        .lean();
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Reprise de l'adresse unique du profil dans le carnet : ajout
+      // conditionnel (carnet vide) pour que des chargements simultanés
+      // ne créent pas chacun leur adresse "Domicile"
+      const profileAddress = sanitizeAddress(user.address);
+      if (!user.addresses?.length && hasRequiredFields(profileAddress)) {
+        user =
+          (await User.findOneAndUpdate(
+            {
+              _id: user._id,
+              $or: [
+                { addresses: { $exists: false } },
+                { addresses: { $size: 0 } },
+              ],
+            },
+            {
+              $push: {
+                addresses: {
+                  ...profileAddress,
+                  label: "Domicile",
+                  isDefault: true,
+                },
+              },
+            },
+            { new: true, runValidators: true, projection: "addresses" },
+          ).lean()) ||
+          (await User.findById(user._id).select("addresses").lean());
+      }
+
+      const addresses = [...(user.addresses || [])].sort(
+        (a, b) => Number(b.isDefault) - Number(a.isDefault),
+      );
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            addresses,
+            maxAddresses: MAX_SAVED_ADDRESSES,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Addresses GET error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "auth/me/addresses/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to fetch addresses",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ADDRESSES_GET] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
+
+/**
+ * POST /api/auth/me/addresses
+ * Ajoute une adresse au carnet
+ * Body: { label?, street, additionalInfo?, city, state?, zipCode?, country, isDefault? }
+ * La première adresse enregistrée devient l'adresse par défaut
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const address = sanitizeAddress(body);
+      if (!hasRequiredFields(address)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Street, city and country are required",
+            code: "MISSING_ADDRESS_FIELDS",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email }).select(
+        "addresses",
+      );
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Address book is limited to ${MAX_SAVED_ADDRESSES} addresses`,
+            code: "ADDRESS_LIMIT_REACHED",
+          },
+          { status: 400 },
+        );
+      }
+
+      const label =
+        typeof body.label === "string" && body.label.trim()
+          ? body.label.trim()
+          : undefined;
+
+      user.addresses.push({ ...address, label });
+      const created = user.addresses[user.addresses.length - 1];
+      user.setDefaultAddress(address.isDefault ? created._id : undefined);
+
+      await user.save();
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Address added",
+          data: {
+            address: created,
+            addresses: user.addresses,
+          },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error("Addresses POST error:", error.message);
+
+      if (
+        error.name !== "ValidationError" &&
+        !error.message?.includes("authentication")
+      ) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "auth/me/addresses/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to add address";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid address data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ADDRESSES_POST] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
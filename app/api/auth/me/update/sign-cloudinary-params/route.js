@@ -15,6 +15,14 @@ cloudinary.config({
   secure: true,
 });
 
+// Dossier imposé par type d'upload (?type=..., "avatar" par défaut)
+// Les justificatifs de paiement sont rangés par utilisateur : la route
+// d'envoi vérifie que le fichier appartient bien à son auteur
+const UPLOAD_FOLDERS = {
+  avatar: () => "buyitnow/avatars",
+  payment_proof: (user) => `buyitnow/payment-proofs/${user._id}`,
+};
+
 /**
  * POST /api/auth/me/update/sign-cloudinary-params
  * Signe les paramètres pour l'upload Cloudinary sécurisé
@@ -106,8 +114,20 @@ export const POST = withIntelligentRateLimit(
 
       const { paramsToSign } = body;
 
-      // Configuration du dossier et restrictions
-      paramsToSign.folder = "buyitnow/avatars";
+      // 7. Type d'upload (le widget n'envoie que paramsToSign dans le body)
+      const uploadType = req.nextUrl.searchParams.get("type") || "avatar";
+      if (!UPLOAD_FOLDERS[uploadType]) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid upload type",
+          },
+          { status: 400 },
+        );
+      }
+
+      // 8. Configuration du dossier et restrictions
+      paramsToSign.folder = UPLOAD_FOLDERS[uploadType](user);
 
       // 9. Générer la signature
       let signature;
@@ -145,7 +165,7 @@ export const POST = withIntelligentRateLimit(
       if (process.env.NODE_ENV === "production") {
         console.info("Cloudinary signature generated", {
           userId: user._id.toString().substring(0, 8) + "...",
-          folder: paramsToSign.folder,
+          uploadType,
           timestamp: new Date().toISOString(),
         });
       } else {
@@ -276,7 +276,10 @@ export const GET = withIntelligentRateLimit(
         _id: id,
         user: user._id,
       })
-        .populate("product", "name price stock images isActive description")
+        .populate(
+          "product",
+          "name price stock images isActive description variants",
+        )
         .lean();
 
       if (!cartItem) {
@@ -302,26 +305,43 @@ export const GET = withIntelligentRateLimit(
         );
       }
 
-      // Formater la réponse
-      const adjustedQuantity = Math.min(
-        cartItem.quantity,
-        cartItem.product.stock,
+      // Résoudre la variante choisie (prix, stock, images)
+      const resolved = Product.resolveVariant(
+        cartItem.product,
+        cartItem.variant,
       );
+
+      if (!resolved) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Variant no longer available",
+            code: "VARIANT_UNAVAILABLE",
+          },
+          { status: 410 },
+        );
+      }
+
+      // Formater la réponse
+      const adjustedQuantity = Math.min(cartItem.quantity, resolved.stock);
       const formattedItem = {
         id: cartItem._id,
         productId: cartItem.product._id,
         productName: cartItem.product.name,
         productDescription: cartItem.product.description,
-        price: cartItem.product.price,
+        variantId: cartItem.variant || null,
+        variantLabel: Product.getVariantLabel(resolved.variant),
+        sku: resolved.variant?.sku || null,
+        price: resolved.price,
         quantity: adjustedQuantity,
-        stock: cartItem.product.stock,
-        subtotal: adjustedQuantity * cartItem.product.price,
-        images: cartItem.product.images || [],
+        stock: resolved.stock,
+        subtotal: adjustedQuantity * resolved.price,
+        images: resolved.images,
         meta: {
           adjusted: adjustedQuantity !== cartItem.quantity,
           originalQuantity: cartItem.quantity,
-          inStock: cartItem.product.stock > 0,
-          lowStock: cartItem.product.stock > 0 && cartItem.product.stock <= 5,
+          inStock: resolved.stock > 0,
+          lowStock: resolved.stock > 0 && resolved.stock <= 5,
         },
       };
 
@@ -0,0 +1,163 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import Product from "@/backend/models/product";
+import {
+  CART_PRODUCT_FIELDS,
+  formatCartItem,
+  sanitizeGuestItems,
+} from "@/backend/utils/cartFormatter";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+/**
+ * POST /api/cart/guest
+ * Calcule le panier d'un visiteur non connecté à partir des articles stockés côté client
+ * Body: { items: [{ productId, variantId?, quantity }] }
+ * Rien n'est enregistré : prix, stock et images sont relus depuis les produits.
+ * Rate limit: Configuration intelligente - publicRead
+ *
+ * Réponse au même format que GET /api/cart pour que CartContext la traite à l'identique
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const items = sanitizeGuestItems(body?.items);
+
+      if (items.length === 0) {
+        return NextResponse.json(
+          {
+            success: true,
+            data: { cartCount: 0, cartTotal: 0, cart: [] },
+          },
+          { status: 200 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Un seul aller-retour pour tous les produits du panier
+      const products = await Product.find({
+        _id: { $in: items.map((item) => item.productId) },
+        isActive: true,
+      })
+        .select(CART_PRODUCT_FIELDS)
+        .lean();
+
+      const productsById = new Map(
+        products.map((product) => [product._id.toString(), product]),
+      );
+
+      const formattedCart = [];
+      for (const item of items) {
+        const product = productsById.get(item.productId);
+        if (!product) continue;
+
+        const resolved = Product.resolveVariant(product, item.variantId);
+        if (!resolved || !(resolved.stock > 0)) continue;
+
+        const quantity = Math.min(item.quantity, resolved.stock);
+
+        formattedCart.push({
+          ...formatCartItem({
+            // Identifiant local : le panier invité n'a pas de document Cart
+            _id: `${item.productId}:${item.variantId || ""}`,
+            product,
+            variant: item.variantId,
+            quantity,
+          }),
+          meta: {
+            adjusted: quantity !== item.quantity,
+            originalQuantity: item.quantity,
+          },
+        });
+      }
+
+      const cartCount = formattedCart.length;
+      const cartTotal = formattedCart.reduce(
+        (sum, item) => sum + item.subtotal,
+        0,
+      );
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            cartCount,
+            cartTotal,
+            cart: formattedCart,
+            meta: {
+              timestamp: new Date().toISOString(),
+              hasAdjustments: formattedCart.some((item) => item.meta?.adjusted),
+              removedCount: items.length - cartCount,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Guest cart error:", error.message);
+
+      captureException(error, {
+        tags: {
+          component: "api",
+          route: "cart/guest/POST",
+        },
+      });
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: "Failed to fetch cart",
+          code: "FETCH_ERROR",
+        },
+        { status: 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "publicRead",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[CART_GUEST] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -0,0 +1,253 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import {
+  CART_PRODUCT_FIELDS,
+  MAX_CART_ITEMS,
+  MAX_ITEM_QUANTITY,
+  buildCartSummary,
+  sanitizeGuestItems,
+} from "@/backend/utils/cartFormatter";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+
+/**
+ * Ajoute la quantité invitée à la ligne existante (ou la crée)
+ * La quantité finale ne dépasse jamais le stock ni la limite par article.
+ * Si une requête concurrente a créé la ligne entre-temps (index unique
+ * { user, product, variant }), on retombe une seule fois sur une mise à jour.
+ * @returns {Promise<{quantity: number, created: boolean}|null>} null si la
+ * ligne reste en conflit après la nouvelle tentative
+ */
+const mergeLine = async ({
+  userId,
+  product,
+  resolved,
+  variantId,
+  quantity,
+  retried = false,
+}) => {
+  const maxQuantity = Math.min(resolved.stock, MAX_ITEM_QUANTITY);
+  const filter = { user: userId, product: product._id, variant: variantId };
+
+  const existing = await Cart.findOne(filter).select("quantity").lean();
+
+  if (!existing) {
+    try {
+      const created = await Cart.create({
+        ...filter,
+        variantLabel: Product.getVariantLabel(resolved.variant),
+        quantity: Math.min(quantity, maxQuantity),
+        price: resolved.price,
+        productName: product.name,
+      });
+      return { quantity: created.quantity, created: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (retried) return null;
+      return mergeLine({
+        userId,
+        product,
+        resolved,
+        variantId,
+        quantity,
+        retried: true,
+      });
+    }
+  }
+
+  const newQuantity = Math.min(existing.quantity + quantity, maxQuantity);
+
+  if (newQuantity > existing.quantity) {
+    await Cart.updateOne(
+      { _id: existing._id },
+      { $set: { quantity: newQuantity, updatedAt: new Date() } },
+    );
+  }
+
+  return { quantity: Math.max(newQuantity, existing.quantity), created: false };
+};
+
+/**
+ * POST /api/cart/merge
+ * Fusionne le panier invité (stocké côté client) dans le panier de l'utilisateur connecté
+ * Body: { items: [{ productId, variantId?, quantity }] }
+ * Les quantités s'additionnent, plafonnées au stock disponible.
+ * Rate limit: Configuration intelligente - cart.add (100 req/min, ultra permissif)
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      if (!Array.isArray(body?.items) || body.items.length > MAX_CART_ITEMS) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Items must be an array of at most ${MAX_CART_ITEMS} entries`,
+            code: "INVALID_ITEMS",
+          },
+          { status: 400 },
+        );
+      }
+
+      const items = sanitizeGuestItems(body.items);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const products = items.length
+        ? await Product.find({
+            _id: { $in: items.map((item) => item.productId) },
+          })
+            .select("name price stock isActive variants")
+            .lean()
+        : [];
+
+      const productsById = new Map(
+        products.map((product) => [product._id.toString(), product]),
+      );
+
+      const merged = [];
+      const skipped = [];
+
+      for (const item of items) {
+        const product = productsById.get(item.productId);
+
+        if (!product || !product.isActive) {
+          skipped.push({ ...item, reason: "PRODUCT_UNAVAILABLE" });
+          continue;
+        }
+
+        const resolved = Product.resolveVariant(product, item.variantId);
+        if (!resolved) {
+          skipped.push({ ...item, reason: "VARIANT_UNAVAILABLE" });
+          continue;
+        }
+
+        if (!(resolved.stock > 0)) {
+          skipped.push({ ...item, reason: "OUT_OF_STOCK" });
+          continue;
+        }
+
+        const result = await mergeLine({
+          userId: user._id,
+          product,
+          resolved,
+          variantId: item.variantId,
+          quantity: item.quantity,
+        });
+
+        if (!result) {
+          skipped.push({ ...item, reason: "MERGE_CONFLICT" });
+          continue;
+        }
+
+        merged.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          requested: item.quantity,
+          quantity: result.quantity,
+          created: result.created,
+        });
+      }
+
+      // Récupérer le panier fusionné
+      const cartItems = await Cart.find({ user: user._id })
+        .populate("product", CART_PRODUCT_FIELDS)
+        .lean();
+
+      const { cart, cartCount, cartTotal, changes } =
+        buildCartSummary(cartItems);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Guest cart merged:", {
+        userId: user._id,
+        mergedCount: merged.length,
+        skippedCount: skipped.length,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Guest cart merged",
+          data: {
+            cartCount,
+            cartTotal,
+            cart,
+            changes,
+            merge: { merged, skipped },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart merge error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "cart/merge/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to merge cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid cart data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    action: "add", // 100 req/min, pas de blocage
+  },
+);
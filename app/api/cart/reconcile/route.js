@@ -0,0 +1,153 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import {
+  CART_PRODUCT_FIELDS,
+  buildCartSummary,
+} from "@/backend/utils/cartFormatter";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+
+/**
+ * POST /api/cart/reconcile
+ * Accepte les changements signalés par GET /api/cart
+ * - prix modifié : le nouveau prix devient le prix de référence de l'article
+ * - stock réduit : la quantité est ramenée au stock disponible
+ * - produit / variante indisponible ou en rupture : l'article est retiré
+ * Rate limit: Configuration intelligente - cart.update (100 req/min, ultra permissif)
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const cartItems = await Cart.find({ user: user._id })
+        .populate("product", CART_PRODUCT_FIELDS)
+        .lean();
+
+      const operations = [];
+      let removedCount = 0;
+      let updatedCount = 0;
+
+      for (const item of cartItems) {
+        const resolved =
+          item.product && item.product.isActive
+            ? Product.resolveVariant(item.product, item.variant)
+            : null;
+
+        if (!resolved || !(resolved.stock > 0)) {
+          operations.push({ deleteOne: { filter: { _id: item._id } } });
+          removedCount += 1;
+          continue;
+        }
+
+        const quantity = Math.min(item.quantity, resolved.stock);
+        if (quantity === item.quantity && resolved.price === item.price) {
+          continue;
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: item._id },
+            update: {
+              $set: {
+                quantity,
+                price: resolved.price,
+                productName: item.product.name,
+                variantLabel: Product.getVariantLabel(resolved.variant),
+                updatedAt: new Date(),
+              },
+            },
+          },
+        });
+        updatedCount += 1;
+      }
+
+      if (operations.length > 0) {
+        await Cart.bulkWrite(operations, { ordered: false });
+      }
+
+      // Récupérer le panier à jour
+      const updatedItems = await Cart.find({ user: user._id })
+        .populate("product", CART_PRODUCT_FIELDS)
+        .lean();
+
+      const { cart, cartCount, cartTotal, changes } =
+        buildCartSummary(updatedItems);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cart changes accepted:", {
+        userId: user._id,
+        updatedCount,
+        removedCount,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Cart changes accepted",
+          data: {
+            cartCount,
+            cartTotal,
+            cart,
+            changes,
+            reconciled: { updated: updatedCount, removed: removedCount },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart reconcile error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "cart/reconcile/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to update cart",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  {
+    action: "update", // 100 req/min, pas de blocage
+  },
+);
@@ -4,6 +4,11 @@ import isAuthenticatedUser from "@/backend/middlewares/auth";
 import User from "@/backend/models/user";
 import Cart from "@/backend/models/cart";
 import Product from "@/backend/models/product";
+import {
+  CART_PRODUCT_FIELDS,
+  buildCartSummary,
+  formatCartItem,
+} from "@/backend/utils/cartFormatter";
 import { DECREASE, INCREASE } from "@/helpers/constants";
 import { captureException } from "@/monitoring/sentry";
 import { withCartRateLimit, withIntelligentRateLimit } from "@/utils/rateLimit";
@@ -40,41 +45,13 @@ export const GET = withIntelligentRateLimit(
 
       // Récupérer le panier avec les produits populés
       const cartItems = await Cart.find({ user: user._id })
-        .populate("product", "name price stock images isActive")
+        .populate("product", CART_PRODUCT_FIELDS)
         .lean();
 
-      // Filtrer les produits disponibles et ajuster les quantités
-      const validCartItems = cartItems.filter(
-        (item) =>
-          item.product && item.product.isActive && item.product.stock > 0,
-      );
-
-      // Ajuster les quantités si elles dépassent le stock
-      const formattedCart = validCartItems.map((item) => {
-        const quantity = Math.min(item.quantity, item.product.stock);
-        const subtotal = quantity * item.product.price;
-
-        return {
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity,
-          stock: item.product.stock,
-          subtotal,
-          imageUrl: item.product.images?.[0]?.url || "",
-          meta: {
-            adjusted: quantity !== item.quantity,
-            originalQuantity: item.quantity,
-          },
-        };
-      });
-
-      const cartCount = formattedCart.length;
-      const cartTotal = formattedCart.reduce(
-        (sum, item) => sum + item.subtotal,
-        0,
-      );
+      // Articles disponibles (quantités plafonnées au stock) et changements
+      // survenus depuis l'ajout : prix, stock, produit désactivé
+      const { cart, cartCount, cartTotal, changes } =
+        buildCartSummary(cartItems);
 
       return NextResponse.json(
         {
@@ -82,10 +59,12 @@ export const GET = withIntelligentRateLimit(
           data: {
             cartCount,
             cartTotal,
-            cart: formattedCart,
+            cart,
+            changes,
             meta: {
               timestamp: new Date().toISOString(),
-              hasAdjustments: formattedCart.some((item) => item.meta?.adjusted),
+              hasAdjustments: cart.some((item) => item.meta?.adjusted),
+              hasChanges: changes.length > 0,
             },
           },
         },
@@ -191,7 +170,7 @@ export const POST = withCartRateLimit(
         );
       }
 
-      const { productId, quantity = 1 } = body;
+      const { productId, variantId = null, quantity = 1 } = body;
 
       // Validation basique
       if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
@@ -205,6 +184,17 @@ export const POST = withCartRateLimit(
         );
       }
 
+      if (variantId && !/^[0-9a-fA-F]{24}$/.test(variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid variant ID",
+            code: "INVALID_VARIANT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
       if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
         return NextResponse.json(
           {
@@ -219,7 +209,7 @@ export const POST = withCartRateLimit(
 
       // Vérifier le produit
       const product = await Product.findById(productId)
-        .select("name price stock isActive")
+        .select("name price stock isActive variants")
         .lean();
 
       if (!product) {
@@ -244,7 +234,24 @@ export const POST = withCartRateLimit(
         );
       }
 
-      if (product.stock === 0) {
+      // Résoudre la variante (obligatoire si le produit en possède)
+      const resolved = Product.resolveVariant(product, variantId);
+      if (!resolved) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: variantId
+              ? "Variant not found"
+              : "A variant must be selected for this product",
+            code: variantId ? "VARIANT_NOT_FOUND" : "VARIANT_REQUIRED",
+          },
+          { status: variantId ? 404 : 400 },
+        );
+      }
+
+      const availableStock = resolved.stock;
+
+      if (availableStock === 0) {
         return NextResponse.json(
           {
             success: false,
@@ -255,22 +262,23 @@ export const POST = withCartRateLimit(
         );
       }
 
-      if (quantity > product.stock) {
+      if (quantity > availableStock) {
         return NextResponse.json(
           {
             success: false,
-            message: `Only ${product.stock} units available`,
+            message: `Only ${availableStock} units available`,
             code: "INSUFFICIENT_STOCK",
-            data: { available: product.stock, requested: quantity },
+            data: { available: availableStock, requested: quantity },
           },
           { status: 400 },
         );
       }
 
-      // Vérifier si le produit est déjà dans le panier
+      // Vérifier si le produit (et la variante) est déjà dans le panier
       const existingCartItem = await Cart.findOne({
         user: user._id,
         product: productId,
+        variant: variantId,
       });
 
       let updatedItem;
@@ -280,7 +288,7 @@ export const POST = withCartRateLimit(
         // Mettre à jour la quantité
         const newQuantity = Math.min(
           existingCartItem.quantity + quantity,
-          product.stock,
+          availableStock,
         );
 
         existingCartItem.quantity = newQuantity;
@@ -292,30 +300,23 @@ export const POST = withCartRateLimit(
         updatedItem = await Cart.create({
           user: user._id,
           product: productId,
-          quantity: Math.min(quantity, product.stock),
-          price: product.price,
+          variant: variantId,
+          variantLabel: Product.getVariantLabel(resolved.variant),
+          quantity: Math.min(quantity, availableStock),
+          price: resolved.price,
           productName: product.name,
         });
       }
 
       // Récupérer le panier mis à jour
       const cartItems = await Cart.find({ user: user._id })
-        .populate("product", "name price stock images isActive")
+        .populate("product", CART_PRODUCT_FIELDS)
         .lean();
 
       // Formater la réponse
       const formattedCart = cartItems
         .filter((item) => item.product && item.product.isActive)
-        .map((item) => ({
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity,
-          stock: item.product.stock,
-          subtotal: item.quantity * item.product.price,
-          imageUrl: item.product.images?.[0]?.url || "",
-        }));
+        .map(formatCartItem);
 
       const cartCount = formattedCart.length;
       const cartTotal = formattedCart.reduce(
@@ -327,6 +328,7 @@ export const POST = withCartRateLimit(
       console.log("🔒 Security event - Cart item added:", {
         userId: user._id,
         productId,
+        variantId,
         quantity: updatedItem.quantity,
         isNewItem,
         timestamp: new Date().toISOString(),
@@ -347,6 +349,7 @@ export const POST = withCartRateLimit(
             cart: formattedCart,
             addedItem: {
               productId,
+              variantId,
               quantity: updatedItem.quantity,
               isNewItem,
             },
@@ -462,7 +465,7 @@ export const PUT = withCartRateLimit(
       const cartItem = await Cart.findOne({
         _id: cartItemId,
         user: user._id,
-      }).populate("product", "stock isActive name price");
+      }).populate("product", "stock isActive name price variants");
 
       if (!cartItem) {
         return NextResponse.json(
@@ -490,6 +493,26 @@ export const PUT = withCartRateLimit(
         );
       }
 
+      // Stock disponible pour la variante choisie
+      const resolved = Product.resolveVariant(
+        cartItem.product,
+        cartItem.variant,
+      );
+
+      if (!resolved) {
+        await Cart.findByIdAndDelete(cartItemId);
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Variant no longer available",
+            code: "VARIANT_UNAVAILABLE",
+            data: { itemRemoved: true },
+          },
+          { status: 400 },
+        );
+      }
+
       // Variables pour le log
       const previousQuantity = cartItem.quantity;
       let itemDeleted = false;
@@ -498,15 +521,15 @@ export const PUT = withCartRateLimit(
       if (action === INCREASE) {
         const newQuantity = cartItem.quantity + 1;
 
-        if (newQuantity > cartItem.product.stock) {
+        if (newQuantity > resolved.stock) {
           return NextResponse.json(
             {
               success: false,
-              message: `Only ${cartItem.product.stock} units available`,
+              message: `Only ${resolved.stock} units available`,
               code: "INSUFFICIENT_STOCK",
               data: {
                 current: cartItem.quantity,
-                available: cartItem.product.stock,
+                available: resolved.stock,
               },
             },
             { status: 400 },
@@ -529,22 +552,13 @@ export const PUT = withCartRateLimit(
 
       // Récupérer le panier mis à jour
       const cartItems = await Cart.find({ user: user._id })
-        .populate("product", "name price stock images isActive")
+        .populate("product", CART_PRODUCT_FIELDS)
         .lean();
 
       // Formater la réponse
       const formattedCart = cartItems
         .filter((item) => item.product && item.product.isActive)
-        .map((item) => ({
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity,
-          stock: item.product.stock,
-          subtotal: item.quantity * item.product.price,
-          imageUrl: item.product.images?.[0]?.url || "",
-        }));
+        .map(formatCartItem);
 
       const cartCount = formattedCart.length;
       const cartTotal = formattedCart.reduce(
@@ -556,6 +570,7 @@ export const PUT = withCartRateLimit(
       console.log("🔒 Security event - Cart quantity updated:", {
         userId: user._id,
         cartItemId,
+        variantId: cartItem.variant || null,
         action,
         previousQuantity,
         newQuantity: itemDeleted ? 0 : cartItem.quantity,
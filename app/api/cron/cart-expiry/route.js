@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { runCartExpirySweep } from "@/backend/utils/cartExpiry";
+import { captureException } from "@/monitoring/sentry";
+
+/**
+ * GET /api/cron/cart-expiry
+ * Tâche planifiée : prévient 24h avant l'expiration des articles du panier
+ * puis supprime les articles expirés
+ *
+ * Sécurité: header "Authorization: Bearer ${CRON_SECRET}" (Vercel Cron)
+ */
+export async function GET(req) {
+  const authHeader = req.headers.get("authorization");
+
+  if (
+    !process.env.CRON_SECRET ||
+    authHeader !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return NextResponse.json(
+      {
+        success: false,
+        message: "Unauthorized",
+        code: "UNAUTHORIZED",
+      },
+      { status: 401 },
+    );
+  }
+
+  try {
+    await dbConnect();
+
+    const summary = await runCartExpirySweep();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: summary,
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error("Cart expiry cron error:", error.message);
+
+    captureException(error, {
+      tags: { component: "api", route: "cron/cart-expiry/GET" },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: "Failed to process cart expiry",
+        code: "INTERNAL_ERROR",
+      },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { processPendingStockAlerts } from "@/backend/utils/stockAlertNotifier";
+import { captureException } from "@/monitoring/sentry";
+
+/**
+ * GET /api/cron/restock-alerts
+ * Tâche planifiée : envoie les alertes de retour en stock en attente
+ * Rattrape les réapprovisionnements faits hors de cette application
+ *
+ * Sécurité: header "Authorization: Bearer ${CRON_SECRET}" (Vercel Cron)
+ */
+export async function GET(req) {
+  const authHeader = req.headers.get("authorization");
+
+  if (
+    !process.env.CRON_SECRET ||
+    authHeader !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return NextResponse.json(
+      {
+        success: false,
+        message: "Unauthorized",
+        code: "UNAUTHORIZED",
+      },
+      { status: 401 },
+    );
+  }
+
+  try {
+    await dbConnect();
+
+    const summary = await processPendingStockAlerts();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: summary,
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error("Restock alerts cron error:", error.message);
+
+    captureException(error, {
+      tags: { component: "api", route: "cron/restock-alerts/GET" },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: "Failed to process stock alerts",
+        code: "INTERNAL_ERROR",
+      },
+      { status: 500 },
+    );
+  }
+}
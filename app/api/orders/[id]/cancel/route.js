@@ -0,0 +1,311 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import Product from "@/backend/models/product";
+import InventoryMovement from "@/backend/models/inventoryMovement";
+import { notifyRestockedProducts } from "@/backend/utils/stockAlertNotifier";
+import {
+  CANCELLABLE_PAYMENT_STATUSES,
+  ORDER_CANCEL_REASONS,
+} from "@/helpers/constants";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+// Erreurs métier levées dans la transaction
+const CANCEL_ERRORS = {
+  ORDER_NOT_FOUND: { status: 404, message: "Order not found" },
+  ORDER_NOT_CANCELLABLE: {
+    status: 409,
+    message: "This order can no longer be cancelled",
+  },
+};
+
+/**
+ * POST /api/orders/[id]/cancel
+ * Annulation d'une commande par son propriétaire
+ * Body: { reason: clé de ORDER_CANCEL_REASONS, comment?: string (motif "other") }
+ *
+ * - Possible tant que le paiement est "unpaid", "pending_cash" ou "failed"
+ *   (CANCELLABLE_PAYMENT_STATUSES) et que le statut logistique autorise
+ *   l'annulation
+ * - Le stock et les ventes (sold) sont restaurés dans la même transaction
+ *   et chaque retour en stock est inscrit au journal (InventoryMovement)
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ORDER_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Validation du motif
+      const reasonLabel = ORDER_CANCEL_REASONS[body?.reason];
+      if (!reasonLabel) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "A valid cancellation reason is required",
+            code: "INVALID_CANCEL_REASON",
+          },
+          { status: 400 },
+        );
+      }
+
+      const comment =
+        typeof body.comment === "string"
+          ? body.comment.trim().replace(/\s+/g, " ").slice(0, 150)
+          : "";
+      const cancelReason =
+        body.reason === "other" && comment
+          ? `${reasonLabel} : ${comment}`
+          : reasonLabel;
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id")
+        .lean();
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const session = await Order.startSession();
+      let cancelledOrder;
+      let restockMovements = [];
+
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne({
+            _id: id,
+            user: user._id,
+          }).session(session);
+
+          if (!order) {
+            const error = new Error("ORDER_NOT_FOUND");
+            error.code = "ORDER_NOT_FOUND";
+            throw error;
+          }
+
+          if (
+            !CANCELLABLE_PAYMENT_STATUSES.includes(order.paymentStatus) ||
+            !Order.canTransition(order.orderStatus || "pending", "cancelled")
+          ) {
+            const error = new Error("ORDER_NOT_CANCELLABLE");
+            error.code = "ORDER_NOT_CANCELLABLE";
+            throw error;
+          }
+
+          // Remettre en stock (variante + stock global) et décompter les ventes
+          const stockMovements = [];
+
+          for (const item of order.orderItems) {
+            const inc = { stock: item.quantity, sold: -item.quantity };
+            const options = {
+              new: true,
+              projection: { stock: 1, "variants._id": 1, "variants.stock": 1 },
+              session,
+            };
+
+            let restored = item.variant
+              ? await Product.findOneAndUpdate(
+                  { _id: item.product, "variants._id": item.variant },
+                  { $inc: { ...inc, "variants.$.stock": item.quantity } },
+                  options,
+                )
+              : null;
+            const variantRestored = Boolean(restored);
+
+            // Variante supprimée depuis : restaurer au moins le stock global
+            if (!restored) {
+              restored = await Product.findOneAndUpdate(
+                { _id: item.product },
+                { $inc: inc },
+                options,
+              );
+            }
+
+            // Produit supprimé : rien à remettre en stock
+            if (!restored) continue;
+
+            stockMovements.push({
+              product: item.product,
+              variant: variantRestored ? item.variant : null,
+              type: "order_cancellation",
+              quantity: item.quantity,
+              stockAfter: restored.stock,
+              variantStockAfter: variantRestored
+                ? restored.variants.find((v) => v._id.equals(item.variant))
+                    ?.stock
+                : null,
+              order: order._id,
+              orderNumber: order.orderNumber,
+              actor: "customer",
+              user: user._id,
+              note: cancelReason.slice(0, 200),
+            });
+          }
+
+          await InventoryMovement.insertMany(stockMovements, { session });
+
+          order.transitionTo("cancelled", {
+            actor: "customer",
+            note: cancelReason,
+          });
+          order.cancelReason = cancelReason;
+          order.cancelledAt = new Date();
+
+          await order.save({ session });
+          cancelledOrder = order;
+          restockMovements = stockMovements;
+        });
+      } catch (transactionError) {
+        const known = CANCEL_ERRORS[transactionError.code];
+        if (known) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: known.message,
+              code: transactionError.code,
+            },
+            { status: known.status },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Alertes "retour en stock" pour les produits qui étaient en rupture
+      notifyRestockedProducts(restockMovements);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Order cancelled by customer:", {
+        userId: user._id,
+        orderId: cancelledOrder._id,
+        orderNumber: cancelledOrder.orderNumber,
+        reason: body.reason,
+        itemCount: cancelledOrder.orderItems.length,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Order cancelled",
+          data: {
+            order: {
+              _id: cancelledOrder._id,
+              orderNumber: cancelledOrder.orderNumber,
+              orderStatus: cancelledOrder.orderStatus,
+              statusHistory: cancelledOrder.statusHistory,
+              paymentStatus: cancelledOrder.paymentStatus,
+              cancelReason: cancelledOrder.cancelReason,
+              cancelledAt: cancelledOrder.cancelledAt,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Order cancel error:", error.message);
+
+      if (
+        error.code !== "INVALID_STATUS_TRANSITION" &&
+        !error.message?.includes("authentication")
+      ) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/[id]/cancel/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to cancel order";
+      let code = "INTERNAL_ERROR";
+
+      if (error.code === "INVALID_STATUS_TRANSITION") {
+        status = 409;
+        message = "This order can no longer be cancelled";
+        code = "ORDER_NOT_CANCELLABLE";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ORDER_CANCEL] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
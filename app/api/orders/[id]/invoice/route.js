@@ -0,0 +1,163 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import {
+  CUSTOMER_ORDER_FIELDS,
+  formatCustomerOrder,
+} from "@/backend/utils/orderFormatter";
+import { generateInvoicePdf } from "@/backend/utils/invoicePdf";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+/**
+ * GET /api/orders/[id]/invoice
+ * Facture PDF d'une commande de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ *
+ * Le PDF est généré à la demande et n'est pas stocké.
+ * Une commande non payée produit une facture pro forma, une commande
+ * remboursée sa facture d'origine suivie des remboursements (avoir),
+ * une commande annulée n'a pas de facture (409).
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ORDER_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id name email phone isActive")
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot access orders",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      const order = await Order.findOne({ _id: id, user: user._id })
+        .select(CUSTOMER_ORDER_FIELDS)
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (order.orderStatus === "cancelled") {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "No invoice is available for a cancelled order",
+            code: "INVOICE_NOT_AVAILABLE",
+          },
+          { status: 409 },
+        );
+      }
+
+      const pdf = await generateInvoicePdf(formatCustomerOrder(order, user));
+
+      return new NextResponse(pdf, {
+        status: 200,
+        headers: {
+          "Content-Type": "application/pdf",
+          "Content-Length": String(pdf.length),
+          "Content-Disposition": `attachment; filename="facture-${order.orderNumber}.pdf"`,
+          "Cache-Control": "private, no-store",
+        },
+      });
+    } catch (error) {
+      console.error("Order invoice error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/[id]/invoice/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to generate invoice";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ORDER_INVOICE] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
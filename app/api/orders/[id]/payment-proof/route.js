@@ -0,0 +1,249 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import {
+  PAYMENT_PROOF_PLATFORMS,
+  PAYMENT_PROOF_UPLOADABLE_STATUSES,
+} from "@/helpers/constants";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+// Référence de transaction Mobile Money (lettres, chiffres et tirets)
+const TRANSACTION_REFERENCE_PATTERN = /^[A-Za-z0-9-]{4,40}$/;
+
+/**
+ * POST /api/orders/[id]/payment-proof
+ * Envoi d'un justificatif de paiement par le propriétaire de la commande
+ * Body: { receipt: { public_id, url }, transactionReference }
+ * Rate limit: Configuration intelligente - api.write
+ *
+ * - Le reçu est d'abord envoyé sur Cloudinary via la signature
+ *   sign-cloudinary-params?type=payment_proof (dossier propre à l'utilisateur)
+ * - Réservé aux paiements WAAFI / D-MONEY non payés ou échoués
+ *   (PAYMENT_PROOF_PLATFORMS, PAYMENT_PROOF_UPLOADABLE_STATUSES)
+ * - La commande passe en "processing" jusqu'à la vérification par un
+ *   administrateur ; un justificatif refusé peut être remplacé
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ORDER_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const transactionReference =
+        typeof body?.transactionReference === "string"
+          ? body.transactionReference.trim()
+          : "";
+
+      if (!TRANSACTION_REFERENCE_PATTERN.test(transactionReference)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "A valid transaction reference is required",
+            code: "INVALID_TRANSACTION_REFERENCE",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id isActive")
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot access orders",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Le reçu doit provenir du dossier signé pour cet utilisateur
+      const { public_id: publicId, url } = body.receipt || {};
+      const cloudName = process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME;
+
+      if (
+        typeof publicId !== "string" ||
+        typeof url !== "string" ||
+        !publicId.startsWith(`buyitnow/payment-proofs/${user._id}/`) ||
+        !url.startsWith(`https://res.cloudinary.com/${cloudName}/`)
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "A valid receipt upload is required",
+            code: "INVALID_RECEIPT",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Mise à jour conditionnelle : aucune double soumission possible
+      const order = await Order.findOneAndUpdate(
+        {
+          _id: id,
+          user: user._id,
+          orderStatus: { $ne: "cancelled" },
+          paymentStatus: { $in: PAYMENT_PROOF_UPLOADABLE_STATUSES },
+          "paymentInfo.typePayment": { $in: PAYMENT_PROOF_PLATFORMS },
+        },
+        {
+          $set: {
+            paymentStatus: "processing",
+            "paymentInfo.paymentProof": {
+              receipt: { public_id: publicId, url },
+              transactionReference,
+              status: "pending",
+              submittedAt: new Date(),
+            },
+          },
+        },
+        {
+          new: true,
+          runValidators: true,
+          projection: "_id orderNumber paymentStatus paymentInfo.paymentProof",
+        },
+      ).lean();
+
+      if (!order) {
+        const exists = await Order.exists({ _id: id, user: user._id });
+
+        return NextResponse.json(
+          exists
+            ? {
+                success: false,
+                message: "A payment proof cannot be sent for this order",
+                code: "PAYMENT_PROOF_NOT_ALLOWED",
+              }
+            : {
+                success: false,
+                message: "Order not found",
+                code: "ORDER_NOT_FOUND",
+              },
+          { status: exists ? 409 : 404 },
+        );
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Payment proof submitted:", {
+        userId: user._id,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Payment proof submitted",
+          data: {
+            paymentStatus: order.paymentStatus,
+            paymentProof: order.paymentInfo.paymentProof,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Payment proof error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/[id]/payment-proof/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to submit payment proof";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[PAYMENT_PROOF] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
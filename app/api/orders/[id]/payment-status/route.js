@@ -0,0 +1,161 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import { refreshOrderPaymentStatus } from "@/backend/utils/orderPayment";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+// Délai conseillé au client avant la prochaine vérification (secondes)
+const RETRY_AFTER_SECONDS = 3;
+
+/**
+ * GET /api/orders/[id]/payment-status
+ * Statut de paiement d'une commande de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - payment.checkStatus (30 req/min)
+ *
+ * Une commande "processing" est relue auprès de l'opérateur (au plus une
+ * fois toutes les 5s par commande) : le client peut interroger cette route
+ * en boucle jusqu'à un statut final (isFinal)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ORDER_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id isActive")
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot access orders",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      const order = await Order.findOne({ _id: id, user: user._id })
+        .select("_id orderNumber paymentStatus paymentInfo paidAt")
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const { paymentStatus, paidAt, message } =
+        await refreshOrderPaymentStatus(order);
+      const isFinal = paymentStatus !== "processing";
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            paymentStatus,
+            paidAt: paidAt || null,
+            message: message || null,
+            isFinal,
+            retryAfter: isFinal ? null : RETRY_AFTER_SECONDS,
+          },
+        },
+        {
+          status: 200,
+          headers: { "Cache-Control": "private, no-store" },
+        },
+      );
+    } catch (error) {
+      console.error("Payment status error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/[id]/payment-status/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to fetch payment status";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "payment",
+    action: "checkStatus",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[PAYMENT_STATUS] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -3,14 +3,121 @@ import dbConnect from "@/backend/config/dbConnect";
 import isAuthenticatedUser from "@/backend/middlewares/auth";
 import Order from "@/backend/models/order";
 import User from "@/backend/models/user";
-import APIFilters from "@/backend/utils/APIFilters";
+import {
+  CUSTOMER_ORDER_FIELDS,
+  formatCustomerOrder,
+} from "@/backend/utils/orderFormatter";
 import { captureException } from "@/monitoring/sentry";
 import { withIntelligentRateLimit } from "@/utils/rateLimit";
 import { getToken } from "next-auth/jwt";
+import {
+  DEFAULT_ORDERS_PER_PAGE,
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  PAYMENT_TYPES,
+} from "@/helpers/constants";
+
+// Taille de page maximale acceptée
+const MAX_ORDERS_PER_PAGE = 50;
+
+// Projection des champs exposés au client pour l'agrégation
+const ORDER_PROJECTION = Object.fromEntries(
+  CUSTOMER_ORDER_FIELDS.split(" ").map((field) => [field, 1]),
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Construit le filtre MongoDB à partir des paramètres de recherche
+ * @param {URLSearchParams} searchParams
+ * @returns {{filter: Object, applied: Object, error?: string}}
+ */
+const buildOrderFilter = (searchParams) => {
+  const filter = {};
+  const applied = {};
+
+  const paymentStatus = searchParams.get("paymentStatus");
+  if (paymentStatus) {
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      return { error: "Invalid payment status" };
+    }
+    filter.paymentStatus = paymentStatus;
+    applied.paymentStatus = paymentStatus;
+  }
+
+  const orderStatus = searchParams.get("orderStatus");
+  if (orderStatus) {
+    if (!ORDER_STATUSES.includes(orderStatus)) {
+      return { error: "Invalid order status" };
+    }
+    filter.orderStatus = orderStatus;
+    applied.orderStatus = orderStatus;
+  }
+
+  const typePayment = searchParams.get("typePayment");
+  if (typePayment) {
+    if (!PAYMENT_TYPES.includes(typePayment)) {
+      return { error: "Invalid payment type" };
+    }
+    filter["paymentInfo.typePayment"] = typePayment;
+    applied.typePayment = typePayment;
+  }
+
+  // Période au format AAAA-MM-JJ, bornes incluses
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+  if (from || to) {
+    const createdAt = {};
+
+    if (from) {
+      const fromDate = new Date(`${from}T00:00:00.000Z`);
+      if (!DATE_PATTERN.test(from) || isNaN(fromDate)) {
+        return { error: "Invalid start date" };
+      }
+      createdAt.$gte = fromDate;
+      applied.from = from;
+    }
+
+    if (to) {
+      const toDate = new Date(`${to}T23:59:59.999Z`);
+      if (!DATE_PATTERN.test(to) || isNaN(toDate)) {
+        return { error: "Invalid end date" };
+      }
+      createdAt.$lte = toDate;
+      applied.to = to;
+    }
+
+    if (createdAt.$gte && createdAt.$lte && createdAt.$gte > createdAt.$lte) {
+      return { error: "Start date must be before end date" };
+    }
+
+    filter.createdAt = createdAt;
+  }
+
+  // Recherche par numéro de commande (ex: "ORD-20250101" ou "00042")
+  const query = searchParams.get("q")?.trim();
+  if (query) {
+    if (query.length > 30 || !/^[A-Za-z0-9-]+$/.test(query)) {
+      return { error: "Invalid order number search" };
+    }
+    filter.orderNumber = { $regex: query, $options: "i" };
+    applied.q = query;
+  }
+
+  return { filter, applied };
+};
 
 /**
  * GET /api/orders/me
  * Récupère l'historique des commandes de l'utilisateur connecté
+ *
+ * Query params (tous facultatifs):
+ * - page, perPage (1 à 50, défaut 10)
+ * - paymentStatus, orderStatus, typePayment
+ * - from, to : période de création (AAAA-MM-JJ, bornes incluses)
+ * - q : recherche par numéro de commande
+ * - sort : "desc" (défaut) ou "asc" par date de création
+ *
  * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
  *
  * Headers de sécurité gérés par next.config.mjs pour /api/orders/* :
@@ -66,10 +173,13 @@ export const GET = withIntelligentRateLimit(
       // Récupérer et valider les paramètres de pagination
       const searchParams = req.nextUrl.searchParams;
       const page = parseInt(searchParams.get("page") || "1", 10);
-      const resPerPage = 2; // 2 commandes par page
+      const perPage = parseInt(
+        searchParams.get("perPage") || String(DEFAULT_ORDERS_PER_PAGE),
+        10,
+      );
 
       // Validation des paramètres de pagination
-      if (page < 1 || page > 1000) {
+      if (isNaN(page) || page < 1 || page > 1000) {
         return NextResponse.json(
           {
             success: false,
@@ -81,99 +191,90 @@ export const GET = withIntelligentRateLimit(
         );
       }
 
-      // Compter le total de commandes avec les filtres
-      const ordersCount = await Order.countDocuments({ user: user._id });
-      const ordersPaidCount = await Order.countDocuments({
-        user: user._id,
-        paymentStatus: "paid",
-      });
-      const ordersUnpaidCount = await Order.countDocuments({
-        user: user._id,
-        paymentStatus: "unpaid",
-      });
-      const ordersPendingCashCount = await Order.countDocuments({
-        user: user._id,
-        paymentStatus: "pending_cash",
-      });
+      if (isNaN(perPage) || perPage < 1 || perPage > MAX_ORDERS_PER_PAGE) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Invalid page size. Must be between 1 and ${MAX_ORDERS_PER_PAGE}`,
+            code: "INVALID_PAGINATION",
+            data: { perPage },
+          },
+          { status: 400 },
+        );
+      }
 
-      // Total de toutes les commandes d'un utilisateur (tous statuts confondus)
-      const totalAmountOrders = await Order.getTotalAmountByUser(
-        user._id.toString(),
-      );
+      const {
+        filter,
+        applied,
+        error: filterError,
+      } = buildOrderFilter(searchParams);
 
-      // Si aucune commande trouvée
-      if (ordersCount === 0) {
+      if (filterError) {
         return NextResponse.json(
           {
-            success: true,
-            message: "No orders found",
-            data: {
-              orders: [],
-              totalPages: 0,
-              currentPage: page,
-              count: 0,
-              perPage: resPerPage,
-              paidCount: 0,
-              unpaidCount: 0,
-              pendingCashCount: 0,
-              totalAmountOrders: { totalAmount: 0, orderCount: 0 },
-              meta: {
-                hasOrders: false,
-                timestamp: new Date().toISOString(),
-              },
-            },
+            success: false,
+            message: filterError,
+            code: "INVALID_FILTERS",
           },
-          { status: 200 },
+          { status: 400 },
         );
       }
 
-      // Utiliser APIFilters pour la pagination
-      const apiFilters = new APIFilters(
-        Order.find({ user: user._id }),
-        searchParams,
-      ).pagination(resPerPage);
-
-      // Récupérer les commandes avec pagination - CHAMPS ADAPTÉS AU MODÈLE
-      const orders = await apiFilters.query
-        .select(
-          "orderNumber paymentInfo paymentStatus totalAmount createdAt updatedAt paidAt cancelledAt cancelReason orderItems",
-        )
-        .sort({ createdAt: -1 })
-        .lean();
+      const sortDirection = searchParams.get("sort") === "asc" ? 1 : -1;
 
-      // Calculer le nombre de pages
-      const totalPages = Math.ceil(ordersCount / resPerPage);
+      // Une seule agrégation : compteurs par statut, montant total,
+      // nombre de résultats filtrés et page de commandes
+      const [result] = await Order.aggregate([
+        { $match: { user: user._id } },
+        {
+          $facet: {
+            statusCounts: [
+              { $group: { _id: "$paymentStatus", count: { $sum: 1 } } },
+            ],
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  totalAmount: { $sum: "$totalAmount" },
+                  orderCount: { $sum: 1 },
+                },
+              },
+            ],
+            filtered: [{ $match: filter }, { $count: "count" }],
+            orders: [
+              { $match: filter },
+              { $sort: { createdAt: sortDirection, _id: sortDirection } },
+              { $skip: (page - 1) * perPage },
+              { $limit: perPage },
+              { $project: ORDER_PROJECTION },
+            ],
+          },
+        },
+      ]);
 
-      // Formater la réponse avec détection du paiement CASH
-      const formattedOrders = orders.map((order) => {
-        // Vérifier si c'est un paiement CASH
-        const isCashPayment =
-          order.paymentInfo?.typePayment === "CASH" ||
-          order.paymentInfo?.isCashPayment === true;
+      const statusCounts = Object.fromEntries(
+        PAYMENT_STATUSES.map((status) => [
+          status,
+          result.statusCounts.find((entry) => entry._id === status)?.count || 0,
+        ]),
+      );
+      const totalAmountOrders = result.totals[0]
+        ? {
+            totalAmount: result.totals[0].totalAmount,
+            orderCount: result.totals[0].orderCount,
+          }
+        : { totalAmount: 0, orderCount: 0 };
+      const ordersCount = totalAmountOrders.orderCount;
+      const filteredCount = result.filtered[0]?.count || 0;
+      const orders = result.orders;
 
-        return {
-          ...order,
-          user: {
-            name: user.name,
-            email: user.email,
-            phone: user.phone,
-          },
-          // Ajouter un flag pour identifier facilement les paiements CASH
-          isCashPayment,
-          // Ajouter un message descriptif pour le statut
-          paymentStatusDescription: isCashPayment
-            ? "Paiement en espèces à la récupération"
-            : order.paymentStatus === "paid"
-              ? "Payé"
-              : order.paymentStatus === "unpaid"
-                ? "Non payé"
-                : order.paymentStatus === "processing"
-                  ? "En traitement"
-                  : order.paymentStatus === "pending_cash"
-                    ? "En attente de paiement en espèces"
-                    : "Statut inconnu",
-        };
-      });
+      // Calculer le nombre de pages (sur les résultats filtrés)
+      const totalPages = Math.ceil(filteredCount / perPage);
+
+      // Formater la réponse avec détection du paiement CASH
+      const formattedOrders = orders.map((order) =>
+        formatCustomerOrder(order, user),
+      );
 
       // Log pour audit (sans données sensibles)
       console.log("Order history accessed:", {
@@ -182,6 +283,8 @@ export const GET = withIntelligentRateLimit(
         ordersRetrieved: orders.length,
         cashOrders: formattedOrders.filter((o) => o.isCashPayment).length,
         page,
+        perPage,
+        filters: Object.keys(applied),
         timestamp: new Date().toISOString(),
         ip:
           req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
@@ -196,12 +299,16 @@ export const GET = withIntelligentRateLimit(
             totalPages,
             currentPage: page,
             count: ordersCount,
-            paidCount: ordersPaidCount,
-            unpaidCount: ordersUnpaidCount,
-            pendingCashCount: ordersPendingCashCount,
+            filteredCount,
+            paidCount: statusCounts.paid,
+            unpaidCount: statusCounts.unpaid,
+            pendingCashCount: statusCounts.pending_cash,
+            statusCounts,
             totalAmountOrders,
-            perPage: resPerPage,
+            perPage,
+            filters: applied,
             meta: {
+              hasOrders: ordersCount > 0,
               hasCashOrders:
                 formattedOrders.filter((o) => o.isCashPayment).length > 0,
               timestamp: new Date().toISOString(),
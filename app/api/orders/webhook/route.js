@@ -6,9 +6,23 @@ import User from "@/backend/models/user";
 import Product from "@/backend/models/product";
 import Category from "@/backend/models/category";
 import Cart from "@/backend/models/cart";
+import InventoryMovement from "@/backend/models/inventoryMovement";
 import { captureException } from "@/monitoring/sentry";
 import { withIntelligentRateLimit } from "@/utils/rateLimit";
 import { getToken } from "next-auth/jwt";
+import { validateShippingAddress } from "@/utils/addressSanitizer";
+import { PAYMENT_TYPES, PICKUP_POINTS } from "@/helpers/constants";
+import { sendOrderConfirmationEmail } from "@/backend/utils/emailService";
+import {
+  isValidIdempotencyKey,
+  hashRequestPayload,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} from "@/backend/utils/idempotency";
+import { getPaymentProvider } from "@/backend/utils/paymentProviders";
+import { initiateOrderPayment } from "@/backend/utils/orderPayment";
+import { generatePickupCode } from "@/backend/utils/pickupCode";
 
 /**
  * POST /api/orders/webhook
@@ -20,9 +34,39 @@ import { getToken } from "next-auth/jwt";
  * - Pas de validation des champs de compte pour CASH
  * - Statut initial: "pending_cash"
  * - Informations de paiement: "CASH" / "Paiement en espèces"
+ * - Code de retrait à usage unique (paymentInfo.pickupCode), renvoyé au
+ *   client et inclus dans l'email ; l'équipe le saisit à la remise
+ *   (POST /api/admin/orders/pickup) pour marquer la commande payée
+ *
+ * Paiement en ligne (WAAFI, D-MONEY, CAC-PAY, BCI-PAY):
+ * - La commande est créée en "processing", jamais avec un statut fourni
+ *   par le client
+ * - Après la transaction, le paiement est lancé auprès de l'opérateur
+ *   (adaptateur de paymentProviders) et la commande passe en "paid" ou
+ *   "failed" selon sa réponse, ou reste "processing" si elle est attendue
+ *
+ * Remise de la commande (shippingInfo):
+ * - "delivery": adresse nettoyée et validée puis copiée sur la commande
+ * - "pickup": point de retrait choisi parmi PICKUP_POINTS
+ *
+ * Stock:
+ * - Réservé dans la transaction de commande par un $inc conditionnel
+ *   (stock >= quantité), seule mise à jour du stock à la création
+ * - Chaque réservation est inscrite au journal InventoryMovement
+ *
+ * Idempotence (en-tête Idempotency-Key, facultatif):
+ * - La clé, l'empreinte du corps et la réponse sont conservées 24h
+ * - Une même clé avec le même corps rejoue la réponse d'origine
+ *   (double clic, nouvel essai après timeout) sans recréer de commande
+ * - Une même clé avec un corps différent est refusée (422)
+ * - Une erreur serveur libère la clé pour permettre un nouvel essai
+ * - Une requête encore en cours (409) se suit par GET
+ *   /api/orders/webhook/status, sans renvoyer le POST
  */
 export const POST = withIntelligentRateLimit(
   async function (req) {
+    let idempotencyRecord = null;
+
     try {
       // 1. Authentification
       await isAuthenticatedUser(req, NextResponse);
@@ -32,7 +76,7 @@ export const POST = withIntelligentRateLimit(
 
       // 3. Récupérer l'utilisateur avec validation améliorée
       const user = await User.findOne({ email: req.user.email })
-        .select("_id name email isActive")
+        .select("_id name email phone isActive")
         .lean();
 
       if (!user) {
@@ -74,9 +118,90 @@ export const POST = withIntelligentRateLimit(
         );
       }
 
+      // Idempotence : rejouer la réponse d'une requête déjà traitée
+      const idempotencyKey = req.headers.get("idempotency-key");
+
+      if (idempotencyKey !== null) {
+        if (!isValidIdempotencyKey(idempotencyKey)) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Invalid Idempotency-Key header",
+              code: "INVALID_IDEMPOTENCY_KEY",
+            },
+            { status: 400 },
+          );
+        }
+
+        const claim = await claimIdempotencyKey({
+          key: idempotencyKey,
+          userId: user._id,
+          scope: "orders/webhook",
+          requestHash: hashRequestPayload(orderData),
+        });
+
+        if (claim.replay) {
+          console.log("Idempotent replay of order request:", {
+            userId: user._id,
+            statusCode: claim.replay.statusCode,
+          });
+
+          return NextResponse.json(claim.replay.body, {
+            status: claim.replay.statusCode,
+            headers: { "Idempotent-Replayed": "true" },
+          });
+        }
+
+        if (claim.conflict === "KEY_REUSED") {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Idempotency-Key already used for a different request",
+              code: "IDEMPOTENCY_KEY_REUSED",
+            },
+            { status: 422 },
+          );
+        }
+
+        if (claim.conflict === "IN_PROGRESS") {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "A request with this Idempotency-Key is in progress",
+              code: "IDEMPOTENCY_IN_PROGRESS",
+            },
+            // Suivi par GET /api/orders/webhook/status avec la même clé
+            { status: 409, headers: { "Retry-After": "2" } },
+          );
+        }
+
+        idempotencyRecord = claim.record;
+      }
+
+      // Toute réponse définitive est mémorisée pour être rejouée
+      const respond = async (body, init) => {
+        if (idempotencyRecord) {
+          try {
+            await completeIdempotencyKey(idempotencyRecord, init.status, body);
+          } catch (storeError) {
+            // La clé reste verrouillée jusqu'à expiration : pas de doublon
+            console.error(
+              "Failed to store idempotent response:",
+              storeError.message,
+            );
+          }
+          idempotencyRecord = null;
+        }
+
+        return NextResponse.json(body, init);
+      };
+
       // Validation basique des champs requis
-      if (!orderData?.orderItems?.length) {
-        return NextResponse.json(
+      if (
+        !Array.isArray(orderData?.orderItems) ||
+        orderData.orderItems.length === 0
+      ) {
+        return respond(
           {
             success: false,
             message: "Order must contain at least one item",
@@ -87,7 +212,7 @@ export const POST = withIntelligentRateLimit(
       }
 
       if (!orderData.paymentInfo) {
-        return NextResponse.json(
+        return respond(
           {
             success: false,
             message: "Payment information is required",
@@ -97,6 +222,23 @@ export const POST = withIntelligentRateLimit(
         );
       }
 
+      // Seuls les articles, le paiement et la livraison viennent du client :
+      // statut, historique, remboursements et annulation sont gérés par le
+      // serveur
+      orderData = {
+        orderItems: orderData.orderItems.map((item) => ({
+          product: item?.product,
+          variant: item?.variant,
+          name: item?.name,
+          image: item?.image,
+          quantity: item?.quantity,
+          price: item?.price,
+          cartId: item?.cartId,
+        })),
+        paymentInfo: orderData.paymentInfo,
+        shippingInfo: orderData.shippingInfo,
+      };
+
       // Validation du paiement avec support CASH
       const {
         typePayment,
@@ -106,18 +248,29 @@ export const POST = withIntelligentRateLimit(
       } = orderData.paymentInfo || {};
 
       if (!typePayment) {
-        return NextResponse.json(
+        return respond(
           { success: false, message: "Payment type is required" },
           { status: 400 },
         );
       }
 
+      if (!PAYMENT_TYPES.includes(typePayment)) {
+        return respond(
+          {
+            success: false,
+            message: "Unsupported payment type",
+            code: "INVALID_PAYMENT_TYPE",
+          },
+          { status: 400 },
+        );
+      }
+
       // Vérifier si c'est un paiement CASH
       const isCash = typePayment === "CASH" || isCashPayment === true;
 
       // Pour les paiements non-CASH, vérifier les informations de compte
       if (!isCash && (!paymentAccountNumber || !paymentAccountName)) {
-        return NextResponse.json(
+        return respond(
           {
             success: false,
             message: "Account information required for non-cash payments",
@@ -126,21 +279,117 @@ export const POST = withIntelligentRateLimit(
         );
       }
 
-      // Pour CASH, normaliser les informations
-      if (isCash) {
-        orderData.paymentInfo.paymentAccountNumber = "CASH";
-        orderData.paymentInfo.paymentAccountName = "Paiement en espèces";
-        orderData.paymentInfo.isCashPayment = true;
+      // Seuls les champs saisis par le client sont conservés (la référence
+      // et le statut opérateur sont renseignés par l'adaptateur de paiement)
+      orderData.paymentInfo = isCash
+        ? {
+            typePayment,
+            paymentAccountNumber: "CASH",
+            paymentAccountName: "Paiement en espèces",
+            isCashPayment: true,
+            pickupCode: generatePickupCode(),
+          }
+        : {
+            typePayment,
+            paymentAccountNumber,
+            paymentAccountName,
+            isCashPayment: false,
+          };
+
+      // Le statut de paiement n'est jamais fourni par le client
+      orderData.paymentStatus = isCash ? "pending_cash" : "processing";
+
+      // Opérateur de paiement (null pour CASH), résolu avant toute écriture
+      let paymentProvider = null;
+      if (!isCash) {
+        try {
+          paymentProvider = getPaymentProvider(typePayment);
+        } catch (providerError) {
+          console.error("Payment provider unavailable:", providerError.message);
+          return respond(
+            {
+              success: false,
+              message: "Payment method temporarily unavailable",
+              code: "PAYMENT_PROVIDER_UNAVAILABLE",
+            },
+            { status: 503 },
+          );
+        }
+      }
+
+      // Adresse de livraison ou point de retrait, figés sur la commande
+      const { method, address, pickupPointId } = orderData.shippingInfo || {};
+      let shippingInfo;
+
+      if (method === "delivery") {
+        const addressCheck = validateShippingAddress(address);
+
+        if (!addressCheck.isValid) {
+          return respond(
+            {
+              success: false,
+              message: "Invalid shipping address",
+              code: "INVALID_SHIPPING_ADDRESS",
+              errors: addressCheck.errors,
+            },
+            { status: 400 },
+          );
+        }
+
+        shippingInfo = { method, address: addressCheck.address };
+      } else if (method === "pickup") {
+        const pickupPoint = PICKUP_POINTS.find(
+          (point) => point.id === pickupPointId,
+        );
+
+        if (!pickupPoint) {
+          return respond(
+            {
+              success: false,
+              message: "Unknown pickup point",
+              code: "INVALID_PICKUP_POINT",
+            },
+            { status: 400 },
+          );
+        }
+
+        shippingInfo = {
+          method,
+          pickupPoint: {
+            id: pickupPoint.id,
+            name: pickupPoint.name,
+            address: pickupPoint.address,
+          },
+        };
+      } else {
+        return respond(
+          {
+            success: false,
+            message: "Shipping method is required",
+            code: "MISSING_SHIPPING_INFO",
+          },
+          { status: 400 },
+        );
       }
 
+      orderData.shippingInfo = {
+        ...shippingInfo,
+        recipientName: user.name,
+        phone: user.phone,
+      };
+
       // 5. Vérifier le stock et traiter la commande en transaction
       const session = await Order.startSession();
 
       try {
+        let createdOrder;
+
         await session.withTransaction(async () => {
           // Extraire les IDs de produits et quantités
-          const productOrders = orderData.orderItems.map((item) => ({
+          const productOrders = orderData.orderItems.map((item, index) => ({
+            index,
             productId: item.product,
+            variantId: item.variant || null,
             quantity: parseInt(item.quantity, 10),
             cartId: item.cartId,
             price: parseFloat(item.price),
@@ -149,10 +398,11 @@ export const POST = withIntelligentRateLimit(
           // Vérifier et mettre à jour le stock pour chaque produit
           const unavailableProducts = [];
           const processedItems = [];
+          const stockMovements = [];
 
           for (const item of productOrders) {
             const product = await Product.findById(item.productId)
-              .select("name stock price category isActive")
+              .select("name stock price category isActive variants")
               .populate("category", "categoryName")
               .session(session);
 
@@ -175,12 +425,25 @@ export const POST = withIntelligentRateLimit(
               continue;
             }
 
+            // Résoudre la variante (stock et prix propres à la variante)
+            const resolved = Product.resolveVariant(product, item.variantId);
+            if (!resolved) {
+              unavailableProducts.push({
+                id: product._id,
+                variantId: item.variantId,
+                name: product.name,
+                reason: "variant_unavailable",
+              });
+              continue;
+            }
+
             // Vérifier le stock
-            if (product.stock < item.quantity) {
+            if (resolved.stock < item.quantity) {
               unavailableProducts.push({
                 id: product._id,
+                variantId: item.variantId,
                 name: product.name,
-                stock: product.stock,
+                stock: resolved.stock,
                 requested: item.quantity,
                 reason: "insufficient_stock",
               });
@@ -188,49 +451,109 @@ export const POST = withIntelligentRateLimit(
             }
 
             // Vérifier le prix (protection contre la manipulation)
-            if (Math.abs(product.price - item.price) > 0.01) {
+            if (Math.abs(resolved.price - item.price) > 0.01) {
               console.warn("Price mismatch detected:", {
                 productId: product._id,
-                expectedPrice: product.price,
+                variantId: item.variantId,
+                expectedPrice: resolved.price,
                 providedPrice: item.price,
                 userId: user._id,
               });
 
               unavailableProducts.push({
                 id: product._id,
+                variantId: item.variantId,
                 name: product.name,
                 reason: "price_mismatch",
-                expected: product.price,
+                expected: resolved.price,
                 provided: item.price,
               });
               continue;
             }
 
-            // Mettre à jour le stock
-            await Product.findByIdAndUpdate(
-              product._id,
+            // Réserver le stock (variante + stock global du produit)
+            // Le filtre conditionnel empêche de descendre sous zéro si une
+            // autre commande a consommé le stock depuis la lecture
+            const variantId = resolved.variant?._id;
+            const reserved = await Product.findOneAndUpdate(
+              variantId
+                ? {
+                    _id: product._id,
+                    variants: {
+                      $elemMatch: {
+                        _id: variantId,
+                        stock: { $gte: item.quantity },
+                      },
+                    },
+                  }
+                : { _id: product._id, stock: { $gte: item.quantity } },
               {
                 $inc: {
                   stock: -item.quantity,
                   sold: item.quantity, // Incrémenter les ventes
+                  ...(variantId && { "variants.$.stock": -item.quantity }),
                 },
               },
-              { session },
+              {
+                new: true,
+                projection: {
+                  stock: 1,
+                  "variants._id": 1,
+                  "variants.stock": 1,
+                },
+                session,
+              },
             );
 
-            // Ajouter la catégorie à l'item de commande
-            const orderItem = orderData.orderItems.find(
-              (oi) => oi.product.toString() === product._id.toString(),
-            );
+            if (!reserved) {
+              unavailableProducts.push({
+                id: product._id,
+                variantId: item.variantId,
+                name: product.name,
+                stock: resolved.stock,
+                requested: item.quantity,
+                reason: "insufficient_stock",
+              });
+              continue;
+            }
+
+            stockMovements.push({
+              product: product._id,
+              variant: variantId || null,
+              type: "order_reservation",
+              quantity: -item.quantity,
+              stockAfter: reserved.stock,
+              variantStockAfter: variantId
+                ? reserved.variants.find((v) => v._id.equals(variantId))?.stock
+                : null,
+            });
+
+            // Compléter l'item de commande (catégorie et variante)
+            // Prix, quantité et sous-total viennent du serveur : le montant
+            // facturé ne dépend d'aucune valeur calculée par le client
+            const orderItem = orderData.orderItems[item.index];
+            if (orderItem) {
+              orderItem.price = resolved.price;
+              orderItem.quantity = item.quantity;
+              orderItem.subtotal = resolved.price * item.quantity;
+            }
             if (orderItem && product.category) {
               orderItem.category = product.category.categoryName;
             }
+            if (orderItem && resolved.variant) {
+              orderItem.variant = resolved.variant._id;
+              orderItem.variantLabel = Product.getVariantLabel(
+                resolved.variant,
+              );
+              orderItem.sku = resolved.variant.sku;
+            }
 
             processedItems.push({
               productId: product._id,
+              variantId: resolved.variant?._id || null,
               productName: product.name,
               quantity: item.quantity,
-              price: product.price,
+              price: resolved.price,
             });
           }
 
@@ -255,6 +578,18 @@ export const POST = withIntelligentRateLimit(
           // Créer la commande
           const order = await Order.create([orderData], { session });
 
+          // Journal de stock, dans la même transaction que la réservation
+          await InventoryMovement.insertMany(
+            stockMovements.map((movement) => ({
+              ...movement,
+              order: order[0]._id,
+              orderNumber: order[0].orderNumber,
+              actor: "customer",
+              user: user._id,
+            })),
+            { session },
+          );
+
           // Supprimer les articles du panier
           const cartIds = productOrders
             .filter((item) => item.cartId)
@@ -272,14 +607,12 @@ export const POST = withIntelligentRateLimit(
           }
 
           // La transaction sera automatiquement commitée si tout réussit
-          return order[0];
+          createdOrder = order[0];
         });
 
-        // Transaction réussie - Récupérer la commande complète
-        const order = await Order.findOne({ user: user._id })
-          .sort({ createdAt: -1 })
-          .select("_id orderNumber paymentStatus")
-          .lean();
+        // Commande créée par cette requête (et non la dernière de
+        // l'utilisateur : deux commandes peuvent être passées en même temps)
+        const order = createdOrder;
 
         // Log de sécurité pour audit avec info CASH
         console.log("🔒 Security event - Order created:", {
@@ -287,10 +620,11 @@ export const POST = withIntelligentRateLimit(
           userEmail: user.email,
           orderId: order._id,
           orderNumber: order.orderNumber,
-          totalAmount: orderData.totalAmount,
+          totalAmount: order.totalAmount,
           paymentType: typePayment,
           isCashPayment: isCash,
           paymentStatus: order.paymentStatus,
+          shippingMethod: orderData.shippingInfo.method,
           itemCount: orderData.orderItems.length,
           timestamp: new Date().toISOString(),
           ip:
@@ -298,16 +632,62 @@ export const POST = withIntelligentRateLimit(
             "unknown",
         });
 
-        return NextResponse.json(
+        // Paiement en ligne auprès de l'opérateur (la commande existe déjà :
+        // un paiement refusé n'annule pas la commande, le stock reste réservé
+        // jusqu'à son annulation)
+        let paymentStatus = order.paymentStatus;
+        let paymentMessage;
+
+        if (paymentProvider) {
+          ({ paymentStatus, message: paymentMessage } =
+            await initiateOrderPayment(paymentProvider, {
+              orderId: order._id,
+              orderNumber: order.orderNumber,
+              amount: order.totalAmount,
+              accountNumber: paymentAccountNumber,
+              accountName: paymentAccountName,
+            }));
+        }
+
+        // Email de confirmation avec le lien vers le détail de la commande
+        // (un échec d'envoi n'annule pas la commande)
+        const emailResult = await sendOrderConfirmationEmail(
+          user.email,
+          user.name,
+          {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            totalAmount: order.totalAmount,
+            orderItems: orderData.orderItems,
+            isCashPayment: isCash,
+            pickupCode: orderData.paymentInfo.pickupCode,
+            shippingInfo: orderData.shippingInfo,
+          },
+        );
+
+        if (!emailResult.success) {
+          console.warn(
+            "⚠️ Failed to send order confirmation email:",
+            emailResult.error,
+          );
+        }
+
+        return respond(
           {
             success: true,
             id: order.orderNumber,
+            orderId: order._id,
             orderNumber: order.orderNumber,
             message: isCash
               ? "Order placed successfully - Cash payment on pickup"
-              : "Order placed successfully",
+              : paymentStatus === "failed"
+                ? "Order placed - Payment failed"
+                : "Order placed successfully",
             isCashPayment: isCash,
-            paymentStatus: order.paymentStatus,
+            paymentStatus,
+            paymentMessage,
+            pickupCode: orderData.paymentInfo.pickupCode,
+            shippingInfo: orderData.shippingInfo,
           },
           { status: 201 },
         );
@@ -324,7 +704,7 @@ export const POST = withIntelligentRateLimit(
               timestamp: new Date().toISOString(),
             });
 
-            return NextResponse.json(
+            return respond(
               {
                 success: false,
                 message: "Some products are unavailable",
@@ -353,6 +733,16 @@ export const POST = withIntelligentRateLimit(
     } catch (error) {
       console.error("Order webhook error:", error.message);
 
+      // Libérer la clé pour que le client puisse réessayer
+      if (idempotencyRecord) {
+        await releaseIdempotencyKey(idempotencyRecord).catch((releaseError) =>
+          console.error(
+            "Failed to release idempotency key:",
+            releaseError.message,
+          ),
+        );
+      }
+
       // Capturer seulement les vraies erreurs système
       if (
         !error.message?.includes("authentication") &&
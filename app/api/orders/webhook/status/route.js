@@ -0,0 +1,158 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import {
+  getIdempotencyKeyStatus,
+  isValidIdempotencyKey,
+} from "@/backend/utils/idempotency";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+// Délai conseillé au client avant la prochaine vérification (secondes)
+const RETRY_AFTER_SECONDS = 2;
+
+/**
+ * GET /api/orders/webhook/status
+ * Suivi d'une création de commande identifiée par son en-tête Idempotency-Key
+ * Rate limit: Configuration intelligente - payment.checkStatus (30 req/min)
+ *
+ * Remplace le renvoi du POST quand la première requête est encore en cours :
+ * lecture seule, sans consommer le quota de création de commande
+ * - 202 IDEMPOTENCY_IN_PROGRESS (+ Retry-After) : traitement en cours
+ * - réponse d'origine rejouée (statut et corps) : traitement terminé
+ * - 404 IDEMPOTENCY_KEY_NOT_FOUND : aucune requête en cours ni terminée
+ *   (erreur serveur, clé libérée) : le POST peut être renvoyé avec la même clé
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      await isAuthenticatedUser(req, NextResponse);
+
+      const idempotencyKey = req.headers.get("idempotency-key");
+      if (!isValidIdempotencyKey(idempotencyKey)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid Idempotency-Key header",
+            code: "INVALID_IDEMPOTENCY_KEY",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id")
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const keyStatus = await getIdempotencyKeyStatus({
+        key: idempotencyKey,
+        userId: user._id,
+        scope: "orders/webhook",
+      });
+
+      if (!keyStatus) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "No order request found for this Idempotency-Key",
+            code: "IDEMPOTENCY_KEY_NOT_FOUND",
+          },
+          { status: 404, headers: { "Cache-Control": "private, no-store" } },
+        );
+      }
+
+      if (keyStatus.status === "processing") {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "A request with this Idempotency-Key is in progress",
+            code: "IDEMPOTENCY_IN_PROGRESS",
+          },
+          {
+            status: 202,
+            headers: {
+              "Cache-Control": "private, no-store",
+              "Retry-After": String(RETRY_AFTER_SECONDS),
+            },
+          },
+        );
+      }
+
+      return NextResponse.json(keyStatus.response.body, {
+        status: keyStatus.response.statusCode,
+        headers: {
+          "Cache-Control": "private, no-store",
+          "Idempotent-Replayed": "true",
+        },
+      });
+    } catch (error) {
+      console.error("Order request status error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/webhook/status/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to fetch order request status";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "payment",
+    action: "checkStatus",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[ORDER_REQUEST_STATUS] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
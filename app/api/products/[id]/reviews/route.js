@@ -0,0 +1,404 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Product from "@/backend/models/product";
+import Review from "@/backend/models/review";
+import Order from "@/backend/models/order";
+import User from "@/backend/models/user";
+import { validateProductReview } from "@/helpers/validation/schemas/product";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const REVIEWS_PER_PAGE = 10;
+
+// Formate un avis pour la réponse publique (sans données personnelles)
+const formatReview = (review) => ({
+  id: review._id,
+  rating: review.rating,
+  title: review.title,
+  comment: review.comment,
+  wouldRecommend: review.wouldRecommend,
+  userName: review.userName || "Client",
+  isVerifiedPurchase: review.isVerifiedPurchase,
+  createdAt: review.createdAt,
+});
+
+/**
+ * GET /api/products/[id]/reviews
+ * Récupère les avis visibles d'un produit avec la répartition des notes
+ * Rate limit: Configuration intelligente - publicRead (100 req/min)
+ *
+ * Query params:
+ * - page: numéro de page (10 avis par page)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      const page = Math.max(
+        1,
+        Math.min(1000, parseInt(req.nextUrl.searchParams.get("page"), 10) || 1),
+      );
+
+      await dbConnect();
+
+      const product = await Product.findById(id)
+        .select("ratingAverage ratingCount isActive")
+        .lean();
+
+      if (!product) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found",
+            code: "PRODUCT_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const filter = { product: id, isVisible: true };
+
+      const [reviews, totalReviews, distribution] = await Promise.all([
+        Review.find(filter)
+          .select(
+            "rating title comment wouldRecommend userName isVerifiedPurchase createdAt",
+          )
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * REVIEWS_PER_PAGE)
+          .limit(REVIEWS_PER_PAGE)
+          .lean(),
+        Review.countDocuments(filter),
+        Review.getRatingDistribution(id),
+      ]);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            reviews: reviews.map(formatReview),
+            summary: {
+              ratingAverage: product.ratingAverage || 0,
+              ratingCount: product.ratingCount || 0,
+              distribution,
+            },
+            totalPages: Math.ceil(totalReviews / REVIEWS_PER_PAGE),
+            currentPage: page,
+            perPage: REVIEWS_PER_PAGE,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Product reviews GET error:", error.message);
+
+      if (error.name !== "CastError") {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "products/[id]/reviews/GET",
+            productId: params?.id,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message:
+            error.name === "CastError"
+              ? "Invalid product ID format"
+              : "Failed to fetch reviews",
+          code:
+            error.name === "CastError" ? "INVALID_ID_FORMAT" : "FETCH_ERROR",
+        },
+        { status: error.name === "CastError" ? 400 : 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "publicRead",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[REVIEWS_GET] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
+
+/**
+ * POST /api/products/[id]/reviews
+ * Ajoute un avis sur un produit
+ * Réservé aux utilisateurs ayant une commande payée contenant ce produit
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id name isActive")
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot post reviews",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Validation avec Yup
+      const validation = await validateProductReview(body);
+
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Validation failed",
+            code: "VALIDATION_FAILED",
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier le produit
+      const product = await Product.findById(id).select("_id isActive").lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found",
+            code: "PRODUCT_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier l'achat : une commande payée contenant ce produit
+      const paidOrder = await Order.findOne({
+        user: user._id,
+        paymentStatus: "paid",
+        "orderItems.product": product._id,
+      })
+        .select("_id")
+        .lean();
+
+      if (!paidOrder) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Only customers who purchased this product can review it",
+            code: "PURCHASE_REQUIRED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Un seul avis par produit
+      const alreadyReviewed = await Review.exists({
+        product: product._id,
+        user: user._id,
+      });
+
+      if (alreadyReviewed) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "You have already reviewed this product",
+            code: "ALREADY_REVIEWED",
+          },
+          { status: 409 },
+        );
+      }
+
+      const { rating, title, comment, wouldRecommend } = validation.data;
+
+      // Le post-save du modèle met à jour ratingAverage / ratingCount
+      const review = await Review.create({
+        product: product._id,
+        user: user._id,
+        order: paidOrder._id,
+        userName: user.name,
+        rating,
+        title,
+        comment,
+        wouldRecommend: wouldRecommend ?? null,
+      });
+
+      const updatedProduct = await Product.findById(product._id)
+        .select("ratingAverage ratingCount")
+        .lean();
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Product review created:", {
+        userId: user._id,
+        productId: product._id,
+        reviewId: review._id,
+        rating,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Review submitted successfully",
+          data: {
+            review: formatReview(review),
+            summary: {
+              ratingAverage: updatedProduct?.ratingAverage || 0,
+              ratingCount: updatedProduct?.ratingCount || 0,
+            },
+          },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error("Product reviews POST error:", error.message);
+
+      if (error.code !== 11000 && !error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "products/[id]/reviews/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to submit review";
+      let code = "INTERNAL_ERROR";
+
+      if (error.code === 11000) {
+        status = 409;
+        message = "You have already reviewed this product";
+        code = "ALREADY_REVIEWED";
+      } else if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid review data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[REVIEWS_POST] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
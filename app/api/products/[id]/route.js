@@ -41,7 +41,7 @@ export const GET = withIntelligentRateLimit(
       // Récupérer le produit principal
       const product = await Product.findById(id)
         .select(
-          "name description price images category stock sold isActive slug",
+          "name description price images category stock sold isActive slug variants ratingAverage ratingCount",
         )
         .populate("category", "categoryName")
         .lean();
@@ -57,6 +57,13 @@ export const GET = withIntelligentRateLimit(
         );
       }
 
+      // Ne garder que les variantes actives
+      if (Array.isArray(product.variants)) {
+        product.variants = product.variants.filter(
+          (variant) => variant.isActive !== false,
+        );
+      }
+
       // Récupérer les produits similaires (même catégorie)
       let sameCategoryProducts = [];
       if (product.category) {
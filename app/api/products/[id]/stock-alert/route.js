@@ -0,0 +1,479 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import Product from "@/backend/models/product";
+import StockAlert from "@/backend/models/stockAlert";
+import User from "@/backend/models/user";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * GET /api/products/[id]/stock-alert?variantId=
+ * Indique si l'utilisateur connecté attend le retour en stock du produit
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      const { id } = params;
+      const variantId = req.nextUrl.searchParams.get("variantId") || null;
+
+      if (!id || !OBJECT_ID_REGEX.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      if (variantId && !OBJECT_ID_REGEX.test(variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid variant ID",
+            code: "INVALID_VARIANT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const alert = await StockAlert.findOne({
+        user: user._id,
+        product: id,
+        variant: variantId,
+      })
+        .select("status")
+        .lean();
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            subscribed: !!alert && alert.status !== "notified",
+          },
+        },
+        {
+          status: 200,
+          // Donnée propre à l'utilisateur : ne pas hériter du cache public des produits
+          headers: { "Cache-Control": "private, no-store" },
+        },
+      );
+    } catch (error) {
+      console.error("Stock alert GET error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "products/[id]/stock-alert/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to fetch stock alert",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[STOCK_ALERT_GET] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
+
+/**
+ * POST /api/products/[id]/stock-alert
+ * Abonne l'utilisateur connecté au retour en stock d'un produit en rupture
+ * Body: { variantId? }
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      const { id } = params;
+      if (!id || !OBJECT_ID_REGEX.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Le body est facultatif
+      let body = {};
+      try {
+        body = (await req.json()) || {};
+      } catch {
+        body = {};
+      }
+
+      const variantId = body.variantId || null;
+      if (variantId && !OBJECT_ID_REGEX.test(variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid variant ID",
+            code: "INVALID_VARIANT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email })
+        .select("_id name email isActive")
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Vérifier le produit
+      const product = await Product.findById(id)
+        .select("stock isActive variants")
+        .lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found",
+            code: "PRODUCT_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Stock de la variante demandée, ou du produit entier
+      let availableStock = product.stock || 0;
+      if (variantId) {
+        const resolved = Product.resolveVariant(product, variantId);
+        if (!resolved) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Variant not found",
+              code: "VARIANT_NOT_FOUND",
+            },
+            { status: 404 },
+          );
+        }
+        availableStock = resolved.stock || 0;
+      }
+
+      if (availableStock > 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product is in stock",
+            code: "PRODUCT_IN_STOCK",
+          },
+          { status: 409 },
+        );
+      }
+
+      // Créer l'abonnement ou réactiver un abonnement déjà notifié
+      await StockAlert.findOneAndUpdate(
+        { user: user._id, product: id, variant: variantId },
+        {
+          $set: {
+            status: "pending",
+            email: user.email,
+            name: user.name,
+            lastError: null,
+          },
+        },
+        { upsert: true, new: true, runValidators: true },
+      );
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "You will be notified when the product is back in stock",
+          data: { subscribed: true },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Stock alert POST error:", error.message);
+
+      // Deux clics simultanés : l'abonnement existe déjà
+      if (error.code === 11000) {
+        return NextResponse.json(
+          {
+            success: true,
+            message: "You will be notified when the product is back in stock",
+            data: { subscribed: true },
+          },
+          { status: 200 },
+        );
+      }
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "products/[id]/stock-alert/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to create stock alert";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid stock alert data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[STOCK_ALERT_POST] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
+
+/**
+ * DELETE /api/products/[id]/stock-alert?variantId=
+ * Désabonne l'utilisateur connecté de l'alerte de retour en stock
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const DELETE = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      const { id } = params;
+      const variantId = req.nextUrl.searchParams.get("variantId") || null;
+
+      if (!id || !OBJECT_ID_REGEX.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      if (variantId && !OBJECT_ID_REGEX.test(variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid variant ID",
+            code: "INVALID_VARIANT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      await StockAlert.deleteOne({
+        user: user._id,
+        product: id,
+        variant: variantId,
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Stock alert removed",
+          data: { subscribed: false },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Stock alert DELETE error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "products/[id]/stock-alert/DELETE",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to remove stock alert",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[STOCK_ALERT_DELETE] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
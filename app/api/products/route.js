@@ -3,7 +3,13 @@ import { getToken } from "next-auth/jwt";
 import dbConnect from "@/backend/config/dbConnect";
 import Product from "@/backend/models/product";
 import Category from "@/backend/models/category";
+import SearchQuery from "@/backend/models/searchQuery";
 import APIFilters from "@/backend/utils/APIFilters";
+import { getSessionUserId } from "@/backend/utils/sessionUser";
+import {
+  buildSearchHighlight,
+  normalizeForSearch,
+} from "@/backend/utils/searchHighlighter";
 import { captureException } from "@/monitoring/sentry";
 import { parseProductSearchParams } from "@/utils/inputSanitizer";
 import { validateProductFilters } from "@/helpers/validation/schemas/product";
@@ -15,7 +21,7 @@ const MAX_PER_PAGE = process.env.MAX_PRODUCTS_PER_PAGE;
 
 /**
  * GET /api/products
- * Récupère la liste des produits avec filtres et pagination
+ * Récupère la liste des produits avec filtres, tri, facettes et pagination
  * Rate limit: Configuration intelligente - publicRead (100 req/min) ou authenticatedRead (200 req/min)
  *
  * Headers de sécurité gérés par next.config.mjs pour /api/products/* :
@@ -24,6 +30,11 @@ const MAX_PER_PAGE = process.env.MAX_PRODUCTS_PER_PAGE;
  * - X-Content-Type-Options: nosniff
  * - Vary: Accept-Encoding
  *
+ * Query params supplémentaires:
+ * - category: une ou plusieurs catégories séparées par des virgules
+ * - inStock: "true" pour n'afficher que les produits disponibles
+ * - sort: relevance | price_asc | price_desc | newest | best_selling
+ *
  * Note: Les produits sont des données publiques avec cache modéré
  * car ils changent plus souvent que les catégories
  */
@@ -66,18 +77,21 @@ export const GET = withIntelligentRateLimit(
       // Créer les filtres avec les paramètres validés
       const apiFilters = new APIFilters(
         Product.find({ isActive: true })
-          .select("name description stock price images category")
+          .select(
+            "name description stock price images category variants._id ratingAverage ratingCount",
+          )
           .slice("images", 1),
         searchParams,
       )
         .search()
-        .filter();
+        .filter()
+        .sort();
 
-      // Compter les produits filtrés
-      const filteredProductsCount = await apiFilters.query
-        .clone()
-        .lean()
-        .countDocuments();
+      // Compter les produits filtrés et calculer les facettes en parallèle
+      const [filteredProductsCount, facets] = await Promise.all([
+        apiFilters.query.clone().lean().countDocuments(),
+        apiFilters.facets(Product),
+      ]);
 
       // Ajouter la pagination
       apiFilters.pagination(resPerPage);
@@ -87,6 +101,40 @@ export const GET = withIntelligentRateLimit(
         .populate("category", "categoryName")
         .lean();
 
+      // Extraits mis en évidence pour expliquer chaque résultat de recherche
+      const keyword = searchParams.get("keyword");
+      const formattedProducts = (products || []).map((product) => {
+        if (!keyword) return product;
+        const { score, ...rest } = product;
+        return {
+          ...rest,
+          relevance: score ? Math.round(score * 100) / 100 : null,
+          highlight: buildSearchHighlight(product, keyword),
+        };
+      });
+
+      // Mémoriser la recherche pour les suggestions de l'utilisateur connecté
+      // (sans bloquer la réponse)
+      if (keyword && filteredProductsCount > 0 && validatedParams.page === 1) {
+        const normalizedKeyword = normalizeForSearch(keyword)
+          .trim()
+          .replace(/\s+/g, " ");
+        getSessionUserId(req)
+          .then(
+            (userId) =>
+              userId &&
+              SearchQuery.record(
+                userId,
+                keyword.trim(),
+                normalizedKeyword,
+                filteredProductsCount,
+              ),
+          )
+          .catch((error) => {
+            console.error("Search query recording error:", error.message);
+          });
+      }
+
       // Calculer les métadonnées
       const totalPages = Math.ceil(filteredProductsCount / resPerPage);
 
@@ -96,7 +144,8 @@ export const GET = withIntelligentRateLimit(
         data: {
           totalPages,
           totalProducts: filteredProductsCount,
-          products: products || [],
+          products: formattedProducts,
+          facets,
         },
       };
 
@@ -0,0 +1,204 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import Product from "@/backend/models/product";
+import Category from "@/backend/models/category";
+import SearchQuery from "@/backend/models/searchQuery";
+import { getSessionUserId } from "@/backend/utils/sessionUser";
+import {
+  buildPrefixRegex,
+  normalizeForSearch,
+} from "@/backend/utils/searchHighlighter";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+// Budget de latence par requête : une suggestion lente est inutile
+const QUERY_TIMEOUT_MS = 300;
+
+const MAX_PRODUCTS = 5;
+const MAX_CATEGORIES = 3;
+const MAX_RECENT_QUERIES = 3;
+
+// Résultat d'une requête ou liste vide si elle a échoué / dépassé le budget
+const settledValue = (result, source) => {
+  if (result.status === "fulfilled") return result.value;
+
+  // Les dépassements de budget sont attendus : on ne les remonte pas
+  if (result.reason?.code !== 50) {
+    captureException(result.reason, {
+      tags: { component: "api", route: "products/suggest/GET", source },
+    });
+  }
+  return [];
+};
+
+/**
+ * GET /api/products/suggest?q=
+ * Suggestions de recherche pendant la saisie :
+ * noms de produits, catégories correspondantes et recherches récentes
+ * de l'utilisateur connecté (les plus récentes d'abord, aucune pour un
+ * visiteur anonyme)
+ * Rate limit: Configuration intelligente - api.suggest (120 req/min par IP)
+ *
+ * Chaque source est limitée à 300ms (maxTimeMS) et interrogée en parallèle.
+ * Une source lente ou en erreur est ignorée plutôt que de retarder les autres.
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      const rawQuery = (req.nextUrl.searchParams.get("q") || "").trim();
+
+      if (
+        rawQuery.length < MIN_QUERY_LENGTH ||
+        rawQuery.length > MAX_QUERY_LENGTH
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Query must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`,
+            code: "INVALID_QUERY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const prefixRegex = buildPrefixRegex(rawQuery);
+      if (!prefixRegex) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid query",
+            code: "INVALID_QUERY",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      const userId = await getSessionUserId(req);
+
+      const normalizedQuery = normalizeForSearch(rawQuery)
+        .replace(/\s+/g, " ")
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+      const [productsResult, categoriesResult, recentResult] =
+        await Promise.allSettled([
+          Product.find({ isActive: true, name: prefixRegex })
+            .select("name price images")
+            .slice("images", 1)
+            .sort({ sold: -1 })
+            .limit(MAX_PRODUCTS)
+            .maxTimeMS(QUERY_TIMEOUT_MS)
+            .lean(),
+          Category.find({ isActive: true, categoryName: prefixRegex })
+            .select("categoryName")
+            .limit(MAX_CATEGORIES)
+            .maxTimeMS(QUERY_TIMEOUT_MS)
+            .lean(),
+          userId
+            ? SearchQuery.find({
+                user: userId,
+                normalized: { $regex: `^${normalizedQuery}` },
+                resultCount: { $gt: 0 },
+              })
+                .select("query")
+                .sort({ lastSearchedAt: -1 })
+                .limit(MAX_RECENT_QUERIES)
+                .maxTimeMS(QUERY_TIMEOUT_MS)
+                .lean()
+            : [],
+        ]);
+
+      const products = settledValue(productsResult, "products").map(
+        (product) => ({
+          id: product._id,
+          name: product.name,
+          price: product.price,
+          imageUrl: product.images?.[0]?.url || "",
+        }),
+      );
+
+      const categories = settledValue(categoriesResult, "categories").map(
+        (category) => ({
+          id: category._id,
+          name: category.categoryName,
+        }),
+      );
+
+      const recentQueries = settledValue(recentResult, "recentQueries").map(
+        (entry) => entry.query,
+      );
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            query: rawQuery,
+            products,
+            categories,
+            recentQueries,
+          },
+        },
+        {
+          status: 200,
+          headers: {
+            // Réponse propre à l'utilisateur : jamais en cache partagé
+            "Cache-Control": "private, max-age=60",
+          },
+        },
+      );
+    } catch (error) {
+      console.error("Product suggestions error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "products/suggest/GET" },
+        extra: {
+          query: req.nextUrl.search,
+        },
+      });
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: "Failed to fetch suggestions",
+          code: "INTERNAL_ERROR",
+        },
+        { status: 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "suggest",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[PRODUCTS_SUGGEST] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
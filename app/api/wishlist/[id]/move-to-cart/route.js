@@ -0,0 +1,212 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import Wishlist from "@/backend/models/wishlist";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+
+/**
+ * POST /api/wishlist/[id]/move-to-cart
+ * Déplace un produit de la liste d'envies vers le panier (quantité 1)
+ * [id] est l'identifiant du produit
+ * Body optionnel: { variantId } pour choisir la variante au moment du déplacement
+ * Rate limit: Configuration intelligente - cart.add (100 req/min, ultra permissif)
+ */
+export const POST = withCartRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Le body est facultatif
+      let body = {};
+      try {
+        body = (await req.json()) || {};
+      } catch {
+        body = {};
+      }
+
+      if (body.variantId && !/^[0-9a-fA-F]{24}$/.test(body.variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid variant ID",
+            code: "INVALID_VARIANT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const wishlistItem = await Wishlist.findOne({
+        user: user._id,
+        product: id,
+      }).lean();
+
+      if (!wishlistItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found in wishlist",
+            code: "WISHLIST_ITEM_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier le produit
+      const product = await Product.findById(id)
+        .select("name price stock isActive variants")
+        .lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product is not available",
+            code: "PRODUCT_INACTIVE",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Variante : celle du body, sinon celle sauvegardée dans la liste
+      const variantId = body.variantId || wishlistItem.variant || null;
+      const resolved = Product.resolveVariant(product, variantId);
+
+      if (!resolved) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: variantId
+              ? "Variant not found"
+              : "A variant must be selected for this product",
+            code: variantId ? "VARIANT_NOT_FOUND" : "VARIANT_REQUIRED",
+          },
+          { status: variantId ? 404 : 400 },
+        );
+      }
+
+      if (resolved.stock === 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product is out of stock",
+            code: "OUT_OF_STOCK",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Ajouter au panier (ou incrémenter la ligne existante)
+      const existingCartItem = await Cart.findOne({
+        user: user._id,
+        product: id,
+        variant: variantId,
+      });
+
+      if (existingCartItem) {
+        existingCartItem.quantity = Math.min(
+          existingCartItem.quantity + 1,
+          resolved.stock,
+        );
+        await existingCartItem.save();
+      } else {
+        await Cart.create({
+          user: user._id,
+          product: id,
+          variant: variantId,
+          variantLabel: Product.getVariantLabel(resolved.variant),
+          quantity: 1,
+          price: resolved.price,
+          productName: product.name,
+        });
+      }
+
+      // Retirer de la liste d'envies une fois dans le panier
+      await Wishlist.deleteOne({ _id: wishlistItem._id });
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Wishlist item moved to cart:", {
+        userId: user._id,
+        productId: id,
+        variantId,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Product moved to cart",
+          data: { productId: id, variantId },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Wishlist move-to-cart error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/[id]/move-to-cart/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to move product to cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid cart data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    action: "add", // 100 req/min, pas de blocage
+  },
+);
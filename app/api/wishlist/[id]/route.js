@@ -0,0 +1,134 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import Wishlist from "@/backend/models/wishlist";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+/**
+ * DELETE /api/wishlist/[id]
+ * Retire un produit de la liste d'envies
+ * [id] est l'identifiant du produit (le bouton cœur ne connaît que le produit)
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const DELETE = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID format",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const deletedItem = await Wishlist.findOneAndDelete({
+        user: user._id,
+        product: id,
+      });
+
+      if (!deletedItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found in wishlist",
+            code: "WISHLIST_ITEM_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Product removed from wishlist",
+          data: { productId: id },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Wishlist DELETE error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/[id]/DELETE",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to remove from wishlist";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "CastError") {
+        status = 400;
+        message = "Invalid product ID format";
+        code = "INVALID_ID_FORMAT";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[WISHLIST_DELETE] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -0,0 +1,379 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/backend/config/dbConnect";
+import isAuthenticatedUser from "@/backend/middlewares/auth";
+import User from "@/backend/models/user";
+import Product from "@/backend/models/product";
+import Wishlist from "@/backend/models/wishlist";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+// Nombre maximum de produits dans une liste d'envies
+const MAX_WISHLIST_ITEMS = 100;
+
+// Champs du produit nécessaires pour formater la liste d'envies
+const WISHLIST_PRODUCT_FIELDS = "name price stock images isActive variants";
+
+/**
+ * Formate un article de la liste d'envies
+ * Prix et stock à jour, variante sauvegardée si elle est toujours disponible
+ */
+const formatWishlistItem = (item) => {
+  const product = item.product;
+  const hasVariants = Array.isArray(product.variants)
+    ? product.variants.some((variant) => variant.isActive !== false)
+    : false;
+  const resolved = item.variant
+    ? Product.resolveVariant(product, item.variant)
+    : null;
+
+  const price = resolved?.price ?? product.price;
+  const stock = resolved ? resolved.stock : product.stock || 0;
+
+  return {
+    id: item._id,
+    productId: product._id,
+    productName: product.name,
+    variantId: resolved ? item.variant : null,
+    variantLabel: resolved?.variant
+      ? Product.getVariantLabel(resolved.variant)
+      : "",
+    hasVariants,
+    price,
+    priceAtAdd: item.priceAtAdd ?? null,
+    priceDropped:
+      typeof item.priceAtAdd === "number" && price < item.priceAtAdd,
+    stock,
+    inStock: stock > 0,
+    imageUrl: resolved?.images?.[0]?.url || product.images?.[0]?.url || "",
+    addedAt: item.createdAt,
+  };
+};
+
+/**
+ * GET /api/wishlist
+ * Récupère la liste d'envies de l'utilisateur connecté
+ * Les produits désactivés ou supprimés sont ignorés
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const wishlistItems = await Wishlist.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .populate("product", WISHLIST_PRODUCT_FIELDS)
+        .lean();
+
+      const items = wishlistItems
+        .filter((item) => item.product && item.product.isActive)
+        .map(formatWishlistItem);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            count: items.length,
+            items,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Wishlist GET error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to fetch wishlist",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[WISHLIST_GET] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
+
+/**
+ * POST /api/wishlist
+ * Ajoute un produit à la liste d'envies (idempotent)
+ * Body: { productId, variantId? }
+ * Rate limit: Configuration intelligente - api.write
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select("_id");
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const { productId, variantId = null } = body;
+
+      // Validation basique
+      if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      if (variantId && !/^[0-9a-fA-F]{24}$/.test(variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid variant ID",
+            code: "INVALID_VARIANT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier le produit
+      const product = await Product.findById(productId)
+        .select("price isActive variants")
+        .lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found",
+            code: "PRODUCT_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // La variante est facultative, mais doit exister si elle est fournie
+      const resolved = variantId
+        ? Product.resolveVariant(product, variantId)
+        : null;
+
+      if (variantId && !resolved) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Variant not found",
+            code: "VARIANT_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const existingItem = await Wishlist.findOne({
+        user: user._id,
+        product: productId,
+      });
+
+      if (existingItem) {
+        // Mettre à jour la variante choisie si elle a changé
+        if (variantId && String(existingItem.variant) !== variantId) {
+          existingItem.variant = variantId;
+          await existingItem.save();
+        }
+
+        return NextResponse.json(
+          {
+            success: true,
+            message: "Product already in wishlist",
+            data: { productId, variantId: existingItem.variant, isNew: false },
+          },
+          { status: 200 },
+        );
+      }
+
+      const count = await Wishlist.countDocuments({ user: user._id });
+      if (count >= MAX_WISHLIST_ITEMS) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Wishlist is limited to ${MAX_WISHLIST_ITEMS} products`,
+            code: "WISHLIST_FULL",
+            data: { max: MAX_WISHLIST_ITEMS },
+          },
+          { status: 400 },
+        );
+      }
+
+      await Wishlist.create({
+        user: user._id,
+        product: productId,
+        variant: variantId,
+        priceAtAdd: resolved?.price ?? product.price,
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Product added to wishlist",
+          data: { productId, variantId, isNew: true },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error("Wishlist POST error:", error.message);
+
+      if (error.code !== 11000 && !error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/POST",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      // Double clic : le produit a déjà été ajouté par une requête concurrente
+      if (error.code === 11000) {
+        return NextResponse.json(
+          {
+            success: true,
+            message: "Product already in wishlist",
+            data: { isNew: false },
+          },
+          { status: 200 },
+        );
+      }
+
+      let status = 500;
+      let message = "Failed to add to wishlist";
+      let code = "INTERNAL_ERROR";
+
+      if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid wishlist data";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: async (req) => {
+      try {
+        const cookieName =
+          process.env.NODE_ENV === "production"
+            ? "__Secure-next-auth.session-token"
+            : "next-auth.session-token";
+
+        const token = await getToken({
+          req,
+          secret: process.env.NEXTAUTH_SECRET,
+          cookieName,
+        });
+
+        return {
+          userId: token?.user?._id || token?.user?.id || token?.sub,
+          email: token?.user?.email,
+        };
+      } catch (error) {
+        console.error(
+          "[WISHLIST_POST] Error extracting user from JWT:",
+          error.message,
+        );
+        return {};
+      }
+    },
+  },
+);
@@ -0,0 +1,132 @@
+import { lazy, Suspense } from "react";
+import { cookies } from "next/headers";
+import { notFound, redirect } from "next/navigation";
+import { captureException } from "@/monitoring/sentry";
+
+import logger from "@/utils/logger";
+import { getCookieName } from "@/helpers/helpers";
+
+export const dynamic = "force-dynamic";
+
+const OrderDetails = lazy(() => import("@/components/orders/OrderDetails"));
+
+export const metadata = {
+  title: "Détail de la commande | Buy It Now",
+  description: "Consultez le détail de votre commande sur Buy It Now",
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+};
+
+/**
+ * Récupère une commande de l'utilisateur connecté
+ * @returns {Promise<{status: number, order: Object|null}>}
+ * order est null si la commande est introuvable ou la session expirée
+ */
+const getOrder = async (id, authToken) => {
+  const apiUrl = `${
+    process.env.API_URL || "https://buyitnow-next15-client-bs.vercel.app"
+  }/api/orders/${id}`;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+  try {
+    const res = await fetch(apiUrl, {
+      signal: controller.signal,
+      headers: {
+        Cookie: `${authToken.name}=${authToken.value}`,
+      },
+      next: {
+        revalidate: 0,
+        tags: ["user-orders"],
+      },
+    });
+
+    // ID invalide, commande d'un autre utilisateur ou session expirée
+    if ([400, 401, 404].includes(res.status)) {
+      return { status: res.status, order: null };
+    }
+
+    if (!res.ok) {
+      throw new Error(`API Error: ${res.status} - ${res.statusText}`);
+    }
+
+    const responseBody = await res.json();
+    return { status: res.status, order: responseBody.data?.order || null };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const OrderDetailsSkeleton = () => (
+  <div className="animate-pulse">
+    <div className="h-7 bg-gray-200 rounded w-64 mb-6"></div>
+    <div className="h-24 bg-gray-200 rounded-md mb-4"></div>
+    <div className="h-64 bg-gray-200 rounded-md"></div>
+  </div>
+);
+
+/**
+ * Page de détail d'une commande
+ * Articles, paiement, livraison, historique des statuts et totaux
+ */
+const OrderDetailsPage = async ({ params }) => {
+  const { id } = await params;
+
+  const nextCookies = await cookies();
+  const authToken = nextCookies.get(getCookieName());
+
+  if (!authToken) {
+    return redirect(`/login?callbackUrl=/me/orders/${id}`);
+  }
+
+  let result;
+  try {
+    result = await getOrder(id, authToken);
+  } catch (error) {
+    logger.error("Error loading order details", {
+      orderId: id,
+      error: error.message,
+      action: "order_details_error",
+    });
+
+    captureException(error, {
+      tags: { component: "OrderDetailsPage", action: "page_load" },
+      extra: { orderId: id },
+    });
+
+    return (
+      <div className="container max-w-6xl mx-auto px-4 py-8">
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <h2 className="text-lg font-semibold text-red-700 mb-2">
+            Impossible de charger cette commande
+          </h2>
+          <p className="text-red-600">
+            Veuillez réessayer ultérieurement ou contacter notre service client.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (result.status === 401) {
+    return redirect(`/login?callbackUrl=/me/orders/${id}`);
+  }
+
+  if (!result.order) {
+    notFound();
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <Suspense fallback={<OrderDetailsSkeleton />}>
+        <OrderDetails order={result.order} />
+      </Suspense>
+    </div>
+  );
+};
+
+export default OrderDetailsPage;
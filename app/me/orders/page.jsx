@@ -10,6 +10,18 @@ import { getAuthenticatedUser } from "@/lib/auth";
 // Ajoutez après les imports
 export const dynamic = "force-dynamic";
 
+// Paramètres de l'historique transmis à l'API
+const ORDER_FILTER_PARAMS = [
+  "perPage",
+  "paymentStatus",
+  "orderStatus",
+  "typePayment",
+  "from",
+  "to",
+  "q",
+  "sort",
+];
+
 // Chargement dynamique avec fallback
 const ListOrders = lazy(() => import("@/components/orders/ListOrders"));
 
@@ -70,7 +82,7 @@ const getAllOrders = async (searchParams) => {
       };
     }
 
-    // 3. Valider et construire les paramètres de pagination
+    // 3. Valider et construire les paramètres de pagination et de filtres
     const urlParams = {};
 
     if (searchParams?.page) {
@@ -83,6 +95,13 @@ const getAllOrders = async (searchParams) => {
       }
     }
 
+    // Filtres transmis tels quels : l'API les valide
+    ORDER_FILTER_PARAMS.forEach((param) => {
+      if (typeof searchParams?.[param] === "string" && searchParams[param]) {
+        urlParams[param] = searchParams[param].slice(0, 50);
+      }
+    });
+
     // 4. Construire l'URL de l'API
     const searchQuery = new URLSearchParams(urlParams).toString();
     const apiUrl = `${
@@ -202,9 +221,12 @@ const getAllOrders = async (searchParams) => {
         totalPages: responseBody.data.totalPages || 0,
         currentPage: responseBody.data.currentPage || urlParams.page || 1,
         count: responseBody.data.count || 0,
-        perPage: responseBody.data.perPage || 2,
+        filteredCount: responseBody.data.filteredCount || 0,
+        perPage: responseBody.data.perPage || 10,
+        filters: responseBody.data.filters || {},
         paidCount: responseBody.data.paidCount || 0,
         unpaidCount: responseBody.data.unpaidCount || 0,
+        pendingCashCount: responseBody.data.pendingCashCount || 0,
         totalAmountOrders: responseBody.data.totalAmountOrders || {
           totalAmount: 0,
           orderCount: 0,
@@ -302,8 +324,15 @@ const MyOrdersPage = async ({ searchParams }) => {
     }
 
     // Récupérer les commandes
+    const params = await searchParams;
     const sanitizedSearchParams = {
-      page: searchParams?.page || 1,
+      page: params?.page || 1,
+      ...Object.fromEntries(
+        ORDER_FILTER_PARAMS.filter((param) => params?.[param]).map((param) => [
+          param,
+          params[param],
+        ]),
+      ),
     };
 
     const ordersPromise = await getAllOrders(sanitizedSearchParams);
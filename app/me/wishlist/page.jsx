@@ -0,0 +1,56 @@
+import { lazy, Suspense } from "react";
+import { headers } from "next/headers";
+import { redirect } from "next/navigation";
+import { getAuthenticatedUser } from "@/lib/auth";
+
+export const dynamic = "force-dynamic";
+
+// Chargement dynamique avec fallback
+const ListWishlist = lazy(() => import("@/components/wishlist/ListWishlist"));
+
+// Composant de chargement dédié
+const WishlistPageSkeleton = () => (
+  <div className="animate-pulse p-4" aria-busy="true" aria-live="polite">
+    <div className="h-7 bg-gray-200 rounded w-48 mb-6"></div>
+    {[...Array(3)].map((_, i) => (
+      <div key={i} className="h-24 bg-gray-200 rounded-md mb-3"></div>
+    ))}
+    <span className="sr-only">Chargement des favoris...</span>
+  </div>
+);
+
+// Métadonnées pour SEO
+export const metadata = {
+  title: "Mes favoris | Buy It Now",
+  description:
+    "Retrouvez les produits que vous avez sauvegardés sur Buy It Now",
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  alternates: {
+    canonical: "/me/wishlist",
+  },
+};
+
+/**
+ * Page de la liste d'envies (favoris) de l'utilisateur connecté
+ */
+export default async function MyWishlistPage() {
+  const headersList = await headers();
+  const user = await getAuthenticatedUser(headersList);
+
+  if (!user) {
+    return redirect("/login?callbackUrl=/me/wishlist");
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <h1 className="text-2xl font-semibold mb-6">Mes favoris</h1>
+      <Suspense fallback={<WishlistPageSkeleton />}>
+        <ListWishlist />
+      </Suspense>
+    </div>
+  );
+}
@@ -120,6 +120,7 @@ const getAllProducts = async (searchParams) => {
         products: responseBody.data.products || [],
         totalPages: responseBody.data.totalPages || 0,
         totalProducts: responseBody.data.totalProducts || 0,
+        facets: responseBody.data.facets || null,
       },
     };
   } catch (error) {
@@ -0,0 +1,49 @@
+import { Suspense, lazy } from "react";
+import { cookies } from "next/headers";
+import { redirect } from "next/navigation";
+import PaymentPageSkeleton from "@/components/skeletons/PaymentPageSkeleton";
+
+// Forcer le rendu dynamique pour cette page
+export const dynamic = "force-dynamic";
+
+// Lazy loading du composant Shipping
+const Shipping = lazy(() => import("@/components/cart/Shipping"));
+
+export const metadata = {
+  title: "Livraison de votre commande | Buy It Now",
+  description:
+    "Choisissez votre adresse de livraison ou un point de retrait pour votre commande",
+  robots: {
+    index: false,
+    follow: false,
+  },
+  alternates: {
+    canonical: "/shipping",
+  },
+};
+
+/**
+ * Page de livraison - Server Component
+ * Étape du checkout entre le panier et le paiement
+ */
+const ShippingPage = async () => {
+  // Vérification de l'authentification côté serveur
+  const cookieStore = await cookies();
+  const sessionCookie =
+    cookieStore.get("next-auth.session-token") ||
+    cookieStore.get("__Secure-next-auth.session-token");
+
+  if (!sessionCookie) {
+    return redirect("/login?callbackUrl=/shipping");
+  }
+
+  return (
+    <div className="shipping-page">
+      <Suspense fallback={<PaymentPageSkeleton />}>
+        <Shipping />
+      </Suspense>
+    </div>
+  );
+};
+
+export default ShippingPage;
@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import { captureException, captureMessage } from "@/monitoring/sentry";
 import { isValidMongoURI } from "../utils/validation";
 import logger from "@/utils/logger";
+import { runIndexMigrations } from "../utils/indexMigrations";
 
 // ===== CIRCUIT BREAKER IMPLEMENTATION =====
 class CircuitBreaker {
@@ -108,6 +109,7 @@ if (!cached) {
     isConnecting: false,
     lastHealthCheck: null,
     healthCheckInterval: null,
+    indexMigrations: null,
   };
 }
 
@@ -417,6 +419,16 @@ const dbConnect = async (forceNew = false) => {
     cached.promise = cached.circuitBreaker.execute(connectOperation);
     cached.conn = await cached.promise;
 
+    // Migrations d'index une fois par processus, sans bloquer la requête
+    if (!cached.indexMigrations) {
+      cached.indexMigrations = runIndexMigrations().catch((error) => {
+        logger.error("Index migration failed", { error: error.message });
+        captureException(error, {
+          tags: { service: "database", action: "index-migration" },
+        });
+      });
+    }
+
     return cached.conn;
   } catch (error) {
     cached.promise = null;
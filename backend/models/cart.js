@@ -8,6 +8,15 @@ const cartSchema = new mongoose.Schema(
       required: true,
       index: true, // Indexer pour des recherches plus rapides
     },
+    // Variante choisie (couleur / taille) - null pour un produit sans variante
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantLabel: {
+      type: String,
+      trim: true,
+    },
     quantity: {
       type: Number,
       required: true,
@@ -43,6 +52,11 @@ const cartSchema = new mongoose.Schema(
       default: () => new Date(+new Date() + 7 * 24 * 60 * 60 * 1000), // Expire après 7 jours par défaut
       index: true, // Indexer pour faciliter le nettoyage
     },
+    // Date d'envoi du rappel "votre panier expire dans 24h" (un seul par article)
+    expiryReminderSentAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Ajoute et gère automatiquement createdAt et updatedAt
@@ -51,7 +65,8 @@ const cartSchema = new mongoose.Schema(
 );
 
 // Index composé pour rechercher rapidement les articles du panier d'un utilisateur
-cartSchema.index({ user: 1, product: 1 }, { unique: true });
+// Une ligne par couple produit/variante
+cartSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
 
 // Méthode virtuelle pour calculer le sous-total
 cartSchema.virtual("subtotal").get(function () {
@@ -76,28 +91,27 @@ cartSchema.statics.findByUser = function (userId) {
 };
 
 // Middleware pre-save pour valider la disponibilité du stock
-cartSchema.pre("save", async function (next) {
+cartSchema.pre("save", async function () {
   if (this.isNew || this.isModified("quantity")) {
     // Vous pourriez vérifier ici si le stock est suffisant
     // Ce code dépend de votre modèle Product
-    try {
-      const Product = mongoose.model("Product");
-      const product = await Product.findById(this.product);
+    const Product = mongoose.model("Product");
+    const product = await Product.findById(this.product);
 
-      if (!product) {
-        return next(new Error("Produit non trouvé"));
-      }
+    if (!product) {
+      throw new Error("Produit non trouvé");
+    }
 
-      if (product.stock < this.quantity) {
-        return next(
-          new Error(`Stock insuffisant. Disponible: ${product.stock}`),
-        );
-      }
-    } catch (error) {
-      return next(error);
+    // Le stock est vérifié au niveau de la variante si elle existe
+    const resolved = Product.resolveVariant(product, this.variant);
+    if (!resolved) {
+      throw new Error("Variante non trouvée");
+    }
+
+    if (resolved.stock < this.quantity) {
+      throw new Error(`Stock insuffisant. Disponible: ${resolved.stock}`);
     }
   }
-  next();
 });
 
 // Middleware pour mettre à jour le champ updatedAt automatiquement
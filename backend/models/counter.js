@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+/**
+ * Compteurs atomiques (séquences nommées)
+ * Un document par séquence, incrémenté avec $inc : deux écritures
+ * concurrentes obtiennent toujours deux valeurs différentes
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    // Nom de la séquence, ex: "order-20250101"
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+/**
+ * Réserve la valeur suivante d'une séquence (créée à 1 si absente)
+ * Passer la session de la transaction en cours : si elle est annulée,
+ * l'incrément l'est aussi ; sinon la valeur est perdue (trou toléré)
+ * @param {string} name - Nom de la séquence
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number>} Valeur réservée
+ */
+counterSchema.statics.next = async function (name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  ).lean();
+
+  return counter.seq;
+};
+
+const Counter =
+  mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+/**
+ * Clés d'idempotence des requêtes sensibles (création de commande)
+ * Mémorise l'empreinte de la requête et la réponse renvoyée pour rejouer
+ * exactement la même réponse quand le client renvoie la même clé
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "La clé est obligatoire"],
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'utilisateur est obligatoire"],
+    },
+    // Route protégée, ex: "orders/webhook"
+    scope: {
+      type: String,
+      required: true,
+    },
+    // Empreinte SHA-256 du corps de la requête
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed,
+    },
+    // Suppression automatique (index TTL)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Une clé n'est valable que pour un utilisateur et une route
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey =
+  mongoose.models.IdempotencyKey ||
+  mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { INVENTORY_MOVEMENT_TYPES } from "@/helpers/constants";
+
+/**
+ * Journal des mouvements de stock
+ * Chaque modification de stock liée à une commande y est inscrite dans la
+ * même transaction que la mise à jour du produit. La somme des quantités
+ * d'un produit permet d'auditer et de rapprocher son stock.
+ */
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Le produit est obligatoire"],
+    },
+    // Variante concernée (null = produit sans variante)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: INVENTORY_MOVEMENT_TYPES,
+        message: "Type de mouvement invalide",
+      },
+      required: [true, "Le type de mouvement est obligatoire"],
+    },
+    // Variation du stock (négative pour une sortie)
+    quantity: {
+      type: Number,
+      required: [true, "La quantité est obligatoire"],
+      validate: {
+        validator: (value) => Number.isInteger(value) && value !== 0,
+        message: "La quantité doit être un entier non nul",
+      },
+    },
+    // Stock après le mouvement, pour le rapprochement
+    stockAfter: {
+      type: Number,
+      default: null,
+    },
+    variantStockAfter: {
+      type: Number,
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderNumber: {
+      type: String,
+      default: null,
+    },
+    actor: {
+      type: String,
+      enum: ["system", "customer", "staff"],
+      default: "system",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+inventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+const InventoryMovement =
+  mongoose.models.InventoryMovement ||
+  mongoose.model("InventoryMovement", inventoryMovementSchema);
+
+export default InventoryMovement;
@@ -1,6 +1,16 @@
 import mongoose from "mongoose";
 import logger from "@/utils/logger";
-import { captureException } from "@/monitoring/sentry";
+import Counter from "@/backend/models/counter";
+import {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_PROOF_STATUSES,
+  PAYMENT_STATUSES,
+  PAYMENT_TYPES,
+  REFUND_METHODS,
+  REFUND_STATUSES,
+  SHIPPING_METHODS,
+} from "@/helpers/constants";
 
 /**
  * Schéma détaillé pour les produits dans une commande
@@ -20,6 +30,23 @@ const orderItemSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
   },
+  // Variante commandée (couleur / taille) - copie pour référence historique
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  variantLabel: {
+    type: String,
+    trim: true,
+    maxlength: [
+      80,
+      "Le libellé de variante ne peut pas dépasser 80 caractères",
+    ],
+  },
+  sku: {
+    type: String,
+    trim: true,
+  },
   category: {
     type: String,
     required: [true, "Catégorie obligatoire"],
@@ -52,6 +79,58 @@ const orderItemSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Justificatif de paiement envoyé par le client (transfert Mobile Money)
+ * La commande reste "processing" jusqu'à la vérification par un administrateur
+ */
+const paymentProofSchema = new mongoose.Schema(
+  {
+    receipt: {
+      public_id: {
+        type: String,
+        required: [true, "Capture du reçu obligatoire"],
+      },
+      url: {
+        type: String,
+        required: [true, "Capture du reçu obligatoire"],
+      },
+    },
+    // Référence de la transaction saisie par le client
+    transactionReference: {
+      type: String,
+      required: [true, "Référence de la transaction obligatoire"],
+      trim: true,
+      maxlength: [40, "La référence ne peut pas dépasser 40 caractères"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: PAYMENT_PROOF_STATUSES,
+        message: "Statut de justificatif non valide: {VALUE}",
+      },
+      default: "pending",
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Motif communiqué au client en cas de refus
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [200, "La note ne peut pas dépasser 200 caractères"],
+    },
+  },
+  { _id: false },
+);
+
 /**
  * Schéma de paiement avec validation stricte
  */
@@ -60,7 +139,7 @@ const paymentInfoSchema = new mongoose.Schema({
     type: String,
     required: [true, "Type de paiement obligatoire"],
     enum: {
-      values: ["WAAFI", "D-MONEY", "CAC-PAY", "BCI-PAY", "CASH"],
+      values: PAYMENT_TYPES,
       message: "Type de paiement non supporté: {VALUE}",
     },
   },
@@ -107,6 +186,280 @@ const paymentInfoSchema = new mongoose.Schema({
         ? "Le paiement sera effectué en espèces à la livraison"
         : "";
     },
+  }, // Renseignés par l'adaptateur de l'opérateur (paiements en ligne)
+  transactionReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, "La référence ne peut pas dépasser 100 caractères"],
+  },
+  providerStatus: {
+    type: String,
+    trim: true,
+    maxlength: [50, "Le statut opérateur ne peut pas dépasser 50 caractères"],
+  },
+  providerMessage: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Le message ne peut pas dépasser 200 caractères"],
+  },
+  // Dernière interrogation de l'opérateur (suivi du statut de paiement)
+  statusCheckedAt: {
+    type: Date,
+  },
+  paymentProof: paymentProofSchema,
+  // Code de retrait à usage unique des commandes CASH, saisi par l'équipe
+  // à la remise de la commande contre paiement
+  pickupCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  pickupCodeUsedAt: {
+    type: Date,
+  },
+  pickupCodeUsedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+/**
+ * Adresse de livraison figée au moment de la commande
+ * Copie indépendante de User.address : modifier son profil ne change pas les commandes passées
+ */
+const shippingAddressSchema = new mongoose.Schema(
+  {
+    street: {
+      type: String,
+      required: [true, "Adresse de livraison obligatoire"],
+      trim: true,
+      maxlength: [100, "L'adresse ne peut pas dépasser 100 caractères"],
+    },
+    additionalInfo: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Le complément ne peut pas dépasser 100 caractères"],
+    },
+    city: {
+      type: String,
+      required: [true, "Ville obligatoire"],
+      trim: true,
+      maxlength: [50, "La ville ne peut pas dépasser 50 caractères"],
+    },
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [50, "La région ne peut pas dépasser 50 caractères"],
+    },
+    zipCode: {
+      type: String,
+      trim: true,
+      maxlength: [20, "Le code postal ne peut pas dépasser 20 caractères"],
+    },
+    country: {
+      type: String,
+      required: [true, "Pays obligatoire"],
+      trim: true,
+      maxlength: [50, "Le pays ne peut pas dépasser 50 caractères"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Mode de remise : livraison à une adresse ou retrait dans un point de retrait
+ */
+const shippingInfoSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      required: [true, "Mode de remise obligatoire"],
+      enum: {
+        values: SHIPPING_METHODS,
+        message: "Mode de remise non supporté: {VALUE}",
+      },
+    },
+    address: {
+      type: shippingAddressSchema,
+      required: [
+        function () {
+          return this.method === "delivery";
+        },
+        "Adresse de livraison obligatoire",
+      ],
+    },
+    pickupPoint: {
+      type: new mongoose.Schema(
+        {
+          id: { type: String, required: true, trim: true },
+          name: { type: String, required: true, trim: true },
+          address: { type: String, trim: true },
+        },
+        { _id: false },
+      ),
+      required: [
+        function () {
+          return this.method === "pickup";
+        },
+        "Point de retrait obligatoire",
+      ],
+    },
+    recipientName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Le téléphone ne peut pas dépasser 30 caractères"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Entrée de l'historique des statuts logistiques
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ORDER_STATUSES,
+        message: "Statut de commande non valide: {VALUE}",
+      },
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Origine du changement : système, client ou équipe
+    actor: {
+      type: String,
+      enum: ["system", "customer", "staff"],
+      default: "system",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "La note ne peut pas dépasser 200 caractères"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Ligne remboursée : quantité d'une ligne de commande et montant correspondant
+ */
+const refundItemSchema = new mongoose.Schema(
+  {
+    // _id de la ligne de commande (orderItems)
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Ligne de commande obligatoire"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantité obligatoire"],
+      min: [1, "La quantité minimum est 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "La quantité doit être un nombre entier",
+      },
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Le montant ne peut pas être négatif"],
+      set: (val) => Math.round(val * 100) / 100,
+    },
+    // Quantité remise en stock (article retourné revendable)
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Remboursement (total ou partiel) enregistré sur la commande
+ */
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, "Montant du remboursement obligatoire"],
+    min: [0, "Le montant ne peut pas être négatif"],
+    set: (val) => Math.round(val * 100) / 100,
+  },
+  items: {
+    type: [refundItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: "Au moins une ligne doit être remboursée",
+    },
+  },
+  reason: {
+    type: String,
+    required: [true, "Motif du remboursement obligatoire"],
+    trim: true,
+    maxlength: [200, "Le motif ne peut pas dépasser 200 caractères"],
+  },
+  method: {
+    type: String,
+    required: [true, "Mode de remboursement obligatoire"],
+    enum: {
+      values: REFUND_METHODS,
+      message: "Mode de remboursement non supporté: {VALUE}",
+    },
+  },
+  // Enregistré "pending" avant l'appel à l'opérateur, "completed" une fois
+  // le stock et le montant remboursé mis à jour
+  status: {
+    type: String,
+    enum: {
+      values: REFUND_STATUSES,
+      message: "Statut de remboursement non valide: {VALUE}",
+    },
+    default: "completed",
+  },
+  actor: {
+    type: String,
+    enum: ["system", "customer", "staff"],
+    default: "staff",
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Renseignés pour un remboursement via l'opérateur de paiement
+  providerReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, "La référence ne peut pas dépasser 100 caractères"],
+  },
+  providerStatus: {
+    type: String,
+    trim: true,
+    maxlength: [50, "Le statut opérateur ne peut pas dépasser 50 caractères"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
   },
 });
 
@@ -127,17 +480,12 @@ const orderSchema = new mongoose.Schema(
     },
     orderItems: [orderItemSchema],
     paymentInfo: paymentInfoSchema,
+    // Absent sur les commandes antérieures à la capture de l'adresse
+    shippingInfo: shippingInfoSchema,
     paymentStatus: {
       type: String,
       enum: {
-        values: [
-          "unpaid",
-          "processing",
-          "paid",
-          "refunded",
-          "failed",
-          "pending_cash",
-        ],
+        values: PAYMENT_STATUSES,
         message: "Statut de paiement non valide: {VALUE}",
       },
       default: function () {
@@ -148,6 +496,20 @@ const orderSchema = new mongoose.Schema(
       },
       index: true,
     },
+    // Statut logistique (préparation, expédition, retrait), distinct du paiement
+    orderStatus: {
+      type: String,
+      enum: {
+        values: ORDER_STATUSES,
+        message: "Statut de commande non valide: {VALUE}",
+      },
+      default: "pending",
+      index: true,
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
     totalAmount: {
       type: Number,
       min: [0, "Le montant total ne peut pas être négatif"],
@@ -157,6 +519,17 @@ const orderSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "La raison ne peut pas dépasser 200 caractères"],
     },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+    // Somme des remboursements (paymentStatus "refunded" une fois égale au total)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Le montant remboursé ne peut pas être négatif"],
+      set: (val) => Math.round(val * 100) / 100,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -173,6 +546,9 @@ const orderSchema = new mongoose.Schema(
     cancelledAt: {
       type: Date,
     },
+    refundedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: {
@@ -202,48 +578,33 @@ const orderSchema = new mongoose.Schema(
 // orderSchema.index({ "user.userId": 1, createdAt: -1 });
 orderSchema.index({ paymentStatus: 1, createdAt: -1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ user: 1, orderStatus: 1 });
+
+// Mémoriser le statut au chargement pour contrôler les transitions
+orderSchema.post("init", function (doc) {
+  doc.$locals.initialOrderStatus = doc.orderStatus;
+});
 
 // Créer un identifiant unique au format ORD-YYYYMMDD-XXXXX
-orderSchema.pre("save", async function (next) {
+// La séquence du jour vient du compteur "order-YYYYMMDD", incrémenté dans
+// la transaction du checkout : numéros uniques et croissants, trous possibles
+orderSchema.pre("save", async function () {
   if (this.isNew) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+
     try {
-      const date = new Date();
-      const datePart = date.toISOString().slice(0, 10).replace(/-/g, "");
-
-      const lastOrder = await this.constructor
-        .findOne(
-          {
-            orderNumber: new RegExp(`ORD-${datePart}-\\d+`),
-          },
-          { orderNumber: 1 },
-        )
-        .sort({ orderNumber: -1 });
-
-      let sequence = 1;
-      if (lastOrder && lastOrder.orderNumber) {
-        const lastSequence = parseInt(
-          lastOrder.orderNumber.split("-")[2] || "0",
-        );
-        sequence = lastSequence + 1;
-      }
+      const sequence = await Counter.next(`order-${datePart}`, {
+        session: this.$session(),
+      });
 
       this.orderNumber = `ORD-${datePart}-${sequence.toString().padStart(5, "0")}`;
     } catch (error) {
       logger.error("Erreur lors de la génération du numéro de commande", {
         error: error.message,
-        userId: this.user?.userId,
+        userId: this.user,
       });
 
-      const timestamp = Date.now().toString();
-      this.orderNumber = `ORD-${timestamp.substring(0, 8)}-${timestamp.substring(8)}`;
-    }
-
-    if (this.orderItems && this.orderItems.length > 0) {
-      this.orderItems.forEach((item) => {
-        if (!item.subtotal) {
-          item.subtotal = item.price * item.quantity;
-        }
-      });
+      throw error;
     }
 
     // Définir le statut de paiement initial pour CASH
@@ -253,17 +614,17 @@ orderSchema.pre("save", async function (next) {
   }
 
   this.updatedAt = Date.now();
-  next();
 });
 
 // Vérifier la cohérence des données avant sauvegarde
-orderSchema.pre("save", function (next) {
+// Sous-totaux toujours recalculés (prix x quantité) : le total facturé ne
+// repose jamais sur un sous-total fourni
+orderSchema.pre("save", function () {
   if (this.isModified("orderItems") || this.isNew) {
-    const itemsTotal = this.orderItems.reduce(
-      (sum, item) => sum + (item.subtotal || item.price * item.quantity),
-      0,
-    );
-    this.totalAmount = itemsTotal;
+    this.orderItems.forEach((item) => {
+      item.subtotal = item.price * item.quantity;
+    });
+    this.totalAmount = this.calculateTotal();
   }
 
   if (
@@ -273,44 +634,51 @@ orderSchema.pre("save", function (next) {
   ) {
     this.paidAt = Date.now();
   }
-
-  next();
 });
 
-// Mettre à jour le stock après création d'une commande
-orderSchema.post("save", async function () {
-  try {
-    if (this.isNew) {
-      const Product = mongoose.model("Product");
-      const bulkOps = this.orderItems.map((item) => ({
-        updateOne: {
-          filter: { _id: item.product },
-          update: {
-            $inc: {
-              stock: -item.quantity,
-              sold: item.quantity,
-            },
-          },
-        },
-      }));
+// Contrôler les changements de statut logistique et les historiser
+orderSchema.pre("save", function () {
+  // Une commande naît toujours "pending" : statut, historique, remboursements
+  // et annulation ne sont jamais repris des données de création
+  if (this.isNew) {
+    this.orderStatus = "pending";
+    this.statusHistory = [
+      { status: "pending", changedAt: this.createdAt || Date.now() },
+    ];
+    this.refunds = [];
+    this.refundedAmount = 0;
+    this.refundedAt = undefined;
+    this.cancelReason = undefined;
+    this.cancelledAt = undefined;
+    return;
+  }
 
-      if (bulkOps.length > 0) {
-        await Product.bulkWrite(bulkOps);
-      }
-    }
-  } catch (error) {
-    logger.error("Erreur lors de la mise à jour du stock", {
-      error: error.message,
-      orderId: this._id,
-      orderNumber: this.orderNumber,
-    });
+  if (!this.isModified("orderStatus")) return;
 
-    captureException(error, {
-      tags: { component: "order-model", operation: "update-stock" },
-    });
+  const previous = this.$locals.initialOrderStatus;
+  if (previous && !this.constructor.canTransition(previous, this.orderStatus)) {
+    const error = new Error(
+      `Transition de statut non autorisée: ${previous} -> ${this.orderStatus}`,
+    );
+    error.code = "INVALID_STATUS_TRANSITION";
+    throw error;
+  }
+
+  // Changement direct sans transitionTo() : historiser quand même
+  const last = this.statusHistory[this.statusHistory.length - 1];
+  if (!last || last.status !== this.orderStatus) {
+    this.statusHistory.push({ status: this.orderStatus });
+  }
+
+  if (this.orderStatus === "cancelled" && !this.cancelledAt) {
+    this.cancelledAt = Date.now();
   }
 });
 
+orderSchema.post("save", function (doc) {
+  doc.$locals.initialOrderStatus = doc.orderStatus;
+});
+
 // Méthode pour calculer le total de la commande
 orderSchema.methods.calculateTotal = function () {
   return this.orderItems.reduce(
@@ -319,6 +687,34 @@ orderSchema.methods.calculateTotal = function () {
   );
 };
 
+/**
+ * Fait passer la commande au statut suivant (sans sauvegarder)
+ * @param {string} status - Statut cible
+ * @param {Object} [options] - { actor: "system"|"customer"|"staff", note }
+ * @throws {Error} code INVALID_STATUS_TRANSITION si la transition est interdite
+ */
+orderSchema.methods.transitionTo = function (status, options = {}) {
+  const current = this.orderStatus || "pending";
+
+  if (!this.constructor.canTransition(current, status)) {
+    const error = new Error(
+      `Transition de statut non autorisée: ${current} -> ${status}`,
+    );
+    error.code = "INVALID_STATUS_TRANSITION";
+    throw error;
+  }
+
+  this.orderStatus = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    actor: options.actor || "system",
+    note: options.note,
+  });
+
+  return this;
+};
+
 // Méthode pour vérifier si c'est un paiement en espèces
 orderSchema.methods.isCashPayment = function () {
   return (
@@ -338,6 +734,11 @@ orderSchema.methods.isCashPayment = function () {
 //     .lean();
 // };
 
+// Méthode statique pour vérifier qu'une transition de statut est autorisée
+orderSchema.statics.canTransition = function (from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 // Méthode statique pour trouver les commandes récentes
 orderSchema.statics.findRecent = function (limit = 20) {
   return this.find().sort({ createdAt: -1 }).limit(limit).lean();
@@ -4,6 +4,76 @@ import slug from "mongoose-slug-updater";
 // Initialiser le plugin de slug
 mongoose.plugin(slug);
 
+// Sous-document pour les variantes (couleur / taille)
+const variantSchema = new mongoose.Schema(
+  {
+    color: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [
+          50,
+          "Le nom de la couleur ne peut pas dépasser 50 caractères",
+        ],
+      },
+      hex: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [
+          /^#(?:[0-9A-F]{3}){1,2}$/,
+          "Le code couleur doit être au format hexadécimal (#RRGGBB)",
+        ],
+      },
+    },
+    size: {
+      type: String,
+      trim: true,
+      maxlength: [20, "La taille ne peut pas dépasser 20 caractères"],
+    },
+    sku: {
+      type: String,
+      required: [true, "Le SKU de la variante est obligatoire"],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "Le SKU ne peut pas dépasser 50 caractères"],
+    },
+    stock: {
+      type: Number,
+      required: [true, "Le stock de la variante est obligatoire"],
+      min: [0, "Le stock ne peut pas être négatif"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Le stock doit être un nombre entier",
+      },
+    },
+    // Prix spécifique à la variante (sinon prix du produit)
+    price: {
+      type: Number,
+      min: [0, "Le prix ne peut pas être négatif"],
+      set: (val) =>
+        val === null || val === undefined ? val : Math.round(val * 100) / 100,
+    },
+    images: [
+      {
+        public_id: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: true },
+);
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -58,10 +128,26 @@ const productSchema = new mongoose.Schema(
         message: "Le stock doit être un nombre entier",
       },
     },
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
     sold: {
       type: Number,
       min: 0,
     },
+    // Note moyenne et nombre d'avis (recalculés à chaque nouvel avis)
+    ratingAverage: {
+      type: Number,
+      default: 0,
+      min: [0, "La note ne peut pas être négative"],
+      max: [5, "La note ne peut pas dépasser 5"],
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     isActive: {
       type: Boolean,
       index: true,
@@ -81,16 +167,24 @@ const productSchema = new mongoose.Schema(
   },
 );
 
-// Indexer les champs fréquemment recherchés
-productSchema.index({
-  name: "text",
-});
+// Index de recherche plein texte (un seul index texte par collection)
+// Le nom pèse plus que la description dans le score de pertinence.
+// default_language "french" : racinisation et mots vides français,
+// l'index texte v3 ignore déjà les accents (é = e).
+productSchema.index(
+  { name: "text", description: "text" },
+  {
+    name: "product_text_search",
+    weights: { name: 10, description: 2 },
+    default_language: "french",
+  },
+);
 
 // Si vous filtrez souvent par catégorie ET prix en même temps
 productSchema.index({ category: 1, price: 1 });
 
-// Si vous filtrez souvent par nom, catégorie ET prix en même temps
-productSchema.index({ name: "text", category: 1, price: 1 });
+// Index pour retrouver rapidement une variante par SKU
+productSchema.index({ "variants.sku": 1 }, { sparse: true });
 
 // Middleware pre-save pour mettre à jour le champ updatedAt
 productSchema.pre("save", function (next) {
@@ -106,11 +200,107 @@ productSchema.pre("save", function (next) {
   next();
 });
 
+// Middleware pour synchroniser le stock global avec celui des variantes
+productSchema.pre("save", function () {
+  if (this.variants?.length > 0 && this.isModified("variants")) {
+    this.stock = this.variants.reduce(
+      (total, variant) => total + (variant.stock || 0),
+      0,
+    );
+  }
+});
+
+// Mémoriser le stock au chargement pour détecter les retours en stock
+productSchema.post("init", function (doc) {
+  doc.$locals.initialStock = doc.stock;
+  doc.$locals.initialVariantStocks = new Map(
+    (doc.variants || []).map((variant) => [
+      variant._id.toString(),
+      variant.stock,
+    ]),
+  );
+});
+
+// Prévenir les abonnés quand le produit (ou une variante) revient en stock
+productSchema.post("save", function (doc) {
+  const initialStock = doc.$locals.initialStock;
+  if (initialStock === undefined) return;
+
+  const productRestocked = initialStock <= 0 && doc.stock > 0;
+  const variantRestocked = (doc.variants || []).some((variant) => {
+    const before = doc.$locals.initialVariantStocks?.get(
+      variant._id.toString(),
+    );
+    return before !== undefined && before <= 0 && variant.stock > 0;
+  });
+
+  doc.$locals.initialStock = doc.stock;
+  doc.$locals.initialVariantStocks = new Map(
+    (doc.variants || []).map((variant) => [
+      variant._id.toString(),
+      variant.stock,
+    ]),
+  );
+
+  if (!productRestocked && !variantRestocked) return;
+
+  // Import dynamique pour éviter une dépendance circulaire avec le notifier
+  // Envoi en arrière-plan : la sauvegarde ne doit pas attendre les emails
+  import("@/backend/utils/stockAlertNotifier")
+    .then(({ notifyBackInStock }) => notifyBackInStock(doc._id))
+    .catch((error) => {
+      console.error("Back in stock notification error:", error.message);
+    });
+});
+
 // Méthode pour vérifier si un produit est en stock
 productSchema.methods.isInStock = function () {
   return this.stock > 0;
 };
 
+// Méthode statique pour résoudre une variante (fonctionne aussi sur des documents lean)
+// Retourne le prix, le stock et les images effectifs pour le couple produit/variante
+productSchema.statics.resolveVariant = function (product, variantId) {
+  if (!product) return null;
+
+  const hasVariants = Array.isArray(product.variants)
+    ? product.variants.length > 0
+    : false;
+
+  // Produit sans variante : on utilise les valeurs du produit
+  if (!variantId) {
+    if (hasVariants) return null; // Une variante doit être choisie
+    return {
+      variant: null,
+      price: product.price,
+      stock: product.stock,
+      images: product.images || [],
+    };
+  }
+
+  const variant = hasVariants
+    ? product.variants.find((v) => v._id?.toString() === variantId.toString())
+    : null;
+
+  if (!variant || variant.isActive === false) return null;
+
+  return {
+    variant,
+    price:
+      variant.price !== null && variant.price !== undefined
+        ? variant.price
+        : product.price,
+    stock: variant.stock,
+    images: variant.images?.length ? variant.images : product.images || [],
+  };
+};
+
+// Libellé lisible d'une variante (ex: "Rouge / M")
+productSchema.statics.getVariantLabel = function (variant) {
+  if (!variant) return "";
+  return [variant.color?.name, variant.size].filter(Boolean).join(" / ");
+};
+
 //Methode pour recuperer les produits similaires
 // Méthode statique pour trouver des produits similaires
 productSchema.statics.findSimilarProductsLite = function (
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import logger from "@/utils/logger";
+import { captureException } from "@/monitoring/sentry";
+
+/**
+ * Schéma des avis clients
+ * Un seul avis par utilisateur et par produit, réservé aux acheteurs vérifiés
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Le produit est obligatoire"],
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'utilisateur est obligatoire"],
+      index: true,
+    },
+    // Commande payée qui justifie l'achat vérifié
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "La commande est obligatoire"],
+    },
+    // Copie du nom pour l'affichage (évite un populate sur User)
+    userName: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Le nom ne peut pas dépasser 50 caractères"],
+    },
+    rating: {
+      type: Number,
+      required: [true, "La note est obligatoire"],
+      min: [1, "La note minimum est 1"],
+      max: [5, "La note maximum est 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "La note doit être un nombre entier",
+      },
+    },
+    title: {
+      type: String,
+      required: [true, "Le titre est obligatoire"],
+      trim: true,
+      minlength: [5, "Le titre doit contenir au moins 5 caractères"],
+      maxlength: [100, "Le titre ne peut pas dépasser 100 caractères"],
+    },
+    comment: {
+      type: String,
+      required: [true, "Le commentaire est obligatoire"],
+      trim: true,
+      minlength: [10, "Le commentaire doit contenir au moins 10 caractères"],
+      maxlength: [500, "Le commentaire ne peut pas dépasser 500 caractères"],
+    },
+    wouldRecommend: {
+      type: Boolean,
+      default: null,
+    },
+    isVerifiedPurchase: {
+      type: Boolean,
+      default: true,
+    },
+    isVisible: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un seul avis par utilisateur et par produit
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+// Lister rapidement les avis visibles d'un produit
+reviewSchema.index({ product: 1, isVisible: 1, createdAt: -1 });
+
+/**
+ * Recalcule la note moyenne et le nombre d'avis d'un produit
+ * Un seul pipeline d'agrégation, résultat stocké sur le produit
+ */
+reviewSchema.statics.recalculateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId),
+        isVisible: true,
+      },
+    },
+    {
+      $group: {
+        _id: "$product",
+        ratingAverage: { $avg: "$rating" },
+        ratingCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const Product = mongoose.model("Product");
+  const ratingAverage = stats ? Math.round(stats.ratingAverage * 10) / 10 : 0;
+  const ratingCount = stats ? stats.ratingCount : 0;
+
+  await Product.updateOne(
+    { _id: productId },
+    { $set: { ratingAverage, ratingCount } },
+  );
+
+  return { ratingAverage, ratingCount };
+};
+
+/**
+ * Répartition des notes (1 à 5) pour un produit
+ */
+reviewSchema.statics.getRatingDistribution = async function (productId) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId),
+        isVisible: true,
+      },
+    },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((row) => {
+    distribution[row._id] = row.count;
+  });
+
+  return distribution;
+};
+
+// Mettre à jour la note du produit après chaque avis
+reviewSchema.post("save", async function (doc) {
+  try {
+    await doc.constructor.recalculateProductRating(doc.product);
+  } catch (error) {
+    logger.error("Erreur lors de la mise à jour de la note du produit", {
+      error: error.message,
+      productId: doc.product?.toString(),
+    });
+
+    captureException(error, {
+      tags: { component: "review-model", operation: "update-rating" },
+    });
+  }
+});
+
+reviewSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Review = mongoose.models.Review || mongoose.model("Review", reviewSchema);
+
+export default Review;
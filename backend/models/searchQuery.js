@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+/**
+ * Recherches récentes de chaque utilisateur connecté
+ * Alimente ses suggestions de recherche (saisie en cours) : les recherches
+ * d'un client ne sont jamais proposées aux autres
+ * Les entrées expirent automatiquement après 30 jours sans recherche
+ */
+const searchQuerySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Terme normalisé (minuscules, sans accents) pour dédoublonner
+    normalized: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "La recherche ne peut pas dépasser 100 caractères"],
+    },
+    // Dernière forme saisie, affichée dans les suggestions
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "La recherche ne peut pas dépasser 100 caractères"],
+    },
+    count: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    resultCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Une entrée par terme et par utilisateur (sert aussi la recherche par préfixe)
+searchQuerySchema.index({ user: 1, normalized: 1 }, { unique: true });
+
+// Expiration automatique des recherches anciennes (30 jours)
+searchQuerySchema.index(
+  { lastSearchedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 },
+);
+
+/**
+ * Enregistre une recherche (upsert sur l'utilisateur et le terme normalisé)
+ */
+searchQuerySchema.statics.record = function (
+  userId,
+  query,
+  normalized,
+  resultCount,
+) {
+  return this.updateOne(
+    { user: userId, normalized },
+    {
+      $set: { query, resultCount, lastSearchedAt: new Date() },
+      $inc: { count: 1 },
+    },
+    { upsert: true },
+  );
+};
+
+const SearchQuery =
+  mongoose.models.SearchQuery ||
+  mongoose.model("SearchQuery", searchQuerySchema);
+
+export default SearchQuery;
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+/**
+ * Abonnements aux alertes de retour en stock
+ * Un document par utilisateur, produit et variante.
+ *
+ * Cycle de vie : pending -> sending -> notified
+ * Le passage à "sending" est atomique, ce qui garantit un seul email
+ * par abonné et par réapprovisionnement. Se réabonner repasse en "pending".
+ */
+const stockAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'utilisateur est obligatoire"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Le produit est obligatoire"],
+    },
+    // Variante attendue (null = n'importe quel stock du produit)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Copie des coordonnées pour l'envoi (évite un populate sur User)
+    email: {
+      type: String,
+      required: [true, "L'email est obligatoire"],
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Le nom ne peut pas dépasser 50 caractères"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "sending", "notified"],
+        message: "Statut d'alerte invalide",
+      },
+      default: "pending",
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Nombre d'emails envoyés depuis la création de l'abonnement
+    notificationCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastError: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un seul abonnement par utilisateur, produit et variante
+stockAlertSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+
+// Retrouver rapidement les abonnés à prévenir pour un produit
+stockAlertSchema.index({ product: 1, status: 1 });
+
+// Repérer les envois interrompus
+stockAlertSchema.index({ status: 1, updatedAt: 1 });
+
+stockAlertSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const StockAlert =
+  mongoose.models.StockAlert || mongoose.model("StockAlert", stockAlertSchema);
+
+export default StockAlert;
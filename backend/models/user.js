@@ -2,6 +2,56 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 // import { captureException } from '@/monitoring/sentry';
 import logger from "@/utils/logger";
+import { MAX_SAVED_ADDRESSES } from "@/helpers/constants";
+
+/**
+ * Adresse du carnet d'adresses (livraison au checkout)
+ */
+const savedAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: "Domicile",
+    maxLength: [30, "Le libellé ne peut pas dépasser 30 caractères"],
+  },
+  street: {
+    type: String,
+    required: [true, "L'adresse est obligatoire"],
+    trim: true,
+    maxLength: [100, "L'adresse ne peut pas dépasser 100 caractères"],
+  },
+  additionalInfo: {
+    type: String,
+    trim: true,
+    maxLength: [100, "Le complément ne peut pas dépasser 100 caractères"],
+  },
+  city: {
+    type: String,
+    required: [true, "La ville est obligatoire"],
+    trim: true,
+    maxLength: [50, "Le nom de la ville ne peut pas dépasser 50 caractères"],
+  },
+  state: {
+    type: String,
+    trim: true,
+    maxLength: [50, "La région ne peut pas dépasser 50 caractères"],
+  },
+  zipCode: {
+    type: String,
+    trim: true,
+    maxLength: [20, "Le code postal ne peut pas dépasser 20 caractères"],
+  },
+  country: {
+    type: String,
+    required: [true, "Le pays est obligatoire"],
+    trim: true,
+    maxLength: [50, "Le nom du pays ne peut pas dépasser 50 caractères"],
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 /**
  * Schéma utilisateur avancé avec validation, indexation et méthodes d'instance
@@ -134,6 +184,15 @@ const userSchema = new mongoose.Schema(
         index: true,
       },
     },
+    // Carnet d'adresses (address reste l'adresse du profil)
+    addresses: {
+      type: [savedAddressSchema],
+      default: [],
+      validate: {
+        validator: (v) => v.length <= MAX_SAVED_ADDRESSES,
+        message: `Maximum ${MAX_SAVED_ADDRESSES} adresses enregistrées`,
+      },
+    },
     role: {
       type: String,
       enum: {
@@ -296,6 +355,20 @@ userSchema.pre("findOneAndUpdate", function (next) {
   next();
 });
 
+// Garder une seule adresse par défaut (la première si aucune n'est choisie)
+userSchema.methods.setDefaultAddress = function (addressId) {
+  if (this.addresses.length === 0) return;
+
+  const targetId =
+    addressId ||
+    this.addresses.find((address) => address.isDefault)?._id ||
+    this.addresses[0]._id;
+
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(targetId);
+  });
+};
+
 // Méthode pour comparer le mot de passe
 userSchema.methods.comparePassword = async function (enteredPassword) {
   try {
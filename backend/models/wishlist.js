@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+/**
+ * Liste d'envies (favoris) des utilisateurs connectés
+ * Un document par produit sauvegardé - contrairement au panier,
+ * les articles n'expirent pas
+ */
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "L'utilisateur est obligatoire"],
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Le produit est obligatoire"],
+      index: true,
+    },
+    // Variante sélectionnée au moment de l'ajout (optionnelle)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Prix au moment de l'ajout pour signaler les baisses de prix
+    priceAtAdd: {
+      type: Number,
+      min: [0, "Le prix ne peut pas être négatif"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un produit n'apparaît qu'une fois dans la liste d'un utilisateur
+wishlistSchema.index({ user: 1, product: 1 }, { unique: true });
+
+// Lister la liste d'envies du plus récent au plus ancien
+wishlistSchema.index({ user: 1, createdAt: -1 });
+
+wishlistSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Wishlist =
+  mongoose.models.Wishlist || mongoose.model("Wishlist", wishlistSchema);
+
+export default Wishlist;
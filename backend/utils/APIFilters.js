@@ -1,23 +1,60 @@
 import mongoose from "mongoose";
+import { toTextSearchQuery } from "@/backend/utils/searchHighlighter";
+
+// Correspondance entre le paramètre "sort" et le tri MongoDB
+const SORT_STAGES = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  best_selling: { sold: -1, _id: 1 },
+  // Sans recherche textuelle, la pertinence privilégie les produits populaires
+  // (avec un mot-clé, le tri se fait sur le score textuel, voir sort())
+  relevance: { sold: -1, ratingAverage: -1, createdAt: -1, _id: 1 },
+};
+
+// Bornes des tranches de prix (Fdj) pour les facettes
+const PRICE_BUCKET_BOUNDARIES = [0, 1000, 5000, 10000, 50000];
 
 class APIFilters {
   constructor(query, queryStr) {
     this.query = query;
     this.queryStr = queryStr;
     this.baseQuery = query.clone(); // Sauvegarder la requête de base
+
+    // Filtres séparés par dimension pour le calcul des facettes
+    this.searchFilter = {};
+    this.categoryFilter = {};
+    this.priceFilter = {};
+    this.stockFilter = {};
   }
 
+  /**
+   * Recherche plein texte sur le nom et la description (index texte)
+   * Insensible aux accents et à la casse, avec racinisation française
+   */
   search() {
-    const keyword = this.queryStr.get("keyword")
+    const searchQuery = toTextSearchQuery(this.queryStr.get("keyword"));
+
+    const keyword = searchQuery
       ? {
-          name: {
-            $regex: this.queryStr.get("keyword"),
-            $options: "i",
+          $text: {
+            $search: searchQuery,
+            $language: "french",
+            $caseSensitive: false,
+            $diacriticSensitive: false,
           },
         }
       : {};
 
+    this.searchFilter = keyword;
+    this.isTextSearch = Boolean(searchQuery);
     this.query = this.query.find({ ...keyword });
+
+    // Exposer le score de pertinence pour le tri
+    if (this.isTextSearch) {
+      this.query = this.query.select({ score: { $meta: "textScore" } });
+    }
+
     return this;
   }
 
@@ -64,9 +101,13 @@ class APIFilters {
     for (let key in queryCopy) {
       if (!key.match(/\b(gt|gte|lt|lte)/)) {
         if (key === "category") {
-          const categoryId = new mongoose.Types.ObjectId(queryCopy[key]);
+          // Une ou plusieurs catégories séparées par des virgules
+          const categoryIds = String(queryCopy[key])
+            .split(",")
+            .map((id) => new mongoose.Types.ObjectId(id));
 
-          output[key] = categoryId;
+          output[key] =
+            categoryIds.length > 1 ? { $in: categoryIds } : categoryIds[0];
         } else {
           output[key] = queryCopy[key];
         }
@@ -79,15 +120,136 @@ class APIFilters {
           output[prop] = {};
         }
 
-        output[prop][`$${operator}`] = queryCopy[key];
+        // Nombre explicite : l'agrégation des facettes ne caste pas les valeurs
+        output[prop][`$${operator}`] = Number(queryCopy[key]);
       }
     }
     // { price: { $gte: 100, $lte: 1000 } }
 
+    // Disponibilité : uniquement les produits en stock
+    if (this.queryStr.get("inStock") === "true") {
+      output.stock = { $gt: 0 };
+    }
+
+    this.categoryFilter = output.category ? { category: output.category } : {};
+    this.priceFilter = output.price ? { price: output.price } : {};
+    this.stockFilter = output.stock ? { stock: output.stock } : {};
+
     this.query = this.query.find(output);
     return this;
   }
 
+  sort() {
+    const sortKey = this.queryStr.get("sort");
+
+    // Avec une recherche, la pertinence (par défaut) suit le score textuel
+    if (this.isTextSearch && (!sortKey || sortKey === "relevance")) {
+      this.query = this.query.sort({
+        score: { $meta: "textScore" },
+        _id: 1,
+      });
+      return this;
+    }
+
+    const sortStage = SORT_STAGES[sortKey];
+
+    if (sortStage) {
+      this.query = this.query.sort(sortStage);
+    }
+
+    return this;
+  }
+
+  /**
+   * Calcule les facettes (catégories, tranches de prix, disponibilité)
+   * en une seule agrégation. Chaque facette ignore son propre filtre
+   * pour afficher le nombre de résultats de chaque option.
+   */
+  async facets(model) {
+    const baseFilter = {
+      ...this.baseQuery.getFilter(),
+      ...this.searchFilter,
+    };
+
+    const [result] = await model.aggregate([
+      { $match: baseFilter },
+      {
+        $facet: {
+          categories: [
+            { $match: { ...this.priceFilter, ...this.stockFilter } },
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+            {
+              $lookup: {
+                from: "categories",
+                localField: "_id",
+                foreignField: "_id",
+                as: "category",
+              },
+            },
+            { $unwind: "$category" },
+            { $match: { "category.isActive": true } },
+            {
+              $project: {
+                _id: 1,
+                name: "$category.categoryName",
+                count: 1,
+              },
+            },
+            { $sort: { name: 1 } },
+          ],
+          priceRanges: [
+            { $match: { ...this.categoryFilter, ...this.stockFilter } },
+            {
+              $bucket: {
+                groupBy: "$price",
+                boundaries: PRICE_BUCKET_BOUNDARIES,
+                default: "other",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          availability: [
+            { $match: { ...this.categoryFilter, ...this.priceFilter } },
+            {
+              $group: {
+                _id: null,
+                inStock: { $sum: { $cond: [{ $gt: ["$stock", 0] }, 1, 0] } },
+                total: { $sum: 1 },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    // Convertir les tranches en { min, max, count }
+    const priceRanges = (result?.priceRanges || []).map((bucket) => {
+      if (bucket._id === "other") {
+        return {
+          min: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1],
+          max: null,
+          count: bucket.count,
+        };
+      }
+
+      const index = PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id);
+      return {
+        min: bucket._id,
+        max: PRICE_BUCKET_BOUNDARIES[index + 1],
+        count: bucket.count,
+      };
+    });
+
+    return {
+      categories: result?.categories || [],
+      priceRanges,
+      availability: {
+        inStock: result?.availability?.[0]?.inStock || 0,
+        total: result?.availability?.[0]?.total || 0,
+      },
+    };
+  }
+
   pagination(resPerPage) {
     const currentPage = Number(this.queryStr.get("page")) || 1;
     const skip = resPerPage * (currentPage - 1);
@@ -0,0 +1,135 @@
+import Cart from "@/backend/models/cart";
+import User from "@/backend/models/user";
+import { sendCartExpiryReminderEmail } from "@/backend/utils/emailService";
+import logger from "@/utils/logger";
+import { captureException } from "@/monitoring/sentry";
+
+// Rappel envoyé quand l'expiration tombe dans cette fenêtre
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Nombre maximum d'utilisateurs relancés par passage
+const MAX_REMINDERS_PER_RUN = 200;
+
+/**
+ * Envoie un rappel unique aux utilisateurs dont des articles expirent sous 24h
+ * Les articles sont regroupés par utilisateur : un seul email par panier.
+ * Chaque lot est réservé atomiquement (expiryReminderSentAt) avant l'envoi,
+ * deux exécutions concurrentes ne peuvent donc pas relancer le même article.
+ * En cas d'échec d'envoi, la réservation est annulée pour le prochain passage.
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+export const sendCartExpiryReminders = async () => {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+  const now = new Date();
+
+  const groups = await Cart.aggregate([
+    {
+      $match: {
+        expiresAt: {
+          $gt: now,
+          $lte: new Date(now.getTime() + REMINDER_WINDOW_MS),
+        },
+        expiryReminderSentAt: null,
+      },
+    },
+    {
+      $group: {
+        _id: "$user",
+        itemIds: { $push: "$_id" },
+        expiresAt: { $min: "$expiresAt" },
+      },
+    },
+    { $sort: { expiresAt: 1 } },
+    { $limit: MAX_REMINDERS_PER_RUN },
+  ]);
+
+  if (groups.length === 0) return summary;
+
+  const users = await User.find({
+    _id: { $in: groups.map((group) => group._id) },
+  })
+    .select("name email isActive")
+    .lean();
+
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  for (const group of groups) {
+    const user = usersById.get(group._id.toString());
+
+    // Compte supprimé ou suspendu : l'article sera simplement retiré à l'expiration
+    if (!user || user.isActive === false || !user.email) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const claimedAt = new Date();
+    const claim = await Cart.updateMany(
+      { _id: { $in: group.itemIds }, expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: claimedAt } },
+    );
+
+    // Déjà pris en charge par une autre exécution
+    if (claim.modifiedCount === 0) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const items = await Cart.find({
+      _id: { $in: group.itemIds },
+      expiryReminderSentAt: claimedAt,
+    })
+      .select("productName variantLabel quantity price expiresAt")
+      .lean();
+
+    const result = await sendCartExpiryReminderEmail(user.email, user.name, {
+      items,
+      expiresAt: group.expiresAt,
+    });
+
+    if (result.success) {
+      summary.sent += 1;
+    } else {
+      await Cart.updateMany(
+        { _id: { $in: group.itemIds }, expiryReminderSentAt: claimedAt },
+        { $set: { expiryReminderSentAt: null } },
+      );
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Tâche planifiée du panier : rappels avant expiration puis suppression des articles expirés
+ * Les rappels passent en premier pour ne jamais supprimer un article
+ * dont le propriétaire aurait pu être prévenu lors de ce passage.
+ * @returns {Promise<{reminders: Object, removed: number}>}
+ */
+export const runCartExpirySweep = async () => {
+  let reminders = { sent: 0, failed: 0, skipped: 0 };
+
+  try {
+    reminders = await sendCartExpiryReminders();
+  } catch (error) {
+    // Un échec des rappels ne doit pas bloquer le nettoyage
+    logger.error("Erreur lors de l'envoi des rappels de panier", {
+      error: error.message,
+    });
+
+    captureException(error, {
+      tags: { component: "cart-expiry", operation: "send-reminders" },
+    });
+  }
+
+  const { deletedCount = 0 } = await Cart.removeExpiredItems();
+
+  if (reminders.sent > 0 || reminders.failed > 0 || deletedCount > 0) {
+    logger.info("Cart expiry sweep completed", {
+      ...reminders,
+      removed: deletedCount,
+    });
+  }
+
+  return { reminders, removed: deletedCount };
+};
@@ -0,0 +1,164 @@
+import Product from "@/backend/models/product";
+
+// Champs du produit nécessaires pour formater le panier
+export const CART_PRODUCT_FIELDS = "name price stock images isActive variants";
+
+// Limites communes au panier connecté et au panier invité
+export const MAX_CART_ITEMS = 50;
+export const MAX_ITEM_QUANTITY = 99;
+
+/**
+ * Formate un article du panier en tenant compte de la variante choisie
+ * Le prix, le stock et l'image proviennent de la variante si elle existe
+ */
+export const formatCartItem = (item) => {
+  const resolved = Product.resolveVariant(item.product, item.variant);
+  const stock = resolved?.stock || 0;
+  const price = resolved?.price ?? item.product.price;
+
+  return {
+    id: item._id,
+    productId: item.product._id,
+    productName: item.product.name,
+    variantId: item.variant || null,
+    variantLabel: resolved?.variant
+      ? Product.getVariantLabel(resolved.variant)
+      : "",
+    sku: resolved?.variant?.sku || null,
+    price,
+    quantity: item.quantity,
+    stock,
+    subtotal: item.quantity * price,
+    imageUrl: resolved?.images?.[0]?.url || item.product.images?.[0]?.url || "",
+  };
+};
+
+/**
+ * Valide les articles d'un panier invité envoyés par le client
+ * Ignore les entrées mal formées et fusionne les doublons produit/variante
+ * @param {Array} items - [{ productId, variantId?, quantity }]
+ * @returns {Array<{productId: string, variantId: string|null, quantity: number}>}
+ */
+export const sanitizeGuestItems = (items) => {
+  if (!Array.isArray(items)) return [];
+
+  const merged = new Map();
+
+  for (const item of items.slice(0, MAX_CART_ITEMS)) {
+    const productId = item?.productId;
+    const variantId = item?.variantId || null;
+    const quantity = parseInt(item?.quantity, 10);
+
+    if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) continue;
+    if (variantId && !/^[0-9a-fA-F]{24}$/.test(variantId)) continue;
+    if (!Number.isInteger(quantity) || quantity < 1) continue;
+
+    const key = `${productId}:${variantId || ""}`;
+    const previous = merged.get(key)?.quantity || 0;
+
+    merged.set(key, {
+      productId,
+      variantId,
+      quantity: Math.min(previous + quantity, MAX_ITEM_QUANTITY),
+    });
+  }
+
+  return [...merged.values()];
+};
+
+// Écart de prix ignoré (arrondis)
+const PRICE_TOLERANCE = 0.01;
+
+/**
+ * Compare un article du panier à l'état actuel du produit
+ * Le prix est comparé à celui enregistré lors de l'ajout (Cart.price).
+ * @param {Object} item - Article du panier avec le produit populé
+ * @returns {Array<Object>} Changements détectés (vide si l'article est à jour)
+ */
+export const detectCartItemChanges = (item) => {
+  const base = {
+    id: item._id,
+    productId: item.product?._id || null,
+    productName: item.product?.name || item.productName,
+    variantId: item.variant || null,
+    variantLabel: item.variantLabel || "",
+  };
+
+  if (!item.product || !item.product.isActive) {
+    return [{ ...base, type: "PRODUCT_UNAVAILABLE" }];
+  }
+
+  const resolved = Product.resolveVariant(item.product, item.variant);
+  if (!resolved) {
+    return [{ ...base, type: "VARIANT_UNAVAILABLE" }];
+  }
+
+  if (!(resolved.stock > 0)) {
+    return [{ ...base, type: "OUT_OF_STOCK" }];
+  }
+
+  const changes = [];
+
+  if (item.quantity > resolved.stock) {
+    changes.push({
+      ...base,
+      type: "STOCK_REDUCED",
+      previousQuantity: item.quantity,
+      availableQuantity: resolved.stock,
+    });
+  }
+
+  if (
+    typeof item.price === "number" &&
+    Math.abs(resolved.price - item.price) > PRICE_TOLERANCE
+  ) {
+    changes.push({
+      ...base,
+      type: "PRICE_CHANGED",
+      previousPrice: item.price,
+      newPrice: resolved.price,
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Construit la réponse panier à partir des articles populés
+ * Les articles indisponibles sont exclus de la liste mais signalés dans "changes",
+ * les quantités sont plafonnées au stock disponible.
+ * @param {Array} cartItems - Articles du panier (lean, produit populé avec CART_PRODUCT_FIELDS)
+ * @returns {{cart: Array, cartCount: number, cartTotal: number, changes: Array}}
+ */
+export const buildCartSummary = (cartItems) => {
+  const changes = cartItems.flatMap(detectCartItemChanges);
+
+  const cart = cartItems
+    .filter((item) => {
+      if (!item.product || !item.product.isActive) return false;
+      const resolved = Product.resolveVariant(item.product, item.variant);
+      return resolved && resolved.stock > 0;
+    })
+    .map((item) => {
+      const formatted = formatCartItem(item);
+      const quantity = Math.min(item.quantity, formatted.stock);
+
+      return {
+        ...formatted,
+        quantity,
+        subtotal: quantity * formatted.price,
+        priceAtAdd: item.price ?? formatted.price,
+        meta: {
+          adjusted: quantity !== item.quantity,
+          originalQuantity: item.quantity,
+        },
+      };
+    });
+
+  return {
+    cart,
+    cartCount: cart.length,
+    cartTotal: cart.reduce((sum, item) => sum + item.subtotal, 0),
+    changes,
+  };
+};
@@ -1,5 +1,7 @@
 import { Resend } from 'resend';
 import { captureException } from '@/monitoring/sentry';
+import { getPickupQrValue } from '@/helpers/helpers';
+import { createQrMatrix } from '@/utils/qrCode';
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
@@ -649,3 +651,599 @@ Cet email a été envoyé automatiquement pour des raisons de sécurité.
     };
   }
 };
+
+/**
+ * Envoie une alerte de retour en stock à un abonné
+ * @param {string} email - L'adresse email du destinataire
+ * @param {string} name - Le nom de l'utilisateur
+ * @param {Object} product - { id, name, price, imageUrl, variantLabel }
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+export const sendBackInStockEmail = async (email, name, product) => {
+  try {
+    // Validation des paramètres
+    if (!email || !product?.id || !product?.name) {
+      throw new Error('Missing required parameters for back in stock email');
+    }
+
+    const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_API_URL;
+    const productUrl = `${baseUrl}/product/${product.id}`;
+    const displayName = name || 'cher client';
+    const productLabel = product.variantLabel
+      ? `${product.name} (${product.variantLabel})`
+      : product.name;
+    const formattedPrice =
+      typeof product.price === 'number'
+        ? `${product.price.toFixed(2)} Fdj`
+        : '';
+
+    // Template HTML
+    const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>De retour en stock - BuyItNow</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background: #f8f9fa; padding: 20px;">
+        <!-- Header -->
+        <div style="background: #2563eb; color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 24px;">BuyItNow</h1>
+          <p style="margin: 5px 0 0 0; opacity: 0.9;">Un produit que vous attendiez est de retour</p>
+        </div>
+
+        <!-- Body -->
+        <div style="background: white; padding: 30px; border-radius: 0 0 8px 8px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1f2937; margin-top: 0;">Bonjour ${displayName} ! 👋</h2>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Bonne nouvelle : <strong>${productLabel}</strong> est de nouveau disponible.
+            Les quantités peuvent être limitées, ne tardez pas !
+          </p>
+
+          ${
+            product.imageUrl
+              ? `<div style="text-align: center; margin: 20px 0;">
+            <img src="${product.imageUrl}" alt="${product.name}" style="max-width: 200px; max-height: 200px; border-radius: 6px;">
+          </div>`
+              : ''
+          }
+
+          ${
+            formattedPrice
+              ? `<p style="text-align: center; color: #1f2937; font-size: 18px; font-weight: bold; margin: 10px 0 20px 0;">${formattedPrice}</p>`
+              : ''
+          }
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${productUrl}"
+               style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              🛒 Voir le produit
+            </a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">
+            🔔 Vous recevez cet email car vous avez demandé à être prévenu(e) du retour en stock de ce produit.<br>
+            Cette alerte ne sera plus envoyée, sauf si vous vous réabonnez depuis la fiche produit.
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+          © 2025 BuyItNow. Tous droits réservés.
+        </div>
+      </div>
+    </body>
+    </html>`;
+
+    // Version texte (fallback)
+    const textTemplate = `
+Bonjour ${displayName} !
+
+Bonne nouvelle : ${productLabel} est de nouveau disponible.
+${formattedPrice ? `Prix : ${formattedPrice}\n` : ''}
+Voir le produit : ${productUrl}
+
+Les quantités peuvent être limitées, ne tardez pas !
+
+Vous recevez cet email car vous avez demandé à être prévenu(e) du retour en stock de ce produit.
+
+---
+BuyItNow - © 2025`;
+
+    // Configuration email
+    const emailOptions = {
+      from:
+        process.env.NODE_ENV === 'production'
+          ? 'onboarding@resend.dev'
+          : 'onboarding@resend.dev',
+      to: [email],
+      subject: `🔔 ${product.name} est de retour en stock - BuyItNow`,
+      html: htmlTemplate,
+      text: textTemplate,
+      headers: {
+        'X-Entity-Ref-ID': `restock-${product.id}-${Date.now()}`,
+      },
+    };
+
+    // En développement, juste logger
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`
+🔔 EMAIL DE RETOUR EN STOCK (DEV):
+📧 To: ${email}
+👤 Name: ${displayName}
+📦 Product: ${productLabel}
+🌐 Link: ${productUrl}
+      `);
+      return { success: true, messageId: 'dev-mode-restock' };
+    }
+
+    // Envoyer l'email via Resend
+    const result = await resend.emails.send(emailOptions);
+
+    console.log('✅ Back in stock email sent:', {
+      to: email?.substring(0, 3) + '***',
+      productId: product.id,
+      messageId: result.id || result.data?.id,
+    });
+
+    return {
+      success: true,
+      messageId: result.id || result.data?.id,
+      email: email,
+    };
+  } catch (error) {
+    console.error('❌ Failed to send back in stock email:', {
+      error: error.message,
+      email: email?.substring(0, 3) + '***',
+      productId: product?.id,
+    });
+
+    captureException(error, {
+      tags: { component: 'emailService', action: 'sendBackInStockEmail' },
+      extra: {
+        email: email?.substring(0, 3) + '***',
+        productId: product?.id,
+      },
+      level: 'warning',
+    });
+
+    return {
+      success: false,
+      error: error.message || 'Failed to send back in stock email',
+      email: email,
+    };
+  }
+};
+
+/**
+ * Envoie un rappel avant l'expiration des articles du panier
+ * @param {string} email - L'adresse email du destinataire
+ * @param {string} name - Le nom de l'utilisateur
+ * @param {Object} reminder - { items: [{ productName, variantLabel, quantity, price }], expiresAt }
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+export const sendCartExpiryReminderEmail = async (email, name, reminder) => {
+  try {
+    // Validation des paramètres
+    if (!email || !reminder?.items?.length || !reminder?.expiresAt) {
+      throw new Error('Missing required parameters for cart expiry reminder');
+    }
+
+    const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_API_URL;
+    const cartUrl = `${baseUrl}/cart`;
+    const displayName = name || 'cher client';
+    const expiresAt = new Date(reminder.expiresAt).toLocaleString('fr-FR', {
+      dateStyle: 'long',
+      timeStyle: 'short',
+    });
+
+    const itemLabel = (item) =>
+      item.variantLabel
+        ? `${item.productName} (${item.variantLabel})`
+        : item.productName;
+
+    const total = reminder.items.reduce(
+      (sum, item) => sum + (item.price || 0) * (item.quantity || 0),
+      0,
+    );
+
+    const itemRows = reminder.items
+      .map(
+        (item) => `
+            <tr>
+              <td style="padding: 8px 0; color: #1f2937;">${itemLabel(item)}</td>
+              <td style="padding: 8px 0; color: #4b5563; text-align: center;">x${item.quantity}</td>
+              <td style="padding: 8px 0; color: #1f2937; text-align: right;">${(item.price || 0).toFixed(2)} Fdj</td>
+            </tr>`,
+      )
+      .join('');
+
+    // Template HTML
+    const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Votre panier expire bientôt - BuyItNow</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background: #f8f9fa; padding: 20px;">
+        <!-- Header -->
+        <div style="background: #2563eb; color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 24px;">BuyItNow</h1>
+          <p style="margin: 5px 0 0 0; opacity: 0.9;">Votre panier vous attend</p>
+        </div>
+
+        <!-- Body -->
+        <div style="background: white; padding: 30px; border-radius: 0 0 8px 8px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1f2937; margin-top: 0;">Bonjour ${displayName} ! 👋</h2>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Les articles ci-dessous seront retirés de votre panier le <strong>${expiresAt}</strong>.
+            Finalisez votre commande avant cette date pour ne pas les perdre.
+          </p>
+
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            ${itemRows}
+            <tr>
+              <td colspan="3" style="border-top: 1px solid #e5e7eb; padding-top: 10px; text-align: right; font-weight: bold; color: #1f2937;">
+                Total : ${total.toFixed(2)} Fdj
+              </td>
+            </tr>
+          </table>
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${cartUrl}"
+               style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              🛒 Voir mon panier
+            </a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">
+            ⏰ Les prix et disponibilités peuvent avoir changé depuis l'ajout au panier.<br>
+            Ce rappel n'est envoyé qu'une seule fois.
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+          © 2025 BuyItNow. Tous droits réservés.
+        </div>
+      </div>
+    </body>
+    </html>`;
+
+    // Version texte (fallback)
+    const textTemplate = `
+Bonjour ${displayName} !
+
+Les articles suivants seront retirés de votre panier le ${expiresAt} :
+${reminder.items
+  .map(
+    (item) =>
+      `- ${itemLabel(item)} x${item.quantity} : ${(item.price || 0).toFixed(2)} Fdj`,
+  )
+  .join('\n')}
+
+Total : ${total.toFixed(2)} Fdj
+
+Voir mon panier : ${cartUrl}
+
+Les prix et disponibilités peuvent avoir changé depuis l'ajout au panier.
+
+---
+BuyItNow - © 2025`;
+
+    // Configuration email
+    const emailOptions = {
+      from:
+        process.env.NODE_ENV === 'production'
+          ? 'onboarding@resend.dev'
+          : 'onboarding@resend.dev',
+      to: [email],
+      subject: '⏰ Votre panier expire dans 24h - BuyItNow',
+      html: htmlTemplate,
+      text: textTemplate,
+      headers: {
+        'X-Entity-Ref-ID': `cart-expiry-${Date.now()}`,
+      },
+    };
+
+    // En développement, juste logger
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`
+⏰ EMAIL DE RAPPEL PANIER (DEV):
+📧 To: ${email}
+👤 Name: ${displayName}
+📦 Items: ${reminder.items.length}
+📅 Expires: ${expiresAt}
+🌐 Link: ${cartUrl}
+      `);
+      return { success: true, messageId: 'dev-mode-cart-expiry' };
+    }
+
+    // Envoyer l'email via Resend
+    const result = await resend.emails.send(emailOptions);
+
+    console.log('✅ Cart expiry reminder sent:', {
+      to: email?.substring(0, 3) + '***',
+      items: reminder.items.length,
+      messageId: result.id || result.data?.id,
+    });
+
+    return {
+      success: true,
+      messageId: result.id || result.data?.id,
+      email: email,
+    };
+  } catch (error) {
+    console.error('❌ Failed to send cart expiry reminder:', {
+      error: error.message,
+      email: email?.substring(0, 3) + '***',
+    });
+
+    captureException(error, {
+      tags: { component: 'emailService', action: 'sendCartExpiryReminderEmail' },
+      extra: {
+        email: email?.substring(0, 3) + '***',
+        itemCount: reminder?.items?.length,
+      },
+      level: 'warning',
+    });
+
+    return {
+      success: false,
+      error: error.message || 'Failed to send cart expiry reminder',
+      email: email,
+    };
+  }
+};
+
+/**
+ * QR code en tableau HTML (les clients mail bloquent souvent SVG et images
+ * data:) : une table par ligne, modules consécutifs de même couleur fusionnés
+ * @param {string} value - Contenu du QR code
+ * @param {number} [moduleSize=4] - Taille d'un module en pixels
+ * @returns {string} HTML, vide si le contenu ne peut pas être encodé
+ */
+const renderQrCodeTable = (value, moduleSize = 4) => {
+  let matrix;
+  try {
+    matrix = createQrMatrix(value);
+  } catch (error) {
+    console.error('❌ Failed to generate QR code:', error.message);
+    return '';
+  }
+
+  const rows = matrix
+    .map((row) => {
+      const cells = [];
+      let runStart = 0;
+      row.forEach((isDark, x) => {
+        if (x === row.length - 1 || row[x + 1] !== isDark) {
+          const width = (x - runStart + 1) * moduleSize;
+          cells.push(
+            `<td style="width: ${width}px; height: ${moduleSize}px; background: ${isDark ? '#000000' : '#ffffff'};"></td>`,
+          );
+          runStart = x + 1;
+        }
+      });
+      return `<table cellpadding="0" cellspacing="0" border="0" style="border-collapse: collapse;"><tr>${cells.join('')}</tr></table>`;
+    })
+    .join('');
+
+  return `<div style="display: inline-block; padding: ${moduleSize * 4}px; background: #ffffff; line-height: 0; font-size: 0;">${rows}</div>`;
+};
+
+/**
+ * Envoie la confirmation d'une commande avec le lien vers son détail
+ * @param {string} email - L'adresse email du destinataire
+ * @param {string} name - Le nom de l'utilisateur
+ * @param {Object} order - { _id, orderNumber, totalAmount, orderItems, isCashPayment, pickupCode, shippingInfo }
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+export const sendOrderConfirmationEmail = async (email, name, order) => {
+  try {
+    // Validation des paramètres
+    if (!email || !order?._id || !order?.orderNumber) {
+      throw new Error('Missing required parameters for order confirmation');
+    }
+
+    const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_API_URL;
+    const orderUrl = `${baseUrl}/me/orders/${order._id}`;
+    const displayName = name || 'cher client';
+    const items = order.orderItems || [];
+    const total = (order.totalAmount || 0).toFixed(2);
+    const isPickup = order.shippingInfo?.method === 'pickup';
+
+    const itemLabel = (item) =>
+      item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+
+    const itemRows = items
+      .map(
+        (item) => `
+            <tr>
+              <td style="padding: 8px 0; color: #1f2937;">${itemLabel(item)}</td>
+              <td style="padding: 8px 0; color: #4b5563; text-align: center;">x${item.quantity}</td>
+              <td style="padding: 8px 0; color: #1f2937; text-align: right;">${((item.price || 0) * (item.quantity || 0)).toFixed(2)} Fdj</td>
+            </tr>`,
+      )
+      .join('');
+
+    const nextStep = order.isCashPayment
+      ? 'Le paiement se fera en espèces lors de la récupération. Préparez le montant exact.'
+      : isPickup
+        ? 'Nous vous contacterons dès que votre commande sera prête au retrait.'
+        : 'Nous vous préviendrons dès que votre commande sera expédiée.';
+
+    // Code de retrait (CASH) : à présenter lors du paiement en espèces
+    const pickupCodeBlock =
+      order.isCashPayment && order.pickupCode
+        ? `
+          <div style="margin-top: 20px; padding: 20px; border: 2px solid #a7f3d0; border-radius: 8px; text-align: center;">
+            <p style="margin: 0 0 10px 0; color: #065f46; font-weight: bold;">Votre code de retrait</p>
+            ${renderQrCodeTable(getPickupQrValue(order.orderNumber, order.pickupCode))}
+            <p style="margin: 10px 0 0 0; font-family: 'Courier New', monospace; font-size: 28px; font-weight: bold; letter-spacing: 6px; color: #1f2937;">${order.pickupCode}</p>
+            <p style="margin: 10px 0 0 0; color: #6b7280; font-size: 12px;">
+              Présentez ce code (ou le QR code) au moment du paiement. Il n'est valable qu'une seule fois.
+            </p>
+          </div>`
+        : '';
+
+    // Template HTML
+    const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Confirmation de commande - BuyItNow</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background: #f8f9fa; padding: 20px;">
+        <!-- Header -->
+        <div style="background: #2563eb; color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 24px;">BuyItNow</h1>
+          <p style="margin: 5px 0 0 0; opacity: 0.9;">Merci pour votre commande</p>
+        </div>
+
+        <!-- Body -->
+        <div style="background: white; padding: 30px; border-radius: 0 0 8px 8px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1f2937; margin-top: 0;">Bonjour ${displayName} ! 👋</h2>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Votre commande <strong>${order.orderNumber}</strong> a bien été enregistrée.
+          </p>
+
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            ${itemRows}
+            <tr>
+              <td colspan="3" style="border-top: 1px solid #e5e7eb; padding-top: 10px; text-align: right; font-weight: bold; color: #1f2937;">
+                Total : ${total} Fdj
+              </td>
+            </tr>
+          </table>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-top: 20px;">
+            ${nextStep}
+          </p>
+          ${pickupCodeBlock}
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${orderUrl}"
+               style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              📦 Suivre ma commande
+            </a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">
+            Vous pouvez annuler votre commande depuis votre espace tant qu'elle n'a pas été payée ni expédiée.
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+          © 2025 BuyItNow. Tous droits réservés.
+        </div>
+      </div>
+    </body>
+    </html>`;
+
+    // Version texte (fallback)
+    const textTemplate = `
+Bonjour ${displayName} !
+
+Votre commande ${order.orderNumber} a bien été enregistrée :
+${items
+  .map(
+    (item) =>
+      `- ${itemLabel(item)} x${item.quantity} : ${((item.price || 0) * (item.quantity || 0)).toFixed(2)} Fdj`,
+  )
+  .join('\n')}
+
+Total : ${total} Fdj
+
+${nextStep}
+${order.isCashPayment && order.pickupCode ? `\nCode de retrait (à présenter lors du paiement, valable une seule fois) : ${order.pickupCode}\n` : ''}
+Suivre ma commande : ${orderUrl}
+
+---
+BuyItNow - © 2025`;
+
+    // Configuration email
+    const emailOptions = {
+      from:
+        process.env.NODE_ENV === 'production'
+          ? 'onboarding@resend.dev'
+          : 'onboarding@resend.dev',
+      to: [email],
+      subject: `✅ Commande ${order.orderNumber} confirmée - BuyItNow`,
+      html: htmlTemplate,
+      text: textTemplate,
+      headers: {
+        'X-Entity-Ref-ID': `order-${order.orderNumber}`,
+      },
+    };
+
+    // En développement, juste logger
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`
+✅ EMAIL DE CONFIRMATION DE COMMANDE (DEV):
+📧 To: ${email}
+👤 Name: ${displayName}
+🧾 Order: ${order.orderNumber}
+💰 Total: ${total} Fdj
+🌐 Link: ${orderUrl}
+      `);
+      return { success: true, messageId: 'dev-mode-order-confirmation' };
+    }
+
+    // Envoyer l'email via Resend
+    const result = await resend.emails.send(emailOptions);
+
+    console.log('✅ Order confirmation email sent:', {
+      to: email?.substring(0, 3) + '***',
+      orderNumber: order.orderNumber,
+      messageId: result.id || result.data?.id,
+    });
+
+    return {
+      success: true,
+      messageId: result.id || result.data?.id,
+      email: email,
+    };
+  } catch (error) {
+    console.error('❌ Failed to send order confirmation email:', {
+      error: error.message,
+      email: email?.substring(0, 3) + '***',
+    });
+
+    captureException(error, {
+      tags: { component: 'emailService', action: 'sendOrderConfirmationEmail' },
+      extra: {
+        email: email?.substring(0, 3) + '***',
+        orderNumber: order?.orderNumber,
+      },
+      level: 'warning',
+    });
+
+    return {
+      success: false,
+      error: error.message || 'Failed to send order confirmation email',
+      email: email,
+    };
+  }
+};
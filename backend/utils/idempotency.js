@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import IdempotencyKey from "@/backend/models/idempotencyKey";
+
+// Durée pendant laquelle une réponse enregistrée peut être rejouée
+const IDEMPOTENCY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Une requête interrompue (crash serveur) libère sa clé après ce délai
+const IDEMPOTENCY_LOCK_MS = 5 * 60 * 1000;
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Vérifie le format d'une clé d'idempotence (UUID ou jeton équivalent)
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const isValidIdempotencyKey = (key) =>
+  typeof key === "string" && IDEMPOTENCY_KEY_PATTERN.test(key);
+
+/**
+ * Empreinte SHA-256 du corps de la requête
+ * Sert à refuser la réutilisation d'une clé pour une requête différente
+ * @param {Object} payload - Corps JSON tel que reçu
+ * @returns {string}
+ */
+export const hashRequestPayload = (payload) =>
+  crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+
+/**
+ * Réserve une clé avant le traitement de la requête
+ * L'index unique (user, scope, key) garantit qu'une seule requête la détient.
+ *
+ * Résultats possibles :
+ * - { record }     : clé réservée, la requête peut être traitée
+ * - { replay }     : requête déjà traitée, { statusCode, body } à renvoyer
+ * - { conflict }   : "IN_PROGRESS" (traitement en cours) ou
+ *                    "KEY_REUSED" (même clé, corps différent)
+ * @param {Object} params - { key, userId, scope, requestHash }
+ */
+export const claimIdempotencyKey = async (
+  { key, userId, scope, requestHash },
+  retry = true,
+) => {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: userId,
+      scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_LOCK_MS),
+    });
+
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({
+    user: userId,
+    scope,
+    key,
+  }).lean();
+
+  // Clé expirée mais pas encore purgée par l'index TTL : on la libère
+  if (!existing || existing.expiresAt <= new Date()) {
+    if (existing) {
+      await IdempotencyKey.deleteOne({
+        _id: existing._id,
+        expiresAt: existing.expiresAt,
+      });
+    }
+    return retry
+      ? claimIdempotencyKey({ key, userId, scope, requestHash }, false)
+      : { conflict: "IN_PROGRESS" };
+  }
+
+  if (existing.requestHash !== requestHash) {
+    return { conflict: "KEY_REUSED" };
+  }
+
+  if (existing.status !== "completed") {
+    return { conflict: "IN_PROGRESS" };
+  }
+
+  return { replay: existing.response };
+};
+
+/**
+ * État d'une clé sans la réserver (suivi d'une requête en cours)
+ * @param {Object} params - { key, userId, scope }
+ * @returns {Promise<Object|null>} null si la clé est inconnue ou expirée,
+ * { status: "processing" } ou { status: "completed", response }
+ */
+export const getIdempotencyKeyStatus = async ({ key, userId, scope }) => {
+  const existing = await IdempotencyKey.findOne({ user: userId, scope, key })
+    .select("status response expiresAt")
+    .lean();
+
+  if (!existing || existing.expiresAt <= new Date()) return null;
+
+  return existing.status === "completed"
+    ? { status: "completed", response: existing.response }
+    : { status: "processing" };
+};
+
+/**
+ * Enregistre la réponse renvoyée pour une clé réservée
+ * @param {Object} record - Document retourné par claimIdempotencyKey
+ * @param {number} statusCode
+ * @param {Object} body
+ */
+export const completeIdempotencyKey = (record, statusCode, body) =>
+  IdempotencyKey.updateOne(
+    { _id: record._id },
+    {
+      $set: {
+        status: "completed",
+        response: { statusCode, body },
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_RETENTION_MS),
+      },
+    },
+  );
+
+/**
+ * Libère une clé après une erreur serveur pour permettre une nouvelle tentative
+ * @param {Object} record - Document retourné par claimIdempotencyKey
+ */
+export const releaseIdempotencyKey = (record) =>
+  IdempotencyKey.deleteOne({ _id: record._id, status: "processing" });
@@ -0,0 +1,65 @@
+import logger from "@/utils/logger";
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import SearchQuery from "@/backend/models/searchQuery";
+
+/**
+ * Index remplacés par une nouvelle définition dans les schémas
+ * Mongoose ne supprime jamais un index existant : un ancien index unique
+ * continuerait de s'appliquer à côté de celui qui le remplace
+ */
+const LEGACY_INDEXES = [
+  {
+    model: Cart,
+    // Unicité (user, product) remplacée par (user, product, variant)
+    isLegacy: (index) => index.name === "user_1_product_1",
+  },
+  {
+    model: Product,
+    // Une collection n'accepte qu'un index texte : les anciens (name_text,
+    // name_text_category_1_price_1) bloqueraient product_text_search
+    isLegacy: (index) =>
+      index.key?._fts === "text" && index.name !== "product_text_search",
+  },
+  {
+    model: SearchQuery,
+    // Terme unique pour tous les visiteurs remplacé par (user, normalized)
+    isLegacy: (index) => index.name === "normalized_1",
+  },
+];
+
+/**
+ * Supprime les index obsolètes d'une collection puis crée ceux du schéma
+ * (autoIndex est désactivé en production)
+ * @param {Object} migration - { model, isLegacy }
+ */
+const migrateIndexes = async ({ model, isLegacy }) => {
+  let indexes;
+  try {
+    indexes = await model.collection.indexes();
+  } catch (error) {
+    // Collection pas encore créée : rien à supprimer
+    if (error.codeName !== "NamespaceNotFound") throw error;
+    indexes = [];
+  }
+
+  for (const index of indexes.filter(isLegacy)) {
+    await model.collection.dropIndex(index.name);
+    logger.info("Legacy index dropped", {
+      collection: model.collection.collectionName,
+      index: index.name,
+    });
+  }
+
+  await model.createIndexes();
+};
+
+/**
+ * Applique les migrations d'index (idempotent, une fois par processus)
+ * @returns {Promise<void>}
+ */
+export const runIndexMigrations = async () => {
+  for (const migration of LEGACY_INDEXES) {
+    await migrateIndexes(migration);
+  }
+};
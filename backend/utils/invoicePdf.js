@@ -0,0 +1,462 @@
+import PDFDocument from "pdfkit";
+import { formatPrice } from "@/helpers/helpers";
+import {
+  REFUND_METHOD_LABELS,
+  SELLER_INFO,
+  SHIPPING_METHOD_LABELS,
+} from "@/helpers/constants";
+import { formatAddressDisplay } from "@/utils/addressSanitizer";
+
+/**
+ * Génération locale des factures PDF avec pdfkit (sans service externe)
+ * Le document utilise les polices standard Helvetica, encodées en WinAnsi :
+ * les caractères accentués français sont donc pris en charge.
+ * La mise en page est positionnée à la main (origine en haut à gauche) :
+ * les sauts de page sont gérés ici, pas par pdfkit.
+ */
+
+// Format A4 en points PDF
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_RIGHT = PAGE_WIDTH - MARGIN;
+
+// Colonnes du tableau des articles (bord droit pour les montants)
+const COLUMNS = {
+  item: MARGIN + 6,
+  quantity: 360,
+  unitPrice: 455,
+  total: CONTENT_RIGHT - 6,
+};
+
+const COLORS = {
+  text: "#1f2937",
+  muted: "#6b7280",
+  primary: "#2563eb",
+  refund: "#dc2626",
+  border: "#e5e7eb",
+  header: "#f3f4f6",
+};
+
+// Statuts de paiement pour lesquels la facture définitive a été émise
+const INVOICED_PAYMENT_STATUSES = ["paid", "refunded"];
+
+const PAYMENT_TYPE_LABELS = {
+  CASH: "Espèces",
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString("fr-FR") : "-";
+
+/**
+ * Texte sur une ligne, tronqué à maxWidth avec "..."
+ * @param {PDFDocument} doc
+ * @param {*} value
+ * @param {number} x - Bord gauche, ou bord droit si align === "right"
+ * @param {number} y - Haut de la ligne
+ */
+const writeText = (
+  doc,
+  value,
+  x,
+  y,
+  {
+    size = 10,
+    bold = false,
+    color = COLORS.text,
+    align = "left",
+    maxWidth,
+  } = {},
+) => {
+  doc
+    .font(bold ? "Helvetica-Bold" : "Helvetica")
+    .fontSize(size)
+    .fillColor(color);
+
+  const chars = Array.from(String(value ?? "").replace(/\s+/g, " "));
+  let text = chars.join("");
+  if (maxWidth && doc.widthOfString(text) > maxWidth) {
+    while (chars.length > 1 && doc.widthOfString(`${text}...`) > maxWidth) {
+      chars.pop();
+      text = chars.join("").trimEnd();
+    }
+    text = `${text}...`;
+  }
+
+  const left = align === "right" ? x - doc.widthOfString(text) : x;
+  // lineBreak: false : aucun retour à la ligne ni saut de page automatique
+  doc.text(text, left, y, { lineBreak: false });
+};
+
+const drawLine = (doc, y) => {
+  doc
+    .moveTo(MARGIN, y)
+    .lineTo(CONTENT_RIGHT, y)
+    .lineWidth(0.8)
+    .strokeColor(COLORS.border)
+    .stroke();
+};
+
+/**
+ * Lit le flux pdfkit jusqu'à la fin du document
+ * @returns {Promise<Buffer>}
+ */
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+
+/**
+ * Numéro de facture dérivé du numéro de commande
+ * ORD-20250101-00042 -> FAC-20250101-00042
+ */
+export const getInvoiceNumber = (order) =>
+  order.orderNumber.replace(/^ORD-/, "FAC-");
+
+/**
+ * Génère la facture PDF d'une commande
+ * Une commande non payée produit une facture pro forma. Une commande
+ * remboursée garde sa facture d'origine, suivie des remboursements (avoir).
+ * @param {Object} order - Commande formatée (formatCustomerOrder)
+ * @returns {Promise<Buffer>} Contenu du fichier PDF
+ */
+export const generateInvoicePdf = async (order) => {
+  const doc = new PDFDocument({
+    size: [PAGE_WIDTH, PAGE_HEIGHT],
+    margin: 0,
+    bufferPages: true,
+    info: {
+      Title: `Facture ${getInvoiceNumber(order)}`,
+      Author: SELLER_INFO.name,
+    },
+  });
+  const isInvoiced = INVOICED_PAYMENT_STATUSES.includes(order.paymentStatus);
+  const items = order.orderItems || [];
+  let y = MARGIN;
+
+  // En-tête : vendeur à gauche, références de la facture à droite
+  writeText(doc, SELLER_INFO.name, MARGIN, y, {
+    size: 20,
+    bold: true,
+    color: COLORS.primary,
+  });
+  writeText(doc, SELLER_INFO.address, MARGIN, y + 26, {
+    size: 9,
+    color: COLORS.muted,
+  });
+  writeText(doc, SELLER_INFO.email, MARGIN, y + 38, {
+    size: 9,
+    color: COLORS.muted,
+  });
+
+  writeText(
+    doc,
+    isInvoiced ? "FACTURE" : "FACTURE PRO FORMA",
+    CONTENT_RIGHT,
+    y,
+    { size: 16, bold: true, align: "right" },
+  );
+  writeText(doc, `N° ${getInvoiceNumber(order)}`, CONTENT_RIGHT, y + 24, {
+    size: 9,
+    align: "right",
+  });
+  writeText(
+    doc,
+    `Date : ${formatDate(isInvoiced ? order.paidAt || order.createdAt : new Date())}`,
+    CONTENT_RIGHT,
+    y + 36,
+    { size: 9, align: "right" },
+  );
+  writeText(doc, `Commande : ${order.orderNumber}`, CONTENT_RIGHT, y + 48, {
+    size: 9,
+    align: "right",
+  });
+  writeText(
+    doc,
+    `Passée le ${formatDate(order.createdAt)}`,
+    CONTENT_RIGHT,
+    y + 60,
+    { size: 9, color: COLORS.muted, align: "right" },
+  );
+
+  y += 84;
+  drawLine(doc, y);
+  y += 16;
+
+  // Client et remise de la commande
+  const columnX = PAGE_WIDTH / 2 + 10;
+  writeText(doc, "Facturé à", MARGIN, y, {
+    size: 9,
+    bold: true,
+    color: COLORS.muted,
+  });
+  writeText(doc, "Livraison", columnX, y, {
+    size: 9,
+    bold: true,
+    color: COLORS.muted,
+  });
+
+  const customerLines = [
+    order.user?.name,
+    order.user?.email,
+    order.shippingInfo?.phone || order.user?.phone,
+  ].filter(Boolean);
+
+  const shipping = order.shippingInfo;
+  const shippingLines = !shipping
+    ? ["Non renseignée"]
+    : shipping.method === "pickup"
+      ? [
+          SHIPPING_METHOD_LABELS.pickup,
+          shipping.pickupPoint?.name,
+          shipping.pickupPoint?.address,
+        ].filter(Boolean)
+      : [
+          SHIPPING_METHOD_LABELS.delivery,
+          ...formatAddressDisplay(shipping.address).split("\n"),
+        ].filter(Boolean);
+
+  const blockWidth = PAGE_WIDTH / 2 - MARGIN - 10;
+  customerLines.forEach((value, index) => {
+    writeText(doc, value, MARGIN, y + 14 + index * 13, {
+      maxWidth: blockWidth,
+    });
+  });
+  shippingLines.forEach((value, index) => {
+    writeText(doc, value, columnX, y + 14 + index * 13, {
+      maxWidth: blockWidth,
+    });
+  });
+
+  y += 14 + Math.max(customerLines.length, shippingLines.length) * 13 + 20;
+
+  // Tableau des articles
+  const drawTableHeader = () => {
+    doc.rect(MARGIN, y - 6, CONTENT_RIGHT - MARGIN, 20).fill(COLORS.header);
+    writeText(doc, "Article", COLUMNS.item, y, { size: 9, bold: true });
+    writeText(doc, "Qté", COLUMNS.quantity, y, {
+      size: 9,
+      bold: true,
+      align: "right",
+    });
+    writeText(doc, "Prix unitaire", COLUMNS.unitPrice, y, {
+      size: 9,
+      bold: true,
+      align: "right",
+    });
+    writeText(doc, "Total", COLUMNS.total, y, {
+      size: 9,
+      bold: true,
+      align: "right",
+    });
+    y += 24;
+  };
+
+  // En-tête répété en haut de page tant que le tableau n'est pas terminé
+  let onNewPage = drawTableHeader;
+  const ensureSpace = (height) => {
+    if (y + height <= PAGE_HEIGHT - MARGIN - 40) return;
+    doc.addPage();
+    y = MARGIN;
+    onNewPage?.();
+  };
+
+  drawTableHeader();
+
+  const nameWidth = COLUMNS.quantity - COLUMNS.item - 40;
+  let itemsTotal = 0;
+  items.forEach((item) => {
+    const lineTotal = item.subtotal || item.price * item.quantity;
+    const details = [item.variantLabel, item.sku && `Réf. ${item.sku}`]
+      .filter(Boolean)
+      .join(" · ");
+    itemsTotal += lineTotal;
+
+    ensureSpace(details ? 37 : 24);
+
+    writeText(doc, item.name, COLUMNS.item, y, { maxWidth: nameWidth });
+    writeText(doc, item.quantity, COLUMNS.quantity, y, { align: "right" });
+    writeText(doc, formatPrice(item.price), COLUMNS.unitPrice, y, {
+      align: "right",
+    });
+    writeText(doc, formatPrice(lineTotal), COLUMNS.total, y, {
+      align: "right",
+    });
+
+    if (details) {
+      y += 13;
+      writeText(doc, details, COLUMNS.item, y, {
+        size: 8,
+        color: COLORS.muted,
+        maxWidth: nameWidth,
+      });
+    }
+
+    y += 15;
+    drawLine(doc, y);
+    y += 9;
+  });
+
+  // Totaux
+  ensureSpace(60);
+  writeText(doc, "Sous-total", COLUMNS.unitPrice, y, {
+    color: COLORS.muted,
+    align: "right",
+  });
+  writeText(doc, formatPrice(itemsTotal), COLUMNS.total, y, {
+    align: "right",
+  });
+  y += 18;
+  writeText(doc, "Total", COLUMNS.unitPrice, y, {
+    size: 12,
+    bold: true,
+    align: "right",
+  });
+  writeText(doc, formatPrice(order.totalAmount), COLUMNS.total, y, {
+    size: 12,
+    bold: true,
+    color: COLORS.primary,
+    align: "right",
+  });
+  y += 34;
+  onNewPage = null;
+
+  // Remboursements effectués (avoir) : la facture d'origine reste inchangée
+  const refunds = (order.refunds || []).filter(
+    (refund) => refund.status !== "pending",
+  );
+  if (refunds.length > 0) {
+    ensureSpace(40);
+    writeText(doc, "Remboursements (avoir)", MARGIN, y, {
+      size: 9,
+      bold: true,
+      color: COLORS.muted,
+    });
+    y += 18;
+
+    let refundedTotal = 0;
+    refunds.forEach((refund) => {
+      const refundItems = refund.items || [];
+      refundedTotal += refund.amount;
+
+      ensureSpace(24 + refundItems.length * 12);
+
+      writeText(
+        doc,
+        `${formatDate(refund.createdAt)} - ${REFUND_METHOD_LABELS[refund.method] || refund.method}`,
+        COLUMNS.item,
+        y,
+        { maxWidth: COLUMNS.unitPrice - COLUMNS.item },
+      );
+      writeText(doc, `-${formatPrice(refund.amount)}`, COLUMNS.total, y, {
+        color: COLORS.refund,
+        align: "right",
+      });
+
+      refundItems.forEach((item) => {
+        y += 12;
+        writeText(
+          doc,
+          `${item.name || "Article"} × ${item.quantity}`,
+          COLUMNS.item + 10,
+          y,
+          { size: 8, color: COLORS.muted, maxWidth: nameWidth },
+        );
+        writeText(doc, formatPrice(item.amount), COLUMNS.unitPrice, y, {
+          size: 8,
+          color: COLORS.muted,
+          align: "right",
+        });
+      });
+
+      y += 15;
+      drawLine(doc, y);
+      y += 9;
+    });
+
+    refundedTotal = Math.round(refundedTotal * 100) / 100;
+
+    ensureSpace(50);
+    writeText(doc, "Total remboursé", COLUMNS.unitPrice, y, {
+      color: COLORS.muted,
+      align: "right",
+    });
+    writeText(doc, `-${formatPrice(refundedTotal)}`, COLUMNS.total, y, {
+      color: COLORS.refund,
+      align: "right",
+    });
+    y += 18;
+    writeText(doc, "Net payé", COLUMNS.unitPrice, y, {
+      size: 12,
+      bold: true,
+      align: "right",
+    });
+    writeText(
+      doc,
+      formatPrice(Math.max(order.totalAmount - refundedTotal, 0)),
+      COLUMNS.total,
+      y,
+      { size: 12, bold: true, color: COLORS.primary, align: "right" },
+    );
+    y += 34;
+  }
+
+  // Paiement
+  ensureSpace(60);
+  const paymentInfo = order.paymentInfo || {};
+  const accountNumber = paymentInfo.paymentAccountNumber;
+  writeText(doc, "Paiement", MARGIN, y, {
+    size: 9,
+    bold: true,
+    color: COLORS.muted,
+  });
+  writeText(
+    doc,
+    `Mode : ${PAYMENT_TYPE_LABELS[paymentInfo.typePayment] || paymentInfo.typePayment || "-"}`,
+    MARGIN,
+    y + 14,
+  );
+  if (!order.isCashPayment && accountNumber) {
+    writeText(
+      doc,
+      `Compte : ${paymentInfo.paymentAccountName || ""} ••••${accountNumber.slice(-4)}`,
+      MARGIN,
+      y + 27,
+    );
+  }
+  writeText(
+    doc,
+    `Statut : ${order.paymentStatusDescription || order.paymentStatus}${
+      order.paidAt ? ` le ${formatDate(order.paidAt)}` : ""
+    }`,
+    MARGIN,
+    y + (!order.isCashPayment && accountNumber ? 40 : 27),
+  );
+
+  // Pied de page numéroté (pages conservées en mémoire : bufferPages)
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index += 1) {
+    doc.switchToPage(index);
+    drawLine(doc, PAGE_HEIGHT - MARGIN - 14);
+    writeText(
+      doc,
+      `${SELLER_INFO.name} - Merci pour votre achat`,
+      MARGIN,
+      PAGE_HEIGHT - MARGIN - 6,
+      { size: 8, color: COLORS.muted },
+    );
+    writeText(
+      doc,
+      `Page ${index - start + 1}/${count}`,
+      CONTENT_RIGHT,
+      PAGE_HEIGHT - MARGIN - 6,
+      { size: 8, color: COLORS.muted, align: "right" },
+    );
+  }
+
+  return toBuffer(doc);
+};
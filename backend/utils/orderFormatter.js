@@ -0,0 +1,58 @@
+// Champs d'une commande exposés à son propriétaire
+export const CUSTOMER_ORDER_FIELDS =
+  "orderNumber paymentInfo shippingInfo paymentStatus orderStatus statusHistory totalAmount createdAt updatedAt paidAt cancelledAt cancelReason orderItems refunds refundedAmount refundedAt";
+
+// Libellés des statuts de paiement affichés au client
+const PAYMENT_STATUS_DESCRIPTIONS = {
+  paid: "Payé",
+  unpaid: "Non payé",
+  processing: "En traitement",
+  pending_cash: "En attente de paiement en espèces",
+  failed: "Paiement échoué",
+  refunded: "Remboursé",
+};
+
+/**
+ * Formate une commande (lean) pour son propriétaire
+ * - Détecte le paiement CASH
+ * - Déduit le statut logistique des commandes antérieures au suivi
+ * - Joint les coordonnées du client
+ * @param {Object} order - Commande issue d'une requête .lean()
+ * @param {Object} user - { name, email, phone }
+ * @returns {Object}
+ */
+export const formatCustomerOrder = (order, user) => {
+  // Vérifier si c'est un paiement CASH
+  const isCashPayment =
+    order.paymentInfo?.typePayment === "CASH" ||
+    order.paymentInfo?.isCashPayment === true;
+
+  // Commandes antérieures au suivi logistique : statut déduit
+  const orderStatus =
+    order.orderStatus || (order.cancelledAt ? "cancelled" : "pending");
+
+  return {
+    ...order,
+    orderStatus,
+    statusHistory: order.statusHistory?.length
+      ? order.statusHistory
+      : [{ status: orderStatus, changedAt: order.createdAt }],
+    user: {
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+    },
+    // Ajouter un flag pour identifier facilement les paiements CASH
+    isCashPayment,
+    // Ajouter un message descriptif pour le statut
+    paymentStatusDescription: isCashPayment
+      ? "Paiement en espèces à la récupération"
+      : order.paymentStatus === "processing" &&
+          order.paymentInfo?.paymentProof?.status === "pending"
+        ? "Justificatif en cours de vérification"
+        : order.paymentStatus === "paid" && order.refundedAmount > 0
+          ? "Partiellement remboursé"
+          : PAYMENT_STATUS_DESCRIPTIONS[order.paymentStatus] ||
+            "Statut inconnu",
+  };
+};
@@ -0,0 +1,192 @@
+import Order from "@/backend/models/order";
+import {
+  PAYMENT_CURRENCY,
+  getPaymentProvider,
+} from "@/backend/utils/paymentProviders";
+import logger from "@/utils/logger";
+
+// Intervalle minimum entre deux interrogations de l'opérateur par commande
+const STATUS_CHECK_INTERVAL = 5000;
+
+/**
+ * Enregistre le résultat d'un opérateur sur une commande en cours de paiement
+ * Seule une commande "processing" est modifiée : une réponse tardive de
+ * l'opérateur ne peut pas écraser un statut final (payée, échouée, remboursée)
+ * @param {string} orderId
+ * @param {Object} result - PaymentResult renvoyé par l'adaptateur
+ * @returns {Promise<Object|null>} Commande mise à jour, null si déjà finalisée
+ */
+export const applyPaymentResult = async (orderId, result) => {
+  const update = {
+    "paymentInfo.providerStatus": result.providerStatus,
+    "paymentInfo.providerMessage": result.message?.slice(0, 200),
+  };
+
+  if (result.reference) {
+    update["paymentInfo.transactionReference"] = result.reference;
+  }
+
+  if (result.status === "paid" || result.status === "failed") {
+    update.paymentStatus = result.status;
+  }
+
+  // Le hook pre("save") de paidAt ne s'applique pas aux updates
+  if (result.status === "paid") {
+    update.paidAt = new Date();
+  }
+
+  return Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: "processing" },
+    { $set: update },
+    { new: true, projection: "_id orderNumber paymentStatus paidAt" },
+  ).lean();
+};
+
+/**
+ * Lance le paiement d'une commande auprès de l'opérateur
+ * - Réponse de l'opérateur : la commande passe en "paid", "failed" ou reste
+ *   "processing" (validation en attente sur le téléphone du client)
+ * - Pas de réponse (timeout) : la commande reste "processing", le statut
+ *   sera relu auprès de l'opérateur par le numéro de commande
+ * - Opérateur injoignable : le paiement échoue
+ * @param {Object} provider - Adaptateur (getPaymentProvider)
+ * @param {Object} payment - { orderId, orderNumber, amount, accountNumber, accountName }
+ * @returns {Promise<{paymentStatus: string, message: string}>}
+ */
+export const initiateOrderPayment = async (
+  provider,
+  { orderId, orderNumber, amount, accountNumber, accountName },
+) => {
+  let result;
+
+  try {
+    result = await provider.initiate({
+      orderNumber,
+      amount,
+      currency: PAYMENT_CURRENCY,
+      accountNumber,
+      accountName,
+    });
+  } catch (error) {
+    const isTimeout = error.message?.startsWith("PAYMENT_PROVIDER_TIMEOUT");
+
+    logger.error("Payment initiation error", {
+      orderNumber,
+      platform: provider.platform,
+      error: error.message,
+      action: "payment_initiation_error",
+    });
+
+    result = isTimeout
+      ? {
+          status: "processing",
+          reference: null,
+          providerStatus: "TIMEOUT",
+          message: "Paiement en attente de confirmation de l'opérateur",
+        }
+      : {
+          status: "failed",
+          reference: null,
+          providerStatus: "UNAVAILABLE",
+          message: "Opérateur de paiement indisponible",
+        };
+  }
+
+  const order = await applyPaymentResult(orderId, result);
+
+  logger.info("Payment initiated", {
+    orderNumber,
+    platform: provider.platform,
+    simulated: provider.isSimulator === true,
+    status: order?.paymentStatus || result.status,
+    providerStatus: result.providerStatus,
+    action: "payment_initiated",
+  });
+
+  return {
+    paymentStatus: order?.paymentStatus || result.status,
+    message: result.message,
+  };
+};
+
+/**
+ * Relit auprès de l'opérateur le statut d'une commande en cours de paiement
+ * L'interrogation est réservée atomiquement (statusCheckedAt) : au plus un
+ * appel opérateur toutes les 5s par commande, quel que soit le nombre
+ * d'onglets ou de requêtes concurrentes.
+ * Une erreur de l'opérateur n'est pas propagée : le statut actuel est conservé.
+ * @param {Object} order - Commande (lean) avec _id, orderNumber, paymentStatus et paymentInfo
+ * @returns {Promise<{paymentStatus: string, paidAt: Date|undefined, message: string|undefined}>}
+ */
+export const refreshOrderPaymentStatus = async (order) => {
+  const current = {
+    paymentStatus: order.paymentStatus,
+    paidAt: order.paidAt,
+    message: order.paymentInfo?.providerMessage,
+  };
+
+  // Justificatif en attente : le statut dépend de la vérification manuelle,
+  // l'opérateur ne connaît pas ce paiement
+  if (
+    order.paymentStatus !== "processing" ||
+    order.paymentInfo?.paymentProof?.status === "pending"
+  ) {
+    return current;
+  }
+
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: "processing",
+      $or: [
+        { "paymentInfo.statusCheckedAt": { $exists: false } },
+        {
+          "paymentInfo.statusCheckedAt": {
+            $lte: new Date(now.getTime() - STATUS_CHECK_INTERVAL),
+          },
+        },
+      ],
+    },
+    { $set: { "paymentInfo.statusCheckedAt": now } },
+    { projection: "_id" },
+  ).lean();
+
+  // Interrogation récente ou statut finalisé entre-temps
+  if (!claimed) return current;
+
+  const { typePayment, transactionReference } = order.paymentInfo || {};
+
+  try {
+    const provider = getPaymentProvider(typePayment, {
+      reference: transactionReference,
+    });
+
+    const result = await provider.getStatus({
+      reference: transactionReference,
+      orderNumber: order.orderNumber,
+    });
+
+    // "refunded" n'est pas un résultat attendu pour un paiement en cours
+    if (result.status === "refunded") return current;
+
+    const updated = await applyPaymentResult(order._id, result);
+
+    return updated
+      ? {
+          paymentStatus: updated.paymentStatus,
+          paidAt: updated.paidAt,
+          message: result.message,
+        }
+      : current;
+  } catch (error) {
+    logger.warn("Payment status check failed", {
+      orderNumber: order.orderNumber,
+      platform: typePayment,
+      error: error.message,
+      action: "payment_status_check_error",
+    });
+
+    return current;
+  }
+};
@@ -0,0 +1,102 @@
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const refundError = (code) => {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Quantités déjà remboursées par ligne de commande
+ * Un remboursement "pending" (en cours auprès de l'opérateur) réserve ses
+ * quantités : elles ne peuvent pas être remboursées une seconde fois
+ * @param {Object} order - Commande avec refunds
+ * @param {Object} [options]
+ * @param {boolean} [options.completedOnly=false] - Ignorer les remboursements en cours
+ * @returns {Map<string, number>} _id de la ligne -> quantité remboursée
+ */
+export const getRefundedQuantities = (
+  order,
+  { completedOnly = false } = {},
+) => {
+  const quantities = new Map();
+
+  (order.refunds || []).forEach((refund) => {
+    if (completedOnly && refund.status === "pending") return;
+
+    refund.items.forEach(({ item, quantity }) => {
+      const key = String(item);
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    });
+  });
+
+  return quantities;
+};
+
+/**
+ * Calcule un remboursement à partir des lignes demandées
+ * Le montant est celui des lignes (prix unitaire figé sur la commande) :
+ * une commande entièrement remboursée l'est de son montant total
+ * @param {Object} order - Commande (document ou lean) avec orderItems et refunds
+ * @param {Array<{itemId: string, quantity: number, restock?: boolean}>} requested
+ * @returns {{items: Array, amount: number}}
+ * @throws {Error} code REFUND_ITEM_NOT_FOUND ou REFUND_QUANTITY_EXCEEDED
+ */
+export const computeRefund = (order, requested) => {
+  const refundedQuantities = getRefundedQuantities(order);
+
+  const items = requested.map(({ itemId, quantity, restock }) => {
+    const item = order.orderItems.find((line) => String(line._id) === itemId);
+    if (!item) throw refundError("REFUND_ITEM_NOT_FOUND");
+
+    const alreadyRefunded = refundedQuantities.get(itemId) || 0;
+    if (quantity > item.quantity - alreadyRefunded) {
+      throw refundError("REFUND_QUANTITY_EXCEEDED");
+    }
+
+    refundedQuantities.set(itemId, alreadyRefunded + quantity);
+
+    return {
+      item: item._id,
+      product: item.product,
+      variant: item.variant || null,
+      name: item.name,
+      quantity,
+      amount: roundAmount(item.price * quantity),
+      restocked: restock !== false,
+    };
+  });
+
+  return {
+    items,
+    amount: roundAmount(items.reduce((sum, line) => sum + line.amount, 0)),
+  };
+};
+
+/**
+ * Toutes les lignes sont-elles remboursées (remboursements terminés) ?
+ * @param {Object} order - Commande avec orderItems et refunds
+ * @returns {boolean}
+ */
+export const isFullyRefunded = (order) => {
+  const refundedQuantities = getRefundedQuantities(order, {
+    completedOnly: true,
+  });
+
+  return order.orderItems.every(
+    (item) => (refundedQuantities.get(String(item._id)) || 0) >= item.quantity,
+  );
+};
+
+/**
+ * Un remboursement peut-il passer par l'opérateur de paiement ?
+ * Il faut une transaction connue de l'opérateur : pas pour CASH ni pour un
+ * paiement validé sur justificatif (référence saisie par le client)
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const canRefundThroughProvider = (order) =>
+  order.paymentInfo?.typePayment !== "CASH" &&
+  order.paymentInfo?.isCashPayment !== true &&
+  Boolean(order.paymentInfo?.transactionReference) &&
+  order.paymentInfo?.paymentProof?.status !== "approved";
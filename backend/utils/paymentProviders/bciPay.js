@@ -0,0 +1,12 @@
+import { createRestProvider } from "@/backend/utils/paymentProviders/rest";
+
+/**
+ * Adaptateur BCI-PAY (BCIMR)
+ * Variables : BCIPAY_API_URL, BCIPAY_MERCHANT_ID, BCIPAY_API_KEY
+ */
+const bciPayProvider = createRestProvider({
+  platform: "BCI-PAY",
+  envPrefix: "BCIPAY",
+});
+
+export default bciPayProvider;
@@ -0,0 +1,12 @@
+import { createRestProvider } from "@/backend/utils/paymentProviders/rest";
+
+/**
+ * Adaptateur CAC-PAY (CAC International Bank)
+ * Variables : CACPAY_API_URL, CACPAY_MERCHANT_ID, CACPAY_API_KEY
+ */
+const cacPayProvider = createRestProvider({
+  platform: "CAC-PAY",
+  envPrefix: "CACPAY",
+});
+
+export default cacPayProvider;
@@ -0,0 +1,12 @@
+import { createRestProvider } from "@/backend/utils/paymentProviders/rest";
+
+/**
+ * Adaptateur D-MONEY (Djibouti Telecom)
+ * Variables : DMONEY_API_URL, DMONEY_MERCHANT_ID, DMONEY_API_KEY
+ */
+const dMoneyProvider = createRestProvider({
+  platform: "D-MONEY",
+  envPrefix: "DMONEY",
+});
+
+export default dMoneyProvider;
@@ -0,0 +1,62 @@
+// Délai maximum d'un appel opérateur (la commande côté client expire à 30s)
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Appel HTTP JSON vers un opérateur de paiement
+ * Les erreurs réseau sont converties en erreurs PAYMENT_* :
+ * - PAYMENT_PROVIDER_TIMEOUT : pas de réponse, le paiement a pu aboutir
+ * - PAYMENT_PROVIDER_UNAVAILABLE : opérateur injoignable ou en erreur (5xx)
+ * @returns {Promise<{status: number, data: Object}>}
+ */
+export const requestProvider = async (
+  platform,
+  url,
+  { method = "POST", headers = {}, body, timeout = DEFAULT_TIMEOUT } = {},
+) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+      cache: "no-store",
+    });
+
+    const data = await res.json().catch(() => ({}));
+
+    if (res.status >= 500) {
+      throw new Error(
+        `PAYMENT_PROVIDER_UNAVAILABLE: ${platform} HTTP ${res.status}`,
+      );
+    }
+
+    return { status: res.status, data };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new Error(`PAYMENT_PROVIDER_TIMEOUT: ${platform}`);
+    }
+    if (error.message?.startsWith("PAYMENT_")) {
+      throw error;
+    }
+    throw new Error(
+      `PAYMENT_PROVIDER_UNAVAILABLE: ${platform} - ${error.message}`,
+    );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Traduit le statut brut d'un opérateur en statut de paiement de commande
+ * Un statut inconnu reste "processing" : jamais de "paid" sans confirmation
+ * explicite de l'opérateur
+ */
+export const normalizeStatus = (statusMap, providerStatus) =>
+  statusMap[String(providerStatus || "").toUpperCase()] || "processing";
@@ -0,0 +1,74 @@
+import waafiProvider from "@/backend/utils/paymentProviders/waafi";
+import dMoneyProvider from "@/backend/utils/paymentProviders/dMoney";
+import cacPayProvider from "@/backend/utils/paymentProviders/cacPay";
+import bciPayProvider from "@/backend/utils/paymentProviders/bciPay";
+import { createSimulatorProvider } from "@/backend/utils/paymentProviders/simulator";
+
+/**
+ * Couche d'adaptation des opérateurs de paiement
+ *
+ * Chaque adaptateur expose la même interface :
+ * - initiate({ orderNumber, amount, currency, accountNumber, accountName })
+ * - confirm(reference, { code })
+ * - getStatus({ reference, orderNumber })
+ * - refund(reference, { amount, reason })
+ * Toutes les méthodes renvoient un PaymentResult et lèvent une erreur
+ * PAYMENT_PROVIDER_* en cas de problème réseau.
+ *
+ * @typedef {Object} PaymentResult
+ * @property {"processing"|"paid"|"failed"|"refunded"} status - Statut normalisé
+ * @property {string|null} reference - Identifiant de la transaction chez l'opérateur
+ * @property {string} [providerStatus] - Statut brut de l'opérateur
+ * @property {string} [message] - Message de l'opérateur
+ */
+
+// Une entrée par plateforme de PaymentType (hors CASH)
+const PROVIDERS = {
+  WAAFI: waafiProvider,
+  "D-MONEY": dMoneyProvider,
+  "CAC-PAY": cacPayProvider,
+  "BCI-PAY": bciPayProvider,
+};
+
+// Devise des montants transmis aux opérateurs (Franc Djibouti)
+export const PAYMENT_CURRENCY = "DJF";
+
+/**
+ * Adaptateur à utiliser pour une plateforme
+ * - PAYMENT_PROVIDER_MODE=simulator : simulateur pour toutes les plateformes
+ * - Hors production, une plateforme non configurée utilise le simulateur
+ * - En production, une plateforme non configurée est refusée
+ * - Une transaction simulée (référence SIM-) reste suivie par le simulateur
+ * @param {string} platform - typePayment de la commande
+ * @param {Object} [options]
+ * @param {string} [options.reference] - Référence d'une transaction existante
+ * @returns {Object|null} null pour CASH (pas de paiement en ligne)
+ */
+export const getPaymentProvider = (platform, { reference } = {}) => {
+  if (platform === "CASH") return null;
+
+  const provider = PROVIDERS[platform];
+  if (!provider) {
+    throw new Error(`PAYMENT_PROVIDER_UNSUPPORTED: ${platform}`);
+  }
+
+  if (
+    process.env.PAYMENT_PROVIDER_MODE === "simulator" ||
+    reference?.startsWith("SIM-")
+  ) {
+    return createSimulatorProvider(platform);
+  }
+
+  if (!provider.isConfigured()) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(`PAYMENT_PROVIDER_NOT_CONFIGURED: ${platform}`);
+    }
+
+    console.warn(
+      `⚠️ Payment provider ${platform} not configured - using simulator`,
+    );
+    return createSimulatorProvider(platform);
+  }
+
+  return provider;
+};
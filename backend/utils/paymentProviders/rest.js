@@ -0,0 +1,147 @@
+import {
+  normalizeStatus,
+  requestProvider,
+} from "@/backend/utils/paymentProviders/http";
+
+// Statuts du contrat REST marchand (D-MONEY, CAC-PAY, BCI-PAY)
+const REST_STATUS_MAP = {
+  SUCCESS: "paid",
+  SUCCEEDED: "paid",
+  COMPLETED: "paid",
+  PENDING: "processing",
+  INITIATED: "processing",
+  FAILED: "failed",
+  DECLINED: "failed",
+  CANCELLED: "failed",
+  EXPIRED: "failed",
+  REFUNDED: "refunded",
+};
+
+/**
+ * Adaptateur pour les opérateurs exposant le contrat REST marchand :
+ * - POST   {API_URL}/payments                    initiation
+ * - POST   {API_URL}/payments/{id}/confirm       confirmation (code OTP)
+ * - GET    {API_URL}/payments/{id}               statut
+ * - GET    {API_URL}/payments?reference={numéro} statut sans identifiant
+ * - POST   {API_URL}/payments/{id}/refunds       remboursement
+ *
+ * Configuration par variables d'environnement préfixées
+ * ({PREFIX}_API_URL, {PREFIX}_MERCHANT_ID, {PREFIX}_API_KEY)
+ * @param {Object} options
+ * @param {string} options.platform - Plateforme (PaymentType.platform)
+ * @param {string} options.envPrefix - Préfixe des variables d'environnement
+ * @param {Object} [options.statusMap] - Statuts propres à l'opérateur
+ */
+export const createRestProvider = ({ platform, envPrefix, statusMap = {} }) => {
+  const getConfig = () => ({
+    apiUrl: process.env[`${envPrefix}_API_URL`]?.replace(/\/$/, ""),
+    merchantId: process.env[`${envPrefix}_MERCHANT_ID`],
+    apiKey: process.env[`${envPrefix}_API_KEY`],
+  });
+
+  const statuses = { ...REST_STATUS_MAP, ...statusMap };
+
+  const call = (path, options = {}) => {
+    const { apiUrl, merchantId, apiKey } = getConfig();
+
+    return requestProvider(platform, `${apiUrl}${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "X-Merchant-Id": merchantId,
+      },
+    });
+  };
+
+  const toResult = ({ status, data }) => {
+    // Requête refusée par l'opérateur (compte invalide, solde insuffisant...)
+    if (status >= 400) {
+      return {
+        status: "failed",
+        reference: data.transactionId || null,
+        providerStatus: data.code || `HTTP_${status}`,
+        message: data.message || "Paiement refusé par l'opérateur",
+      };
+    }
+
+    return {
+      status: normalizeStatus(statuses, data.status),
+      reference: data.transactionId || null,
+      providerStatus: data.status,
+      message: data.message,
+    };
+  };
+
+  return {
+    platform,
+
+    isConfigured: () => {
+      const { apiUrl, merchantId, apiKey } = getConfig();
+      return Boolean(apiUrl && merchantId && apiKey);
+    },
+
+    initiate: async ({
+      orderNumber,
+      amount,
+      currency,
+      accountNumber,
+      accountName,
+    }) =>
+      toResult(
+        await call("/payments", {
+          body: {
+            merchantId: getConfig().merchantId,
+            reference: orderNumber,
+            amount,
+            currency,
+            description: `Commande ${orderNumber}`,
+            customer: { accountNumber, accountName },
+          },
+        }),
+      ),
+
+    confirm: async (reference, { code } = {}) =>
+      toResult(
+        await call(`/payments/${encodeURIComponent(reference)}/confirm`, {
+          body: { code },
+        }),
+      ),
+
+    getStatus: async ({ reference, orderNumber }) => {
+      const response = reference
+        ? await call(`/payments/${encodeURIComponent(reference)}`, {
+            method: "GET",
+          })
+        : await call(`/payments?reference=${encodeURIComponent(orderNumber)}`, {
+            method: "GET",
+          });
+
+      // Aucune transaction connue de l'opérateur pour cette commande
+      if (response.status === 404) {
+        return {
+          status: "failed",
+          reference: reference || null,
+          providerStatus: "NOT_FOUND",
+          message: "Transaction inconnue de l'opérateur",
+        };
+      }
+
+      return toResult(response);
+    },
+
+    refund: async (reference, { amount, reason }) => {
+      const { status, data } = await call(
+        `/payments/${encodeURIComponent(reference)}/refunds`,
+        { body: { amount, reason } },
+      );
+
+      return {
+        status:
+          status >= 400 ? "failed" : normalizeStatus(statuses, data.status),
+        reference: data.refundId || null,
+        providerStatus: data.status || data.code || `HTTP_${status}`,
+        message: data.message,
+      };
+    },
+  };
+};
@@ -0,0 +1,124 @@
+import crypto from "crypto";
+
+// Délai d'approbation simulé pour les paiements en attente
+const APPROVAL_DELAY = 15000;
+
+// Le résultat est encodé dans la référence (SIM-<issue>-<horodatage>-<aléa>) :
+// le simulateur reste cohérent entre instances serverless sans stockage
+const OUTCOMES = {
+  A: "paid",
+  P: "processing",
+  F: "failed",
+};
+
+// Paiements en attente confirmés manuellement (confirm) sur cette instance
+const confirmedReferences = new Set();
+
+/**
+ * Issue simulée selon la fin du numéro de compte :
+ * - "00" : refusé (solde insuffisant)
+ * - "11" : en attente de validation sur le téléphone, approuvé après 15s
+ *   ou dès l'appel à confirm
+ * - autre : approuvé immédiatement
+ */
+const outcomeFor = (accountNumber = "") => {
+  if (accountNumber.endsWith("00")) return "F";
+  if (accountNumber.endsWith("11")) return "P";
+  return "A";
+};
+
+const parseReference = (reference) => {
+  const [prefix, outcome, createdAt] = String(reference || "").split("-");
+  if (prefix !== "SIM" || !OUTCOMES[outcome]) return null;
+  return { outcome, createdAt: parseInt(createdAt, 36) };
+};
+
+const statusOf = (reference) => {
+  const parsed = parseReference(reference);
+  if (!parsed) return "failed";
+
+  if (
+    parsed.outcome === "P" &&
+    (confirmedReferences.has(reference) ||
+      Date.now() - parsed.createdAt >= APPROVAL_DELAY)
+  ) {
+    return "paid";
+  }
+
+  return OUTCOMES[parsed.outcome];
+};
+
+const MESSAGES = {
+  paid: "Paiement simulé approuvé",
+  processing: "Paiement simulé en attente de validation",
+  failed: "Paiement simulé refusé : solde insuffisant",
+};
+
+const toResult = (reference) => {
+  const status = statusOf(reference);
+  return {
+    status,
+    reference,
+    providerStatus: `SIMULATED_${status.toUpperCase()}`,
+    message: MESSAGES[status],
+  };
+};
+
+/**
+ * Adaptateur de simulation pour le développement et les tests
+ * Aucun appel réseau, aucun débit réel
+ * @param {string} platform - Plateforme simulée (WAAFI, D-MONEY...)
+ */
+export const createSimulatorProvider = (platform) => ({
+  platform,
+  isSimulator: true,
+
+  isConfigured: () => true,
+
+  initiate: async ({ accountNumber }) => {
+    const reference = [
+      "SIM",
+      outcomeFor(accountNumber),
+      Date.now().toString(36),
+      crypto.randomBytes(4).toString("hex"),
+    ].join("-");
+
+    return toResult(reference);
+  },
+
+  confirm: async (reference) => {
+    if (parseReference(reference)?.outcome === "P") {
+      confirmedReferences.add(reference);
+    }
+    return toResult(reference);
+  },
+
+  // Sans référence (appel initial perdu), la transaction est inconnue
+  getStatus: async ({ reference }) =>
+    reference
+      ? toResult(reference)
+      : {
+          status: "failed",
+          reference: null,
+          providerStatus: "SIMULATED_NOT_FOUND",
+          message: "Transaction simulée inconnue",
+        },
+
+  refund: async (reference, { amount }) => {
+    if (statusOf(reference) !== "paid") {
+      return {
+        status: "failed",
+        reference: null,
+        providerStatus: "SIMULATED_REFUND_REFUSED",
+        message: "Seul un paiement approuvé peut être remboursé",
+      };
+    }
+
+    return {
+      status: "refunded",
+      reference: `SIMR-${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`,
+      providerStatus: "SIMULATED_REFUNDED",
+      message: `Remboursement simulé de ${amount}`,
+    };
+  },
+});
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import {
+  normalizeStatus,
+  requestProvider,
+} from "@/backend/utils/paymentProviders/http";
+
+// Le client valide le paiement par son code PIN pendant l'appel API_PURCHASE :
+// délai plus long que les autres opérateurs, sous les 30s du checkout
+const PURCHASE_TIMEOUT = 25000;
+
+const WAAFI_SUCCESS_CODE = "2001";
+
+const WAAFI_STATUS_MAP = {
+  APPROVED: "paid",
+  PENDING: "processing",
+  DECLINED: "failed",
+  CANCELLED: "failed",
+  REVERSED: "refunded",
+  REFUNDED: "refunded",
+};
+
+const getConfig = () => ({
+  apiUrl: process.env.WAAFI_API_URL || "https://api.waafipay.net/asm",
+  merchantUid: process.env.WAAFI_MERCHANT_UID,
+  apiUserId: process.env.WAAFI_API_USER_ID,
+  apiKey: process.env.WAAFI_API_KEY,
+});
+
+/**
+ * Requête WaafiPay : une seule URL, le service est désigné par serviceName
+ */
+const callWaafi = (serviceName, params, options = {}) => {
+  const { apiUrl, merchantUid, apiUserId, apiKey } = getConfig();
+
+  return requestProvider("WAAFI", apiUrl, {
+    ...options,
+    body: {
+      schemaVersion: "1.0",
+      requestId: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      channelName: "WEB",
+      serviceName,
+      serviceParams: { merchantUid, apiUserId, apiKey, ...params },
+    },
+  });
+};
+
+const toResult = ({ data }) => {
+  if (data.responseCode !== WAAFI_SUCCESS_CODE) {
+    return {
+      status: "failed",
+      reference: data.params?.transactionId || null,
+      providerStatus: data.responseCode || "UNKNOWN",
+      message: data.responseMsg || "Paiement refusé par WAAFI",
+    };
+  }
+
+  return {
+    status: normalizeStatus(WAAFI_STATUS_MAP, data.params?.state),
+    reference: data.params?.transactionId || null,
+    providerStatus: data.params?.state,
+    message: data.responseMsg,
+  };
+};
+
+/**
+ * Adaptateur WAAFI (WaafiPay)
+ * Variables : WAAFI_API_URL (facultative), WAAFI_MERCHANT_UID,
+ * WAAFI_API_USER_ID, WAAFI_API_KEY
+ */
+const waafiProvider = {
+  platform: "WAAFI",
+
+  isConfigured: () => {
+    const { merchantUid, apiUserId, apiKey } = getConfig();
+    return Boolean(merchantUid && apiUserId && apiKey);
+  },
+
+  initiate: async ({ orderNumber, amount, currency, accountNumber }) =>
+    toResult(
+      await callWaafi(
+        "API_PURCHASE",
+        {
+          paymentMethod: "MWALLET_ACCOUNT",
+          payerInfo: { accountNo: accountNumber },
+          transactionInfo: {
+            referenceId: orderNumber,
+            invoiceId: orderNumber,
+            amount,
+            currency,
+            description: `Commande ${orderNumber}`,
+          },
+        },
+        { timeout: PURCHASE_TIMEOUT },
+      ),
+    ),
+
+  // API_PURCHASE est validé par le client sur son téléphone pendant l'appel :
+  // pas d'étape de confirmation distincte, on relit le statut
+  confirm: async (reference) => waafiProvider.getStatus({ reference }),
+
+  getStatus: async ({ reference, orderNumber }) =>
+    toResult(
+      await callWaafi("API_GETTRANSACTIONINFO", {
+        transactionId: reference || undefined,
+        referenceId: reference ? undefined : orderNumber,
+      }),
+    ),
+
+  refund: async (reference, { amount, reason }) => {
+    const result = toResult(
+      await callWaafi("API_REFUND", {
+        transactionId: reference,
+        amount,
+        description: reason,
+      }),
+    );
+
+    // Un remboursement accepté est immédiat chez WAAFI
+    return result.status === "failed"
+      ? result
+      : { ...result, status: "refunded" };
+  },
+};
+
+export default waafiProvider;
@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import { PICKUP_CODE_ALPHABET, PICKUP_CODE_LENGTH } from "@/helpers/constants";
+
+/**
+ * Génère un code de retrait à usage unique (tirage cryptographique)
+ * @returns {string} ex: "K7RM3Q"
+ */
+export const generatePickupCode = () =>
+  Array.from(
+    { length: PICKUP_CODE_LENGTH },
+    () => PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)],
+  ).join("");
+
+/**
+ * Normalise un code saisi au comptoir (casse, espaces, tirets)
+ * @param {string} input
+ * @returns {string|null} Code normalisé, null si le format est invalide
+ */
+export const normalizePickupCode = (input) => {
+  if (typeof input !== "string") return null;
+
+  const code = input.toUpperCase().replace(/[\s-]/g, "");
+  if (code.length !== PICKUP_CODE_LENGTH) return null;
+
+  return [...code].every((char) => PICKUP_CODE_ALPHABET.includes(char))
+    ? code
+    : null;
+};
+
+/**
+ * Compare un code saisi au code de la commande en temps constant
+ * @param {string} expected - Code enregistré sur la commande
+ * @param {string} candidate - Code normalisé saisi par l'équipe
+ * @returns {boolean}
+ */
+export const isPickupCodeMatch = (expected, candidate) => {
+  if (typeof expected !== "string" || typeof candidate !== "string") {
+    return false;
+  }
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(candidate);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
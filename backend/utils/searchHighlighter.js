@@ -0,0 +1,187 @@
+/**
+ * Extraits de recherche mis en évidence
+ * Indique pourquoi un produit correspond à la recherche (nom ou description)
+ *
+ * Les extraits sont renvoyés sous forme de segments { text, match }
+ * pour que le client les affiche sans injecter de HTML.
+ */
+
+const SNIPPET_RADIUS = 60; // Caractères de contexte autour du premier terme trouvé
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Supprime les accents et passe en minuscules
+ * Conserve la longueur de la chaîne pour garder les positions alignées
+ */
+export const normalizeForSearch = (value) => {
+  if (!value || typeof value !== "string") return "";
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+};
+
+/**
+ * Prépare une requête utilisateur pour l'opérateur $text
+ * Retire les guillemets et les négations pour éviter une syntaxe inattendue
+ */
+export const toTextSearchQuery = (keyword) => {
+  if (!keyword || typeof keyword !== "string") return "";
+  return keyword
+    .replace(/["\\]/g, " ")
+    .split(/\s+/)
+    .map((term) => term.replace(/^-+/, ""))
+    .filter(Boolean)
+    .join(" ");
+};
+
+// Variantes accentuées des voyelles et du "c" pour les regex de préfixe
+const ACCENT_CLASSES = {
+  a: "[aàâä]",
+  c: "[cç]",
+  e: "[eéèêë]",
+  i: "[iîï]",
+  o: "[oôö]",
+  u: "[uùûü]",
+  y: "[yÿ]",
+};
+
+/**
+ * Construit une regex insensible à la casse et aux accents
+ * qui recherche le texte au début d'un mot (saisie en cours)
+ * @param {string} value - Texte saisi par l'utilisateur
+ * @returns {RegExp|null}
+ */
+export const buildPrefixRegex = (value) => {
+  const normalized = normalizeForSearch(value).trim().replace(/\s+/g, " ");
+  if (!normalized) return null;
+
+  const pattern = normalized
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/[aceiouy]/g, (char) => ACCENT_CLASSES[char]);
+
+  return new RegExp(`(^|\\s)${pattern}`, "i");
+};
+
+/**
+ * Extrait les termes de recherche normalisés (sans doublons)
+ * Le singulier est ajouté pour les pluriels simples (ex: "robes" -> "robe")
+ * afin de rester proche de la racinisation de l'index texte
+ */
+export const extractSearchTerms = (keyword) => {
+  const terms = normalizeForSearch(toTextSearchQuery(keyword))
+    .split(/[\s,.;:!?'()&-]+/)
+    .filter((term) => term.length >= MIN_TERM_LENGTH)
+    .flatMap((term) =>
+      term.length > 3 && /[sx]$/.test(term) ? [term, term.slice(0, -1)] : term,
+    );
+
+  return [...new Set(terms)];
+};
+
+// Découpe un texte en segments { text, match } selon les termes trouvés
+const buildSegments = (text, terms) => {
+  const normalized = normalizeForSearch(text);
+  const ranges = [];
+
+  terms.forEach((term) => {
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = normalized.indexOf(term, index + term.length);
+    }
+  });
+
+  if (ranges.length === 0) return null;
+
+  // Fusionner les plages qui se chevauchent
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  for (const [start, end] of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), match: false });
+    }
+    segments.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), match: false });
+  }
+
+  return segments;
+};
+
+// Réduit la description à une fenêtre autour du premier terme trouvé
+const cropAroundFirstMatch = (text, terms) => {
+  const normalized = normalizeForSearch(text);
+  const positions = terms
+    .map((term) => normalized.indexOf(term))
+    .filter((index) => index !== -1);
+
+  if (positions.length === 0) return null;
+
+  const first = Math.min(...positions);
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+  return {
+    text: text.slice(start, end),
+    prefix: start > 0,
+    suffix: end < text.length,
+  };
+};
+
+/**
+ * Construit les extraits mis en évidence pour un produit
+ * @param {Object} product - Produit (name, description)
+ * @param {string} keyword - Recherche de l'utilisateur
+ * @returns {Object|null} { name, description, fields } ou null si aucun terme trouvé
+ */
+export const buildSearchHighlight = (product, keyword) => {
+  const terms = extractSearchTerms(keyword);
+  if (!product || terms.length === 0) return null;
+
+  const name = buildSegments(product.name || "", terms);
+
+  // La description peut contenir du HTML : on ne garde que le texte
+  const plainDescription = (product.description || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  let description = null;
+  const cropped = cropAroundFirstMatch(plainDescription, terms);
+  if (cropped) {
+    description = buildSegments(cropped.text, terms);
+    if (cropped.prefix) description.unshift({ text: "…", match: false });
+    if (cropped.suffix) description.push({ text: "…", match: false });
+  }
+
+  const fields = [];
+  if (name) fields.push("name");
+  if (description) fields.push("description");
+
+  // Correspondance uniquement par racine : pas d'extrait à afficher
+  if (fields.length === 0) return null;
+
+  return { name, description, fields };
+};
+
+export default {
+  normalizeForSearch,
+  toTextSearchQuery,
+  buildPrefixRegex,
+  extractSearchTerms,
+  buildSearchHighlight,
+};
@@ -0,0 +1,28 @@
+import { getToken } from "next-auth/jwt";
+
+/**
+ * Identifiant de l'utilisateur connecté, lu dans le JWT de session
+ * Pour les routes publiques : aucune erreur si le visiteur est anonyme
+ * @param {Request} req
+ * @returns {Promise<string|null>} _id de l'utilisateur ou null
+ */
+export const getSessionUserId = async (req) => {
+  try {
+    const cookieName =
+      process.env.NODE_ENV === "production"
+        ? "__Secure-next-auth.session-token"
+        : "next-auth.session-token";
+
+    const token = await getToken({
+      req,
+      secret: process.env.NEXTAUTH_SECRET,
+      cookieName,
+    });
+
+    const userId = String(token?.user?._id || "");
+    return /^[0-9a-fA-F]{24}$/.test(userId) ? userId : null;
+  } catch (error) {
+    console.error("Error reading session user:", error.message);
+    return null;
+  }
+};
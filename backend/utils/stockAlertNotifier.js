@@ -0,0 +1,196 @@
+import Product from "@/backend/models/product";
+import StockAlert from "@/backend/models/stockAlert";
+import { sendBackInStockEmail } from "@/backend/utils/emailService";
+import logger from "@/utils/logger";
+import { captureException } from "@/monitoring/sentry";
+
+// Nombre maximum d'emails envoyés par produit et par passage
+const MAX_ALERTS_PER_RUN = 200;
+
+// Un envoi resté en "sending" au-delà de ce délai a été interrompu
+const STALE_SENDING_MS = 15 * 60 * 1000;
+
+// Stock disponible pour un abonnement (produit entier ou variante précise)
+const getAvailableStock = (product, variantId) => {
+  if (!variantId) return product.stock || 0;
+  const resolved = Product.resolveVariant(product, variantId);
+  return resolved ? resolved.stock || 0 : 0;
+};
+
+/**
+ * Prévient les abonnés d'un produit revenu en stock
+ * Chaque abonnement est réservé atomiquement (pending -> sending) :
+ * deux exécutions concurrentes ne peuvent pas envoyer le même email.
+ * En cas d'échec d'envoi, l'abonnement repasse en "pending" pour le prochain passage.
+ * @param {string} productId
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+export const notifyBackInStock = async (productId) => {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  const product = await Product.findById(productId)
+    .select("name price stock images isActive variants")
+    .lean();
+
+  if (!product || !product.isActive || !(product.stock > 0)) {
+    return summary;
+  }
+
+  const alerts = await StockAlert.find({
+    product: product._id,
+    status: "pending",
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_ALERTS_PER_RUN)
+    .lean();
+
+  for (const alert of alerts) {
+    // Abonnement à une variante toujours en rupture : on attend
+    if (getAvailableStock(product, alert.variant) <= 0) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const claimed = await StockAlert.findOneAndUpdate(
+      { _id: alert._id, status: "pending" },
+      { $set: { status: "sending" } },
+      { new: true },
+    );
+
+    // Déjà pris en charge par une autre exécution
+    if (!claimed) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const resolved = alert.variant
+      ? Product.resolveVariant(product, alert.variant)
+      : null;
+
+    const result = await sendBackInStockEmail(alert.email, alert.name, {
+      id: product._id.toString(),
+      name: product.name,
+      price: resolved?.price ?? product.price,
+      imageUrl: resolved?.images?.[0]?.url || product.images?.[0]?.url || "",
+      variantLabel: resolved?.variant
+        ? Product.getVariantLabel(resolved.variant)
+        : "",
+    });
+
+    if (result.success) {
+      await StockAlert.updateOne(
+        { _id: alert._id },
+        {
+          $set: { status: "notified", notifiedAt: new Date(), lastError: null },
+          $inc: { notificationCount: 1 },
+        },
+      );
+      summary.sent += 1;
+    } else {
+      await StockAlert.updateOne(
+        { _id: alert._id },
+        {
+          $set: {
+            status: "pending",
+            lastError: String(result.error || "unknown").substring(0, 500),
+          },
+        },
+      );
+      summary.failed += 1;
+    }
+  }
+
+  if (summary.sent > 0 || summary.failed > 0) {
+    logger.info("Back in stock alerts processed", {
+      productId: product._id.toString(),
+      ...summary,
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Prévient les abonnés après une remise en stock par $inc (annulation de
+ * commande, remboursement) : ces mises à jour ne déclenchent pas le hook
+ * post("save") du produit. Les envois ne retardent pas la réponse.
+ * @param {Array} movements - Mouvements de retour en stock
+ * ({ product, quantity, stockAfter, variantStockAfter })
+ */
+export const notifyRestockedProducts = (movements) => {
+  const productIds = new Set(
+    movements
+      .filter(
+        ({ quantity, stockAfter, variantStockAfter }) =>
+          stockAfter - quantity <= 0 ||
+          (variantStockAfter != null && variantStockAfter - quantity <= 0),
+      )
+      .map(({ product }) => String(product)),
+  );
+
+  productIds.forEach((productId) => {
+    notifyBackInStock(productId).catch((error) => {
+      logger.error("Back in stock notification error", {
+        productId,
+        error: error.message,
+      });
+    });
+  });
+};
+
+/**
+ * Traite tous les produits revenus en stock ayant des abonnés en attente
+ * Couvre les réapprovisionnements faits hors de cette application
+ * (back-office, import) qui ne déclenchent pas les hooks du modèle.
+ * @returns {Promise<{products: number, sent: number, failed: number, skipped: number}>}
+ */
+export const processPendingStockAlerts = async () => {
+  // Libérer les envois interrompus (crash pendant l'envoi)
+  await StockAlert.updateMany(
+    {
+      status: "sending",
+      updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) },
+    },
+    { $set: { status: "pending" } },
+  );
+
+  const productIds = await StockAlert.distinct("product", {
+    status: "pending",
+  });
+
+  const restockedProducts = await Product.find({
+    _id: { $in: productIds },
+    isActive: true,
+    stock: { $gt: 0 },
+  })
+    .select("_id")
+    .lean();
+
+  const totals = {
+    products: restockedProducts.length,
+    sent: 0,
+    failed: 0,
+    skipped: 0,
+  };
+
+  for (const { _id } of restockedProducts) {
+    try {
+      const summary = await notifyBackInStock(_id);
+      totals.sent += summary.sent;
+      totals.failed += summary.failed;
+      totals.skipped += summary.skipped;
+    } catch (error) {
+      logger.error("Erreur lors de l'envoi des alertes de retour en stock", {
+        error: error.message,
+        productId: _id.toString(),
+      });
+
+      captureException(error, {
+        tags: { component: "stock-alerts", operation: "process-pending" },
+        extra: { productId: _id.toString() },
+      });
+    }
+  }
+
+  return totals;
+};
@@ -17,6 +17,7 @@ const ItemCart = dynamic(() => import("./components/ItemCart"), {
 // Composants et hooks extraits pour meilleure organisation
 import EmptyCart from "./components/EmptyCart";
 import CartSummary from "./components/CartSummary";
+import CartChangesBanner from "./components/CartChangesBanner";
 import useCartOperations from "../../hooks/useCartOperations"; // ✅ Hook avec monitoring intégré
 import CartSkeleton from "../skeletons/CartSkeleton";
 
@@ -27,6 +28,8 @@ const Cart = () => {
     cartCount,
     setCartToState,
     cartTotal,
+    cartChanges,
+    acceptCartChanges,
     error,
     clearError,
   } = useContext(CartContext);
@@ -100,6 +103,14 @@ const Cart = () => {
       {/* Contenu du panier */}
       <section className="py-8 md:py-10">
         <div className="container max-w-6xl mx-auto px-4">
+          {/* Prix, stock ou disponibilité modifiés depuis l'ajout */}
+          <CartChangesBanner
+            changes={cartChanges}
+            onAccept={acceptCartChanges}
+            onRemove={handleDeleteItem}
+            disabled={loading || deleteInProgress}
+          />
+
           {!loading && cart?.length === 0 ? (
             <EmptyCart />
           ) : (
@@ -117,7 +128,11 @@ const Cart = () => {
 
               {/* Résumé du panier */}
               {cart?.length > 0 && (
-                <CartSummary cartItems={cart} amount={cartTotal} />
+                <CartSummary
+                  cartItems={cart}
+                  amount={cartTotal}
+                  hasPendingChanges={cartChanges?.length > 0}
+                />
               )}
             </div>
           )}
@@ -31,6 +31,7 @@ import {
   AlertCircle,
 } from "lucide-react";
 import ItemShipping from "./components/ItemShipping";
+import ShippingInfoSummary from "../orders/ShippingInfoSummary";
 
 // Chargement dynamique des composants
 const BreadCrumbs = dynamic(() => import("@/components/layouts/BreadCrumbs"), {
@@ -74,10 +75,16 @@ const Payment = ({ paymentTypes }) => {
   const submitAttempts = useRef(0);
 
   // Contextes
-  const { cart, cartTotal, cartCount } = useContext(CartContext);
+  const { cart, cartTotal, cartCount, cartChanges } = useContext(CartContext);
 
-  const { orderInfo, setOrderInfo, setPaymentTypes, error, clearErrors } =
-    useContext(OrderContext);
+  const {
+    orderInfo,
+    shippingInfo,
+    setOrderInfo,
+    setPaymentTypes,
+    error,
+    clearErrors,
+  } = useContext(OrderContext);
 
   const router = useRouter();
 
@@ -98,6 +105,7 @@ const Payment = ({ paymentTypes }) => {
     const steps = [
       { name: "Accueil", url: "/" },
       { name: "Panier", url: "/cart" },
+      { name: "Livraison", url: "/shipping" },
     ];
 
     steps.push({ name: "Paiement", url: "" });
@@ -127,6 +135,24 @@ const Payment = ({ paymentTypes }) => {
           return router.push("/cart");
         }
 
+        // Prix ou stock modifiés : l'utilisateur doit d'abord valider son panier
+        if (cartChanges?.length > 0) {
+          toast.info("Votre panier a changé. Vérifiez-le avant de payer.", {
+            position: "bottom-right",
+            autoClose: 5000,
+          });
+          return router.push("/cart");
+        }
+
+        // Le mode de remise est choisi à l'étape précédente
+        if (!shippingInfo) {
+          toast.info("Choisissez d'abord votre mode de livraison", {
+            position: "bottom-right",
+            autoClose: 5000,
+          });
+          return router.push("/shipping");
+        }
+
         // Vérifier si des moyens de paiement sont disponibles
         if (isArrayEmpty(paymentTypes)) {
           toast.error("Aucun moyen de paiement n'est disponible actuellement", {
@@ -161,6 +187,8 @@ const Payment = ({ paymentTypes }) => {
     dataInitialized,
     cartTotal,
     cartCount,
+    cartChanges,
+    shippingInfo,
     router,
     setOrderInfo,
   ]);
@@ -191,6 +219,7 @@ const Payment = ({ paymentTypes }) => {
     return cart.map((item) => ({
       cartId: item?.id,
       product: item?.productId,
+      variant: item?.variantId || null,
       name: item?.productName || "Produit sans nom",
       category: "Non catégorisé",
       quantity: item?.quantity || 1,
@@ -440,6 +469,7 @@ const Payment = ({ paymentTypes }) => {
       const finalOrderInfo = {
         ...orderInfo,
         paymentInfo,
+        shippingInfo,
         totalAmount: totalAmount,
       };
 
@@ -484,6 +514,7 @@ const Payment = ({ paymentTypes }) => {
     isCashPayment,
     setPaymentTypes,
     paymentTypes,
+    shippingInfo,
   ]);
 
   if (isLoading) {
@@ -520,7 +551,21 @@ const Payment = ({ paymentTypes }) => {
       <section className="py-8 md:py-10">
         <div className="container max-w-6xl mx-auto px-4">
           <div className="flex flex-col md:flex-row gap-6">
-            <main className="md:w-2/3">
+            <main className="md:w-2/3 space-y-6">
+              <div className="bg-white shadow rounded-lg p-6">
+                <div className="flex items-center justify-between mb-4 pb-2 border-b">
+                  <h2 className="text-xl font-semibold">Livraison</h2>
+                  <Link
+                    href="/shipping"
+                    className="text-blue-600 hover:text-blue-700 text-sm font-medium"
+                  >
+                    Modifier
+                  </Link>
+                </div>
+
+                <ShippingInfoSummary shippingInfo={shippingInfo} />
+              </div>
+
               <div className="bg-white shadow rounded-lg p-6">
                 <h2 className="text-xl font-semibold mb-6 pb-2 border-b">
                   Choisissez votre moyen de paiement
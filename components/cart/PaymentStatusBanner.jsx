@@ -0,0 +1,118 @@
+"use client";
+
+import { memo } from "react";
+import Link from "next/link";
+import { CheckCircle2, Loader2, RefreshCw, XCircle } from "lucide-react";
+
+/**
+ * Statut du paiement en ligne sur la page de confirmation
+ * Mis à jour en direct par usePaymentStatus (aria-live pour les lecteurs d'écran)
+ * @param {string} paymentStatus - processing | paid | failed
+ * @param {string|null} message - Message de l'opérateur
+ * @param {boolean} hasTimedOut - Suivi automatique arrêté
+ * @param {Function} onRefresh - Relance le suivi
+ * @param {string} orderId - _id de la commande (lien vers son détail)
+ */
+const PaymentStatusBanner = memo(
+  ({ paymentStatus, message, hasTimedOut, onRefresh, orderId }) => {
+    if (paymentStatus === "processing") {
+      return (
+        <div
+          className="max-w-2xl mx-auto mb-6 p-4 bg-amber-50 border-2 border-amber-200 rounded-xl text-left"
+          role="status"
+          aria-live="polite"
+        >
+          <div className="flex items-start gap-3">
+            <Loader2
+              size={22}
+              className={`text-amber-600 flex-shrink-0 mt-0.5 ${
+                hasTimedOut ? "" : "animate-spin"
+              }`}
+            />
+            <div>
+              <p className="font-semibold text-amber-900">
+                En attente de la confirmation Mobile Money
+              </p>
+              <p className="text-sm text-amber-800 mt-1">
+                {hasTimedOut
+                  ? "La confirmation prend plus de temps que prévu. Vous pouvez vérifier à nouveau ou suivre le paiement depuis vos commandes."
+                  : "Validez le paiement sur votre téléphone. Cette page se met à jour automatiquement."}
+              </p>
+              {hasTimedOut && (
+                <button
+                  type="button"
+                  onClick={onRefresh}
+                  className="mt-2 inline-flex items-center gap-1 text-sm font-medium text-amber-900 hover:underline"
+                >
+                  <RefreshCw size={14} />
+                  Vérifier à nouveau
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (paymentStatus === "paid") {
+      return (
+        <div
+          className="max-w-2xl mx-auto mb-6 p-4 bg-green-50 border-2 border-green-200 rounded-xl text-left"
+          role="status"
+          aria-live="polite"
+        >
+          <div className="flex items-center gap-3">
+            <CheckCircle2 size={22} className="text-green-600 flex-shrink-0" />
+            <p className="font-semibold text-green-800">
+              Paiement confirmé. Merci !
+            </p>
+          </div>
+        </div>
+      );
+    }
+
+    if (paymentStatus === "failed") {
+      return (
+        <div
+          className="max-w-2xl mx-auto mb-6 p-4 bg-red-50 border-2 border-red-200 rounded-xl text-left"
+          role="alert"
+        >
+          <div className="flex items-start gap-3">
+            <XCircle size={22} className="text-red-600 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="font-semibold text-red-800">Paiement refusé</p>
+              {message && (
+                <p className="text-sm text-red-700 mt-1">{message}</p>
+              )}
+              <p className="text-sm text-red-700 mt-1">
+                Votre commande est enregistrée mais n&apos;est pas payée. Vous
+                pouvez l&apos;annuler depuis{" "}
+                <Link href="/me/orders" className="font-medium underline">
+                  vos commandes
+                </Link>{" "}
+                puis la passer à nouveau.
+              </p>
+              <p className="text-sm text-red-700 mt-1">
+                Vous avez déjà payé par transfert WAAFI ou D-MONEY ? Envoyez
+                votre justificatif depuis{" "}
+                <Link
+                  href={`/me/orders/${orderId}`}
+                  className="font-medium underline"
+                >
+                  le détail de la commande
+                </Link>
+                .
+              </p>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    return null;
+  },
+);
+
+PaymentStatusBanner.displayName = "PaymentStatusBanner";
+
+export default PaymentStatusBanner;
@@ -21,10 +21,12 @@ import {
   Package,
   Info,
   Banknote,
+  Truck,
 } from "lucide-react";
 
 // Helpers
 import { formatPrice } from "@/helpers/helpers";
+import ShippingInfoSummary from "@/components/orders/ShippingInfoSummary";
 
 // Chargement dynamique des composants
 const BreadCrumbs = dynamic(() => import("@/components/layouts/BreadCrumbs"), {
@@ -56,7 +58,7 @@ const ReviewOrder = () => {
         setIsLoading(true);
 
         // Vérifier que l'utilisateur a bien rempli le formulaire de paiement
-        if (!orderInfo || !orderInfo.paymentInfo) {
+        if (!orderInfo || !orderInfo.paymentInfo || !orderInfo.shippingInfo) {
           toast.error(
             "Veuillez d'abord renseigner vos informations de paiement",
           );
@@ -104,6 +106,7 @@ const ReviewOrder = () => {
     () => [
       { name: "Accueil", url: "/" },
       { name: "Panier", url: "/cart" },
+      { name: "Livraison", url: "/shipping" },
       { name: "Paiement", url: "/payment" },
       { name: "Révision", url: "" },
     ],
@@ -116,7 +119,7 @@ const ReviewOrder = () => {
       setIsSubmitting(true);
 
       // Vérifications finales
-      if (!orderInfo || !orderInfo.paymentInfo) {
+      if (!orderInfo || !orderInfo.paymentInfo || !orderInfo.shippingInfo) {
         toast.error("Informations de commande incomplètes");
         router.push("/payment");
         return;
@@ -208,6 +211,11 @@ const ReviewOrder = () => {
                         <h3 className="font-medium text-gray-800">
                           {item.productName}
                         </h3>
+                        {item.variantLabel && (
+                          <p className="text-xs text-gray-500 mt-0.5">
+                            {item.variantLabel}
+                          </p>
+                        )}
                         <p className="text-sm text-gray-500 mt-1">
                           Quantité: {item.quantity}
                         </p>
@@ -225,6 +233,24 @@ const ReviewOrder = () => {
                 </div>
               </div>
 
+              {/* Section Livraison / retrait */}
+              <div className="bg-white shadow rounded-lg p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+                    <Truck className="mr-2 text-blue-600" size={20} />
+                    Livraison
+                  </h2>
+                  <Link
+                    href="/shipping"
+                    className="text-blue-600 hover:text-blue-700 text-sm font-medium"
+                  >
+                    Modifier
+                  </Link>
+                </div>
+
+                <ShippingInfoSummary shippingInfo={orderInfo.shippingInfo} />
+              </div>
+
               {/* Section Informations de paiement */}
               <div className="bg-white shadow rounded-lg p-6">
                 <div className="flex items-center justify-between mb-4">
@@ -0,0 +1,307 @@
+"use client";
+
+import { useState, useContext, useEffect, useCallback, useMemo } from "react";
+import dynamic from "next/dynamic";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import { LoaderCircle } from "lucide-react";
+import { captureException } from "@/monitoring/sentry";
+
+import AuthContext from "@/context/AuthContext";
+import CartContext from "@/context/CartContext";
+import OrderContext from "@/context/OrderContext";
+import { formatPrice } from "@/helpers/helpers";
+import { PICKUP_POINTS, MAX_SAVED_ADDRESSES } from "@/helpers/constants";
+import { validateShippingAddress } from "@/utils/addressSanitizer";
+import PaymentPageSkeleton from "../skeletons/PaymentPageSkeleton";
+import ItemShipping from "./components/ItemShipping";
+import ShippingMethodSelector from "./components/ShippingMethodSelector";
+
+const BreadCrumbs = dynamic(() => import("@/components/layouts/BreadCrumbs"), {
+  loading: () => <div className="h-12 animate-pulse bg-gray-200 rounded"></div>,
+  ssr: true,
+});
+
+const EMPTY_ADDRESS = {
+  label: "",
+  street: "",
+  additionalInfo: "",
+  city: "",
+  country: "",
+};
+
+/**
+ * Étape livraison du checkout (entre le panier et le paiement)
+ * Propose les adresses du carnet, la saisie d'une nouvelle adresse ou un point de retrait
+ */
+const Shipping = () => {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [method, setMethod] = useState("delivery");
+  const [selectedAddressId, setSelectedAddressId] = useState("new");
+  const [newAddress, setNewAddress] = useState(EMPTY_ADDRESS);
+  const [saveAddress, setSaveAddress] = useState(true);
+  const [pickupPointId, setPickupPointId] = useState(
+    PICKUP_POINTS[0]?.id || "",
+  );
+  const [errors, setErrors] = useState({});
+
+  const { user, addresses, loadAddresses, addAddress } =
+    useContext(AuthContext);
+  const { cart, cartCount, cartTotal, cartChanges } = useContext(CartContext);
+  const { shippingInfo, setShippingInfo } = useContext(OrderContext);
+
+  const router = useRouter();
+
+  const breadCrumbs = useMemo(
+    () => [
+      { name: "Accueil", url: "/" },
+      { name: "Panier", url: "/cart" },
+      { name: "Livraison", url: "" },
+    ],
+    [],
+  );
+
+  // Charger le carnet et restaurer le choix précédent
+  useEffect(() => {
+    const initializeShipping = async () => {
+      try {
+        if (cartChanges?.length > 0) {
+          toast.info("Votre panier a changé. Vérifiez-le avant de continuer.", {
+            position: "bottom-right",
+            autoClose: 5000,
+          });
+          return router.push("/cart");
+        }
+
+        router.prefetch("/payment");
+
+        const list = await loadAddresses();
+
+        if (shippingInfo?.method === "pickup") {
+          setMethod("pickup");
+          setPickupPointId(shippingInfo.pickupPointId);
+        } else if (
+          shippingInfo?.addressId &&
+          list.some((saved) => saved._id === shippingInfo.addressId)
+        ) {
+          setSelectedAddressId(shippingInfo.addressId);
+        } else if (list.length > 0) {
+          setSelectedAddressId(
+            (list.find((saved) => saved.isDefault) || list[0])._id,
+          );
+        }
+      } catch (error) {
+        console.error("Erreur lors du chargement des adresses:", error);
+        captureException(error, {
+          tags: { component: "Shipping", action: "initializeShipping" },
+        });
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    // Initialisation unique au montage de l'étape
+    initializeShipping();
+  }, []);
+
+  // Sans carnet, préremplir avec l'adresse du profil
+  useEffect(() => {
+    if (addresses.length > 0 || !user?.address) return;
+
+    setNewAddress((prev) =>
+      prev.street || prev.city
+        ? prev
+        : {
+            ...prev,
+            street: user.address.street || "",
+            city: user.address.city || "",
+            country: user.address.country || "",
+          },
+    );
+  }, [user, addresses.length]);
+
+  const handleAddressChange = useCallback((field, value) => {
+    setNewAddress((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+  }, []);
+
+  const handleContinue = useCallback(async () => {
+    try {
+      setIsSubmitting(true);
+
+      if (method === "pickup") {
+        setShippingInfo({
+          method: "pickup",
+          pickupPointId,
+          pickupPoint: PICKUP_POINTS.find(
+            (point) => point.id === pickupPointId,
+          ),
+        });
+        return router.push("/payment");
+      }
+
+      const saved = addresses.find((entry) => entry._id === selectedAddressId);
+      if (saved) {
+        const { address } = validateShippingAddress(saved);
+        setShippingInfo({ method: "delivery", address, addressId: saved._id });
+        return router.push("/payment");
+      }
+
+      const addressCheck = validateShippingAddress(newAddress);
+      if (!addressCheck.isValid) {
+        setErrors(addressCheck.errors);
+        toast.error("Veuillez compléter votre adresse de livraison", {
+          position: "bottom-right",
+        });
+        return;
+      }
+
+      let addressId = null;
+      if (saveAddress && addresses.length < MAX_SAVED_ADDRESSES) {
+        // Un échec d'enregistrement ne bloque pas la commande
+        const result = await addAddress({
+          ...addressCheck.address,
+          label: newAddress.label,
+        });
+        if (result.success) {
+          addressId = result.address?._id || null;
+        } else {
+          toast.warning(result.error, { position: "bottom-right" });
+        }
+      }
+
+      setShippingInfo({
+        method: "delivery",
+        address: addressCheck.address,
+        addressId,
+      });
+      router.push("/payment");
+    } catch (error) {
+      console.error("Erreur lors du choix de la livraison:", error);
+      captureException(error, {
+        tags: { component: "Shipping", action: "handleContinue" },
+      });
+      toast.error("Une erreur est survenue. Veuillez réessayer.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [
+    method,
+    pickupPointId,
+    addresses,
+    selectedAddressId,
+    newAddress,
+    saveAddress,
+    addAddress,
+    setShippingInfo,
+    router,
+  ]);
+
+  if (isLoading) {
+    return <PaymentPageSkeleton />;
+  }
+
+  if (!Array.isArray(cart) || cartCount === 0) {
+    return (
+      <div className="container mx-auto px-4 py-16 text-center">
+        <h2 className="text-2xl font-semibold mb-3">Votre panier est vide</h2>
+        <Link
+          href="/"
+          className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-md shadow hover:bg-blue-700 transition-colors"
+        >
+          Découvrir nos produits
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <BreadCrumbs breadCrumbs={breadCrumbs} />
+
+      <section className="py-8 md:py-10">
+        <div className="container max-w-6xl mx-auto px-4">
+          <div className="flex flex-col md:flex-row gap-6">
+            <main className="md:w-2/3">
+              <div className="bg-white shadow rounded-lg p-6">
+                <h2 className="text-xl font-semibold mb-6 pb-2 border-b">
+                  Mode de remise
+                </h2>
+
+                <ShippingMethodSelector
+                  method={method}
+                  onMethodChange={setMethod}
+                  savedAddresses={addresses}
+                  selectedAddressId={selectedAddressId}
+                  onSelectAddress={setSelectedAddressId}
+                  address={newAddress}
+                  onAddressChange={handleAddressChange}
+                  saveAddress={saveAddress}
+                  onSaveAddressChange={setSaveAddress}
+                  canSaveAddress={addresses.length < MAX_SAVED_ADDRESSES}
+                  pickupPointId={pickupPointId}
+                  onPickupPointChange={setPickupPointId}
+                  errors={errors}
+                />
+              </div>
+            </main>
+
+            <aside className="md:w-1/3">
+              <div className="bg-white shadow rounded-lg p-6 sticky top-24">
+                <div className="flex justify-between text-lg font-bold mb-6">
+                  <span>Total:</span>
+                  <span className="text-blue-600">
+                    {formatPrice(cartTotal)}
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between space-x-3">
+                  <Link
+                    href="/cart"
+                    className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors shadow-sm"
+                  >
+                    Retour
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={handleContinue}
+                    disabled={isSubmitting}
+                    className={`flex-1 px-5 py-2 text-white rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 ${
+                      isSubmitting
+                        ? "bg-gray-400 cursor-not-allowed"
+                        : "bg-blue-600 hover:bg-blue-700 focus:ring-blue-500"
+                    }`}
+                  >
+                    {isSubmitting ? (
+                      <span className="flex items-center justify-center">
+                        <LoaderCircle className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" />
+                        Enregistrement...
+                      </span>
+                    ) : (
+                      "Continuer vers le paiement"
+                    )}
+                  </button>
+                </div>
+
+                <div className="border-t border-gray-200 pt-4 mt-4">
+                  <h3 className="font-medium text-gray-800 mb-3">
+                    Produits ({cartCount})
+                  </h3>
+                  <div className="space-y-3 max-h-80 overflow-auto pr-2 hide-scrollbar">
+                    {cart.map((item) => (
+                      <ItemShipping key={item.id || item._id} item={item} />
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </aside>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default Shipping;
@@ -0,0 +1,105 @@
+"use client";
+
+import { memo, useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import { formatPrice } from "@/helpers/helpers";
+
+// Description lisible d'un changement renvoyé par GET /api/cart
+const describeChange = (change) => {
+  switch (change.type) {
+    case "PRICE_CHANGED":
+      return change.newPrice > change.previousPrice
+        ? `Prix augmenté : ${formatPrice(change.previousPrice)} → ${formatPrice(change.newPrice)}`
+        : `Prix baissé : ${formatPrice(change.previousPrice)} → ${formatPrice(change.newPrice)}`;
+    case "STOCK_REDUCED":
+      return `Plus que ${change.availableQuantity} en stock (vous en aviez ${change.previousQuantity})`;
+    case "OUT_OF_STOCK":
+      return "En rupture de stock";
+    case "VARIANT_UNAVAILABLE":
+      return "Cette variante n'est plus disponible";
+    default:
+      return "Ce produit n'est plus disponible";
+  }
+};
+
+/**
+ * Bandeau listant les changements survenus depuis l'ajout au panier
+ * Le paiement reste bloqué tant que l'utilisateur ne les a pas acceptés
+ * (nouveaux prix / quantités) ou n'a pas retiré les articles concernés.
+ */
+const CartChangesBanner = memo(({ changes, onAccept, onRemove, disabled }) => {
+  const [removingId, setRemovingId] = useState(null);
+
+  if (!changes?.length) return null;
+
+  const handleRemove = async (id) => {
+    setRemovingId(id);
+    try {
+      await onRemove(id);
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  return (
+    <div
+      role="alert"
+      className="mb-6 border border-amber-200 bg-amber-50 rounded-lg p-4"
+    >
+      <div className="flex items-start gap-3">
+        <AlertTriangle
+          className="text-amber-500 w-5 h-5 flex-shrink-0 mt-0.5"
+          aria-hidden="true"
+        />
+        <div className="flex-1">
+          <h2 className="font-semibold text-amber-800">
+            Votre panier a changé depuis votre dernière visite
+          </h2>
+          <p className="text-sm text-amber-700 mt-1">
+            Vérifiez les modifications ci-dessous avant de passer au paiement.
+          </p>
+
+          <ul className="mt-3 divide-y divide-amber-100">
+            {changes.map((change) => (
+              <li
+                key={`${change.id}-${change.type}`}
+                className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2"
+              >
+                <div className="text-sm">
+                  <span className="font-medium text-gray-800">
+                    {change.productName}
+                    {change.variantLabel ? ` (${change.variantLabel})` : ""}
+                  </span>
+                  <span className="block text-gray-600">
+                    {describeChange(change)}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(change.id)}
+                  disabled={disabled || removingId === change.id}
+                  className="self-start sm:self-auto text-sm text-red-600 hover:text-red-700 hover:underline disabled:opacity-50"
+                >
+                  {removingId === change.id ? "Retrait..." : "Retirer"}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <button
+            type="button"
+            onClick={onAccept}
+            disabled={disabled}
+            className="mt-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          >
+            Accepter les modifications
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+CartChangesBanner.displayName = "CartChangesBanner";
+
+export default CartChangesBanner;
@@ -4,7 +4,7 @@ import { memo } from "react";
 import Link from "next/link";
 import { formatPrice } from "@/helpers/helpers";
 
-const CartSummary = memo(({ cartItems, amount }) => {
+const CartSummary = memo(({ cartItems, amount, hasPendingChanges }) => {
   const totalUnits = cartItems.reduce((acc, item) => acc + item?.quantity, 0);
 
   return (
@@ -32,13 +32,25 @@ const CartSummary = memo(({ cartItems, amount }) => {
         </ul>
 
         <div className="space-y-3">
-          <Link
-            href="/payment"
-            className="px-4 py-3 inline-block text-sm font-medium w-full text-center text-white bg-blue-600 border border-transparent rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 shadow-sm"
-            title="Continuer vers la livraison"
-          >
-            Continuer vers le paiement
-          </Link>
+          {hasPendingChanges ? (
+            // Paiement bloqué tant que les changements ne sont pas acceptés
+            <button
+              type="button"
+              disabled
+              className="px-4 py-3 inline-block text-sm font-medium w-full text-center text-white bg-blue-300 border border-transparent rounded-lg cursor-not-allowed shadow-sm"
+              title="Vérifiez les modifications de votre panier"
+            >
+              Continuer vers la livraison
+            </button>
+          ) : (
+            <Link
+              href="/shipping"
+              className="px-4 py-3 inline-block text-sm font-medium w-full text-center text-white bg-blue-600 border border-transparent rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 shadow-sm"
+              title="Continuer vers la livraison"
+            >
+              Continuer vers la livraison
+            </Link>
+          )}
 
           <Link
             href="/"
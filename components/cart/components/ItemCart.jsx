@@ -71,6 +71,12 @@ const ItemCart = memo(
                 {cartItem?.productName}
               </Link>
 
+              {cartItem?.variantLabel && (
+                <span className="text-xs text-gray-500 mt-0.5">
+                  {cartItem.variantLabel}
+                </span>
+              )}
+
               <div className="flex items-center mt-1">
                 {isOutOfStock ? (
                   <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-red-100 text-red-800">
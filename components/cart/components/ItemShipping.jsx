@@ -70,6 +70,12 @@ const ItemShipping = memo(({ item }) => {
           {productName}
         </Link>
 
+        {item?.variantLabel && (
+          <p className="text-xs text-gray-400 line-clamp-1">
+            {item.variantLabel}
+          </p>
+        )}
+
         <div className="flex justify-between items-baseline mt-1">
           <span className="text-xs text-gray-500">{formatPrice(total)}</span>
 
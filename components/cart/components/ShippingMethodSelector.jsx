@@ -0,0 +1,255 @@
+"use client";
+
+import { memo } from "react";
+import { MapPin, Store, AlertCircle } from "lucide-react";
+import { PICKUP_POINTS, SHIPPING_METHOD_LABELS } from "@/helpers/constants";
+import { formatAddressOneLine } from "@/utils/addressSanitizer";
+
+// Champs de l'adresse de livraison saisis au paiement
+const ADDRESS_FIELDS = [
+  {
+    name: "street",
+    label: "Adresse",
+    placeholder: "Ex: Rue de Venise, Plateau du Serpent",
+    maxLength: 100,
+    required: true,
+  },
+  {
+    name: "additionalInfo",
+    label: "Complément",
+    placeholder: "Bâtiment, étage, point de repère...",
+    maxLength: 100,
+  },
+  {
+    name: "city",
+    label: "Ville",
+    placeholder: "Ex: Djibouti",
+    maxLength: 50,
+    required: true,
+  },
+  {
+    name: "country",
+    label: "Pays",
+    placeholder: "Ex: Djibouti",
+    maxLength: 50,
+    required: true,
+  },
+];
+
+const METHOD_ICONS = {
+  delivery: MapPin,
+  pickup: Store,
+};
+
+/**
+ * Choix du mode de remise au checkout : adresse du carnet, nouvelle adresse ou retrait
+ * Composant contrôlé, la validation finale est faite par le parent et par l'API
+ * selectedAddressId vaut "new" quand l'utilisateur saisit une nouvelle adresse
+ */
+const ShippingMethodSelector = memo(
+  ({
+    method,
+    onMethodChange,
+    savedAddresses = [],
+    selectedAddressId,
+    onSelectAddress,
+    address,
+    onAddressChange,
+    saveAddress,
+    onSaveAddressChange,
+    canSaveAddress = true,
+    pickupPointId,
+    onPickupPointChange,
+    errors = {},
+  }) => (
+    <div>
+      <div className="grid sm:grid-cols-2 gap-4 mb-4">
+        {Object.entries(SHIPPING_METHOD_LABELS).map(([value, label]) => {
+          const Icon = METHOD_ICONS[value];
+          const isSelected = method === value;
+
+          return (
+            <label
+              key={value}
+              className={`flex items-center p-4 border rounded-lg cursor-pointer transition-all duration-200 ${
+                isSelected
+                  ? "bg-blue-50 border-blue-400 shadow-sm"
+                  : "border-gray-200 hover:border-blue-300 hover:bg-gray-50"
+              }`}
+            >
+              <input
+                name="shippingMethod"
+                type="radio"
+                value={value}
+                checked={isSelected}
+                onChange={() => onMethodChange(value)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+              />
+              <Icon size={18} className="ml-3 mr-2 text-gray-600" />
+              <span className="font-medium text-gray-800">{label}</span>
+            </label>
+          );
+        })}
+      </div>
+
+      {method === "delivery" && savedAddresses.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {savedAddresses.map((saved) => (
+            <label
+              key={saved._id}
+              className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+                selectedAddressId === saved._id
+                  ? "bg-blue-50 border-blue-300"
+                  : "border-gray-200 hover:bg-gray-50"
+              }`}
+            >
+              <input
+                name="savedAddress"
+                type="radio"
+                value={saved._id}
+                checked={selectedAddressId === saved._id}
+                onChange={() => onSelectAddress(saved._id)}
+                className="h-4 w-4 mt-0.5 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="ml-3 text-sm">
+                <span className="block font-medium text-gray-800">
+                  {saved.label}
+                  {saved.isDefault && (
+                    <span className="ml-2 text-xs font-normal text-blue-600">
+                      Par défaut
+                    </span>
+                  )}
+                </span>
+                <span className="block text-gray-600">
+                  {formatAddressOneLine(saved)}
+                </span>
+              </span>
+            </label>
+          ))}
+
+          <label
+            className={`flex items-center p-3 border rounded-lg cursor-pointer ${
+              selectedAddressId === "new"
+                ? "bg-blue-50 border-blue-300"
+                : "border-gray-200 hover:bg-gray-50"
+            }`}
+          >
+            <input
+              name="savedAddress"
+              type="radio"
+              value="new"
+              checked={selectedAddressId === "new"}
+              onChange={() => onSelectAddress("new")}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-3 text-sm font-medium text-gray-800">
+              Nouvelle adresse
+            </span>
+          </label>
+        </div>
+      )}
+
+      {method === "delivery" ? (
+        (savedAddresses.length === 0 || selectedAddressId === "new") && (
+          <div className="grid sm:grid-cols-2 gap-4">
+            {ADDRESS_FIELDS.map((field) => (
+              <div
+                key={field.name}
+                className={field.name === "street" ? "sm:col-span-2" : ""}
+              >
+                <label
+                  htmlFor={`shipping-${field.name}`}
+                  className="block text-gray-700 mb-1 font-medium text-sm"
+                >
+                  {field.label}{" "}
+                  {field.required && <span className="text-red-500">*</span>}
+                </label>
+                <input
+                  id={`shipping-${field.name}`}
+                  type="text"
+                  className={`w-full px-3 py-2 border rounded-md focus:ring focus:ring-blue-200 focus:outline-none ${
+                    errors[field.name]
+                      ? "border-red-300 bg-red-50"
+                      : "border-gray-300 bg-gray-50 hover:border-gray-400"
+                  }`}
+                  placeholder={field.placeholder}
+                  value={address?.[field.name] || ""}
+                  onChange={(e) => onAddressChange(field.name, e.target.value)}
+                  maxLength={field.maxLength}
+                  aria-invalid={errors[field.name] ? "true" : "false"}
+                  required={field.required}
+                />
+                {errors[field.name] && (
+                  <p className="mt-1 text-red-500 text-xs flex items-start">
+                    <AlertCircle
+                      className="mr-1 flex-shrink-0 mt-0.5"
+                      size={12}
+                    />
+                    {errors[field.name]}
+                  </p>
+                )}
+              </div>
+            ))}
+
+            {canSaveAddress && (
+              <div className="sm:col-span-2 flex flex-col sm:flex-row sm:items-center gap-3">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={saveAddress}
+                    onChange={(e) => onSaveAddressChange(e.target.checked)}
+                    className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500"
+                  />
+                  Enregistrer dans mon carnet d&apos;adresses
+                </label>
+                {saveAddress && (
+                  <input
+                    type="text"
+                    className="flex-1 px-3 py-2 border rounded-md border-gray-300 bg-gray-50 focus:ring focus:ring-blue-200 focus:outline-none"
+                    placeholder="Libellé (ex: Domicile, Bureau)"
+                    value={address?.label || ""}
+                    onChange={(e) => onAddressChange("label", e.target.value)}
+                    maxLength={30}
+                    aria-label="Libellé de l'adresse"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        )
+      ) : (
+        <div className="space-y-2">
+          {PICKUP_POINTS.map((point) => (
+            <label
+              key={point.id}
+              className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+                pickupPointId === point.id
+                  ? "bg-green-50 border-green-300"
+                  : "border-gray-200 hover:bg-gray-50"
+              }`}
+            >
+              <input
+                name="pickupPoint"
+                type="radio"
+                value={point.id}
+                checked={pickupPointId === point.id}
+                onChange={() => onPickupPointChange(point.id)}
+                className="h-4 w-4 mt-0.5 text-green-600 focus:ring-green-500"
+              />
+              <span className="ml-3 text-sm">
+                <span className="block font-medium text-gray-800">
+                  {point.name}
+                </span>
+                <span className="block text-gray-600">{point.address}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  ),
+);
+
+ShippingMethodSelector.displayName = "ShippingMethodSelector";
+
+export default ShippingMethodSelector;
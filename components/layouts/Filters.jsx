@@ -4,6 +4,7 @@ import { useState, useCallback, useMemo, useEffect } from "react";
 import { useRouter, useSearchParams } from "next/navigation";
 import { toast } from "react-toastify";
 import { getPriceQueryParams, isArrayEmpty } from "@/helpers/helpers";
+import { MAX_SELECTED_CATEGORIES } from "@/helpers/constants";
 import { ChevronDown, ChevronUp } from "lucide-react";
 import dynamic from "next/dynamic";
 
@@ -14,7 +15,7 @@ const Search = dynamic(() => import("./Search"), {
   ssr: true,
 });
 
-const Filters = ({ categories, setLocalLoading }) => {
+const Filters = ({ categories, facets, setLocalLoading }) => {
   const router = useRouter();
   const searchParams = useSearchParams();
 
@@ -28,6 +29,23 @@ const Filters = ({ categories, setLocalLoading }) => {
     [searchParams],
   );
 
+  // Catégories sélectionnées (séparées par des virgules dans l'URL)
+  const selectedCategories = useMemo(
+    () => (currentCategory ? currentCategory.split(",").filter(Boolean) : []),
+    [currentCategory],
+  );
+
+  const inStockOnly = searchParams?.get("inStock") === "true";
+
+  // Nombre de produits par catégorie (facettes renvoyées par l'API)
+  const categoryCounts = useMemo(() => {
+    const counts = new Map();
+    facets?.categories?.forEach((facet) => {
+      counts.set(String(facet._id), facet.count);
+    });
+    return counts;
+  }, [facets]);
+
   const currentKeyword = useMemo(
     () => searchParams?.get("keyword") || "",
     [searchParams],
@@ -68,11 +86,26 @@ const Filters = ({ categories, setLocalLoading }) => {
       try {
         const params = new URLSearchParams(searchParams?.toString() || "");
 
-        if (params.get("category") === categoryId) {
+        // Sélection multiple : ajouter ou retirer la catégorie
+        const nextCategories = selectedCategories.includes(categoryId)
+          ? selectedCategories.filter((id) => id !== categoryId)
+          : [...selectedCategories, categoryId];
+
+        if (nextCategories.length > MAX_SELECTED_CATEGORIES) {
+          toast.info(
+            `Vous pouvez sélectionner au maximum ${MAX_SELECTED_CATEGORIES} catégories`,
+          );
+          setIsSubmitting(false);
+          setLocalLoading(false);
+          return;
+        }
+
+        if (nextCategories.length === 0) {
           params.delete("category");
         } else {
-          params.set("category", categoryId);
+          params.set("category", nextCategories.join(","));
         }
+        params.delete("page");
 
         const path = `/?${params.toString()}`;
         setOpen(false);
@@ -86,9 +119,50 @@ const Filters = ({ categories, setLocalLoading }) => {
         setIsSubmitting(false);
       }
     },
-    [searchParams, router, setLocalLoading],
+    [searchParams, selectedCategories, router, setLocalLoading],
   );
 
+  const handlePriceRangeClick = useCallback(
+    (range) => {
+      const params = new URLSearchParams(searchParams?.toString() || "");
+      const isActive =
+        params.get("min") === String(range.min) &&
+        (range.max === null
+          ? !params.get("max")
+          : params.get("max") === String(range.max));
+
+      if (isActive) {
+        params.delete("min");
+        params.delete("max");
+      } else {
+        params.set("min", range.min);
+        if (range.max === null) {
+          params.delete("max");
+        } else {
+          params.set("max", range.max);
+        }
+      }
+      params.delete("page");
+
+      setOpen(false);
+      router.push(`/?${params.toString()}`);
+    },
+    [searchParams, router],
+  );
+
+  const handleInStockToggle = useCallback(() => {
+    const params = new URLSearchParams(searchParams?.toString() || "");
+
+    if (inStockOnly) {
+      params.delete("inStock");
+    } else {
+      params.set("inStock", "true");
+    }
+    params.delete("page");
+
+    router.push(`/?${params.toString()}`);
+  }, [searchParams, inStockOnly, router]);
+
   const handlePriceFilter = useCallback(async () => {
     if (isSubmitting) return;
     setIsSubmitting(true);
@@ -126,8 +200,8 @@ const Filters = ({ categories, setLocalLoading }) => {
   }, [router, setLocalLoading]);
 
   const hasActiveFilters = useMemo(() => {
-    return min || max || currentCategory || currentKeyword;
-  }, [min, max, currentCategory, currentKeyword]);
+    return min || max || currentCategory || currentKeyword || inStockOnly;
+  }, [min, max, currentCategory, currentKeyword, inStockOnly]);
 
   const handleSearchComplete = useCallback(() => {
     if (window.innerWidth < 768) {
@@ -246,6 +320,57 @@ const Filters = ({ categories, setLocalLoading }) => {
             >
               Appliquer
             </button>
+            {!isArrayEmpty(facets?.priceRanges) && (
+              <ul className="mt-3 space-y-1" aria-label="Tranches de prix">
+                {facets.priceRanges.map((range) => {
+                  const isActive =
+                    min === String(range.min) &&
+                    (range.max === null ? !max : max === String(range.max));
+                  return (
+                    <li key={`${range.min}-${range.max}`}>
+                      <button
+                        className={`flex justify-between w-full px-2 py-1 rounded-md text-sm transition-colors cursor-pointer ${
+                          isActive
+                            ? "bg-blue-100 text-blue-700 font-medium"
+                            : "hover:bg-pink-50 text-gray-600"
+                        }`}
+                        onClick={() => handlePriceRangeClick(range)}
+                        aria-pressed={isActive}
+                        disabled={isSubmitting}
+                      >
+                        <span>
+                          {range.max === null
+                            ? `${range.min}+ Fdj`
+                            : `${range.min} - ${range.max} Fdj`}
+                        </span>
+                        <span className="text-gray-400">{range.count}</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          {/* Disponibilité */}
+          <div className="p-4 border border-pink-100 bg-white rounded-lg shadow-sm">
+            <label className="flex items-center justify-between cursor-pointer text-gray-700">
+              <span className="flex items-center">
+                <input
+                  type="checkbox"
+                  className="mr-2 rounded border-pink-200"
+                  checked={inStockOnly}
+                  onChange={handleInStockToggle}
+                  disabled={isSubmitting}
+                />
+                En stock uniquement
+              </span>
+              {facets?.availability && (
+                <span className="text-sm text-gray-400">
+                  {facets.availability.inStock}
+                </span>
+              )}
+            </label>
           </div>
 
           {/* Catégories */}
@@ -258,21 +383,30 @@ const Filters = ({ categories, setLocalLoading }) => {
               </div>
             ) : (
               <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
-                {categories?.map((category) => (
-                  <button
-                    key={category?._id}
-                    className={`flex items-center w-full p-2 rounded-md transition-colors cursor-pointer ${
-                      currentCategory === category?._id
-                        ? "bg-blue-100 text-blue-700 font-medium" // ✅ Sélection bleu clair
-                        : "hover:bg-pink-50 text-gray-700" // ✅ Hover rose très doux
-                    }`}
-                    onClick={() => handleCategoryClick(category?._id)}
-                    aria-pressed={currentCategory === category?._id}
-                    disabled={isSubmitting}
-                  >
-                    <span className="ml-2">{category?.name}</span>
-                  </button>
-                ))}
+                {categories?.map((category) => {
+                  const isSelected = selectedCategories.includes(category?._id);
+                  const count = categoryCounts.get(String(category?._id));
+                  return (
+                    <button
+                      key={category?._id}
+                      className={`flex items-center justify-between w-full p-2 rounded-md transition-colors cursor-pointer ${
+                        isSelected
+                          ? "bg-blue-100 text-blue-700 font-medium" // ✅ Sélection bleu clair
+                          : "hover:bg-pink-50 text-gray-700" // ✅ Hover rose très doux
+                      }`}
+                      onClick={() => handleCategoryClick(category?._id)}
+                      aria-pressed={isSelected}
+                      disabled={isSubmitting}
+                    >
+                      <span className="ml-2">{category?.name}</span>
+                      {facets && (
+                        <span className="text-sm text-gray-400">
+                          {count || 0}
+                        </span>
+                      )}
+                    </button>
+                  );
+                })}
               </div>
             )}
           </div>
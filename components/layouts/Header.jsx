@@ -12,6 +12,7 @@ import Link from "next/link";
 import Image from "next/image";
 import * as Sentry from "@sentry/nextjs";
 import CartContext from "@/context/CartContext";
+import WishlistContext from "@/context/WishlistContext";
 import { signOut, useSession } from "next-auth/react";
 import AuthContext from "@/context/AuthContext";
 import { Menu, ShoppingCart, User, X } from "lucide-react";
@@ -55,6 +56,7 @@ const UserDropdown = memo(({ user }) => {
   const menuItems = [
     { href: "/me", label: "Mon profil" },
     { href: "/me/orders", label: "Mes commandes" },
+    { href: "/me/wishlist", label: "Mes favoris" },
     { href: "/me/contact", label: "Contactez le vendeur" },
   ];
 
@@ -135,6 +137,8 @@ const Header = () => {
   } = useContext(AuthContext);
   const { setCartToState, cartCount, clearCartOnLogout } =
     useContext(CartContext);
+  const { setWishlistToState, clearWishlistOnLogout } =
+    useContext(WishlistContext);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [isLoadingCart, setIsLoadingCart] = useState(false);
   const { data } = useSession();
@@ -190,10 +194,14 @@ const Header = () => {
 
         if (data?.isNewLogin) {
           loadCartTimeoutRef.current = setTimeout(() => {
-            if (mounted) loadCart();
+            if (mounted) {
+              loadCart();
+              setWishlistToState();
+            }
           }, CART_LOAD_DELAY);
         } else {
           loadCart();
+          setWishlistToState();
         }
       } catch (error) {
         Sentry.captureException(error, {
@@ -205,12 +213,14 @@ const Header = () => {
       }
     } else if (data === null && mounted) {
       setUser(null);
+      // Visiteur non connecté : afficher le panier invité
+      loadCart();
     }
 
     return () => {
       mounted = false;
     };
-  }, [data, setUser, loadCart]);
+  }, [data, setUser, loadCart, setWishlistToState]);
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -251,6 +261,7 @@ const Header = () => {
     try {
       clearUser();
       clearCartOnLogout();
+      clearWishlistOnLogout();
       await signOut({ callbackUrl: "/login" });
 
       signOutTimeoutRef.current = setTimeout(() => {
@@ -262,7 +273,7 @@ const Header = () => {
       }
       window.location.href = "/login";
     }
-  }, [clearUser, clearCartOnLogout]);
+  }, [clearUser, clearCartOnLogout, clearWishlistOnLogout]);
 
   const closeMobileMenu = () => {
     setMobileMenuOpen(false);
@@ -295,22 +306,22 @@ const Header = () => {
 
           {/* Mobile buttons */}
           <div className="md:hidden flex items-center gap-2">
+            <Link
+              href="/cart"
+              className="px-3 py-2 inline-block text-center text-gray-700 bg-white shadow-sm border border-pink-100 rounded-md relative hover:bg-pink-50"
+              aria-label="Panier"
+              title="Accéder au panier"
+            >
+              <ShoppingCart className="text-blue-400 w-5" />
+              {cartCount > 0 && (
+                <span className="absolute -top-2 -right-2 bg-lavender-300 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs font-medium">
+                  {cartCount}
+                </span>
+              )}
+            </Link>
+
             {user && (
               <>
-                <Link
-                  href="/cart"
-                  className="px-3 py-2 inline-block text-center text-gray-700 bg-white shadow-sm border border-pink-100 rounded-md relative hover:bg-pink-50"
-                  aria-label="Panier"
-                  title="Accéder au panier"
-                >
-                  <ShoppingCart className="text-blue-400 w-5" />
-                  {cartCount > 0 && (
-                    <span className="absolute -top-2 -right-2 bg-lavender-300 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs font-medium">
-                      {cartCount}
-                    </span>
-                  )}
-                </Link>
-
                 <button
                   onClick={toggleMobileMenu}
                   data-profile-toggle
@@ -358,7 +369,7 @@ const Header = () => {
 
           {/* User navigation - Desktop */}
           <div className="hidden md:flex items-center space-x-3">
-            {user && <CartButton cartCount={cartCount} />}
+            <CartButton cartCount={cartCount} />
 
             {!user ? (
               <Link
@@ -402,6 +413,14 @@ const Header = () => {
                   Mes commandes
                 </Link>
 
+                <Link
+                  href="/me/wishlist"
+                  onClick={closeMobileMenu}
+                  className="block px-2 py-2 text-sm text-gray-700 hover:bg-pink-50 rounded-md"
+                >
+                  Mes favoris
+                </Link>
+
                 <Link
                   href="/me/contact"
                   onClick={closeMobileMenu}
@@ -1,43 +1,165 @@
 "use client";
 
-import { useState, useCallback, useRef } from "react";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import { useRouter } from "next/navigation";
 import { toast } from "react-toastify";
-import { Search as SearchIcon } from "lucide-react";
+import { Search as SearchIcon, Clock, Tag } from "lucide-react";
 
-const useDebounce = (fn, delay) => {
-  const timeoutRef = useRef(null);
+import { debounce } from "@/helpers/helpers";
+import { captureClientError } from "@/monitoring/sentry";
 
-  return useCallback(
-    (...args) => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
-      timeoutRef.current = setTimeout(() => {
-        fn(...args);
-      }, delay);
-    },
-    [fn, delay],
-  );
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_DELAY = 250;
+const SUGGEST_TIMEOUT = 3000;
+
+const EMPTY_SUGGESTIONS = { products: [], categories: [], recentQueries: [] };
+
+// Aplatit les sections pour la navigation clavier (un index par option)
+const flattenSuggestions = (suggestions) => [
+  ...suggestions.products.map((product) => ({
+    type: "product",
+    key: `product-${product.id}`,
+    label: product.name,
+    href: `/product/${product.id}`,
+  })),
+  ...suggestions.categories.map((category) => ({
+    type: "category",
+    key: `category-${category.id}`,
+    label: category.name,
+    href: `/?category=${category.id}`,
+  })),
+  ...suggestions.recentQueries.map((query) => ({
+    type: "query",
+    key: `query-${query}`,
+    label: query,
+    href: `/?keyword=${encodeURIComponent(query)}`,
+  })),
+];
+
+const SECTION_TITLES = {
+  product: "Produits",
+  category: "Catégories",
+  query: "Recherches récentes",
 };
 
 const Search = ({ setLoading }) => {
   const [keyword, setKeyword] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const router = useRouter();
   const inputRef = useRef(null);
+  const controllerRef = useRef(null);
+  const latestQueryRef = useRef("");
 
-  const handleKeywordChange = useCallback((e) => {
-    const value = e.target.value;
-    setKeyword(value);
+  const options = useMemo(() => flattenSuggestions(suggestions), [suggestions]);
+
+  const closeSuggestions = useCallback(() => {
+    setIsOpen(false);
+    setActiveIndex(-1);
   }, []);
 
+  const fetchSuggestions = useCallback(async (query) => {
+    // Ignorer les frappes dépassées
+    if (query !== latestQueryRef.current) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const timeoutId = setTimeout(() => controller.abort(), SUGGEST_TIMEOUT);
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/products/suggest?q=${encodeURIComponent(query)}`,
+        { signal: controller.signal },
+      );
+
+      if (!res.ok) {
+        // 429 : on garde simplement les suggestions précédentes
+        if (res.status >= 500) {
+          captureClientError(
+            new Error(`HTTP ${res.status}`),
+            "Search",
+            "fetchSuggestions",
+            false,
+          );
+        }
+        return;
+      }
+
+      const data = await res.json();
+      if (!data.success || query !== latestQueryRef.current) return;
+
+      setSuggestions({
+        products: data.data.products || [],
+        categories: data.data.categories || [],
+        recentQueries: data.data.recentQueries || [],
+      });
+      setActiveIndex(-1);
+      setIsOpen(true);
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        captureClientError(error, "Search", "fetchSuggestions", false);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }, []);
+
+  const debouncedFetchSuggestions = useMemo(
+    () => debounce(fetchSuggestions, SUGGEST_DELAY),
+    [fetchSuggestions],
+  );
+
+  // Annuler la requête en cours au démontage
+  useEffect(() => {
+    return () => {
+      latestQueryRef.current = null;
+      controllerRef.current?.abort();
+    };
+  }, []);
+
+  const handleKeywordChange = useCallback(
+    (e) => {
+      const value = e.target.value;
+      setKeyword(value);
+
+      const query = value.trim();
+      latestQueryRef.current = query;
+
+      if (query.length < SUGGEST_MIN_LENGTH) {
+        controllerRef.current?.abort();
+        setSuggestions(EMPTY_SUGGESTIONS);
+        closeSuggestions();
+        return;
+      }
+
+      debouncedFetchSuggestions(query);
+    },
+    [debouncedFetchSuggestions, closeSuggestions],
+  );
+
+  const selectOption = useCallback(
+    (option) => {
+      latestQueryRef.current = "";
+      closeSuggestions();
+      if (option.type === "query") {
+        setKeyword(option.label);
+      }
+      router.push(option.href);
+    },
+    [router, closeSuggestions],
+  );
+
   const submitHandler = useCallback(
     async (e) => {
       if (e) e.preventDefault();
 
       if (isSubmitting) return;
       setIsSubmitting(true);
+      latestQueryRef.current = "";
+      closeSuggestions();
 
       if (setLoading && typeof setLoading === "function") {
         setLoading(true);
@@ -75,28 +197,63 @@ const Search = ({ setLoading }) => {
         setIsSubmitting(false);
       }
     },
-    [keyword, setLoading],
+    [keyword, setLoading, isSubmitting, closeSuggestions, router],
   );
 
-  const debouncedSubmit = useDebounce(submitHandler, 300);
-
   const handleKeyDown = useCallback(
     (e) => {
-      if (e.key === "Enter") {
-        e.preventDefault();
-        debouncedSubmit(e);
+      const hasOptions = isOpen && options.length > 0;
+
+      switch (e.key) {
+        case "ArrowDown":
+          if (!options.length) return;
+          e.preventDefault();
+          setIsOpen(true);
+          setActiveIndex((prev) => (prev + 1) % options.length);
+          break;
+        case "ArrowUp":
+          if (!hasOptions) return;
+          e.preventDefault();
+          setActiveIndex((prev) => (prev <= 0 ? options.length - 1 : prev - 1));
+          break;
+        case "Enter":
+          e.preventDefault();
+          if (hasOptions && activeIndex >= 0) {
+            selectOption(options[activeIndex]);
+          } else {
+            submitHandler(e);
+          }
+          break;
+        case "Escape":
+          if (isOpen) {
+            e.preventDefault();
+            closeSuggestions();
+          }
+          break;
+        default:
+          break;
       }
     },
-    [debouncedSubmit],
+    [
+      isOpen,
+      options,
+      activeIndex,
+      selectOption,
+      submitHandler,
+      closeSuggestions,
+    ],
   );
 
+  const showDropdown = isOpen && options.length > 0;
+  const activeOptionId =
+    showDropdown && activeIndex >= 0
+      ? `search-option-${activeIndex}`
+      : undefined;
+
   return (
     <form
-      className="flex flex-nowrap items-center w-full order-last md:order-0 mt-5 md:mt-0 md:w-1/3 lg:w-2/4"
-      onSubmit={(e) => {
-        e.preventDefault();
-        debouncedSubmit(e);
-      }}
+      className="relative flex flex-nowrap items-center w-full order-last md:order-0 mt-5 md:mt-0 md:w-1/3 lg:w-2/4"
+      onSubmit={submitHandler}
       role="search"
       aria-label="Rechercher des produits"
     >
@@ -108,7 +265,15 @@ const Search = ({ setLoading }) => {
         value={keyword}
         onChange={handleKeywordChange}
         onKeyDown={handleKeyDown}
+        onFocus={() => options.length > 0 && setIsOpen(true)}
+        onBlur={closeSuggestions}
         aria-label="Terme de recherche"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showDropdown}
+        aria-controls="search-suggestions"
+        aria-activedescendant={activeOptionId}
+        autoComplete="off"
         disabled={isSubmitting}
         required
       />
@@ -119,7 +284,7 @@ const Search = ({ setLoading }) => {
             ? "bg-blue-200 cursor-not-allowed"
             : "bg-gradient-btn-primary hover:bg-gradient-btn-primary-hover"
         } text-gray-800 font-medium rounded-md transition-all shadow-sm hover:shadow-md`}
-        onClick={debouncedSubmit}
+        onClick={submitHandler}
         disabled={isSubmitting}
         aria-label="Lancer la recherche"
       >
@@ -130,6 +295,56 @@ const Search = ({ setLoading }) => {
           {isSubmitting ? "Recherche..." : "Rechercher"}
         </span>
       </button>
+
+      {showDropdown && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          aria-label="Suggestions de recherche"
+          className="absolute left-0 top-full z-50 mt-1 w-full max-h-96 overflow-y-auto bg-white border border-pink-100 rounded-md shadow-lg py-1"
+        >
+          {options.map((option, index) => {
+            const isFirstOfSection =
+              index === 0 || options[index - 1].type !== option.type;
+            const isActive = index === activeIndex;
+
+            return (
+              <li key={option.key} role="presentation">
+                {isFirstOfSection && (
+                  <p className="px-3 pt-2 pb-1 text-xs font-semibold uppercase text-gray-400">
+                    {SECTION_TITLES[option.type]}
+                  </p>
+                )}
+                <div
+                  id={`search-option-${index}`}
+                  role="option"
+                  aria-selected={isActive}
+                  // mousedown avant le blur de l'input pour conserver la sélection
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    selectOption(option);
+                  }}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`flex items-center gap-2 px-3 py-2 text-sm cursor-pointer ${
+                    isActive ? "bg-blue-50 text-blue-700" : "text-gray-700"
+                  }`}
+                >
+                  {option.type === "product" && (
+                    <SearchIcon className="w-4 h-4 text-gray-400" />
+                  )}
+                  {option.type === "category" && (
+                    <Tag className="w-4 h-4 text-gray-400" />
+                  )}
+                  {option.type === "query" && (
+                    <Clock className="w-4 h-4 text-gray-400" />
+                  )}
+                  <span className="truncate">{option.label}</span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
     </form>
   );
 };
@@ -0,0 +1,92 @@
+"use client";
+
+import { memo, useState } from "react";
+import { LoaderCircle } from "lucide-react";
+import { ORDER_CANCEL_REASONS } from "@/helpers/constants";
+
+/**
+ * Formulaire d'annulation d'une commande : choix du motif puis confirmation
+ * Le commentaire libre n'est proposé que pour le motif "Autre raison"
+ */
+const CancelOrderForm = memo(({ onConfirm, onClose, isSubmitting }) => {
+  const [reason, setReason] = useState("");
+  const [comment, setComment] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reason) return;
+    onConfirm(reason, reason === "other" ? comment : "");
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg"
+    >
+      <label
+        htmlFor="cancel-reason"
+        className="block text-sm font-medium text-red-800 mb-2"
+      >
+        Pourquoi souhaitez-vous annuler cette commande ?
+      </label>
+      <select
+        id="cancel-reason"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white text-sm focus:ring focus:ring-red-200 focus:outline-none"
+        required
+      >
+        <option value="">Choisir un motif</option>
+        {Object.entries(ORDER_CANCEL_REASONS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {reason === "other" && (
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          maxLength={150}
+          rows={2}
+          placeholder="Précisez (facultatif)"
+          className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md bg-white text-sm focus:ring focus:ring-red-200 focus:outline-none"
+        />
+      )}
+
+      <p className="mt-2 text-xs text-red-700">
+        Les articles seront remis en vente. Cette action est définitive.
+      </p>
+
+      <div className="mt-3 flex gap-2 justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={isSubmitting}
+          className="px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          Retour
+        </button>
+        <button
+          type="submit"
+          disabled={!reason || isSubmitting}
+          className="px-3 py-1.5 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? (
+            <span className="flex items-center">
+              <LoaderCircle className="animate-spin mr-1 h-4 w-4" />
+              Annulation...
+            </span>
+          ) : (
+            "Confirmer l'annulation"
+          )}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+CancelOrderForm.displayName = "CancelOrderForm";
+
+export default CancelOrderForm;
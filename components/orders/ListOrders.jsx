@@ -5,6 +5,19 @@ import dynamic from "next/dynamic";
 import { useRouter, useSearchParams } from "next/navigation";
 import { ShoppingBag, Banknote } from "lucide-react";
 import captureClientError from "@/monitoring/sentry";
+import OrderFilters from "./OrderFilters";
+
+// Paramètres d'URL pilotant la recherche côté serveur
+const FILTER_PARAMS = [
+  "q",
+  "paymentStatus",
+  "orderStatus",
+  "typePayment",
+  "from",
+  "to",
+  "sort",
+  "perPage",
+];
 
 // Chargement dynamique des composants
 const OrderItem = dynamic(() => import("./OrderItem"), {
@@ -45,12 +58,12 @@ const OrderItemSkeleton = () => (
 /**
  * Composant d'affichage de la liste des commandes
  * Adapté au modèle Order avec support du paiement CASH
+ * Recherche, filtres, tri et taille de page sont appliqués par l'API
+ * via les paramètres de l'URL
  */
 const ListOrders = ({ orders }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [filterStatus, setFilterStatus] = useState("all");
-  const [sortOrder, setSortOrder] = useState("desc");
 
   const router = useRouter();
   const searchParams = useSearchParams();
@@ -61,6 +74,15 @@ const ListOrders = ({ orders }) => {
     return page ? parseInt(page, 10) : 1;
   }, [searchParams]);
 
+  // Filtres actifs lus dans l'URL
+  const filters = useMemo(
+    () =>
+      Object.fromEntries(
+        FILTER_PARAMS.map((param) => [param, searchParams?.get(param) || ""]),
+      ),
+    [searchParams],
+  );
+
   // Vérification et utilisation sûre des données
   const hasOrders = useMemo(() => {
     return (
@@ -68,6 +90,10 @@ const ListOrders = ({ orders }) => {
     );
   }, [orders]);
 
+  // L'utilisateur a-t-il au moins une commande (tous filtres confondus)
+  const hasAnyOrder = hasOrders || orders?.count > 0;
+  const resultCount = orders?.filteredCount ?? orders?.count ?? 0;
+
   const totalPages = useMemo(() => {
     return orders?.totalPages && !isNaN(parseInt(orders.totalPages))
       ? parseInt(orders.totalPages)
@@ -80,54 +106,44 @@ const ListOrders = ({ orders }) => {
     return orders.orders.filter((order) => order.isCashPayment).length;
   }, [hasOrders, orders]);
 
-  // Filtrage et tri des commandes - ADAPTÉ AU NOUVEAU MODÈLE AVEC CASH
-  const filteredAndSortedOrders = useMemo(() => {
-    try {
-      if (!hasOrders) return [];
+  // Mettre à jour l'URL : l'API renvoie la première page filtrée
+  const handleFilterChange = useCallback(
+    (updates) => {
+      try {
+        const params = new URLSearchParams(searchParams?.toString() || "");
 
-      let filtered = [...orders.orders];
+        Object.entries(updates).forEach(([param, value]) => {
+          if (value) {
+            params.set(param, value);
+          } else {
+            params.delete(param);
+          }
+        });
+        params.delete("page");
 
-      // Filtrage par statut de paiement avec support CASH
-      if (filterStatus !== "all") {
-        filtered = filtered.filter((order) => {
-          if (filterStatus === "paid") return order.paymentStatus === "paid";
-          if (filterStatus === "unpaid")
-            return order.paymentStatus === "unpaid";
-          if (filterStatus === "processing")
-            return order.paymentStatus === "processing";
-          if (filterStatus === "refunded")
-            return order.paymentStatus === "refunded";
-          if (filterStatus === "failed")
-            return order.paymentStatus === "failed";
-          if (filterStatus === "pending_cash")
-            return (
-              order.paymentStatus === "pending_cash" || order.isCashPayment
-            );
-          if (filterStatus === "cash") return order.isCashPayment === true;
-          if (filterStatus === "cancelled") return !!order.cancelledAt;
-          return true;
+        const query = params.toString();
+        setIsLoading(true);
+        router.push(query ? `/me/orders?${query}` : "/me/orders");
+      } catch (err) {
+        captureClientError(err, "ListOrders", "filterChange", false, {
+          updates,
         });
+        setIsLoading(false);
       }
+    },
+    [router, searchParams],
+  );
 
-      // Tri par date
-      filtered.sort((a, b) => {
-        const dateA = new Date(a.createdAt);
-        const dateB = new Date(b.createdAt);
-        return sortOrder === "desc" ? dateB - dateA : dateA - dateB;
-      });
-
-      return filtered;
-    } catch (error) {
-      captureClientError(error, "ListOrders", "filterAndSort", true, {
-        filterStatus,
-        sortOrder,
-        ordersCount: orders?.orders?.length || 0,
-        hasValidOrders: hasOrders,
-      });
-
-      return [];
-    }
-  }, [hasOrders, orders?.orders, filterStatus, sortOrder]);
+  const handleFilterReset = useCallback(() => {
+    handleFilterChange(
+      Object.fromEntries(
+        FILTER_PARAMS.filter((param) => param !== "perPage").map((param) => [
+          param,
+          "",
+        ]),
+      ),
+    );
+  }, [handleFilterChange]);
 
   const handlePageChange = useCallback(
     (pageNumber) => {
@@ -191,41 +207,24 @@ const ListOrders = ({ orders }) => {
           Historique de vos commandes
         </h2>
 
-        {/* Filtres et tri - ADAPTÉ AU NOUVEAU MODÈLE AVEC CASH */}
-        {hasOrders && (
-          <div className="flex gap-2 flex-wrap">
-            <select
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-              aria-label="Filtrer par statut"
-            >
-              <option value="all">Tous les statuts</option>
-              <option value="paid">✓ Payées</option>
-              <option value="unpaid">✗ Non payées</option>
-              <option value="pending_cash">💵 En attente (Espèces)</option>
-              <option value="cash">💰 Paiement en espèces</option>
-              <option value="processing">⏳ En traitement</option>
-              <option value="refunded">↩ Remboursées</option>
-              <option value="failed">⚠ Échouées</option>
-              <option value="cancelled">🚫 Annulées</option>
-            </select>
-
-            <select
-              value={sortOrder}
-              onChange={(e) => setSortOrder(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-              aria-label="Trier par date"
-            >
-              <option value="desc">Plus récentes</option>
-              <option value="asc">Plus anciennes</option>
-            </select>
-          </div>
+        {hasAnyOrder && (
+          <p className="text-sm text-gray-500">
+            {resultCount} commande{resultCount > 1 ? "s" : ""} trouvée
+            {resultCount > 1 ? "s" : ""}
+          </p>
         )}
       </div>
 
+      {hasAnyOrder && (
+        <OrderFilters
+          filters={filters}
+          onFilterChange={handleFilterChange}
+          onReset={handleFilterReset}
+        />
+      )}
+
       {/* Statistiques avec support CASH */}
-      {hasOrders && (
+      {hasAnyOrder && (
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
           <div className="bg-gray-50 p-3 rounded-md border border-gray-200">
             <p className="text-sm text-gray-600">Total commandes</p>
@@ -289,7 +288,7 @@ const ListOrders = ({ orders }) => {
             <OrderItemSkeleton key={i} />
           ))}
         </div>
-      ) : !hasOrders ? (
+      ) : !hasAnyOrder ? (
         <div className="flex flex-col items-center p-8 bg-gray-50 rounded-lg border border-gray-200">
           <div className="w-16 h-16 flex items-center justify-center rounded-full bg-blue-100 mb-4">
             <ShoppingBag
@@ -311,13 +310,13 @@ const ListOrders = ({ orders }) => {
         </div>
       ) : (
         <>
-          {filteredAndSortedOrders.length === 0 ? (
+          {!hasOrders ? (
             <div className="p-6 bg-yellow-50 border border-yellow-200 rounded-md text-center">
               <p className="text-yellow-800">
                 Aucune commande ne correspond à vos filtres.
               </p>
               <button
-                onClick={() => setFilterStatus("all")}
+                onClick={handleFilterReset}
                 className="mt-3 text-blue-600 hover:text-blue-800 underline"
               >
                 Réinitialiser les filtres
@@ -326,12 +325,12 @@ const ListOrders = ({ orders }) => {
           ) : (
             <>
               <div className="space-y-4" aria-label="Liste de vos commandes">
-                {filteredAndSortedOrders.map((order) => (
+                {orders.orders.map((order) => (
                   <OrderItem key={order._id} order={order} />
                 ))}
               </div>
 
-              {totalPages > 1 && filterStatus === "all" && (
+              {totalPages > 1 && (
                 <div className="mt-8">
                   <CustomPagination
                     totalPages={totalPages}
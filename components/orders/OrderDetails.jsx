@@ -0,0 +1,330 @@
+"use client";
+
+import { memo } from "react";
+import Image from "next/image";
+import Link from "next/link";
+import {
+  ArrowLeft,
+  Banknote,
+  CreditCard,
+  Download,
+  RotateCcw,
+  Truck,
+} from "lucide-react";
+import { formatPrice } from "@/helpers/helpers";
+import { ORDER_STATUS_LABELS, REFUND_METHOD_LABELS } from "@/helpers/constants";
+import OrderStatusTimeline from "./OrderStatusTimeline";
+import ShippingInfoSummary from "./ShippingInfoSummary";
+import PaymentProofSection from "./PaymentProofSection";
+import PickupCodeCard from "./PickupCodeCard";
+
+const ACTOR_LABELS = {
+  system: "Système",
+  customer: "Vous",
+  staff: "Service client",
+};
+
+const formatDate = (value) => {
+  if (!value) return "Date non disponible";
+  try {
+    return new Date(value).toLocaleDateString("fr-FR", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch {
+    return String(value).substring(0, 10);
+  }
+};
+
+/**
+ * Page de détail d'une commande du client
+ * Articles, paiement, livraison, historique des statuts et totaux
+ */
+const OrderDetails = memo(({ order }) => {
+  if (!order?._id) return null;
+
+  const isCashPayment = order.isCashPayment === true;
+  const isPickup = order.shippingInfo
+    ? order.shippingInfo.method === "pickup"
+    : isCashPayment;
+  const orderStatus = order.orderStatus || "pending";
+  const items = Array.isArray(order.orderItems) ? order.orderItems : [];
+  const history = [...(order.statusHistory || [])].sort(
+    (a, b) => new Date(b.changedAt) - new Date(a.changedAt),
+  );
+  const refunds = [...(order.refunds || [])].sort(
+    (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  );
+
+  const itemsTotal = items.reduce(
+    (sum, item) => sum + (item.subtotal || item.price * item.quantity || 0),
+    0,
+  );
+  const totalItems = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+  return (
+    <article className="space-y-6">
+      <header>
+        <Link
+          href="/me/orders"
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4"
+        >
+          <ArrowLeft size={16} className="mr-1" />
+          Retour à mes commandes
+        </Link>
+
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-2">
+          <div>
+            <h1 className="text-2xl font-semibold">
+              Commande{" "}
+              <span className="font-mono text-gray-700">
+                {order.orderNumber}
+              </span>
+            </h1>
+            <p className="text-sm text-gray-500 mt-1">
+              Passée le {formatDate(order.createdAt)}
+            </p>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <span className="px-2 py-1 rounded-full text-xs font-semibold bg-blue-50 text-blue-700 border border-blue-200">
+              {(ORDER_STATUS_LABELS[orderStatus] || orderStatus).toUpperCase()}
+            </span>
+            <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-50 text-gray-700 border border-gray-200">
+              {order.paymentStatusDescription}
+            </span>
+            {orderStatus !== "cancelled" && (
+              <a
+                href={`/api/orders/${order._id}/invoice`}
+                download
+                className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold text-blue-600 border border-blue-200 hover:bg-blue-50"
+              >
+                <Download size={12} />
+                Facture PDF
+              </a>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <section className="p-4 bg-white border border-gray-200 rounded-lg">
+        <OrderStatusTimeline order={order} isPickup={isPickup} />
+      </section>
+
+      <div className="grid md:grid-cols-3 gap-6">
+        <section className="md:col-span-2 bg-white border border-gray-200 rounded-lg p-4">
+          <h2 className="font-semibold mb-4">
+            Articles ({totalItems} article{totalItems > 1 ? "s" : ""})
+          </h2>
+
+          <ul className="divide-y divide-gray-100">
+            {items.map((item, index) => (
+              <li key={item._id || index} className="flex gap-3 py-3">
+                <div className="w-16 h-16 flex-shrink-0 rounded-md border border-gray-200 overflow-hidden bg-gray-50">
+                  <Image
+                    src={item.image || "/images/default_product.png"}
+                    alt={item.name}
+                    width={64}
+                    height={64}
+                    className="object-cover w-full h-full"
+                  />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">
+                    {item.name}
+                  </p>
+                  {item.variantLabel && (
+                    <p className="text-xs text-gray-600">{item.variantLabel}</p>
+                  )}
+                  {item.sku && (
+                    <p className="text-xs text-gray-400 font-mono">
+                      {item.sku}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-600 mt-1">
+                    {item.quantity} × {formatPrice(item.price)}
+                  </p>
+                </div>
+                <p className="font-semibold text-gray-900 whitespace-nowrap">
+                  {formatPrice(item.subtotal || item.price * item.quantity)}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          <dl className="border-t border-gray-200 mt-2 pt-3 space-y-1 text-sm">
+            <div className="flex justify-between text-gray-600">
+              <dt>Sous-total articles</dt>
+              <dd>{formatPrice(itemsTotal)}</dd>
+            </div>
+            <div className="flex justify-between text-lg font-bold">
+              <dt>Total</dt>
+              <dd
+                className={isCashPayment ? "text-green-600" : "text-blue-600"}
+              >
+                {formatPrice(order.totalAmount)}
+              </dd>
+            </div>
+            {order.refundedAmount > 0 && (
+              <div className="flex justify-between text-gray-600">
+                <dt>Remboursé</dt>
+                <dd>- {formatPrice(order.refundedAmount)}</dd>
+              </div>
+            )}
+          </dl>
+        </section>
+
+        <div className="space-y-6">
+          <section className="bg-white border border-gray-200 rounded-lg p-4">
+            <h2 className="font-semibold mb-3 flex items-center gap-1">
+              {isCashPayment ? (
+                <Banknote size={16} />
+              ) : (
+                <CreditCard size={16} />
+              )}
+              Paiement
+            </h2>
+            {isCashPayment ? (
+              <p className="text-sm text-green-700">
+                {order.paymentInfo?.cashPaymentNote ||
+                  "Le paiement sera effectué en espèces lors de la récupération"}
+              </p>
+            ) : (
+              <ul className="text-sm text-gray-700 space-y-1">
+                <li>
+                  <span className="text-gray-600">Mode:</span>{" "}
+                  <span className="font-medium">
+                    {order.paymentInfo?.typePayment || "-"}
+                  </span>
+                </li>
+                <li>
+                  <span className="text-gray-600">Nom:</span>{" "}
+                  <span className="font-medium">
+                    {order.paymentInfo?.paymentAccountName || "-"}
+                  </span>
+                </li>
+                <li>
+                  <span className="text-gray-600">Numéro:</span>{" "}
+                  <span className="font-mono text-xs">
+                    {order.paymentInfo?.paymentAccountNumber || "••••••••"}
+                  </span>
+                </li>
+              </ul>
+            )}
+            {order.paidAt && (
+              <p className="text-xs text-gray-500 mt-2">
+                Payée le {formatDate(order.paidAt)}
+              </p>
+            )}
+            {isCashPayment &&
+              order.paymentStatus === "pending_cash" &&
+              orderStatus !== "cancelled" && (
+                <PickupCodeCard
+                  orderNumber={order.orderNumber}
+                  pickupCode={order.paymentInfo?.pickupCode}
+                  compact
+                />
+              )}
+            {!isCashPayment && <PaymentProofSection order={order} />}
+          </section>
+
+          <section className="bg-white border border-gray-200 rounded-lg p-4">
+            <h2 className="font-semibold mb-3 flex items-center gap-1">
+              <Truck size={16} />
+              Livraison
+            </h2>
+            {order.shippingInfo ? (
+              <ShippingInfoSummary shippingInfo={order.shippingInfo} />
+            ) : (
+              <p className="text-sm text-gray-500">Non renseignée</p>
+            )}
+          </section>
+        </div>
+      </div>
+
+      {refunds.length > 0 && (
+        <section className="bg-white border border-gray-200 rounded-lg p-4">
+          <h2 className="font-semibold mb-3 flex items-center gap-1">
+            <RotateCcw size={16} />
+            Remboursements
+          </h2>
+          <ol className="space-y-3">
+            {refunds.map((refund, index) => (
+              <li
+                key={refund._id || index}
+                className="text-sm border-l-2 border-amber-200 pl-3"
+              >
+                <div className="flex flex-col sm:flex-row sm:justify-between">
+                  <p className="font-medium text-gray-800">
+                    {formatPrice(refund.amount)}
+                    <span className="font-normal text-gray-600">
+                      {" "}
+                      · {REFUND_METHOD_LABELS[refund.method] || refund.method}
+                    </span>
+                    {refund.status === "pending" && (
+                      <span className="ml-2 text-xs font-normal bg-amber-100 text-amber-800 rounded px-1.5 py-0.5">
+                        En cours
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-gray-500 text-xs sm:text-right">
+                    {formatDate(refund.createdAt)}
+                  </p>
+                </div>
+                <ul className="text-gray-600 mt-1">
+                  {refund.items.map((line, lineIndex) => (
+                    <li key={`${line.item}-${lineIndex}`}>
+                      {line.name} × {line.quantity}
+                    </li>
+                  ))}
+                </ul>
+                {refund.reason && (
+                  <p className="text-gray-500 mt-1">Motif : {refund.reason}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+
+      <section className="bg-white border border-gray-200 rounded-lg p-4">
+        <h2 className="font-semibold mb-3">Historique de la commande</h2>
+        <ol className="space-y-3">
+          {history.map((entry, index) => (
+            <li
+              key={`${entry.status}-${entry.changedAt}-${index}`}
+              className="flex flex-col sm:flex-row sm:justify-between text-sm border-l-2 border-blue-200 pl-3"
+            >
+              <div>
+                <p className="font-medium text-gray-800">
+                  {ORDER_STATUS_LABELS[entry.status] || entry.status}
+                </p>
+                {entry.note && <p className="text-gray-600">{entry.note}</p>}
+              </div>
+              <p className="text-gray-500 text-xs sm:text-right">
+                {formatDate(entry.changedAt)}
+                {entry.actor && ` · ${ACTOR_LABELS[entry.actor] || ""}`}
+              </p>
+            </li>
+          ))}
+        </ol>
+
+        {order.cancelReason && (
+          <div className="mt-4 p-2 bg-red-50 border border-red-200 rounded">
+            <p className="font-medium text-red-600 text-sm">
+              Raison d&apos;annulation:
+            </p>
+            <p className="text-red-700 text-sm mt-1">{order.cancelReason}</p>
+          </div>
+        )}
+      </section>
+    </article>
+  );
+});
+
+OrderDetails.displayName = "OrderDetails";
+
+export default OrderDetails;
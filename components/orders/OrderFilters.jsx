@@ -0,0 +1,192 @@
+"use client";
+
+import { memo, useEffect, useState } from "react";
+import { Search, X } from "lucide-react";
+import {
+  DEFAULT_ORDERS_PER_PAGE,
+  ORDER_STATUSES,
+  ORDER_STATUS_LABELS,
+  ORDERS_PER_PAGE_OPTIONS,
+  PAYMENT_TYPES,
+} from "@/helpers/constants";
+
+const PAYMENT_STATUS_OPTIONS = [
+  { value: "paid", label: "✓ Payées" },
+  { value: "unpaid", label: "✗ Non payées" },
+  { value: "pending_cash", label: "💵 En attente (Espèces)" },
+  { value: "processing", label: "⏳ En traitement" },
+  { value: "refunded", label: "↩ Remboursées" },
+  { value: "failed", label: "⚠ Échouées" },
+];
+
+const selectClassName =
+  "px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Barre de recherche et de filtres de l'historique des commandes
+ * Chaque changement est remonté au parent qui met à jour l'URL
+ * @param {Object} filters - Valeurs actuelles (issues de l'URL)
+ * @param {Function} onFilterChange - ({ [param]: valeur|"" }) => void
+ * @param {Function} onReset - Réinitialise tous les filtres
+ */
+const OrderFilters = memo(({ filters, onFilterChange, onReset }) => {
+  const [query, setQuery] = useState(filters.q || "");
+
+  // Synchroniser le champ avec l'URL (navigation arrière, réinitialisation)
+  useEffect(() => {
+    setQuery(filters.q || "");
+  }, [filters.q]);
+
+  const hasActiveFilters = [
+    "q",
+    "paymentStatus",
+    "orderStatus",
+    "typePayment",
+    "from",
+    "to",
+  ].some((key) => filters[key]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    onFilterChange({ q: query.trim() });
+  };
+
+  const handleSelect = (param) => (e) =>
+    onFilterChange({ [param]: e.target.value });
+
+  return (
+    <div className="mb-6 p-4 bg-white border border-gray-200 rounded-lg space-y-3">
+      <form onSubmit={handleSearch} className="flex gap-2" role="search">
+        <div className="relative flex-1">
+          <Search
+            size={16}
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400"
+          />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            maxLength={30}
+            pattern="[A-Za-z0-9\-]*"
+            placeholder="Numéro de commande (ex: ORD-20250101-00001)"
+            aria-label="Rechercher par numéro de commande"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Rechercher
+        </button>
+      </form>
+
+      <div className="flex gap-2 flex-wrap items-center">
+        <select
+          value={filters.paymentStatus || ""}
+          onChange={handleSelect("paymentStatus")}
+          className={selectClassName}
+          aria-label="Filtrer par statut de paiement"
+        >
+          <option value="">Tous les paiements</option>
+          {PAYMENT_STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.typePayment || ""}
+          onChange={handleSelect("typePayment")}
+          className={selectClassName}
+          aria-label="Filtrer par moyen de paiement"
+        >
+          <option value="">Tous les moyens</option>
+          {PAYMENT_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type === "CASH" ? "💰 Espèces" : type}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.orderStatus || ""}
+          onChange={handleSelect("orderStatus")}
+          className={selectClassName}
+          aria-label="Filtrer par suivi"
+        >
+          <option value="">Tous les suivis</option>
+          {ORDER_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {ORDER_STATUS_LABELS[status]}
+            </option>
+          ))}
+        </select>
+
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          Du
+          <input
+            type="date"
+            value={filters.from || ""}
+            max={filters.to || undefined}
+            onChange={handleSelect("from")}
+            className={selectClassName}
+          />
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          au
+          <input
+            type="date"
+            value={filters.to || ""}
+            min={filters.from || undefined}
+            onChange={handleSelect("to")}
+            className={selectClassName}
+          />
+        </label>
+      </div>
+
+      <div className="flex gap-2 flex-wrap items-center justify-between">
+        <div className="flex gap-2">
+          <select
+            value={filters.sort || "desc"}
+            onChange={handleSelect("sort")}
+            className={selectClassName}
+            aria-label="Trier par date"
+          >
+            <option value="desc">Plus récentes</option>
+            <option value="asc">Plus anciennes</option>
+          </select>
+
+          <select
+            value={filters.perPage || String(DEFAULT_ORDERS_PER_PAGE)}
+            onChange={handleSelect("perPage")}
+            className={selectClassName}
+            aria-label="Commandes par page"
+          >
+            {ORDERS_PER_PAGE_OPTIONS.map((size) => (
+              <option key={size} value={size}>
+                {size} par page
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {hasActiveFilters && (
+          <button
+            type="button"
+            onClick={onReset}
+            className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+          >
+            <X size={14} />
+            Réinitialiser les filtres
+          </button>
+        )}
+      </div>
+    </div>
+  );
+});
+
+OrderFilters.displayName = "OrderFilters";
+
+export default OrderFilters;
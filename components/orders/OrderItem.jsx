@@ -1,8 +1,27 @@
 "use client";
 
-import { memo, useState, useCallback } from "react";
+import { memo, useState, useCallback, useContext } from "react";
 import dynamic from "next/dynamic";
-import { ChevronDown, ChevronUp, Banknote, CreditCard } from "lucide-react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import {
+  ChevronDown,
+  ChevronUp,
+  Banknote,
+  CreditCard,
+  Download,
+  XCircle,
+} from "lucide-react";
+import OrderContext from "@/context/OrderContext";
+import {
+  CANCELLABLE_PAYMENT_STATUSES,
+  ORDER_STATUS_LABELS,
+  ORDER_STATUS_TRANSITIONS,
+} from "@/helpers/constants";
+import OrderStatusTimeline from "./OrderStatusTimeline";
+import ShippingInfoSummary from "./ShippingInfoSummary";
+import CancelOrderForm from "./CancelOrderForm";
 
 // Chargement dynamique des composants
 const OrderedProduct = dynamic(() => import("./OrderedProduct"), {
@@ -16,8 +35,19 @@ const OrderedProduct = dynamic(() => import("./OrderedProduct"), {
  * Composant d'affichage d'une commande individuelle
  * Adapté au modèle Order avec support du paiement CASH
  */
-const OrderItem = memo(({ order }) => {
+const OrderItem = memo(({ order: initialOrder }) => {
   const [expanded, setExpanded] = useState(false);
+  const [showCancelForm, setShowCancelForm] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  // Champs renvoyés par l'annulation, affichés avant le rafraîchissement de la liste
+  const [cancelUpdate, setCancelUpdate] = useState(null);
+
+  const { cancelOrder } = useContext(OrderContext);
+  const router = useRouter();
+
+  const order = cancelUpdate
+    ? { ...initialOrder, ...cancelUpdate }
+    : initialOrder;
 
   // Validation des données
   if (!order || typeof order !== "object" || !order._id) {
@@ -30,6 +60,11 @@ const OrderItem = memo(({ order }) => {
     order.paymentInfo?.isCashPayment === true ||
     order.isCashPayment === true;
 
+  // Retrait en boutique : mode enregistré, sinon déduit du paiement (anciennes commandes)
+  const isPickup = order.shippingInfo
+    ? order.shippingInfo.method === "pickup"
+    : isCashPayment;
+
   // Formatage des dates avec gestion d'erreur
   const formatDate = useCallback((dateString, format = "full") => {
     if (!dateString) return "Date non disponible";
@@ -57,6 +92,25 @@ const OrderItem = memo(({ order }) => {
     }
   }, []);
 
+  const handleCancelOrder = useCallback(
+    async (reason, comment) => {
+      setIsCancelling(true);
+      const result = await cancelOrder(order._id, reason, comment);
+      setIsCancelling(false);
+
+      if (!result.success) {
+        toast.error(result.error, { position: "bottom-right" });
+        return;
+      }
+
+      setCancelUpdate(result.order);
+      setShowCancelForm(false);
+      toast.success("Commande annulée", { position: "bottom-right" });
+      router.refresh();
+    },
+    [cancelOrder, order._id, router],
+  );
+
   // Gestion du basculement de l'expansion des détails
   const toggleExpanded = useCallback(() => {
     setExpanded((prev) => !prev);
@@ -66,7 +120,14 @@ const OrderItem = memo(({ order }) => {
   const orderNumber = order.orderNumber || `ORD-${order._id.substring(0, 8)}`;
   const updatedDate = order.updatedAt ? formatDate(order.updatedAt) : null;
   const paymentStatus = order.paymentStatus || "unpaid";
-  const isCancelled = !!order.cancelledAt;
+  const orderStatus = order.orderStatus || "pending";
+  const isCancelled = orderStatus === "cancelled" || !!order.cancelledAt;
+
+  // Annulation possible tant que la commande n'est ni payée ni expédiée
+  const canCancel =
+    !isCancelled &&
+    CANCELLABLE_PAYMENT_STATUSES.includes(paymentStatus) &&
+    (ORDER_STATUS_TRANSITIONS[orderStatus] || []).includes("cancelled");
 
   // Utilisation du totalAmount du modèle
   const totalAmount = order.totalAmount || 0;
@@ -135,7 +196,12 @@ const OrderItem = memo(({ order }) => {
           <div className="flex items-center">
             <h3 className="font-semibold text-lg">
               Commande:{" "}
-              <span className="font-mono text-gray-700">{orderNumber}</span>
+              <Link
+                href={`/me/orders/${order._id}`}
+                className="font-mono text-gray-700 hover:text-blue-600 hover:underline"
+              >
+                {orderNumber}
+              </Link>
             </h3>
             <button
               onClick={toggleExpanded}
@@ -156,10 +222,16 @@ const OrderItem = memo(({ order }) => {
               {getPaymentStatusLabel(paymentStatus, isCashPayment)}
             </span>
 
-            {isCancelled && (
+            {isCancelled ? (
               <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-600 border border-gray-300">
                 ANNULÉE
               </span>
+            ) : (
+              <span className="px-2 py-1 rounded-full text-xs font-semibold bg-blue-50 text-blue-700 border border-blue-200">
+                {(
+                  ORDER_STATUS_LABELS[orderStatus] || orderStatus
+                ).toUpperCase()}
+              </span>
             )}
 
             <span className="text-gray-500 text-sm ml-2">
@@ -196,7 +268,12 @@ const OrderItem = memo(({ order }) => {
         </div>
       </header>
 
-      <div className="grid md:grid-cols-3 gap-4">
+      {/* Suivi logistique : où en est la commande */}
+      <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+        <OrderStatusTimeline order={order} isPickup={isPickup} />
+      </div>
+
+      <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
         <div>
           <p className="text-gray-600 mb-1 font-medium text-sm">Client</p>
           <ul className="text-gray-700 text-sm space-y-1">
@@ -210,6 +287,15 @@ const OrderItem = memo(({ order }) => {
           </ul>
         </div>
 
+        <div>
+          <p className="text-gray-600 mb-1 font-medium text-sm">Livraison</p>
+          {order.shippingInfo ? (
+            <ShippingInfoSummary shippingInfo={order.shippingInfo} />
+          ) : (
+            <p className="text-sm text-gray-500">Non renseignée</p>
+          )}
+        </div>
+
         <div>
           <p className="text-gray-600 mb-1 font-medium text-sm">
             Résumé financier
@@ -282,6 +368,26 @@ const OrderItem = memo(({ order }) => {
         </div>
       </div>
 
+      {canCancel &&
+        (showCancelForm ? (
+          <CancelOrderForm
+            onConfirm={handleCancelOrder}
+            onClose={() => setShowCancelForm(false)}
+            isSubmitting={isCancelling}
+          />
+        ) : (
+          <div className="mt-4 flex justify-end">
+            <button
+              type="button"
+              onClick={() => setShowCancelForm(true)}
+              className="inline-flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition-colors"
+            >
+              <XCircle size={16} />
+              Annuler la commande
+            </button>
+          </div>
+        ))}
+
       {expanded && (
         <>
           <hr className="my-4" />
@@ -391,13 +497,29 @@ const OrderItem = memo(({ order }) => {
         </>
       )}
 
-      <div className="text-center mt-4">
+      <div className="flex justify-center items-center gap-4 mt-4">
         <button
           onClick={toggleExpanded}
           className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
         >
           {expanded ? "Masquer les détails" : "Afficher les détails"}
         </button>
+        <Link
+          href={`/me/orders/${order._id}`}
+          className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+        >
+          Voir la commande
+        </Link>
+        {!isCancelled && (
+          <a
+            href={`/api/orders/${order._id}/invoice`}
+            download
+            className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+          >
+            <Download size={14} />
+            Télécharger la facture
+          </a>
+        )}
       </div>
     </article>
   );
@@ -0,0 +1,127 @@
+"use client";
+
+import { memo } from "react";
+import { Check, Circle, XCircle } from "lucide-react";
+import { ORDER_STATUS_LABELS } from "@/helpers/constants";
+
+// Étapes affichées selon le mode de remise de la commande
+const DELIVERY_STEPS = ["pending", "processing", "shipped", "delivered"];
+const PICKUP_STEPS = ["pending", "processing", "ready_for_pickup", "picked_up"];
+
+const formatStepDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return date.toLocaleDateString("fr-FR", {
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+/**
+ * Frise du suivi logistique d'une commande
+ * Les étapes franchies sont datées à partir de statusHistory ;
+ * une commande annulée s'arrête sur l'étape "Annulée".
+ */
+const OrderStatusTimeline = memo(({ order, isPickup = false }) => {
+  const history = Array.isArray(order?.statusHistory)
+    ? order.statusHistory
+    : [];
+  const current = order?.orderStatus || "pending";
+  const isCancelled = current === "cancelled";
+
+  // Le retrait en magasin est confirmé dès qu'une étape "retrait" apparaît
+  const pickupFlow =
+    isPickup ||
+    history.some((entry) =>
+      ["ready_for_pickup", "picked_up"].includes(entry.status),
+    );
+  const baseSteps = pickupFlow ? PICKUP_STEPS : DELIVERY_STEPS;
+
+  // Date du dernier passage par chaque statut
+  const reachedAt = new Map(
+    history.map((entry) => [entry.status, entry.changedAt]),
+  );
+
+  let steps;
+  if (isCancelled) {
+    // Afficher seulement les étapes franchies avant l'annulation
+    steps = [
+      ...baseSteps.filter((status) => reachedAt.has(status)),
+      "cancelled",
+    ];
+  } else {
+    steps = baseSteps;
+  }
+
+  const currentIndex = steps.indexOf(current);
+
+  return (
+    <ol
+      className="flex flex-col sm:flex-row sm:items-start gap-3 sm:gap-0"
+      aria-label="Suivi de la commande"
+    >
+      {steps.map((status, index) => {
+        const done = index <= currentIndex;
+        const isCurrent = index === currentIndex;
+        const isCancelStep = status === "cancelled";
+        const date = formatStepDate(reachedAt.get(status));
+
+        return (
+          <li
+            key={status}
+            className="flex sm:flex-col sm:flex-1 items-center sm:text-center gap-2 relative"
+            aria-current={isCurrent ? "step" : undefined}
+          >
+            {index > 0 && (
+              <span
+                className={`hidden sm:block absolute top-3 right-1/2 w-full h-0.5 -z-0 ${
+                  done ? "bg-blue-500" : "bg-gray-200"
+                }`}
+                aria-hidden="true"
+              />
+            )}
+            <span
+              className={`relative z-10 flex items-center justify-center w-6 h-6 rounded-full ${
+                isCancelStep
+                  ? "bg-red-500 text-white"
+                  : done
+                    ? "bg-blue-500 text-white"
+                    : "bg-gray-200 text-gray-400"
+              }`}
+            >
+              {isCancelStep ? (
+                <XCircle size={14} />
+              ) : done ? (
+                <Check size={14} />
+              ) : (
+                <Circle size={8} />
+              )}
+            </span>
+            <div>
+              <p
+                className={`text-xs font-medium ${
+                  isCancelStep
+                    ? "text-red-600"
+                    : done
+                      ? "text-gray-800"
+                      : "text-gray-400"
+                }`}
+              >
+                {ORDER_STATUS_LABELS[status] || status}
+              </p>
+              {done && date && <p className="text-xs text-gray-500">{date}</p>}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+});
+
+OrderStatusTimeline.displayName = "OrderStatusTimeline";
+
+export default OrderStatusTimeline;
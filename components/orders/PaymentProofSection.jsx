@@ -0,0 +1,266 @@
+"use client";
+
+import { memo, useCallback, useContext, useState } from "react";
+import { useRouter } from "next/navigation";
+import { CldUploadWidget } from "next-cloudinary";
+import { toast } from "react-toastify";
+import { CheckCircle2, LoaderCircle, Receipt, XCircle } from "lucide-react";
+import AuthContext from "@/context/AuthContext";
+import captureClientError from "@/monitoring/sentry";
+import {
+  PAYMENT_PROOF_PLATFORMS,
+  PAYMENT_PROOF_UPLOADABLE_STATUSES,
+} from "@/helpers/constants";
+
+const TRANSACTION_REFERENCE_PATTERN = /^[A-Za-z0-9-]{4,40}$/;
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("fr-FR", {
+        day: "numeric",
+        month: "long",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+/**
+ * Justificatif de paiement Mobile Money (WAAFI, D-MONEY)
+ * Affiche l'état du justificatif envoyé et, tant que la commande n'est pas
+ * payée, le formulaire d'envoi : capture du reçu (upload Cloudinary signé)
+ * et référence de la transaction
+ */
+const PaymentProofSection = memo(({ order }) => {
+  const { user } = useContext(AuthContext);
+  const router = useRouter();
+
+  const [receipt, setReceipt] = useState(null);
+  const [transactionReference, setTransactionReference] = useState("");
+  const [uploadInProgress, setUploadInProgress] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const proof = order.paymentInfo?.paymentProof;
+  const folder = `buyitnow/payment-proofs/${user?._id}`;
+  const canUpload =
+    PAYMENT_PROOF_PLATFORMS.includes(order.paymentInfo?.typePayment) &&
+    PAYMENT_PROOF_UPLOADABLE_STATUSES.includes(order.paymentStatus) &&
+    order.orderStatus !== "cancelled";
+
+  const handleUploadSuccess = useCallback(
+    (result) => {
+      const publicId = result?.info?.public_id;
+      const secureUrl = result?.info?.secure_url;
+      setUploadInProgress(false);
+
+      if (!publicId?.startsWith(`${folder}/`) || !secureUrl) {
+        toast.error("Erreur de téléchargement: dossier incorrect");
+        return;
+      }
+
+      setReceipt({ public_id: publicId, url: secureUrl });
+      toast.success("Reçu téléchargé");
+    },
+    [folder],
+  );
+
+  const handleUploadError = useCallback((error) => {
+    console.error("Erreur de téléchargement du reçu:", error);
+    setUploadInProgress(false);
+    toast.error("Erreur lors du téléchargement du reçu");
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const reference = transactionReference.trim();
+
+    if (!receipt || !TRANSACTION_REFERENCE_PATTERN.test(reference)) {
+      toast.error("Ajoutez la capture du reçu et une référence valide");
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/${order._id}/payment-proof`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            receipt,
+            transactionReference: reference,
+          }),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage;
+        switch (res.status) {
+          case 400:
+            errorMessage =
+              data.code === "INVALID_TRANSACTION_REFERENCE"
+                ? "Référence de transaction invalide"
+                : "Reçu invalide. Veuillez le télécharger à nouveau.";
+            break;
+          case 401:
+            errorMessage = "Session expirée. Veuillez vous reconnecter.";
+            break;
+          case 409:
+            errorMessage =
+              "Un justificatif ne peut plus être envoyé pour cette commande";
+            break;
+          case 429:
+            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+            break;
+          default:
+            errorMessage = "Erreur lors de l'envoi du justificatif";
+        }
+
+        captureClientError(
+          new Error(`HTTP ${res.status}: ${errorMessage}`),
+          "PaymentProofSection",
+          "submit",
+          res.status >= 500,
+        );
+        toast.error(errorMessage);
+        return;
+      }
+
+      toast.success("Justificatif envoyé. Nous le vérifions rapidement.");
+      setReceipt(null);
+      setTransactionReference("");
+      router.refresh();
+    } catch (error) {
+      captureClientError(error, "PaymentProofSection", "submit", false);
+      toast.error(
+        error.name === "AbortError"
+          ? "La requête a pris trop de temps. Veuillez réessayer."
+          : "Problème de connexion. Vérifiez votre connexion.",
+      );
+    } finally {
+      clearTimeout(timeoutId);
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!proof && !canUpload) return null;
+
+  const uploadOptions = {
+    folder,
+    maxFiles: 1,
+    maxFileSize: 5000000,
+    resourceType: "image",
+    clientAllowedFormats: ["jpg", "jpeg", "png", "webp"],
+    sources: ["local", "camera"],
+    multiple: false,
+    showUploadMoreButton: false,
+    showPoweredBy: false,
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100 text-sm">
+      <h3 className="font-medium mb-2 flex items-center gap-1">
+        <Receipt size={14} />
+        Justificatif de paiement
+      </h3>
+
+      {proof?.status === "pending" && (
+        <p className="text-amber-700">
+          Envoyé le {formatDate(proof.submittedAt)} (réf.{" "}
+          <span className="font-mono">{proof.transactionReference}</span>) : en
+          cours de vérification.
+        </p>
+      )}
+
+      {proof?.status === "approved" && (
+        <p className="text-green-700 flex items-center gap-1">
+          <CheckCircle2 size={14} />
+          Justificatif validé
+        </p>
+      )}
+
+      {proof?.status === "rejected" && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 mb-3">
+          <p className="flex items-center gap-1 font-medium">
+            <XCircle size={14} />
+            Justificatif refusé
+          </p>
+          {proof.reviewNote && <p className="mt-1">{proof.reviewNote}</p>}
+        </div>
+      )}
+
+      {canUpload && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <p className="text-gray-600">
+            Vous avez payé par transfert ? Envoyez la capture du reçu et la
+            référence de la transaction.
+          </p>
+
+          <CldUploadWidget
+            signatureEndpoint={`${process.env.NEXT_PUBLIC_API_URL}/api/auth/me/update/sign-cloudinary-params?type=payment_proof`}
+            onSuccess={handleUploadSuccess}
+            onError={handleUploadError}
+            onStart={() => setUploadInProgress(true)}
+            options={uploadOptions}
+            uploadPreset={undefined}
+          >
+            {({ open }) => (
+              <button
+                type="button"
+                onClick={() => typeof open === "function" && open()}
+                disabled={!user?._id || uploadInProgress || isSubmitting}
+                className="w-full px-3 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {uploadInProgress
+                  ? "Téléchargement en cours..."
+                  : receipt
+                    ? "✓ Reçu ajouté (remplacer)"
+                    : "Ajouter la capture du reçu"}
+              </button>
+            )}
+          </CldUploadWidget>
+
+          <div>
+            <label
+              htmlFor={`transaction-reference-${order._id}`}
+              className="block text-gray-600 mb-1"
+            >
+              Référence de la transaction
+            </label>
+            <input
+              id={`transaction-reference-${order._id}`}
+              type="text"
+              value={transactionReference}
+              onChange={(e) => setTransactionReference(e.target.value)}
+              maxLength={40}
+              pattern="[A-Za-z0-9\-]{4,40}"
+              placeholder="ex: 2025010112345"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={!receipt || isSubmitting || uploadInProgress}
+            className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting && (
+              <LoaderCircle size={16} className="animate-spin" />
+            )}
+            Envoyer le justificatif
+          </button>
+        </form>
+      )}
+    </div>
+  );
+});
+
+PaymentProofSection.displayName = "PaymentProofSection";
+
+export default PaymentProofSection;
@@ -0,0 +1,72 @@
+"use client";
+
+import { memo, useMemo } from "react";
+import { KeyRound } from "lucide-react";
+import { getPickupQrValue } from "@/helpers/helpers";
+import { createQrMatrix, qrMatrixToSvgPath } from "@/utils/qrCode";
+
+/**
+ * Code de retrait d'une commande payée en espèces
+ * QR code généré localement (aucun service externe) et code lisible,
+ * à présenter au comptoir lors du paiement et de la remise
+ * @param {string} orderNumber - Numéro de commande (ORD-YYYYMMDD-XXXXX)
+ * @param {string} pickupCode - Code à usage unique
+ * @param {boolean} [compact=false] - Version réduite (détail de la commande)
+ */
+const PickupCodeCard = memo(({ orderNumber, pickupCode, compact = false }) => {
+  const qr = useMemo(() => {
+    try {
+      return qrMatrixToSvgPath(
+        createQrMatrix(getPickupQrValue(orderNumber, pickupCode)),
+      );
+    } catch (error) {
+      console.error("Erreur lors de la génération du QR code:", error);
+      return null;
+    }
+  }, [orderNumber, pickupCode]);
+
+  if (!orderNumber || !pickupCode) return null;
+
+  return (
+    <div
+      className={`flex items-center gap-4 text-left bg-white border-2 border-emerald-200 rounded-xl ${
+        compact ? "mt-3 p-3" : "max-w-2xl mx-auto mb-6 p-4"
+      }`}
+    >
+      {qr && (
+        <svg
+          viewBox={`0 0 ${qr.size} ${qr.size}`}
+          className={`flex-shrink-0 ${compact ? "w-24 h-24" : "w-32 h-32"}`}
+          role="img"
+          aria-label={`QR code de retrait de la commande ${orderNumber}`}
+          shapeRendering="crispEdges"
+        >
+          <rect width={qr.size} height={qr.size} fill="#ffffff" />
+          <path d={qr.path} fill="#000000" />
+        </svg>
+      )}
+      <div>
+        <p className="text-sm font-semibold text-emerald-900 flex items-center gap-1">
+          <KeyRound size={16} />
+          Code de retrait
+        </p>
+        <p
+          className={`font-mono font-bold tracking-[0.3em] text-gray-900 mt-1 ${
+            compact ? "text-xl" : "text-3xl"
+          }`}
+        >
+          {pickupCode}
+        </p>
+        <p className="text-xs text-gray-600 mt-2">
+          Présentez ce code (ou le QR code) au moment du paiement en espèces. Il
+          n&apos;est valable qu&apos;une seule fois : ne le communiquez
+          qu&apos;à la personne qui récupère la commande.
+        </p>
+      </div>
+    </div>
+  );
+});
+
+PickupCodeCard.displayName = "PickupCodeCard";
+
+export default PickupCodeCard;
@@ -0,0 +1,53 @@
+"use client";
+
+import { memo } from "react";
+import { MapPin, Store } from "lucide-react";
+import { SHIPPING_METHOD_LABELS } from "@/helpers/constants";
+import { formatAddressDisplay } from "@/utils/addressSanitizer";
+
+/**
+ * Affiche l'adresse de livraison ou le point de retrait d'une commande
+ * Attend la copie enregistrée sur la commande (shippingInfo)
+ */
+const ShippingInfoSummary = memo(({ shippingInfo }) => {
+  if (!shippingInfo?.method) return null;
+
+  const isPickup = shippingInfo.method === "pickup";
+  const Icon = isPickup ? Store : MapPin;
+
+  return (
+    <div className="text-sm text-gray-700">
+      <p className="flex items-center gap-1 font-medium text-gray-800 mb-1">
+        <Icon
+          size={16}
+          className={isPickup ? "text-green-600" : "text-blue-600"}
+        />
+        {SHIPPING_METHOD_LABELS[shippingInfo.method]}
+      </p>
+
+      {isPickup ? (
+        <>
+          <p className="font-medium">{shippingInfo.pickupPoint?.name}</p>
+          {shippingInfo.pickupPoint?.address && (
+            <p className="text-gray-600">{shippingInfo.pickupPoint.address}</p>
+          )}
+        </>
+      ) : (
+        <p className="whitespace-pre-line text-gray-600">
+          {formatAddressDisplay(shippingInfo.address)}
+        </p>
+      )}
+
+      {shippingInfo.recipientName && (
+        <p className="text-xs text-gray-500 mt-1">
+          {shippingInfo.recipientName}
+          {shippingInfo.phone ? ` · ${shippingInfo.phone}` : ""}
+        </p>
+      )}
+    </div>
+  );
+});
+
+ShippingInfoSummary.displayName = "ShippingInfoSummary";
+
+export default ShippingInfoSummary;
@@ -1,9 +1,17 @@
 "use client";
 
-import { Suspense, useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Suspense,
+  memo,
+  useCallback,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
 import { useRouter, useSearchParams } from "next/navigation";
 import dynamic from "next/dynamic";
 import { isArrayEmpty } from "@/helpers/helpers";
+import { PRODUCT_SORT_OPTIONS } from "@/helpers/constants";
 import { captureException } from "@/monitoring/sentry";
 import {
   FiltersSkeleton,
@@ -26,6 +34,45 @@ const ProductItem = dynamic(() => import("./ProductItem"), {
   ssr: true,
 });
 
+// Segments { text, match } renvoyés par l'API : aucun HTML injecté
+const HighlightedText = ({ segments }) =>
+  segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-amber-100 text-gray-900 rounded px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    ),
+  );
+
+/**
+ * Explique pourquoi un produit correspond à la recherche
+ */
+const MatchSnippet = memo(function MatchSnippet({ highlight }) {
+  if (!highlight) return null;
+
+  return (
+    <div
+      className="-mt-3 mb-5 px-4 py-2 bg-amber-50/60 border border-t-0 border-pink-100 rounded-b-lg text-sm text-gray-600"
+      aria-label="Correspondance avec la recherche"
+    >
+      {highlight.name && (
+        <p className="line-clamp-1">
+          <span className="font-medium text-gray-500 mr-2">Nom :</span>
+          <HighlightedText segments={highlight.name} />
+        </p>
+      )}
+      {highlight.description && (
+        <p className="line-clamp-2">
+          <span className="font-medium text-gray-500 mr-2">Description :</span>
+          <HighlightedText segments={highlight.description} />
+        </p>
+      )}
+    </div>
+  );
+});
+
 const ListProducts = ({ data, categories }) => {
   const [localLoading, setLocalLoading] = useState(false);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
@@ -37,6 +84,8 @@ const ListProducts = ({ data, categories }) => {
   const minPrice = searchParams?.get("min");
   const maxPrice = searchParams?.get("max");
   const page = searchParams?.get("page");
+  const sort = searchParams?.get("sort") || "";
+  const inStock = searchParams?.get("inStock") === "true";
 
   const getFilterSummary = useCallback(() => {
     try {
@@ -44,13 +93,21 @@ const ListProducts = ({ data, categories }) => {
 
       if (keyword) summary.push(`Recherche: "${keyword}"`);
       if (category) {
-        const categoryName = categories?.find((c) => c._id === category)?.name;
-        if (categoryName) summary.push(`Catégorie: ${categoryName}`);
+        const categoryNames = category
+          .split(",")
+          .map((id) => categories?.find((c) => c._id === id)?.name)
+          .filter(Boolean);
+        if (categoryNames.length > 0)
+          summary.push(
+            `Catégorie${categoryNames.length > 1 ? "s" : ""}: ${categoryNames.join(", ")}`,
+          );
       }
       if (minPrice && maxPrice)
-        summary.push(`Prix: ${minPrice}€ - ${maxPrice}€`);
-      else if (minPrice) summary.push(`Prix min: ${minPrice}€`);
-      else if (maxPrice) summary.push(`Prix max: ${maxPrice}€`);
+        summary.push(`Prix: ${minPrice} - ${maxPrice} Fdj`);
+      else if (minPrice) summary.push(`Prix min: ${minPrice} Fdj`);
+      else if (maxPrice) summary.push(`Prix max: ${maxPrice} Fdj`);
+
+      if (inStock) summary.push("En stock uniquement");
 
       if (page) summary.push(`Page: ${page || 1}`);
 
@@ -61,13 +118,30 @@ const ListProducts = ({ data, categories }) => {
       });
       return null;
     }
-  }, [keyword, category, minPrice, maxPrice, page, categories]);
+  }, [keyword, category, minPrice, maxPrice, inStock, page, categories]);
 
   const filterSummary = useMemo(() => getFilterSummary(), [getFilterSummary]);
 
   const hasValidData = data && typeof data === "object";
   const hasValidCategories = categories && Array.isArray(categories);
 
+  const handleSortChange = useCallback(
+    (e) => {
+      const params = new URLSearchParams(searchParams?.toString() || "");
+
+      if (e.target.value) {
+        params.set("sort", e.target.value);
+      } else {
+        params.delete("sort");
+      }
+      params.delete("page");
+
+      setLocalLoading(true);
+      router.push(`/?${params.toString()}`);
+    },
+    [searchParams, router],
+  );
+
   const handleResetFilters = useCallback(() => {
     try {
       setLocalLoading(true);
@@ -108,6 +182,7 @@ const ListProducts = ({ data, categories }) => {
           {hasValidCategories ? (
             <Filters
               categories={categories}
+              facets={data?.facets}
               setLocalLoading={setLocalLoading}
             />
           ) : (
@@ -144,6 +219,25 @@ const ListProducts = ({ data, categories }) => {
                   ? `${data.products.length} produit${data.products.length > 1 ? "s" : ""} trouvé${data.products.length > 1 ? "s" : ""}`
                   : "Produits"}
               </h1>
+
+              <label className="flex items-center text-sm text-gray-600">
+                <span className="mr-2 hidden sm:inline">Trier par</span>
+                <select
+                  value={sort}
+                  onChange={handleSortChange}
+                  className="border border-pink-100 bg-white rounded-md py-1.5 px-2 focus:outline-none focus:border-blue-300 focus:ring-2 focus:ring-blue-100"
+                  aria-label="Trier les produits"
+                >
+                  <option value="">
+                    {keyword ? "Pertinence" : "Par défaut"}
+                  </option>
+                  {PRODUCT_SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
             </div>
 
             {localLoading ? (
@@ -194,6 +288,9 @@ const ListProducts = ({ data, categories }) => {
                       fallback={<ProductItemSkeleton />}
                     >
                       <ProductItem product={product} />
+                      {keyword && (
+                        <MatchSnippet highlight={product?.highlight} />
+                      )}
                     </Suspense>
                   ))}
                 </div>
@@ -17,11 +17,24 @@ import AuthContext from "@/context/AuthContext";
 import CartContext from "@/context/CartContext";
 import { isArrayEmpty } from "@/helpers/helpers";
 import { INCREASE } from "@/helpers/constants";
+import StarRating from "@/components/products/StarRating";
+import WishlistButton from "@/components/products/WishlistButton";
+import StockAlertButton from "@/components/products/StockAlertButton";
 
 import DOMPurify from "dompurify";
 import { Share2, ShoppingCart, Star, Truck } from "lucide-react";
 import { useSwipeable } from "react-swipeable";
 
+const ProductReviews = dynamic(
+  () => import("@/components/products/ProductReviews"),
+  {
+    ssr: false,
+    loading: () => (
+      <div className="h-40 mt-8 bg-pink-50 rounded-lg animate-pulse"></div>
+    ),
+  },
+);
+
 const BreadCrumbs = dynamic(() => import("@/components/layouts/BreadCrumbs"), {
   ssr: true,
   loading: () => (
@@ -122,12 +135,121 @@ const ProductImageGallery = memo(function ProductImageGallery({
   );
 });
 
+const VariantSelector = memo(function VariantSelector({
+  variants,
+  selectedVariant,
+  onVariantSelect,
+}) {
+  // Couleurs uniques (dans l'ordre de déclaration)
+  const colors = useMemo(() => {
+    const seen = new Map();
+    variants.forEach((variant) => {
+      const name = variant?.color?.name;
+      if (name && !seen.has(name)) {
+        seen.set(name, variant.color);
+      }
+    });
+    return Array.from(seen.values());
+  }, [variants]);
+
+  // Variantes disponibles pour la couleur sélectionnée
+  const sizeOptions = useMemo(
+    () =>
+      variants.filter(
+        (variant) =>
+          variant?.size &&
+          (!selectedVariant?.color?.name ||
+            variant?.color?.name === selectedVariant.color.name),
+      ),
+    [variants, selectedVariant],
+  );
+
+  const handleColorSelect = (colorName) => {
+    // Garder la même taille si possible, sinon la première en stock
+    const candidates = variants.filter((v) => v?.color?.name === colorName);
+    const match =
+      candidates.find((v) => v.size === selectedVariant?.size && v.stock > 0) ||
+      candidates.find((v) => v.stock > 0) ||
+      candidates[0];
+    if (match) onVariantSelect(match._id);
+  };
+
+  return (
+    <div className="mb-6 space-y-4">
+      {colors.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Couleur :{" "}
+            <span className="text-gray-900">
+              {selectedVariant?.color?.name || "Choisir"}
+            </span>
+          </p>
+          <div className="flex flex-wrap gap-2" role="radiogroup">
+            {colors.map((color) => {
+              const isSelected = selectedVariant?.color?.name === color.name;
+              return (
+                <button
+                  key={color.name}
+                  type="button"
+                  role="radio"
+                  aria-checked={isSelected}
+                  aria-label={color.name}
+                  title={color.name}
+                  onClick={() => handleColorSelect(color.name)}
+                  className={`w-8 h-8 rounded-full border-2 transition-all ${
+                    isSelected
+                      ? "border-blue-400 ring-2 ring-blue-100"
+                      : "border-pink-100 hover:border-lavender-200"
+                  }`}
+                  style={{ backgroundColor: color.hex || "#FFFFFF" }}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {sizeOptions.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Taille :</p>
+          <div className="flex flex-wrap gap-2" role="radiogroup">
+            {sizeOptions.map((variant) => {
+              const isSelected = selectedVariant?._id === variant._id;
+              const isAvailable = variant.stock > 0;
+              return (
+                <button
+                  key={variant._id}
+                  type="button"
+                  role="radio"
+                  aria-checked={isSelected}
+                  onClick={() => onVariantSelect(variant._id)}
+                  disabled={!isAvailable}
+                  className={`min-w-12 px-3 py-1.5 rounded-lg border text-sm font-medium transition-all ${
+                    isSelected
+                      ? "border-blue-400 bg-blue-50 text-blue-700"
+                      : "border-pink-100 text-gray-700 hover:border-lavender-200"
+                  } ${!isAvailable ? "opacity-40 line-through cursor-not-allowed" : ""}`}
+                >
+                  {variant.size}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
 const ProductInfo = memo(function ProductInfo({
   product,
   inStock,
   onAddToCart,
   isAddingToCart,
   onShare,
+  selectedVariant,
+  onVariantSelect,
+  ratingSummary,
 }) {
   const formattedPrice = useMemo(
     () => formatPrice(product?.price),
@@ -140,6 +262,20 @@ const ProductInfo = memo(function ProductInfo({
         {product?.name || "Product Not Available"}
       </h1>
 
+      {ratingSummary?.ratingCount > 0 && (
+        <a
+          href="#reviews-heading"
+          className="inline-flex mb-3 hover:opacity-80"
+          aria-label="Voir les avis clients"
+        >
+          <StarRating
+            rating={ratingSummary.ratingAverage}
+            count={ratingSummary.ratingCount}
+            showValue
+          />
+        </a>
+      )}
+
       <div className="flex flex-wrap items-center space-x-2 mb-2">
         {product?.verified && (
           <span className="text-green-700 flex items-center bg-green-50 px-2 py-1 rounded-full text-sm">
@@ -177,6 +313,14 @@ const ProductInfo = memo(function ProductInfo({
         )}
       </div>
 
+      {product?.variants?.length > 0 && (
+        <VariantSelector
+          variants={product.variants}
+          selectedVariant={selectedVariant}
+          onVariantSelect={onVariantSelect}
+        />
+      )}
+
       {product?.description ? (
         <div
           className="mb-6 text-gray-600 leading-relaxed"
@@ -234,6 +378,13 @@ const ProductInfo = memo(function ProductInfo({
           )}
         </button>
 
+        {!inStock && (
+          <StockAlertButton
+            productId={product?._id}
+            variantId={selectedVariant?._id || null}
+          />
+        )}
+
         <button
           className="w-full sm:w-auto px-4 py-2 flex flex-row items-center justify-center text-blue-400 border border-blue-200 rounded-lg hover:bg-blue-50 focus:ring-2 focus:ring-blue-200 focus:outline-none transition-all" // ✅ Bleu doux
           aria-label="Partager ce produit"
@@ -242,6 +393,12 @@ const ProductInfo = memo(function ProductInfo({
           <Share2 className="mr-1" />
           Partager
         </button>
+
+        <WishlistButton
+          productId={product?._id}
+          variantId={selectedVariant?._id || null}
+          className="self-center"
+        />
       </div>
 
       <ul className="mb-5 text-gray-600">
@@ -289,7 +446,9 @@ const ProductInfo = memo(function ProductInfo({
         </li>
         <li className="mb-2 flex">
           <span className="font-medium w-36 inline-block">Référence:</span>
-          <span className="font-mono text-sm">{product?._id || "N/A"}</span>
+          <span className="font-mono text-sm">
+            {selectedVariant?.sku || product?._id || "N/A"}
+          </span>
         </li>
       </ul>
 
@@ -553,14 +712,54 @@ function ProductDetails({ product, sameCategoryProducts }) {
 
   const [selectedImage, setSelectedImage] = useState(null);
   const [isAddingToCart, setIsAddingToCart] = useState(false);
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
+  const [ratingSummary, setRatingSummary] = useState({
+    ratingAverage: product?.ratingAverage || 0,
+    ratingCount: product?.ratingCount || 0,
+  });
+
+  const hasVariants = product?.variants?.length > 0;
+
+  // Présélectionner la première variante en stock
+  useEffect(() => {
+    if (!hasVariants) {
+      setSelectedVariantId(null);
+      return;
+    }
+    const firstAvailable =
+      product.variants.find((variant) => variant.stock > 0) ||
+      product.variants[0];
+    setSelectedVariantId(firstAvailable?._id || null);
+  }, [product, hasVariants]);
+
+  const selectedVariant = useMemo(
+    () =>
+      hasVariants
+        ? product.variants.find((v) => v._id === selectedVariantId) || null
+        : null,
+    [product, hasVariants, selectedVariantId],
+  );
+
+  // Produit affiché : prix, stock et images de la variante si elle existe
+  const displayedProduct = useMemo(() => {
+    if (!product || !selectedVariant) return product;
+    return {
+      ...product,
+      price: selectedVariant.price ?? product.price,
+      stock: selectedVariant.stock,
+      images: selectedVariant.images?.length
+        ? selectedVariant.images
+        : product.images,
+    };
+  }, [product, selectedVariant]);
 
   useEffect(() => {
-    if (product?.images && product.images.length > 0) {
-      setSelectedImage(product.images[0]?.url);
+    if (displayedProduct?.images && displayedProduct.images.length > 0) {
+      setSelectedImage(displayedProduct.images[0]?.url);
     } else {
       setSelectedImage("/images/default_product.png");
     }
-  }, [product]);
+  }, [displayedProduct]);
 
   useEffect(() => {
     if (error) {
@@ -570,9 +769,11 @@ function ProductDetails({ product, sameCategoryProducts }) {
   }, [error, clearError]);
 
   const inStock = useMemo(() => {
-    if (!product || product?.stock === undefined) return false;
-    return product.stock >= 1;
-  }, [product]);
+    if (!displayedProduct || displayedProduct?.stock === undefined)
+      return false;
+    if (hasVariants && !selectedVariant) return false;
+    return displayedProduct.stock >= 1;
+  }, [displayedProduct, hasVariants, selectedVariant]);
 
   const breadCrumbs = useMemo(() => {
     if (!product) return null;
@@ -600,10 +801,8 @@ function ProductDetails({ product, sameCategoryProducts }) {
       return;
     }
 
-    if (!user) {
-      toast.info(
-        "Veuillez vous connecter pour ajouter des articles à votre panier",
-      );
+    if (hasVariants && !selectedVariant) {
+      toast.info("Veuillez choisir une couleur et une taille");
       return;
     }
 
@@ -617,7 +816,11 @@ function ProductDetails({ product, sameCategoryProducts }) {
     setIsAddingToCart(true);
 
     try {
-      const isProductInCart = cart.find((i) => i?.productId === product._id);
+      const variantId = selectedVariant?._id || null;
+      const isProductInCart = cart.find(
+        (i) =>
+          i?.productId === product._id && (i?.variantId || null) === variantId,
+      );
 
       if (isProductInCart) {
         updateCart(isProductInCart, INCREASE);
@@ -625,6 +828,7 @@ function ProductDetails({ product, sameCategoryProducts }) {
       } else {
         addItemToCart({
           product: product._id,
+          variant: variantId,
         });
         toast.success("Produit ajouté à votre panier");
       }
@@ -636,7 +840,16 @@ function ProductDetails({ product, sameCategoryProducts }) {
         setIsAddingToCart(false);
       }, 500);
     }
-  }, [product, user, cart, inStock, addItemToCart, updateCart, isAddingToCart]);
+  }, [
+    product,
+    cart,
+    inStock,
+    hasVariants,
+    selectedVariant,
+    addItemToCart,
+    updateCart,
+    isAddingToCart,
+  ]);
 
   const handleShare = useCallback(() => {
     if (navigator.share) {
@@ -717,17 +930,20 @@ function ProductDetails({ product, sameCategoryProducts }) {
           {/* ✅ Bordure rose */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
             <ProductImageGallery
-              product={product}
+              product={displayedProduct}
               selectedImage={selectedImage}
               onImageSelect={handleImageSelect}
             />
 
             <ProductInfo
-              product={product}
+              product={displayedProduct}
               inStock={inStock}
               onAddToCart={handleAddToCart}
               isAddingToCart={isAddingToCart}
               onShare={handleShare}
+              selectedVariant={selectedVariant}
+              onVariantSelect={setSelectedVariantId}
+              ratingSummary={ratingSummary}
             />
           </div>
           {product.specifications && (
@@ -745,6 +961,11 @@ function ProductDetails({ product, sameCategoryProducts }) {
               </div>
             </div>
           )}
+          <ProductReviews
+            productId={product._id}
+            isAuthenticated={Boolean(user)}
+            onSummaryChange={setRatingSummary}
+          />
         </div>
 
         <RelatedProductsCarousel
@@ -2,14 +2,16 @@ import { memo, useCallback, useContext } from "react";
 import { toast } from "react-toastify";
 import Link from "next/link";
 import Image from "next/image";
+import { useRouter } from "next/navigation";
 
 import CartContext from "@/context/CartContext";
 import { INCREASE } from "@/helpers/constants";
-import AuthContext from "@/context/AuthContext";
+import StarRating from "@/components/products/StarRating";
+import WishlistButton from "@/components/products/WishlistButton";
 
 const ProductItem = memo(({ product }) => {
   const { addItemToCart, updateCart, cart } = useContext(CartContext);
-  const { user } = useContext(AuthContext);
+  const router = useRouter();
 
   if (!product || typeof product !== "object") {
     return null;
@@ -21,6 +23,7 @@ const ProductItem = memo(({ product }) => {
   const productDescription = product.description || "";
   const productPrice = product.price || 0;
   const productCategory = product.category?.categoryName || "Non catégorisé";
+  const hasVariants = product.variants?.length > 0;
 
   const imageUrl = product.images?.[0]?.url || "/images/default_product.png";
 
@@ -29,10 +32,10 @@ const ProductItem = memo(({ product }) => {
       e.preventDefault();
 
       try {
-        if (!user) {
-          return toast.error(
-            "Connectez-vous pour ajouter des articles à votre panier !",
-          );
+        // Le choix de la couleur / taille se fait sur la fiche produit
+        if (hasVariants) {
+          toast.info("Choisissez une couleur et une taille");
+          return router.push(`/product/${productId}`);
         }
 
         const isProductInCart = cart.find((i) => i?.productId === productId);
@@ -49,7 +52,7 @@ const ProductItem = memo(({ product }) => {
         console.error("Erreur d'ajout au panier:", error);
       }
     },
-    [user, cart, productId, addItemToCart, updateCart],
+    [cart, productId, hasVariants, router, addItemToCart, updateCart],
   );
 
   return (
@@ -65,6 +68,11 @@ const ProductItem = memo(({ product }) => {
           <div className="relative w-full aspect-square bg-pink-50 rounded-md overflow-hidden">
             {" "}
             {/* ✅ Background rose doux pour l'image */}
+            <WishlistButton
+              productId={productId}
+              size={18}
+              className="absolute top-2 right-2 z-10"
+            />
             <Image
               src={imageUrl}
               alt={productName}
@@ -90,6 +98,14 @@ const ProductItem = memo(({ product }) => {
             >
               {productName}
             </h3>
+            {product.ratingCount > 0 && (
+              <StarRating
+                rating={product.ratingAverage}
+                count={product.ratingCount}
+                size={14}
+                className="mb-2"
+              />
+            )}
             <div className="mt-4 md:text-xs lg:text-sm text-gray-700 space-y-2">
               <p className="mb-1" title={productCategory}>
                 <span className="font-semibold mr-3 text-gray-600">
@@ -0,0 +1,414 @@
+"use client";
+
+import { memo, useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { Star, ThumbsUp, BadgeCheck } from "lucide-react";
+
+import StarRating from "@/components/products/StarRating";
+import { formatDate } from "@/helpers/helpers";
+import { captureClientError } from "@/monitoring/sentry";
+
+const INITIAL_FORM = {
+  rating: 0,
+  title: "",
+  comment: "",
+  wouldRecommend: true,
+};
+
+/**
+ * Formulaire d'avis - réservé aux acheteurs (vérification côté API)
+ */
+const ReviewForm = memo(function ReviewForm({ productId, onSubmitted }) {
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [hoverRating, setHoverRating] = useState(0);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submitting) return;
+
+    if (!form.rating) {
+      setErrors({ rating: "Veuillez choisir une note" });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/reviews`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify(form),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        switch (res.status) {
+          case 400:
+            setErrors(data.errors || {});
+            toast.error("Veuillez corriger les erreurs du formulaire");
+            break;
+          case 401:
+            toast.error("Veuillez vous connecter pour laisser un avis");
+            break;
+          case 403:
+            toast.info(
+              "Seuls les clients ayant acheté ce produit peuvent laisser un avis",
+            );
+            break;
+          case 409:
+            toast.info("Vous avez déjà donné votre avis sur ce produit");
+            break;
+          case 429:
+            toast.error("Trop de tentatives. Réessayez plus tard.");
+            break;
+          default:
+            toast.error("Erreur lors de l'envoi de votre avis");
+            captureClientError(
+              new Error(`HTTP ${res.status}: ${data.message}`),
+              "ProductReviews",
+              "submitReview",
+              false,
+            );
+        }
+        return;
+      }
+
+      toast.success("Merci pour votre avis !");
+      setForm(INITIAL_FORM);
+      onSubmitted?.(data.data);
+    } catch (error) {
+      toast.error(
+        error.name === "AbortError"
+          ? "La connexion est trop lente"
+          : "Problème de connexion",
+      );
+      captureClientError(error, "ProductReviews", "submitReview", false);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const displayedRating = hoverRating || form.rating;
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-pink-50/40 border border-pink-100 rounded-lg p-4 space-y-4"
+      noValidate
+    >
+      <h3 className="font-semibold text-gray-800">Donner votre avis</h3>
+
+      <div>
+        <div
+          className="flex items-center gap-1"
+          role="radiogroup"
+          aria-label="Note"
+          onMouseLeave={() => setHoverRating(0)}
+        >
+          {[1, 2, 3, 4, 5].map((value) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={form.rating === value}
+              aria-label={`${value} étoile${value > 1 ? "s" : ""}`}
+              onClick={() => handleChange("rating", value)}
+              onMouseEnter={() => setHoverRating(value)}
+              className="p-0.5 focus:outline-none focus:ring-2 focus:ring-blue-200 rounded"
+            >
+              <Star
+                size={24}
+                className={
+                  value <= displayedRating
+                    ? "text-amber-400 fill-amber-400"
+                    : "text-amber-200"
+                }
+              />
+            </button>
+          ))}
+        </div>
+        {errors.rating && (
+          <p className="text-xs text-red-600 mt-1">{errors.rating}</p>
+        )}
+      </div>
+
+      <div>
+        <label
+          htmlFor="review-title"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Titre
+        </label>
+        <input
+          id="review-title"
+          type="text"
+          maxLength={100}
+          value={form.title}
+          onChange={(e) => handleChange("title", e.target.value)}
+          className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-200"
+          placeholder="Résumez votre expérience"
+        />
+        {errors.title && (
+          <p className="text-xs text-red-600 mt-1">{errors.title}</p>
+        )}
+      </div>
+
+      <div>
+        <label
+          htmlFor="review-comment"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Commentaire
+        </label>
+        <textarea
+          id="review-comment"
+          rows={4}
+          maxLength={500}
+          value={form.comment}
+          onChange={(e) => handleChange("comment", e.target.value)}
+          className="w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-200"
+          placeholder="Qu'avez-vous pensé de ce produit ?"
+        />
+        <div className="flex justify-between">
+          {errors.comment ? (
+            <p className="text-xs text-red-600 mt-1">{errors.comment}</p>
+          ) : (
+            <span />
+          )}
+          <span className="text-xs text-gray-400 mt-1">
+            {form.comment.length}/500
+          </span>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.wouldRecommend}
+          onChange={(e) => handleChange("wouldRecommend", e.target.checked)}
+          className="rounded border-gray-300"
+        />
+        Je recommande ce produit
+      </label>
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="px-5 py-2 bg-gradient-btn-primary text-gray-800 font-medium rounded-lg shadow-sm hover:bg-gradient-btn-primary-hover disabled:opacity-60"
+      >
+        {submitting ? "Envoi en cours..." : "Publier mon avis"}
+      </button>
+    </form>
+  );
+});
+
+/**
+ * Section des avis clients d'un produit
+ * Résumé des notes, liste paginée et formulaire pour les acheteurs
+ */
+const ProductReviews = memo(function ProductReviews({
+  productId,
+  isAuthenticated,
+  onSummaryChange,
+}) {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const fetchReviews = useCallback(
+    async (pageToLoad = 1) => {
+      if (!productId) return;
+
+      try {
+        setLoading(true);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/reviews?page=${pageToLoad}`,
+          { signal: controller.signal },
+        );
+
+        clearTimeout(timeoutId);
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+          return;
+        }
+
+        setReviews((prev) =>
+          pageToLoad === 1
+            ? data.data.reviews
+            : [...prev, ...data.data.reviews],
+        );
+        setSummary(data.data.summary);
+        setTotalPages(data.data.totalPages);
+        setPage(pageToLoad);
+      } catch (error) {
+        captureClientError(error, "ProductReviews", "fetchReviews", false);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [productId],
+  );
+
+  useEffect(() => {
+    fetchReviews(1);
+  }, [fetchReviews]);
+
+  const handleSubmitted = useCallback(
+    (data) => {
+      if (data?.summary) {
+        onSummaryChange?.(data.summary);
+      }
+      // Recharger pour mettre à jour la répartition des notes
+      fetchReviews(1);
+    },
+    [fetchReviews, onSummaryChange],
+  );
+
+  const ratingCount = summary?.ratingCount || 0;
+
+  return (
+    <section
+      aria-labelledby="reviews-heading"
+      className="border-t border-pink-100 pt-8 mt-8"
+    >
+      <h2
+        id="reviews-heading"
+        className="text-xl font-semibold text-gray-800 mb-6"
+      >
+        Avis clients
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <span className="text-4xl font-bold text-gray-800">
+              {(summary?.ratingAverage || 0).toFixed(1)}
+            </span>
+            <div>
+              <StarRating rating={summary?.ratingAverage || 0} size={18} />
+              <p className="text-sm text-gray-500 mt-1">{ratingCount} avis</p>
+            </div>
+          </div>
+
+          {summary?.distribution && (
+            <ul className="space-y-1">
+              {[5, 4, 3, 2, 1].map((value) => {
+                const count = summary.distribution[value] || 0;
+                const percent = ratingCount ? (count / ratingCount) * 100 : 0;
+                return (
+                  <li key={value} className="flex items-center gap-2 text-sm">
+                    <span className="w-3 text-gray-600">{value}</span>
+                    <Star size={12} className="text-amber-400 fill-amber-400" />
+                    <progress
+                      value={percent}
+                      max={100}
+                      aria-label={`${value} étoiles : ${Math.round(percent)} %`}
+                      className="flex-1 h-2 appearance-none rounded-full overflow-hidden bg-gray-100 [&::-webkit-progress-bar]:bg-gray-100 [&::-webkit-progress-value]:bg-amber-400 [&::-moz-progress-bar]:bg-amber-400"
+                    />
+                    <span className="w-6 text-right text-gray-500">
+                      {count}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {isAuthenticated ? (
+            <ReviewForm productId={productId} onSubmitted={handleSubmitted} />
+          ) : (
+            <p className="text-sm text-gray-500">
+              Connectez-vous pour donner votre avis sur ce produit.
+            </p>
+          )}
+        </div>
+
+        <div className="md:col-span-2">
+          {reviews.length === 0 && !loading ? (
+            <p className="text-gray-500">
+              Aucun avis pour le moment. Soyez le premier à partager votre
+              expérience !
+            </p>
+          ) : (
+            <ul className="space-y-4">
+              {reviews.map((review) => (
+                <li
+                  key={review.id}
+                  className="border border-pink-100 rounded-lg p-4 bg-white"
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <StarRating rating={review.rating} size={14} />
+                    <span className="text-xs text-gray-400">
+                      {formatDate(review.createdAt)}
+                    </span>
+                  </div>
+                  <h3 className="font-medium text-gray-800">{review.title}</h3>
+                  <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">
+                    {review.comment}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-3 mt-3 text-xs text-gray-500">
+                    <span className="font-medium text-gray-700">
+                      {review.userName}
+                    </span>
+                    {review.isVerifiedPurchase && (
+                      <span className="inline-flex items-center text-green-700">
+                        <BadgeCheck size={14} className="mr-1" />
+                        Achat vérifié
+                      </span>
+                    )}
+                    {review.wouldRecommend && (
+                      <span className="inline-flex items-center text-blue-500">
+                        <ThumbsUp size={14} className="mr-1" />
+                        Recommande ce produit
+                      </span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {page < totalPages && (
+            <button
+              type="button"
+              onClick={() => fetchReviews(page + 1)}
+              disabled={loading}
+              className="mt-4 px-4 py-2 text-blue-500 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-60"
+            >
+              {loading ? "Chargement..." : "Voir plus d'avis"}
+            </button>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+});
+
+export default ProductReviews;
@@ -0,0 +1,77 @@
+"use client";
+
+import { memo } from "react";
+import { Star } from "lucide-react";
+
+// Largeurs de remplissage au dixième d'étoile (classes statiques pour Tailwind)
+const FILL_WIDTHS = [
+  "w-0",
+  "w-[10%]",
+  "w-[20%]",
+  "w-[30%]",
+  "w-[40%]",
+  "w-[50%]",
+  "w-[60%]",
+  "w-[70%]",
+  "w-[80%]",
+  "w-[90%]",
+  "w-full",
+];
+
+/**
+ * Affichage d'une note sur 5 étoiles (lecture seule)
+ * Les demi-étoiles sont rendues par un remplissage partiel
+ */
+const StarRating = memo(function StarRating({
+  rating = 0,
+  count,
+  size = 16,
+  showValue = false,
+  className = "",
+}) {
+  const safeRating = Math.max(0, Math.min(5, Number(rating) || 0));
+
+  return (
+    <div
+      className={`flex items-center gap-1 ${className}`}
+      aria-label={`Note : ${safeRating.toFixed(1)} sur 5`}
+      role="img"
+    >
+      <div className="flex items-center">
+        {[1, 2, 3, 4, 5].map((position) => {
+          const fill = Math.max(0, Math.min(1, safeRating - (position - 1)));
+          return (
+            <span key={position} className="relative inline-flex">
+              <Star size={size} className="text-amber-200" aria-hidden="true" />
+              {fill > 0 && (
+                <span
+                  className={`absolute inset-y-0 left-0 overflow-hidden ${
+                    FILL_WIDTHS[Math.round(fill * 10)]
+                  }`}
+                >
+                  <Star
+                    size={size}
+                    className="text-amber-400 fill-amber-400"
+                    aria-hidden="true"
+                  />
+                </span>
+              )}
+            </span>
+          );
+        })}
+      </div>
+
+      {showValue && (
+        <span className="text-sm font-medium text-gray-700">
+          {safeRating.toFixed(1)}
+        </span>
+      )}
+
+      {typeof count === "number" && (
+        <span className="text-xs text-gray-500">({count})</span>
+      )}
+    </div>
+  );
+});
+
+export default StarRating;
@@ -0,0 +1,150 @@
+"use client";
+
+import { memo, useContext, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { Bell, BellOff } from "lucide-react";
+
+import AuthContext from "@/context/AuthContext";
+import { captureClientError } from "@/monitoring/sentry";
+
+/**
+ * Abonnement à l'alerte de retour en stock (produit ou variante en rupture)
+ * Un email est envoyé une seule fois lors du prochain réapprovisionnement
+ */
+const StockAlertButton = memo(function StockAlertButton({
+  productId,
+  variantId = null,
+}) {
+  const { user } = useContext(AuthContext);
+  const [subscribed, setSubscribed] = useState(false);
+  const [pending, setPending] = useState(false);
+
+  const query = variantId ? `?variantId=${variantId}` : "";
+  const endpoint = `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/stock-alert`;
+
+  // Récupérer l'état de l'abonnement
+  useEffect(() => {
+    if (!user || !productId) {
+      setSubscribed(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    fetch(`${endpoint}${query}`, {
+      signal: controller.signal,
+      credentials: "include",
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setSubscribed(!!data?.data?.subscribed))
+      .catch((error) => {
+        if (error.name !== "AbortError") {
+          captureClientError(error, "StockAlertButton", "fetchStatus", false);
+        }
+      })
+      .finally(() => clearTimeout(timeoutId));
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [user, productId, endpoint, query]);
+
+  const handleClick = async () => {
+    if (!user) {
+      toast.error("Connectez-vous pour être averti du retour en stock !");
+      return;
+    }
+
+    if (pending) return;
+
+    try {
+      setPending(true);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(subscribed ? `${endpoint}${query}` : endpoint, {
+        method: subscribed ? "DELETE" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: subscribed ? undefined : JSON.stringify({ variantId }),
+        signal: controller.signal,
+        credentials: "include",
+      });
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        switch (res.status) {
+          case 401:
+            toast.error("Veuillez vous connecter");
+            break;
+          case 409:
+            toast.info("Ce produit est de nouveau disponible !");
+            break;
+          case 429:
+            toast.error("Trop de tentatives. Réessayez plus tard.");
+            break;
+          default:
+            toast.error(data.message || "Erreur lors de l'enregistrement");
+            captureClientError(
+              new Error(`HTTP ${res.status}: ${data.message}`),
+              "StockAlertButton",
+              "toggleAlert",
+              false,
+            );
+        }
+        return;
+      }
+
+      setSubscribed(!subscribed);
+      toast.success(
+        subscribed
+          ? "Alerte de retour en stock désactivée"
+          : "Nous vous préviendrons par email dès le retour en stock",
+      );
+    } catch (error) {
+      toast.error(
+        error.name === "AbortError"
+          ? "La connexion est trop lente"
+          : "Problème de connexion",
+      );
+      captureClientError(error, "StockAlertButton", "toggleAlert", false);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={subscribed}
+      className={`w-full sm:w-auto px-4 py-3 flex flex-row items-center justify-center rounded-lg border transition-all disabled:opacity-60 ${
+        subscribed
+          ? "text-green-700 border-green-200 bg-green-50 hover:bg-green-100"
+          : "text-blue-500 border-blue-200 hover:bg-blue-50"
+      }`}
+    >
+      {subscribed ? (
+        <>
+          <BellOff className="mr-2 w-5 h-5" />
+          Alerte activée - Annuler
+        </>
+      ) : (
+        <>
+          <Bell className="mr-2 w-5 h-5" />
+          M&apos;avertir du retour en stock
+        </>
+      )}
+    </button>
+  );
+});
+
+export default StockAlertButton;
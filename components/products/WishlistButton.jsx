@@ -0,0 +1,64 @@
+"use client";
+
+import { memo, useContext, useState } from "react";
+import { toast } from "react-toastify";
+import { Heart } from "lucide-react";
+
+import AuthContext from "@/context/AuthContext";
+import WishlistContext from "@/context/WishlistContext";
+
+/**
+ * Bouton cœur pour ajouter / retirer un produit des favoris
+ * Utilisable à l'intérieur d'un lien (la navigation est bloquée au clic)
+ */
+const WishlistButton = memo(function WishlistButton({
+  productId,
+  variantId = null,
+  size = 20,
+  className = "",
+}) {
+  const { user } = useContext(AuthContext);
+  const { isInWishlist, toggleWishlist } = useContext(WishlistContext);
+  const [pending, setPending] = useState(false);
+
+  const isSaved = isInWishlist(productId);
+
+  const handleClick = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!user) {
+      toast.error("Connectez-vous pour ajouter des articles à vos favoris !");
+      return;
+    }
+
+    if (pending || !productId) return;
+
+    setPending(true);
+    try {
+      await toggleWishlist({ productId, variantId });
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={isSaved}
+      aria-label={isSaved ? "Retirer des favoris" : "Ajouter aux favoris"}
+      title={isSaved ? "Retirer des favoris" : "Ajouter aux favoris"}
+      className={`inline-flex items-center justify-center rounded-full p-2 bg-white border border-pink-100 shadow-sm transition-colors hover:bg-pink-50 disabled:opacity-60 ${className}`}
+    >
+      <Heart
+        size={size}
+        className={isSaved ? "text-pink-500 fill-pink-500" : "text-gray-400"}
+        aria-hidden="true"
+      />
+    </button>
+  );
+});
+
+export default WishlistButton;
@@ -0,0 +1,192 @@
+"use client";
+
+import { memo, useContext, useEffect, useState } from "react";
+import Link from "next/link";
+import Image from "next/image";
+import { useRouter } from "next/navigation";
+import { Heart, ShoppingCart, Trash2, TrendingDown } from "lucide-react";
+
+import WishlistContext from "@/context/WishlistContext";
+import { formatPrice } from "@/helpers/helpers";
+
+/**
+ * Ligne de la liste d'envies
+ */
+const WishlistItem = memo(function WishlistItem({ item, onMove, onRemove }) {
+  const [pending, setPending] = useState(false);
+
+  const run = async (action) => {
+    if (pending) return;
+    setPending(true);
+    try {
+      await action(item);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <li className="flex flex-col sm:flex-row gap-4 p-4 border border-pink-100 rounded-lg bg-white">
+      <Link
+        href={`/product/${item.productId}`}
+        className="relative w-24 h-24 shrink-0 bg-pink-50 rounded-md overflow-hidden"
+      >
+        <Image
+          src={item.imageUrl || "/images/default_product.png"}
+          alt={item.productName}
+          fill
+          sizes="96px"
+          className="object-contain"
+        />
+      </Link>
+
+      <div className="flex-1 min-w-0">
+        <Link
+          href={`/product/${item.productId}`}
+          className="font-medium text-gray-800 hover:text-blue-500 line-clamp-2"
+        >
+          {item.productName}
+        </Link>
+        {item.variantLabel && (
+          <p className="text-sm text-gray-500">{item.variantLabel}</p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 mt-2">
+          <span className="font-semibold text-blue-400">
+            {formatPrice(item.price)}
+          </span>
+          {item.priceDropped && (
+            <span className="inline-flex items-center text-xs text-green-700 bg-green-50 px-2 py-0.5 rounded-full">
+              <TrendingDown size={14} className="mr-1" />
+              Baisse de prix (avant {formatPrice(item.priceAtAdd)})
+            </span>
+          )}
+          <span
+            className={`text-xs font-medium ${
+              item.inStock ? "text-green-600" : "text-pink-600"
+            }`}
+          >
+            {item.inStock ? "En stock" : "Rupture de stock"}
+          </span>
+        </div>
+      </div>
+
+      <div className="flex sm:flex-col gap-2 sm:w-44">
+        <button
+          type="button"
+          onClick={() => run(onMove)}
+          disabled={pending || !item.inStock}
+          className="flex-1 inline-flex items-center justify-center px-3 py-2 text-sm font-medium text-gray-800 rounded-md bg-gradient-btn-primary hover:bg-gradient-btn-primary-hover disabled:bg-gray-200 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          <ShoppingCart size={16} className="mr-2" />
+          {item.hasVariants && !item.variantId
+            ? "Choisir une option"
+            : "Ajouter au panier"}
+        </button>
+        <button
+          type="button"
+          onClick={() => run(onRemove)}
+          disabled={pending}
+          className="flex-1 inline-flex items-center justify-center px-3 py-2 text-sm text-pink-600 border border-pink-100 rounded-md hover:bg-pink-50 disabled:opacity-60"
+        >
+          <Trash2 size={16} className="mr-2" />
+          Retirer
+        </button>
+      </div>
+    </li>
+  );
+});
+
+/**
+ * Liste d'envies de l'utilisateur connecté
+ */
+const ListWishlist = () => {
+  const {
+    wishlist,
+    loading,
+    error,
+    setWishlistToState,
+    removeFromWishlist,
+    moveToCart,
+  } = useContext(WishlistContext);
+  const [loaded, setLoaded] = useState(false);
+  const router = useRouter();
+
+  useEffect(() => {
+    setWishlistToState().finally(() => setLoaded(true));
+  }, [setWishlistToState]);
+
+  const handleMove = async (item) => {
+    // Le choix de la couleur / taille se fait sur la fiche produit
+    if (item.hasVariants && !item.variantId) {
+      router.push(`/product/${item.productId}`);
+      return;
+    }
+
+    const result = await moveToCart(item.productId);
+    if (
+      result?.code === "VARIANT_REQUIRED" ||
+      result?.code === "VARIANT_NOT_FOUND"
+    ) {
+      router.push(`/product/${item.productId}`);
+    }
+  };
+
+  const handleRemove = (item) => removeFromWishlist(item.productId);
+
+  if (!loaded && loading) {
+    return (
+      <div className="space-y-3 animate-pulse" aria-busy="true">
+        {[...Array(3)].map((_, i) => (
+          <div key={i} className="h-24 bg-gray-200 rounded-md"></div>
+        ))}
+      </div>
+    );
+  }
+
+  if (error && wishlist.length === 0) {
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (wishlist.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Heart size={48} className="mx-auto text-pink-200 mb-4" />
+        <p className="text-gray-600 mb-4">
+          Vous n&apos;avez encore aucun produit dans vos favoris.
+        </p>
+        <Link
+          href="/"
+          className="inline-block px-5 py-2 text-gray-800 font-medium rounded-lg bg-gradient-btn-primary hover:bg-gradient-btn-primary-hover"
+        >
+          Découvrir nos produits
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <p className="text-sm text-gray-500 mb-4">
+        {wishlist.length} produit{wishlist.length > 1 ? "s" : ""} sauvegardé
+        {wishlist.length > 1 ? "s" : ""}
+      </p>
+      <ul className="space-y-3">
+        {wishlist.map((item) => (
+          <WishlistItem
+            key={item.id}
+            item={item}
+            onMove={handleMove}
+            onRemove={handleRemove}
+          />
+        ))}
+      </ul>
+    </>
+  );
+};
+
+export default ListWishlist;
@@ -12,6 +12,7 @@ export const AuthProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [updated, setUpdated] = useState(false);
+  const [addresses, setAddresses] = useState([]);
 
   const router = useRouter();
   // ✅ MODIFICATION: Gestion sécurisée de useSession
@@ -491,9 +492,109 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Carnet d'adresses (choix de l'adresse de livraison au checkout)
+  const loadAddresses = async () => {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/auth/me/addresses`,
+        {
+          method: "GET",
+          headers: { Accept: "application/json" },
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        console.error(
+          new Error(`HTTP ${res.status}: ${data.message}`),
+          "AuthContext",
+          "loadAddresses",
+          res.status === 401,
+        );
+        return [];
+      }
+
+      const list = data.data?.addresses || [];
+      setAddresses(list);
+      return list;
+    } catch (error) {
+      console.error(error, "AuthContext", "loadAddresses", false);
+      return [];
+    }
+  };
+
+  const addAddress = async (address) => {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/auth/me/addresses`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify(address),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage = "";
+        switch (res.status) {
+          case 400:
+            errorMessage =
+              data.code === "ADDRESS_LIMIT_REACHED"
+                ? "Votre carnet d'adresses est complet"
+                : "Adresse invalide";
+            break;
+          case 401:
+            errorMessage = "Session expirée. Veuillez vous reconnecter";
+            break;
+          case 429:
+            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+            break;
+          default:
+            errorMessage = "Impossible d'enregistrer l'adresse";
+        }
+
+        console.error(
+          new Error(`HTTP ${res.status}: ${errorMessage}`),
+          "AuthContext",
+          "addAddress",
+          false,
+        );
+        return { success: false, error: errorMessage };
+      }
+
+      setAddresses(data.data.addresses || []);
+      return { success: true, address: data.data.address };
+    } catch (error) {
+      console.error(error, "AuthContext", "addAddress", false);
+      return {
+        success: false,
+        error: "Problème de connexion. Vérifiez votre connexion.",
+      };
+    }
+  };
+
   // Ajoutez cette méthode
   const clearUser = () => {
     setUser(null);
+    setAddresses([]);
     setError(null);
     setUpdated(false);
   };
@@ -516,6 +617,9 @@ export const AuthProvider = ({ children }) => {
         updateProfile,
         updatePassword,
         sendEmail,
+        addresses,
+        loadAddresses,
+        addAddress,
         clearUser,
         clearErrors,
         syncUserWithSession, // ✅ AJOUT: Exposer la fonction si besoin ailleurs
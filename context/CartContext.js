@@ -1,8 +1,16 @@
 "use client";
 
-import { createContext, useState, useCallback, useMemo } from "react";
+import { createContext, useState, useCallback, useMemo, useRef } from "react";
+import { useSession } from "next-auth/react";
 import { toast } from "react-toastify";
 import { DECREASE, INCREASE } from "@/helpers/constants";
+import {
+  addGuestCartItem,
+  clearGuestCart,
+  readGuestCart,
+  removeGuestCartItem,
+  setGuestCartItemQuantity,
+} from "@/helpers/guestCart";
 import captureClientError from "@/monitoring/sentry";
 
 const CartContext = createContext();
@@ -12,16 +20,152 @@ export const CartProvider = ({ children }) => {
   const [cart, setCart] = useState([]);
   const [cartCount, setCartCount] = useState(0);
   const [cartTotal, setCartTotal] = useState(0);
+  // Prix, stock ou disponibilité modifiés depuis l'ajout au panier
+  const [cartChanges, setCartChanges] = useState([]);
   const [error, setError] = useState(null);
 
+  // Statut de session lu par les callbacks mémorisés (panier invité ou compte)
+  const { status } = useSession();
+  const sessionStatusRef = useRef(status);
+  sessionStatusRef.current = status;
+  const isGuest = () => sessionStatusRef.current === "unauthenticated";
+
+  // Une seule fusion à la fois (Header et page panier peuvent charger en même temps)
+  const mergePromiseRef = useRef(null);
+
+  // Panier invité : recalcule prix et stock côté serveur sans rien enregistrer
+  const loadGuestCart = async () => {
+    const items = readGuestCart();
+
+    if (items.length === 0) {
+      remoteDataInState({ data: { cart: [], cartCount: 0, cartTotal: 0 } });
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    const res = await fetch(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/cart/guest`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ items }),
+        signal: controller.signal,
+      },
+    );
+
+    clearTimeout(timeoutId);
+    const data = await res.json();
+
+    if (!res.ok) {
+      const errorMessage =
+        res.status === 429
+          ? "Trop de tentatives. Réessayez plus tard."
+          : data.message || "Erreur lors de la récupération du panier";
+
+      captureClientError(
+        new Error(`HTTP ${res.status}: ${errorMessage}`),
+        "CartContext",
+        "loadGuestCart",
+        false,
+      );
+
+      setError(errorMessage);
+      return;
+    }
+
+    if (data.success) {
+      remoteDataInState(data);
+    }
+  };
+
+  // Fusionne le panier invité dans le panier du compte après connexion
+  // En cas d'échec, le panier invité est conservé pour une nouvelle tentative
+  const mergeGuestCart = async (items) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/merge`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify({ items }),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        captureClientError(
+          new Error(`HTTP ${res.status}: ${data.message}`),
+          "CartContext",
+          "mergeGuestCart",
+          false,
+        );
+        return false;
+      }
+
+      clearGuestCart();
+      remoteDataInState(data);
+
+      const { merged = [], skipped = [] } = data.data.merge || {};
+      if (merged.length > 0) {
+        toast.info(
+          "Les articles ajoutés avant votre connexion sont dans votre panier",
+        );
+      }
+      if (skipped.length > 0) {
+        toast.warning(
+          `${skipped.length} article(s) n'ont pas pu être ajoutés (indisponibles)`,
+        );
+      }
+      return true;
+    } catch (error) {
+      captureClientError(error, "CartContext", "mergeGuestCart", false);
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
   // Récupérer le panier - SIMPLIFIÉ (30 lignes max)
   const setCartToState = useCallback(async () => {
     if (loading) return;
 
+    // Session pas encore connue : le Header relancera le chargement
+    if (sessionStatusRef.current === "loading") return;
+
     try {
       setLoading(true);
       setError(null);
 
+      if (isGuest()) {
+        await loadGuestCart();
+        return;
+      }
+
+      // Premier chargement après connexion : fusionner le panier invité
+      const guestItems = readGuestCart();
+      if (guestItems.length > 0) {
+        if (!mergePromiseRef.current) {
+          mergePromiseRef.current = mergeGuestCart(guestItems).finally(() => {
+            mergePromiseRef.current = null;
+          });
+        }
+        if (await mergePromiseRef.current) return;
+      }
+
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 5000); // 5s comme AuthContext
 
@@ -84,7 +228,7 @@ export const CartProvider = ({ children }) => {
   }, []);
 
   // Ajouter au panier - SIMPLIFIÉ (40 lignes max)
-  const addItemToCart = async ({ product, quantity = 1 }) => {
+  const addItemToCart = async ({ product, variant = null, quantity = 1 }) => {
     try {
       if (!product) {
         const validationError = new Error("Produit invalide");
@@ -98,6 +242,24 @@ export const CartProvider = ({ children }) => {
         return;
       }
 
+      // Visiteur non connecté : le panier reste dans le navigateur
+      if (isGuest()) {
+        const added = addGuestCartItem({
+          productId: product,
+          variantId: variant,
+          quantity: parseInt(quantity, 10) || 1,
+        });
+
+        if (!added) {
+          toast.error("Votre panier est plein");
+          return;
+        }
+
+        await setCartToState();
+        toast.success("Produit ajouté au panier");
+        return;
+      }
+
       setLoading(true);
       setError(null);
 
@@ -112,6 +274,7 @@ export const CartProvider = ({ children }) => {
         },
         body: JSON.stringify({
           productId: product,
+          variantId: variant,
           quantity: parseInt(quantity, 10),
         }),
         signal: controller.signal,
@@ -195,6 +358,23 @@ export const CartProvider = ({ children }) => {
         return;
       }
 
+      if (isGuest()) {
+        if (action === INCREASE && product.quantity >= product.stock) {
+          toast.error(`Seulement ${product.stock} unités disponibles`);
+          return;
+        }
+
+        setGuestCartItemQuantity(
+          product.id,
+          product.quantity + (action === INCREASE ? 1 : -1),
+        );
+        await setCartToState();
+        toast.success(
+          action === INCREASE ? "Quantité augmentée" : "Quantité diminuée",
+        );
+        return;
+      }
+
       setLoading(true);
       setError(null);
 
@@ -267,6 +447,13 @@ export const CartProvider = ({ children }) => {
         return;
       }
 
+      if (isGuest()) {
+        removeGuestCartItem(id);
+        await setCartToState();
+        toast.success("Article supprimé");
+        return;
+      }
+
       setLoading(true);
       setError(null);
 
@@ -324,6 +511,67 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  // Accepter les nouveaux prix et quantités, retirer les articles indisponibles
+  const acceptCartChanges = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/reconcile`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        const errorMessage = data.message || "Erreur de mise à jour du panier";
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        const isCritical = res.status === 401;
+        captureClientError(
+          httpError,
+          "CartContext",
+          "acceptCartChanges",
+          isCritical,
+        );
+
+        toast.error(errorMessage);
+        return false;
+      }
+
+      if (data.success) {
+        remoteDataInState(data);
+        toast.success("Votre panier a été mis à jour");
+      }
+      return true;
+    } catch (error) {
+      if (error.name === "AbortError") {
+        toast.error("La connexion est trop lente");
+        captureClientError(error, "CartContext", "acceptCartChanges", false);
+      } else {
+        toast.error("Problème de connexion");
+        captureClientError(error, "CartContext", "acceptCartChanges", true);
+      }
+      console.error("Accept cart changes error:", error.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const clearError = () => {
     setError(null);
   };
@@ -333,6 +581,7 @@ export const CartProvider = ({ children }) => {
     setLoading(false);
     setCartCount(0);
     setCartTotal(0);
+    setCartChanges([]);
   };
 
   const remoteDataInState = (response) => {
@@ -346,6 +595,7 @@ export const CartProvider = ({ children }) => {
       setCart(normalizedCart);
       setCartCount(response.data.cartCount || 0);
       setCartTotal(response.data.cartTotal || 0);
+      setCartChanges(response.data.changes || []);
     } catch (error) {
       // Monitoring pour erreurs de parsing des données
       captureClientError(error, "CartContext", "remoteDataInState", true);
@@ -355,6 +605,7 @@ export const CartProvider = ({ children }) => {
       setCart([]);
       setCartCount(0);
       setCartTotal(0);
+      setCartChanges([]);
     }
   };
 
@@ -365,15 +616,17 @@ export const CartProvider = ({ children }) => {
       cart,
       cartCount,
       cartTotal,
+      cartChanges,
       error,
       setCartToState,
       addItemToCart,
       updateCart,
       deleteItemFromCart,
+      acceptCartChanges,
       clearError,
       clearCartOnLogout,
     }),
-    [loading, cart, cartCount, cartTotal, error]
+    [loading, cart, cartCount, cartTotal, cartChanges, error],
   );
 
   return (
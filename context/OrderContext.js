@@ -1,23 +1,49 @@
 "use client";
 
 import { useRouter } from "next/navigation";
-import { createContext, useState } from "react";
+import { createContext, useRef, useState } from "react";
 import captureClientError from "@/monitoring/sentry";
 
 const OrderContext = createContext();
 
+// Commande déjà en cours de traitement côté serveur (même clé d'idempotence) :
+// nombre de consultations de son état et délai par défaut entre deux
+// consultations (remplacé par l'en-tête Retry-After du serveur)
+const IN_PROGRESS_POLLS = 10;
+const IN_PROGRESS_POLL_DELAY = 2000;
+
+// Délai demandé par l'en-tête Retry-After (secondes), en millisecondes
+const getRetryAfterMs = (res, fallback) => {
+  const seconds = parseInt(res.headers.get("Retry-After"), 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : fallback;
+};
+
 export const OrderProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [updated, setUpdated] = useState(false);
   const [orderId, setOrderId] = useState(null);
+  const [orderShippingInfo, setOrderShippingInfo] = useState(null);
+  // Paiement de la dernière commande (suivi sur la page de confirmation)
+  const [orderPayment, setOrderPayment] = useState(null);
   const [lowStockProducts, setLowStockProducts] = useState(null);
 
   // États pour les autres parties de l'app (shipping, etc.)
   const [paymentTypes, setPaymentTypes] = useState([]);
   const [orderInfo, setOrderInfo] = useState(null);
+  const [shippingInfo, setShippingInfo] = useState(null);
+
+  // Clé d'idempotence de la tentative de commande en cours
+  // Conservée tant que le serveur n'a pas répondu (timeout, coupure réseau)
+  // pour qu'un nouvel essai ou un double clic ne crée pas de doublon
+  const idempotencyKeyRef = useRef(null);
 
   const router = useRouter();
 
+  const generateIdempotencyKey = () =>
+    typeof crypto !== "undefined" && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
   const addOrder = async (orderInfo) => {
     try {
       setError(null);
@@ -43,26 +69,73 @@ export const OrderProvider = ({ children }) => {
         return;
       }
 
+      if (!idempotencyKeyRef.current) {
+        idempotencyKeyRef.current = generateIdempotencyKey();
+      }
+
       // Simple fetch avec timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s pour une commande
+      const requestOrder = async (path, init = {}) => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s pour une commande
 
-      const res = await fetch(
-        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/webhook`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json",
+        const response = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}${path}`,
+          {
+            ...init,
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "application/json",
+              "Idempotency-Key": idempotencyKeyRef.current,
+            },
+            signal: controller.signal,
+            credentials: "include",
           },
-          body: JSON.stringify(orderInfo),
-          signal: controller.signal,
-          credentials: "include",
-        },
-      );
+        );
 
-      clearTimeout(timeoutId);
-      const data = await res.json();
+        clearTimeout(timeoutId);
+        return { res: response, data: await response.json() };
+      };
+
+      let { res, data } = await requestOrder("/api/orders/webhook", {
+        method: "POST",
+        body: JSON.stringify(orderInfo),
+      });
+
+      // La première requête avec cette clé est encore en cours : on suit son
+      // état (lecture seule, hors quota de création de commande) jusqu'à
+      // obtenir sa réponse mémorisée par le serveur
+      for (
+        let poll = 0;
+        data.code === "IDEMPOTENCY_IN_PROGRESS" && poll < IN_PROGRESS_POLLS;
+        poll++
+      ) {
+        const delay = getRetryAfterMs(res, IN_PROGRESS_POLL_DELAY);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        ({ res, data } = await requestOrder("/api/orders/webhook/status"));
+      }
+
+      // Toujours en cours : la clé est conservée, un nouvel essai affichera
+      // le résultat de la commande sans en créer une seconde
+      if (data.code === "IDEMPOTENCY_IN_PROGRESS") {
+        setError(
+          "Votre commande est en cours de traitement. Patientez quelques instants puis réessayez.",
+        );
+        return;
+      }
+
+      // La première requête n'a pas abouti (clé libérée par le serveur) :
+      // un nouvel essai avec la même clé ne peut pas créer de doublon
+      if (data.code === "IDEMPOTENCY_KEY_NOT_FOUND") {
+        setError("Votre commande n'a pas abouti. Veuillez réessayer.");
+        return;
+      }
+
+      // Réponse définitive : la prochaine tentative utilisera une nouvelle
+      // clé. Après un refus temporaire (429, erreur serveur) la clé est
+      // conservée : le nouvel essai rejouera la commande sans doublon
+      if (res.status !== 429 && res.status < 500) {
+        idempotencyKeyRef.current = null;
+      }
 
       if (!res.ok) {
         let errorMessage = "";
@@ -88,9 +161,16 @@ export const OrderProvider = ({ children }) => {
               errorMessage = "Certains produits ne sont plus disponibles";
             }
             break;
-          case 429:
-            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+          case 422:
+            errorMessage =
+              "Votre commande a été modifiée entre-temps. Veuillez réessayer.";
             break;
+          case 429: {
+            // Délai de blocage indiqué par le serveur (Retry-After)
+            const waitMinutes = Math.ceil(getRetryAfterMs(res, 60000) / 60000);
+            errorMessage = `Trop de tentatives. Réessayez dans ${waitMinutes} min.`;
+            break;
+          }
           default:
             errorMessage =
               data.message || "Erreur lors du traitement de la commande";
@@ -109,6 +189,14 @@ export const OrderProvider = ({ children }) => {
       // Succès - Validation de la réponse
       if (data.success && data.id) {
         setOrderId(data.id);
+        setOrderShippingInfo(data.shippingInfo || null);
+        setOrderPayment({
+          orderId: data.orderId,
+          paymentStatus: data.paymentStatus,
+          message: data.paymentMessage || null,
+          isCashPayment: data.isCashPayment === true,
+          pickupCode: data.pickupCode || null,
+        });
         setError(null);
 
         console.log("Order created:", data.orderNumber);
@@ -146,6 +234,76 @@ export const OrderProvider = ({ children }) => {
     }
   };
 
+  // Annulation d'une commande par le client (motif obligatoire)
+  const cancelOrder = async (orderId, reason, comment = "") => {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/${orderId}/cancel`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify({ reason, comment }),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage = "";
+        switch (res.status) {
+          case 400:
+            errorMessage = "Veuillez choisir un motif d'annulation";
+            break;
+          case 401:
+            errorMessage = "Session expirée. Veuillez vous reconnecter.";
+            setTimeout(() => router.push("/login"), 2000);
+            break;
+          case 404:
+            errorMessage = "Commande introuvable";
+            break;
+          case 409:
+            errorMessage = "Cette commande ne peut plus être annulée";
+            break;
+          case 429:
+            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+            break;
+          default:
+            errorMessage = "Erreur lors de l'annulation de la commande";
+        }
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        captureClientError(
+          httpError,
+          "OrderContext",
+          "cancelOrder",
+          res.status >= 500,
+        );
+
+        return { success: false, error: errorMessage };
+      }
+
+      return { success: true, order: data.data?.order };
+    } catch (error) {
+      captureClientError(error, "OrderContext", "cancelOrder", true);
+      return {
+        success: false,
+        error:
+          error.name === "AbortError"
+            ? "La requête a pris trop de temps. Veuillez réessayer."
+            : "Problème de connexion. Vérifiez votre connexion.",
+      };
+    }
+  };
+
   const clearErrors = () => {
     setError(null);
   };
@@ -156,12 +314,17 @@ export const OrderProvider = ({ children }) => {
         error,
         updated,
         orderId,
+        orderShippingInfo,
+        orderPayment,
         lowStockProducts,
         paymentTypes,
         orderInfo,
+        shippingInfo,
         setPaymentTypes,
         setOrderInfo,
+        setShippingInfo,
         addOrder,
+        cancelOrder,
         setUpdated,
         clearErrors,
       }}
@@ -0,0 +1,294 @@
+"use client";
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { toast } from "react-toastify";
+import CartContext from "@/context/CartContext";
+import { captureClientError } from "@/monitoring/sentry";
+
+const WishlistContext = createContext();
+
+// Requête JSON vers l'API wishlist avec timeout
+const wishlistFetch = async (path, options = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const res = await fetch(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/wishlist${path}`,
+      {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        signal: controller.signal,
+        credentials: "include",
+      },
+    );
+    const data = await res.json();
+    return { res, data };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export const WishlistProvider = ({ children }) => {
+  const { setCartToState } = useContext(CartContext);
+  const [wishlist, setWishlist] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Produits en cours d'ajout / retrait (évite les doubles clics)
+  const pendingRef = useRef(new Set());
+
+  const wishlistIds = useMemo(
+    () => new Set(wishlist.map((item) => String(item.productId))),
+    [wishlist],
+  );
+
+  // Récupérer la liste d'envies
+  const setWishlistToState = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { res, data } = await wishlistFetch("", { method: "GET" });
+
+      if (!res.ok) {
+        // 401 : utilisateur non connecté, la liste reste vide
+        if (res.status !== 401) {
+          setError(data.message || "Erreur lors du chargement des favoris");
+          captureClientError(
+            new Error(`HTTP ${res.status}: ${data.message}`),
+            "WishlistContext",
+            "setWishlistToState",
+            false,
+          );
+        }
+        return;
+      }
+
+      if (data.success) {
+        setWishlist(data.data.items || []);
+      }
+    } catch (error) {
+      setError(
+        error.name === "AbortError"
+          ? "La requête a pris trop de temps"
+          : "Problème de connexion. Vérifiez votre connexion.",
+      );
+      captureClientError(error, "WishlistContext", "setWishlistToState", false);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const isInWishlist = useCallback(
+    (productId) => wishlistIds.has(String(productId)),
+    [wishlistIds],
+  );
+
+  // Retirer un produit de la liste d'envies
+  const removeFromWishlist = useCallback(async (productId) => {
+    const key = String(productId);
+    if (pendingRef.current.has(key)) return false;
+    pendingRef.current.add(key);
+
+    try {
+      const { res, data } = await wishlistFetch(`/${productId}`, {
+        method: "DELETE",
+      });
+
+      // 404 : déjà retiré, on synchronise simplement l'état local
+      if (!res.ok && res.status !== 404) {
+        toast.error(data.message || "Erreur lors du retrait des favoris");
+        captureClientError(
+          new Error(`HTTP ${res.status}: ${data.message}`),
+          "WishlistContext",
+          "removeFromWishlist",
+          false,
+        );
+        return false;
+      }
+
+      setWishlist((prev) =>
+        prev.filter((item) => String(item.productId) !== key),
+      );
+      toast.info("Produit retiré de vos favoris");
+      return true;
+    } catch (error) {
+      toast.error(
+        error.name === "AbortError"
+          ? "La connexion est trop lente"
+          : "Problème de connexion",
+      );
+      captureClientError(error, "WishlistContext", "removeFromWishlist", false);
+      return false;
+    } finally {
+      pendingRef.current.delete(key);
+    }
+  }, []);
+
+  // Ajouter un produit à la liste d'envies
+  const addToWishlist = useCallback(
+    async ({ productId, variantId = null }) => {
+      const key = String(productId);
+      if (pendingRef.current.has(key)) return false;
+      pendingRef.current.add(key);
+
+      try {
+        const { res, data } = await wishlistFetch("", {
+          method: "POST",
+          body: JSON.stringify({ productId, variantId }),
+        });
+
+        if (!res.ok) {
+          switch (res.status) {
+            case 401:
+              toast.error("Veuillez vous connecter pour gérer vos favoris");
+              break;
+            case 429:
+              toast.error("Trop de tentatives. Réessayez plus tard.");
+              break;
+            default:
+              toast.error(data.message || "Erreur lors de l'ajout aux favoris");
+              captureClientError(
+                new Error(`HTTP ${res.status}: ${data.message}`),
+                "WishlistContext",
+                "addToWishlist",
+                false,
+              );
+          }
+          return false;
+        }
+
+        toast.success("Produit ajouté à vos favoris");
+        // Recharger pour obtenir le prix, le stock et l'image à jour
+        await setWishlistToState();
+        return true;
+      } catch (error) {
+        toast.error(
+          error.name === "AbortError"
+            ? "La connexion est trop lente"
+            : "Problème de connexion",
+        );
+        captureClientError(error, "WishlistContext", "addToWishlist", false);
+        return false;
+      } finally {
+        pendingRef.current.delete(key);
+      }
+    },
+    [setWishlistToState],
+  );
+
+  // Ajouter ou retirer selon l'état actuel (bouton cœur)
+  const toggleWishlist = useCallback(
+    ({ productId, variantId = null }) =>
+      isInWishlist(productId)
+        ? removeFromWishlist(productId)
+        : addToWishlist({ productId, variantId }),
+    [isInWishlist, removeFromWishlist, addToWishlist],
+  );
+
+  // Déplacer un produit vers le panier
+  const moveToCart = useCallback(
+    async (productId) => {
+      try {
+        setLoading(true);
+
+        const { res, data } = await wishlistFetch(
+          `/${productId}/move-to-cart`,
+          { method: "POST", body: JSON.stringify({}) },
+        );
+
+        if (!res.ok) {
+          switch (data.code) {
+            case "VARIANT_REQUIRED":
+            case "VARIANT_NOT_FOUND":
+              toast.info("Choisissez une couleur ou une taille");
+              break;
+            case "OUT_OF_STOCK":
+              toast.info("Ce produit est actuellement en rupture de stock");
+              break;
+            default:
+              toast.error(data.message || "Erreur lors de l'ajout au panier");
+              captureClientError(
+                new Error(`HTTP ${res.status}: ${data.message}`),
+                "WishlistContext",
+                "moveToCart",
+                false,
+              );
+          }
+          return { success: false, code: data.code };
+        }
+
+        setWishlist((prev) =>
+          prev.filter((item) => String(item.productId) !== String(productId)),
+        );
+        await setCartToState();
+        toast.success("Produit déplacé dans le panier");
+        return { success: true };
+      } catch (error) {
+        toast.error(
+          error.name === "AbortError"
+            ? "La connexion est trop lente"
+            : "Problème de connexion",
+        );
+        captureClientError(error, "WishlistContext", "moveToCart", false);
+        return { success: false };
+      } finally {
+        setLoading(false);
+      }
+    },
+    [setCartToState],
+  );
+
+  const clearWishlistOnLogout = useCallback(() => {
+    setWishlist([]);
+    setError(null);
+    setLoading(false);
+  }, []);
+
+  // Valeur du contexte avec mémorisation
+  const contextValue = useMemo(
+    () => ({
+      wishlist,
+      wishlistCount: wishlist.length,
+      loading,
+      error,
+      isInWishlist,
+      setWishlistToState,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToCart,
+      clearWishlistOnLogout,
+    }),
+    [
+      wishlist,
+      loading,
+      error,
+      isInWishlist,
+      setWishlistToState,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToCart,
+      clearWishlistOnLogout,
+    ],
+  );
+
+  return (
+    <WishlistContext.Provider value={contextValue}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export default WishlistContext;
@@ -1,2 +1,141 @@
 export const INCREASE = "INCREASE";
 export const DECREASE = "DECREASE";
+
+// Options de tri du catalogue (valeur du paramètre "sort")
+export const PRODUCT_SORT_OPTIONS = [
+  { value: "relevance", label: "Pertinence" },
+  { value: "price_asc", label: "Prix croissant" },
+  { value: "price_desc", label: "Prix décroissant" },
+  { value: "newest", label: "Nouveautés" },
+  { value: "best_selling", label: "Meilleures ventes" },
+];
+
+// Nombre maximum de catégories sélectionnables simultanément
+export const MAX_SELECTED_CATEGORIES = 10;
+
+// Cycle de vie logistique d'une commande (indépendant du statut de paiement)
+export const ORDER_STATUSES = [
+  "pending",
+  "processing",
+  "shipped",
+  "delivered",
+  "ready_for_pickup",
+  "picked_up",
+  "cancelled",
+];
+
+// Transitions autorisées depuis chaque statut
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "ready_for_pickup", "cancelled"],
+  shipped: ["delivered"],
+  ready_for_pickup: ["picked_up", "cancelled"],
+  delivered: [],
+  picked_up: [],
+  cancelled: [],
+};
+
+export const ORDER_STATUS_LABELS = {
+  pending: "Reçue",
+  processing: "En préparation",
+  shipped: "Expédiée",
+  delivered: "Livrée",
+  ready_for_pickup: "Prête à récupérer",
+  picked_up: "Récupérée",
+  cancelled: "Annulée",
+};
+
+// Modes de remise d'une commande
+export const SHIPPING_METHODS = ["delivery", "pickup"];
+
+export const SHIPPING_METHOD_LABELS = {
+  delivery: "Livraison à domicile",
+  pickup: "Retrait en boutique",
+};
+
+// Points de retrait proposés au paiement (copiés sur la commande au checkout)
+export const PICKUP_POINTS = [
+  {
+    id: "boutique-djibouti-ville",
+    name: "Boutique Buy It Now",
+    address: "Djibouti Ville, Djibouti",
+  },
+];
+
+// Nombre maximum d'adresses enregistrées dans le carnet
+export const MAX_SAVED_ADDRESSES = 10;
+
+// Statuts de paiement pour lesquels le client peut encore annuler sa commande
+// (un paiement échoué peut être annulé pour libérer le stock réservé)
+export const CANCELLABLE_PAYMENT_STATUSES = [
+  "unpaid",
+  "pending_cash",
+  "failed",
+];
+
+// Motifs d'annulation proposés au client
+export const ORDER_CANCEL_REASONS = {
+  changed_mind: "J'ai changé d'avis",
+  ordered_by_mistake: "Commande passée par erreur",
+  found_cheaper: "Trouvé moins cher ailleurs",
+  delivery_too_long: "Délai de livraison trop long",
+  payment_issue: "Problème de paiement",
+  other: "Autre raison",
+};
+
+// Types de mouvements enregistrés dans le journal de stock
+// (quantité négative = sortie de stock, positive = retour en stock)
+export const INVENTORY_MOVEMENT_TYPES = [
+  "order_reservation",
+  "order_cancellation",
+  "refund_restock",
+  "adjustment",
+];
+
+// Moyens de paiement acceptés
+export const PAYMENT_TYPES = ["WAAFI", "D-MONEY", "CAC-PAY", "BCI-PAY", "CASH"];
+
+// Statuts de paiement d'une commande
+export const PAYMENT_STATUSES = [
+  "unpaid",
+  "processing",
+  "paid",
+  "refunded",
+  "failed",
+  "pending_cash",
+];
+
+// Justificatif de paiement (capture du transfert Mobile Money)
+// Plateformes concernées et statuts de paiement permettant l'envoi
+export const PAYMENT_PROOF_PLATFORMS = ["WAAFI", "D-MONEY"];
+export const PAYMENT_PROOF_UPLOADABLE_STATUSES = ["unpaid", "failed"];
+export const PAYMENT_PROOF_STATUSES = ["pending", "approved", "rejected"];
+
+// Remboursements : une commande partiellement remboursée reste "paid",
+// elle passe en "refunded" quand toutes ses lignes sont remboursées
+export const REFUNDABLE_PAYMENT_STATUSES = ["paid"];
+export const REFUND_METHODS = ["provider", "cash", "manual_transfer"];
+// "pending" : quantités réservées, remboursement en cours auprès de l'opérateur
+export const REFUND_STATUSES = ["pending", "completed"];
+
+export const REFUND_METHOD_LABELS = {
+  provider: "Remboursé sur le compte de paiement",
+  cash: "Remboursé en espèces",
+  manual_transfer: "Virement Mobile Money manuel",
+};
+
+// Code de retrait des commandes payées en espèces, présenté au comptoir
+// (alphabet sans caractères ambigus : ni 0/O, ni 1/I/L)
+export const PICKUP_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+export const PICKUP_CODE_LENGTH = 6;
+
+// Taille de page de l'historique des commandes
+export const ORDERS_PER_PAGE_OPTIONS = [5, 10, 20, 50];
+export const DEFAULT_ORDERS_PER_PAGE = 10;
+
+// Coordonnées du vendeur imprimées sur les factures
+export const SELLER_INFO = {
+  name: "Buy It Now",
+  address: "Djibouti Ville, Djibouti",
+  email: "contact@buyitnow.com",
+};
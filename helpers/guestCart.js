@@ -0,0 +1,99 @@
+/**
+ * Panier invité stocké dans le navigateur (localStorage)
+ * Seuls les identifiants et les quantités sont conservés : prix, stock et
+ * images sont toujours recalculés par le serveur (/api/cart/guest).
+ * Le contenu est fusionné dans le panier du compte à la connexion.
+ */
+
+const STORAGE_KEY = "buyitnow_guest_cart";
+const MAX_ITEMS = 50;
+const MAX_QUANTITY = 99;
+
+// Identifiant d'une ligne invitée (pas de document Cart côté serveur)
+export const getGuestItemId = (productId, variantId = null) =>
+  `${productId}:${variantId || ""}`;
+
+const isStorageAvailable = () =>
+  typeof window !== "undefined" && !!window.localStorage;
+
+export const readGuestCart = () => {
+  if (!isStorageAvailable()) return [];
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(parsed)) return [];
+
+    return parsed
+      .filter(
+        (item) =>
+          typeof item?.productId === "string" &&
+          Number.isInteger(item.quantity) &&
+          item.quantity > 0,
+      )
+      .slice(0, MAX_ITEMS);
+  } catch {
+    // Contenu corrompu : on repart d'un panier vide
+    return [];
+  }
+};
+
+export const writeGuestCart = (items) => {
+  if (!isStorageAvailable()) return;
+
+  try {
+    if (!items.length) {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify(items.slice(0, MAX_ITEMS)),
+      );
+    }
+  } catch (error) {
+    // Stockage plein ou désactivé (navigation privée) : sans conséquence
+    console.error("Guest cart storage error:", error.message);
+  }
+};
+
+export const clearGuestCart = () => writeGuestCart([]);
+
+/**
+ * Ajoute une quantité à une ligne (la crée si besoin)
+ * @returns {boolean} false si le panier invité est plein
+ */
+export const addGuestCartItem = ({ productId, variantId = null, quantity }) => {
+  const items = readGuestCart();
+  const id = getGuestItemId(productId, variantId);
+  const existing = items.find(
+    (item) => getGuestItemId(item.productId, item.variantId) === id,
+  );
+
+  if (existing) {
+    existing.quantity = Math.min(existing.quantity + quantity, MAX_QUANTITY);
+  } else {
+    if (items.length >= MAX_ITEMS) return false;
+    items.push({
+      productId,
+      variantId: variantId || null,
+      quantity: Math.min(quantity, MAX_QUANTITY),
+    });
+  }
+
+  writeGuestCart(items);
+  return true;
+};
+
+// Modifie la quantité d'une ligne ; une quantité nulle la supprime
+export const setGuestCartItemQuantity = (id, quantity) => {
+  const items = readGuestCart()
+    .map((item) =>
+      getGuestItemId(item.productId, item.variantId) === id
+        ? { ...item, quantity: Math.min(quantity, MAX_QUANTITY) }
+        : item,
+    )
+    .filter((item) => item.quantity > 0);
+
+  writeGuestCart(items);
+};
+
+export const removeGuestCartItem = (id) => setGuestCartItemQuantity(id, 0);
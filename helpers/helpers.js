@@ -140,3 +140,8 @@ export const parseCallbackUrl = (url) => {
   const res = url.replace(/%3A/g, ":").replace(/%2F/g, "/");
   return res;
 };
+
+// Contenu du QR code de retrait d'une commande CASH ("numéro:code")
+export const getPickupQrValue = (orderNumber, pickupCode) => {
+  return `${orderNumber}:${pickupCode}`;
+};
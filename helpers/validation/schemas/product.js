@@ -9,6 +9,10 @@ import {
   validate,
   noNoSqlInjection,
 } from "../core/utils";
+import {
+  MAX_SELECTED_CATEGORIES,
+  PRODUCT_SORT_OPTIONS,
+} from "@/helpers/constants";
 
 // Schéma de recherche
 export const searchSchema = yup.object().shape({
@@ -60,9 +64,29 @@ export const categorySchema = yup.object().shape({
 // Schéma complet des filtres
 export const productFiltersSchema = yup.object().shape({
   keyword: yup.string().nullable().transform(sanitizeString),
-  category: categorySchema.fields.category,
+  // Une ou plusieurs catégories séparées par des virgules
+  category: yup
+    .string()
+    .nullable()
+    .transform(sanitizeString)
+    .test("valid-ids", "ID catégorie invalide", (value) => {
+      if (!value) return true;
+      const ids = value.split(",");
+      return (
+        ids.length <= MAX_SELECTED_CATEGORIES &&
+        ids.every((id) => isValidObjectId(id))
+      );
+    }),
   "price[gt]": priceFiltersSchema.fields.min,
   "price[lt]": priceFiltersSchema.fields.max,
+  inStock: yup.boolean().nullable(),
+  sort: yup
+    .string()
+    .nullable()
+    .oneOf(
+      [...PRODUCT_SORT_OPTIONS.map((option) => option.value), null],
+      "Tri non supporté",
+    ),
   page: yup
     .number()
     .nullable()
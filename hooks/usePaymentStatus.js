@@ -0,0 +1,126 @@
+// hooks/usePaymentStatus.js
+import { useCallback, useEffect, useState } from "react";
+import captureClientError from "@/monitoring/sentry";
+
+// Délai entre deux vérifications : 3s, puis x1.5 jusqu'à 15s
+const INITIAL_DELAY = 3000;
+const MAX_DELAY = 15000;
+const BACKOFF_FACTOR = 1.5;
+
+// Au-delà, le suivi automatique s'arrête (relance possible avec refresh)
+const MAX_POLLING_DURATION = 10 * 60 * 1000;
+
+/**
+ * Suit le statut de paiement d'une commande tant qu'il est "processing"
+ * Interroge /api/orders/[id]/payment-status avec un délai croissant et
+ * respecte Retry-After en cas de limite atteinte (429)
+ * @param {string} orderId - _id de la commande
+ * @param {string} initialStatus - Statut connu à la création de la commande
+ * @param {string|null} initialMessage - Message de l'opérateur
+ * @returns {{paymentStatus: string, message: string|null, isPolling: boolean, hasTimedOut: boolean, refresh: Function}}
+ */
+const usePaymentStatus = (orderId, initialStatus, initialMessage = null) => {
+  const [paymentStatus, setPaymentStatus] = useState(initialStatus);
+  const [message, setMessage] = useState(initialMessage);
+  const [isPolling, setIsPolling] = useState(false);
+  const [hasTimedOut, setHasTimedOut] = useState(false);
+  // Incrémenté par refresh pour relancer un suivi arrêté
+  const [pollingRun, setPollingRun] = useState(0);
+
+  const shouldPoll = Boolean(orderId) && paymentStatus === "processing";
+
+  useEffect(() => {
+    if (!shouldPoll) {
+      setIsPolling(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    let delay = INITIAL_DELAY;
+    let timeoutId;
+
+    setIsPolling(true);
+    setHasTimedOut(false);
+
+    const stop = () => setIsPolling(false);
+
+    const poll = async () => {
+      if (Date.now() - startedAt > MAX_POLLING_DURATION) {
+        setHasTimedOut(true);
+        stop();
+        return;
+      }
+
+      let nextDelay = delay;
+
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/orders/${orderId}/payment-status`,
+          {
+            headers: { Accept: "application/json" },
+            credentials: "include",
+            cache: "no-store",
+            signal: controller.signal,
+          },
+        );
+
+        switch (res.status) {
+          case 200: {
+            const { data } = await res.json();
+            if (data.message) setMessage(data.message);
+
+            // Statut final : l'arrêt du suivi découle du changement de statut
+            if (data.isFinal) {
+              setPaymentStatus(data.paymentStatus);
+              return;
+            }
+
+            nextDelay = Math.max(delay, (data.retryAfter || 0) * 1000);
+            break;
+          }
+          case 429: {
+            const retryAfter = parseInt(res.headers.get("Retry-After"), 10);
+            nextDelay = Math.max(MAX_DELAY, (retryAfter || 0) * 1000);
+            break;
+          }
+          case 401:
+          case 403:
+          case 404:
+            // Session expirée ou commande inaccessible : inutile d'insister
+            captureClientError(
+              new Error(`HTTP ${res.status}: suivi du paiement impossible`),
+              "usePaymentStatus",
+              "poll",
+              false,
+            );
+            stop();
+            return;
+          default:
+          // Erreur serveur temporaire : nouvel essai au prochain délai
+        }
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        // Erreur réseau : nouvel essai au prochain délai
+      }
+
+      delay = Math.min(delay * BACKOFF_FACTOR, MAX_DELAY);
+      timeoutId = setTimeout(poll, nextDelay);
+    };
+
+    timeoutId = setTimeout(poll, delay);
+
+    return () => {
+      controller.abort();
+      clearTimeout(timeoutId);
+    };
+  }, [orderId, shouldPoll, pollingRun]);
+
+  const refresh = useCallback(() => {
+    setPollingRun((run) => run + 1);
+  }, []);
+
+  return { paymentStatus, message, isPolling, hasTimedOut, refresh };
+};
+
+export default usePaymentStatus;
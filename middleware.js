@@ -10,7 +10,7 @@ const DEBUG = process.env.NEXT_PUBLIC_DEBUG === "true";
 const PROTECTED_PATHS = [
   "/api/:path*",
   "/me/:path*",
-  "/cart",
+  "/shipping",
   "/payment",
   "/review-order",
   "/confirmation",
@@ -111,7 +111,7 @@ const nextConfig = {
   compress: true,
 
   // Configuration des packages externes
-  serverExternalPackages: ["mongoose", "autoprefixer", "prettier"],
+  serverExternalPackages: ["mongoose", "autoprefixer", "prettier", "pdfkit"],
 
   // Configuration des images Cloudinary
   images: {
@@ -279,11 +279,11 @@ const nextConfig = {
       },
 
       // ============================================
-      // 4. APIs PRIVÉES (cart, orders, address, emails)
+      // 4. APIs PRIVÉES (cart, orders, address, emails, wishlist, cron)
       // Données sensibles utilisateur
       // ============================================
       {
-        source: "/api/(address|cart|orders|emails)/:path*",
+        source: "/api/(address|cart|orders|emails|wishlist|cron)/:path*",
         headers: [
           {
             key: "Cache-Control",
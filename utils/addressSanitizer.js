@@ -44,15 +44,49 @@ export const sanitizeAddress = (addressData = {}) => {
 
 /**
  * Vérifie rapidement si les champs requis sont présents
+ * La région reste facultative, comme dans le profil utilisateur
  * (Utilisé pour validation côté client avant envoi)
  */
 export const hasRequiredFields = (address) => {
-  return !!(
-    address?.street &&
-    address?.city &&
-    address?.state &&
-    address?.country
-  );
+  return !!(address?.street && address?.city && address?.country);
+};
+
+// Longueurs maximales des champs d'une adresse de livraison
+const SHIPPING_ADDRESS_LIMITS = {
+  street: 100,
+  additionalInfo: 100,
+  city: 50,
+  state: 50,
+  zipCode: 20,
+  country: 50,
+};
+
+/**
+ * Valide l'adresse de livraison copiée sur une commande
+ * La région et le code postal restent facultatifs (absents du profil utilisateur)
+ * @param {Object} addressData - Adresse brute envoyée au checkout
+ * @returns {{isValid: boolean, address: Object, errors: Object}}
+ */
+export const validateShippingAddress = (addressData) => {
+  const address = sanitizeAddress(addressData);
+  delete address.isDefault;
+  const errors = {};
+
+  if (!address.street) errors.street = 'Adresse requise';
+  if (!address.city) errors.city = 'Ville requise';
+  if (!address.country) errors.country = 'Pays requis';
+
+  Object.entries(SHIPPING_ADDRESS_LIMITS).forEach(([field, max]) => {
+    if (address[field] && address[field].length > max) {
+      errors[field] = `${max} caractères maximum`;
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    address,
+    errors,
+  };
 };
 
 /**
@@ -64,7 +98,7 @@ export const formatAddressDisplay = (address) => {
   const parts = [
     address.street,
     address.additionalInfo,
-    `${address.city}, ${address.state}`,
+    [address.city, address.state].filter(Boolean).join(', '),
     address.zipCode,
     address.country,
   ].filter(Boolean);
@@ -92,6 +126,7 @@ export const formatAddressOneLine = (address) => {
 export default {
   sanitizeAddress,
   hasRequiredFields,
+  validateShippingAddress,
   formatAddressDisplay,
   formatAddressOneLine,
 };
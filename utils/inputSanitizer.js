@@ -3,6 +3,11 @@
  * Adapté pour 500 visiteurs/jour
  */
 
+import {
+  MAX_SELECTED_CATEGORIES,
+  PRODUCT_SORT_OPTIONS,
+} from "@/helpers/constants";
+
 /**
  * Nettoie une chaîne basique (trim + espaces multiples)
  * PAS d'encodage HTML - React le fait automatiquement
@@ -56,10 +61,21 @@ export const parseProductSearchParams = (searchParams) => {
     params.keyword = cleanString(keyword);
   }
 
-  // Category - vérifier si c'est un ObjectId valide
+  // Category - une ou plusieurs catégories séparées par des virgules
   const category = searchParams.get("category");
-  if (category && isValidObjectId(category)) {
-    params.category = category.trim();
+  if (category) {
+    const categoryIds = [
+      ...new Set(
+        category
+          .split(",")
+          .map((id) => id.trim())
+          .filter(isValidObjectId),
+      ),
+    ].slice(0, MAX_SELECTED_CATEGORIES);
+
+    if (categoryIds.length > 0) {
+      params.category = categoryIds.join(",");
+    }
   }
 
   // Prix min/max - parser en nombre
@@ -79,6 +95,17 @@ export const parseProductSearchParams = (searchParams) => {
     }
   }
 
+  // Disponibilité - seulement les produits en stock
+  if (parseBoolean(searchParams.get("inStock") || "")) {
+    params.inStock = true;
+  }
+
+  // Tri - uniquement les valeurs connues
+  const sort = searchParams.get("sort");
+  if (sort && PRODUCT_SORT_OPTIONS.some((option) => option.value === sort)) {
+    params.sort = sort;
+  }
+
   // Page - avec défaut à 1
   const page = parseNumber(searchParams.get("page"), 1);
   params.page = Math.max(1, Math.min(page, 1000));
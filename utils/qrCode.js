@@ -0,0 +1,39 @@
+import QRCode from "qrcode";
+
+/**
+ * QR codes générés localement (aucun service externe) avec la bibliothèque
+ * qrcode, correction d'erreur M (15 %).
+ * Utilisable côté serveur (emails) comme côté client (SVG).
+ */
+
+/**
+ * Matrice des modules d'un QR code
+ * @param {string} text - Contenu à encoder
+ * @returns {boolean[][]} Lignes de modules, true = module sombre
+ * @throws {Error} Si le contenu est vide ou trop long
+ */
+export const createQrMatrix = (text) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+
+  return Array.from({ length: modules.size }, (_, row) =>
+    Array.from({ length: modules.size }, (_, col) =>
+      Boolean(modules.get(row, col)),
+    ),
+  );
+};
+
+/**
+ * Tracé SVG des modules sombres (un sous-chemin par module)
+ * @param {boolean[][]} matrix
+ * @param {number} [border=4] - Marge blanche en modules (4 selon la norme)
+ * @returns {{path: string, size: number}} Chemin et taille du viewBox
+ */
+export const qrMatrixToSvgPath = (matrix, border = 4) => {
+  const parts = [];
+  matrix.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+    });
+  });
+  return { path: parts.join(""), size: matrix.length + border * 2 };
+};
@@ -180,6 +180,13 @@ const INTELLIGENT_LIMITS = {
       blockDuration: 120000,
       keyStrategy: "ip",
     },
+    // Suggestions de recherche (saisie en cours) - permissif, requêtes légères
+    suggest: {
+      points: 120, // 120 suggestions
+      duration: 60000, // par minute
+      blockDuration: 60000,
+      keyStrategy: "ip",
+    },
   },
 
   // CART - Très permissif (UX critique)